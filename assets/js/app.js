@@ -1,7 +1,8 @@
 // アプリケーション初期化とメイン制御
 import { HouseholdBudgetData } from './data/dataManager.js';
 import { UIManager } from './ui/uiManager.js';
-import { CONSTANTS, ENVIRONMENT } from './constants.js';
+import { CONSTANTS, ENVIRONMENT, APP_CONFIG } from './constants.js';
+import { FilterQuery } from './utils/filterQuery.js';
 
 class App {
     constructor() {
@@ -61,17 +62,10 @@ class App {
             dateInput.value = today;
         }
         
-        // フィルタの復元
+        // フィルタの復元（URLのハッシュに条件がある場合はブックマークから開いたものとして優先する）
         setTimeout(() => {
-            const filterType = document.getElementById('filterType');
-            const filterCategory = document.getElementById('filterCategory');
-            const filterMonth = document.getElementById('filterMonth');
-            
-            if (filterType) filterType.value = this.dataManager.filters.type || '';
-            if (filterCategory) filterCategory.value = this.dataManager.filters.category || '';
-            if (filterMonth) filterMonth.value = this.dataManager.filters.month || '';
-            
-            this.uiManager.handleFilterChange();
+            const hashFilters = FilterQuery.fromHash(window.location.hash);
+            this.dataManager.applyFilters(hashFilters || {});
         }, 100);
     }
 
@@ -223,6 +217,70 @@ class App {
         }
     }
 
+    /**
+     * ServiceWorkerを登録（オフラインで使えるようにし、新しいバージョンがあれば通知する）
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !ENVIRONMENT.IS_PRODUCTION) return;
+
+        // 新しいバージョンに切り替わったら、新しいファイルで表示し直す
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register(APP_CONFIG.SERVICE_WORKER_URL)
+                .then(registration => {
+                    console.log('ServiceWorker登録成功:', registration.scope);
+
+                    // 前回開いたときに取得済みで、待機している新しいバージョン
+                    if (registration.waiting && navigator.serviceWorker.controller) {
+                        this.showUpdateNotification(registration.waiting);
+                    }
+
+                    registration.addEventListener('updatefound', () => {
+                        const worker = registration.installing;
+                        worker.addEventListener('statechange', () => {
+                            // 初回のインストール（controllerがない）は更新ではないので通知しない
+                            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                                this.showUpdateNotification(worker);
+                            }
+                        });
+                    });
+
+                    // 開いたままにしている間も新しいバージョンを確認する
+                    setInterval(() => {
+                        registration.update().catch(() => {});
+                    }, APP_CONFIG.UPDATE_CHECK_INTERVAL);
+                })
+                .catch(error => {
+                    console.log('ServiceWorker登録失敗:', error);
+                });
+        });
+    }
+
+    /**
+     * 新しいバージョンがあることを通知
+     * @param {ServiceWorker} worker - 待機している新しいバージョンのServiceWorker
+     */
+    showUpdateNotification(worker) {
+        this.uiManager.notificationManager.info(
+            '新しいバージョンがあります。再読み込みすると更新されます。',
+            0,
+            {
+                persistent: true,
+                actions: [{
+                    text: '再読み込み',
+                    className: 'btn-primary',
+                    handler: () => worker.postMessage({ type: 'SKIP_WAITING' })
+                }]
+            }
+        );
+    }
+
     /**
      * アプリケーションの統計情報を取得
      * @returns {object} 統計情報
@@ -250,22 +308,10 @@ class App {
 document.addEventListener('DOMContentLoaded', () => {
     const app = new App();
     app.init();
+    app.registerServiceWorker();
     
     // グローバルアクセス用（デバッグ・テスト用途）
     if (ENVIRONMENT.IS_DEVELOPMENT) {
         window.__HOUSEHOLD_BUDGET_APP__ = app;
     }
 });
-
-// ServiceWorker登録（将来的なPWA対応用）
-if ('serviceWorker' in navigator && ENVIRONMENT.IS_PRODUCTION) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('ServiceWorker登録成功:', registration.scope);
-            })
-            .catch(error => {
-                console.log('ServiceWorker登録失敗:', error);
-            });
-    });
-}
\ No newline at end of file
@@ -0,0 +1,338 @@
+// カテゴリ別グラフ（ドーナツ・積み上げ棒）管理クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { LibraryLoader } from '../utils/libraryLoader.js';
+
+export class CategoryChartManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.doughnutChart = null;
+        this.trendChart = null;
+        this.type = CONSTANTS.TRANSACTION_TYPES.EXPENSE;
+        this.endMonth = dataManager.getMonthKey(new Date());
+        this.period = 1; // 集計する月数（1は単月）
+        this.trendMonths = []; // 積み上げ棒グラフの各棒の月キー
+        this.doughnutTotals = []; // ドーナツグラフの各要素の内訳（子カテゴリ別の金額）
+        this.isInitialized = false;
+
+        this.handleDataChanged = () => this.updateCharts();
+
+        this.init();
+    }
+
+    /**
+     * カテゴリ別グラフを初期化
+     */
+    async init() {
+        try {
+            try {
+                await LibraryLoader.load('CHART');
+            } catch (error) {
+                console.warn(error.message);
+                return;
+            }
+
+            this.setupCharts();
+            this.bindEvents();
+            this.isInitialized = true;
+            this.updateCharts();
+
+        } catch (error) {
+            console.error('カテゴリ別グラフ初期化エラー:', error);
+        }
+    }
+
+    /**
+     * チャートを作成
+     */
+    setupCharts() {
+        const doughnutCanvas = document.getElementById('categoryDoughnutChart');
+        const trendCanvas = document.getElementById('categoryTrendChart');
+        if (!doughnutCanvas || !trendCanvas) {
+            console.warn('カテゴリ別グラフのcanvas要素が見つかりません');
+            return;
+        }
+
+        this.doughnutChart = new Chart(doughnutCanvas.getContext('2d'), {
+            type: 'doughnut',
+            data: { labels: [], datasets: [{ data: [], backgroundColor: [], borderColor: 'white', borderWidth: 2 }] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                cutout: '55%',
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '',
+                        font: { size: 16, weight: 'bold' },
+                        color: '#495057'
+                    },
+                    legend: {
+                        position: 'right',
+                        labels: { usePointStyle: true, font: { size: 12 } }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const total = context.dataset.data.reduce((sum, value) => sum + value, 0);
+                                const percent = total > 0 ? Math.round((context.parsed / total) * 1000) / 10 : 0;
+                                return `${context.label}: ${UTILS.formatCurrency(context.parsed)}（${percent}%）`;
+                            },
+                            afterLabel: (context) => (this.doughnutTotals[context.dataIndex]?.children || [])
+                                .map(({ category, amount }) => `  └ ${category}: ${UTILS.formatCurrency(amount)}`)
+                        }
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    event.native.target.style.cursor = activeElements.length > 0 ? 'pointer' : 'default';
+                },
+                onClick: (event, activeElements) => {
+                    if (activeElements.length > 0) {
+                        const { categoryId } = this.doughnutTotals[activeElements[0].index];
+                        // 単月表示の場合はその月、期間表示の場合は月を限定しない
+                        this.applyCategoryFilter(categoryId, this.period === 1 ? this.endMonth : '');
+                    }
+                }
+            }
+        });
+
+        this.trendChart = new Chart(trendCanvas.getContext('2d'), {
+            type: 'bar',
+            data: { labels: [], datasets: [] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '',
+                        font: { size: 16, weight: 'bold' },
+                        color: '#495057'
+                    },
+                    legend: {
+                        position: 'top',
+                        labels: { usePointStyle: true, font: { size: 12 } }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: (item) => item.parsed.y > 0,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${UTILS.formatCurrency(context.parsed.y)}`,
+                            footer: (items) => `合計: ${UTILS.formatCurrency(items.reduce((sum, item) => sum + item.parsed.y, 0))}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true, grid: { display: false } },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: { color: 'rgba(0, 0, 0, 0.05)' },
+                        ticks: {
+                            callback: (value) => value >= 10000 ? `${value / 10000}万円` : `${value.toLocaleString()}円`
+                        }
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    event.native.target.style.cursor = activeElements.length > 0 ? 'pointer' : 'default';
+                },
+                onClick: (event, activeElements) => {
+                    if (activeElements.length > 0) {
+                        const { datasetIndex, index } = activeElements[0];
+                        this.applyCategoryFilter(
+                            this.trendChart.data.datasets[datasetIndex].categoryId,
+                            this.trendMonths[index]
+                        );
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * イベントをバインド
+     */
+    bindEvents() {
+        const typeSelect = document.getElementById('categoryChartType');
+        const monthInput = document.getElementById('categoryChartMonth');
+        const periodSelect = document.getElementById('categoryChartPeriod');
+
+        if (typeSelect) {
+            typeSelect.value = this.type;
+            typeSelect.addEventListener('change', () => {
+                this.type = typeSelect.value;
+                this.updateCharts();
+            });
+        }
+
+        if (monthInput) {
+            monthInput.value = this.endMonth;
+            monthInput.addEventListener('input', () => {
+                if (!monthInput.value) return;
+                this.endMonth = monthInput.value;
+                this.updateCharts();
+            });
+        }
+
+        if (periodSelect) {
+            periodSelect.value = String(this.period);
+            periodSelect.addEventListener('change', () => {
+                this.period = parseInt(periodSelect.value, 10);
+                this.updateCharts();
+            });
+        }
+
+        this.dataManager.on('dataChanged', this.handleDataChanged);
+        this.dataManager.on('dataLoaded', this.handleDataChanged);
+    }
+
+    /**
+     * カテゴリの表示色を取得（カテゴリに設定された色を使うため、どのグラフでも同じ色になる）
+     * 一覧にないカテゴリはIDから決める
+     * @param {string} type - トランザクション種別
+     * @param {string} categoryId - カテゴリID
+     * @returns {string} 色
+     */
+    getCategoryColor(type, categoryId) {
+        const category = this.dataManager.getCategoryById(type, categoryId);
+        if (category) {
+            return category.color;
+        }
+
+        const palette = CONSTANTS.CHART.CATEGORY_COLORS;
+        const hash = [...String(categoryId)].reduce((value, char) => (value * 31 + char.charCodeAt(0)) >>> 0, 0);
+        return palette[hash % palette.length];
+    }
+
+    /**
+     * 最上位のカテゴリIDを表示順で取得（グラフは子カテゴリを親カテゴリに合算して表示する）
+     * @param {string} type - トランザクション種別
+     * @returns {Array<string>} カテゴリID
+     */
+    getRootCategoryIds(type) {
+        return this.dataManager.getCategoryTree(type)
+            .filter(category => category.depth === 0)
+            .map(category => category.id);
+    }
+
+    /**
+     * グラフを更新
+     */
+    updateCharts() {
+        if (!this.doughnutChart || !this.trendChart) return;
+
+        try {
+            this.updateDoughnutChart();
+            this.updateTrendChart();
+        } catch (error) {
+            console.error('カテゴリ別グラフ更新エラー:', error);
+        }
+    }
+
+    /**
+     * ドーナツグラフ（期間内のカテゴリ別合計）を更新
+     */
+    updateDoughnutChart() {
+        const monthKeys = this.dataManager.getMonthKeys(this.period, this.endMonth);
+        const totals = this.dataManager.getCategoryTotals(this.type, monthKeys);
+        const sum = totals.reduce((total, { amount }) => total + amount, 0);
+
+        this.doughnutTotals = totals;
+
+        const chart = this.doughnutChart;
+        chart.data.labels = totals.map(({ category }) => category);
+        chart.data.datasets[0].data = totals.map(({ amount }) => amount);
+        chart.data.datasets[0].backgroundColor = totals.map(({ categoryId }) => this.getCategoryColor(this.type, categoryId));
+        chart.options.plugins.title.text = `${this.getPeriodLabel(monthKeys)}の${CONSTANTS.TRANSACTION_TYPE_LABELS[this.type]}（${UTILS.formatCurrency(sum)}）`;
+        chart.update();
+
+        const empty = document.getElementById('categoryChartEmpty');
+        if (empty) {
+            empty.hidden = totals.length > 0;
+        }
+    }
+
+    /**
+     * 積み上げ棒グラフ（月別・カテゴリ別）を更新
+     */
+    updateTrendChart() {
+        const months = this.period === 1 ? CONSTANTS.CHART.CATEGORY_TREND_MONTHS : this.period;
+        this.trendMonths = this.dataManager.getMonthKeys(months, this.endMonth);
+        const series = this.dataManager.getMonthlyCategoryData(this.type, this.trendMonths);
+
+        // 凡例の並びはカテゴリ一覧の順にする
+        const order = this.getRootCategoryIds(this.type);
+        const categoryIds = [...series.keys()].sort((a, b) => {
+            const indexA = order.indexOf(a);
+            const indexB = order.indexOf(b);
+            return (indexA === -1 ? Infinity : indexA) - (indexB === -1 ? Infinity : indexB);
+        });
+
+        const chart = this.trendChart;
+        chart.data.labels = this.trendMonths.map(key => this.formatMonth(key));
+        chart.data.datasets = categoryIds.map(categoryId => ({
+            label: this.dataManager.getCategoryName(categoryId),
+            categoryId,
+            data: series.get(categoryId),
+            backgroundColor: this.getCategoryColor(this.type, categoryId),
+            borderRadius: 2
+        }));
+        chart.options.plugins.title.text = `月別・カテゴリ別${CONSTANTS.TRANSACTION_TYPE_LABELS[this.type]}`;
+        chart.update();
+    }
+
+    /**
+     * カテゴリと月で取引一覧を絞り込む
+     * @param {string} categoryId - カテゴリID
+     * @param {string} month - 月キー（空文字の場合は月を限定しない）
+     */
+    applyCategoryFilter(categoryId, month) {
+        this.dataManager.applyFilters({ type: this.type, categoryId, month });
+
+        const transactionsSection = document.querySelector('.transactions-section');
+        if (transactionsSection) {
+            transactionsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * 期間の表示名を取得
+     * @param {Array<string>} monthKeys - 月キー
+     * @returns {string} 表示名
+     */
+    getPeriodLabel(monthKeys) {
+        if (monthKeys.length === 1) {
+            return this.formatMonth(monthKeys[0]);
+        }
+        return `${this.formatMonth(monthKeys[0])}〜${this.formatMonth(monthKeys[monthKeys.length - 1])}`;
+    }
+
+    /**
+     * 月キーを表示用に変換
+     * @param {string} key - 月キー（YYYY-MM）
+     * @returns {string} "2025年1月" 形式
+     */
+    formatMonth(key) {
+        const [year, month] = key.split('-');
+        return `${year}年${parseInt(month, 10)}月`;
+    }
+
+    /**
+     * リソースのクリーンアップ
+     */
+    destroy() {
+        if (this.doughnutChart) {
+            this.doughnutChart.destroy();
+            this.doughnutChart = null;
+        }
+        if (this.trendChart) {
+            this.trendChart.destroy();
+            this.trendChart = null;
+        }
+
+        this.dataManager.off('dataChanged', this.handleDataChanged);
+        this.dataManager.off('dataLoaded', this.handleDataChanged);
+
+        this.isInitialized = false;
+    }
+}
@@ -1,5 +1,6 @@
 // Chart.js管理クラス
 import { CONSTANTS } from '../constants.js';
+import { LibraryLoader } from '../utils/libraryLoader.js';
 
 export class ChartManager {
     constructor(dataManager) {
@@ -17,9 +18,11 @@ export class ChartManager {
      */
     async init() {
         try {
-            // Chart.jsの読み込み確認
-            if (typeof Chart === 'undefined') {
-                console.warn('Chart.jsが読み込まれていません');
+            // Chart.jsを読み込む
+            try {
+                await LibraryLoader.load('CHART');
+            } catch (error) {
+                console.warn(error.message);
                 return;
             }
 
@@ -394,11 +397,11 @@ export class ChartManager {
         const titleParts = [];
         
         if (filters.type) {
-            titleParts.push(filters.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '収入' : '支出');
+            titleParts.push(CONSTANTS.TRANSACTION_TYPE_LABELS[filters.type] || filters.type);
         }
         
-        if (filters.category) {
-            titleParts.push(`カテゴリ: ${filters.category}`);
+        if (filters.categoryId) {
+            titleParts.push(`カテゴリ: ${this.dataManager.getCategoryName(filters.categoryId)}`);
         }
         
         if (filters.month) {
@@ -553,7 +556,7 @@ export class ChartManager {
      */
     showFilterIndicator() {
         const filters = this.dataManager.filters;
-        const hasFilters = filters.type || filters.category || filters.month;
+        const hasFilters = filters.type || filters.categoryId || filters.month;
         
         if (hasFilters) {
             // フィルター表示用の要素を作成
@@ -598,11 +601,11 @@ export class ChartManager {
         const descriptions = [];
         
         if (filters.type) {
-            descriptions.push(`種類: ${filters.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '収入' : '支出'}`);
+            descriptions.push(`種類: ${CONSTANTS.TRANSACTION_TYPE_LABELS[filters.type] || filters.type}`);
         }
         
-        if (filters.category) {
-            descriptions.push(`カテゴリ: ${filters.category}`);
+        if (filters.categoryId) {
+            descriptions.push(`カテゴリ: ${this.dataManager.getCategoryName(filters.categoryId)}`);
         }
         
         if (filters.month) {
@@ -3,7 +3,89 @@ export const CONSTANTS = {
     // トランザクション種別
     TRANSACTION_TYPES: {
         INCOME: 'income',
-        EXPENSE: 'expense'
+        EXPENSE: 'expense',
+        TRANSFER: 'transfer' // 口座間の振替（収支には含めない）
+    },
+
+    // トランザクション種別の表示名
+    TRANSACTION_TYPE_LABELS: {
+        income: '収入',
+        expense: '支出',
+        transfer: '振替'
+    },
+
+    // 振替取引に表示するカテゴリ名
+    TRANSFER_CATEGORY: '振替',
+
+    // 削除済みなどで参照先が見つからないカテゴリの表示名
+    UNKNOWN_CATEGORY: '不明なカテゴリ',
+
+    // カテゴリ不明の取引に割り当てるカテゴリ（インポート時など）
+    FALLBACK_CATEGORIES: {
+        income: 'その他収入',
+        expense: 'その他支出'
+    },
+
+    // CSVインポートの金額列の形式
+    CSV_AMOUNT_MODES: {
+        SIGNED: 'signed', // 1列の金額（マイナスは支出）
+        SPLIT: 'split', // 入金列と出金列
+        TYPE_COLUMN: 'typeColumn' // 金額列と種類列
+    },
+
+    // タグによる絞り込みの条件
+    TAG_MATCH_MODES: {
+        ALL: 'all', // すべてのタグを含む（AND）
+        ANY: 'any' // いずれかのタグを含む（OR）
+    },
+
+    // 自動分類ルールの条件の項目
+    RULE_CONDITION_FIELDS: {
+        DESCRIPTION: 'description',
+        AMOUNT: 'amount',
+        DAY: 'day', // 日付の日（1〜31）
+        ACCOUNT: 'accountId'
+    },
+
+    // 自動分類ルールの条件の比較方法
+    RULE_CONDITION_OPERATORS: {
+        CONTAINS: 'contains',
+        STARTS_WITH: 'startsWith',
+        EQUALS: 'equals',
+        AT_LEAST: 'gte',
+        AT_MOST: 'lte'
+    },
+
+    // 自動分類ルールの条件の項目ごとに使える比較方法
+    RULE_FIELD_OPERATORS: {
+        description: ['contains', 'startsWith', 'equals'],
+        amount: ['equals', 'gte', 'lte'],
+        day: ['equals', 'gte', 'lte'],
+        accountId: ['equals']
+    },
+
+    // 口座種別
+    ACCOUNT_TYPES: {
+        CASH: 'cash',
+        BANK: 'bank',
+        CREDIT_CARD: 'creditCard',
+        E_MONEY: 'eMoney'
+    },
+
+    // 口座種別の表示名
+    ACCOUNT_TYPE_LABELS: {
+        cash: '現金',
+        bank: '銀行口座',
+        creditCard: 'クレジットカード',
+        eMoney: '電子マネー'
+    },
+
+    // 定期取引の頻度
+    RECURRENCE_FREQUENCIES: {
+        MONTHLY: 'monthly',
+        WEEKLY: 'weekly',
+        YEARLY: 'yearly',
+        LAST_BUSINESS_DAY: 'lastBusinessDay'
     },
 
     // 通知タイプ
@@ -17,7 +99,8 @@ export const CONSTANTS = {
     // ストレージキー
     STORAGE_KEYS: {
         MAIN_DATA: 'householdBudgetData',
-        BACKUP_DATA: 'householdBudgetBackup'
+        BACKUP_DATA: 'householdBudgetBackup',
+        ENCRYPTION: 'householdBudgetEncryption' // IndexedDBが使えない場合の暗号化のメタ情報
     },
 
     // CSSクラス
@@ -33,19 +116,82 @@ export const CONSTANTS = {
     DEFAULTS: {
         NOTIFICATION_DURATION: 3000,
         DEBOUNCE_DELAY: 500,
+        SEARCH_DEBOUNCE_DELAY: 300, // 検索語の入力が止まってから絞り込むまでの時間
         AUTO_BACKUP_INTERVAL: 100,
         MAX_CHART_AMOUNT: 200000, // チャートの最大金額（20万円）
-        CHART_STEP_SIZE: 5000 // チャートの刻み幅（5,000円）
+        CHART_STEP_SIZE: 5000, // チャートの刻み幅（5,000円）
+        ACCOUNT_ID: 'cash', // 口座未指定の取引が属する口座
+        HISTORY_LIMIT: 50, // 元に戻せる操作の最大数
+        UNDO_NOTIFICATION_DURATION: 6000, // 「元に戻す」ボタン付き通知の表示時間
+        CATEGORY_ICON: '🏷️', // アイコン未設定のカテゴリに表示するアイコン
+        TAG_SUGGESTION_LIMIT: 8, // タグ入力の候補の最大表示数
+        TABLE_PAGE_SIZE: 50, // 取引履歴の1ページの表示件数
+        RULE_PREVIEW_LIMIT: 10 // 自動分類ルールのプレビューに表示する取引の数
+    },
+
+    // カテゴリのアイコンの選択肢
+    CATEGORY_ICON_CHOICES: [
+        '🏷️', '💴', '🎉', '💼', '📈', '🎁', '🍚', '🍽️', '☕', '🚃', '🚗', '⛽',
+        '💡', '💧', '📱', '🎮', '🎬', '📚', '🏥', '💊', '👕', '🧴', '🏠', '👶',
+        '🐾', '✈️', '💇', '🎓', '🛡️', '🧾', '📦', '➕'
+    ],
+
+    // 予算設定（消化率の警告ライン、%）
+    BUDGET: {
+        WARNING_PERCENT: 80,
+        LIMIT_PERCENT: 100
+    },
+
+    // インポート設定
+    IMPORT: {
+        DUPLICATE_SIMILARITY: 0.6 // 説明文の類似度がこれ以上なら重複候補（0〜1）
+    },
+
+    // 説明の入力から提案するカテゴリと金額の設定
+    SUGGESTION: {
+        NGRAM_SIZE: 2, // 説明を比べるときのn-gramの文字数
+        LIMIT: 5, // 候補の最大表示数
+        MIN_SCORE: 0.25, // 似ている度合い（Dice係数、0〜1）がこれ以上の説明を候補にする
+        PREFIX_BONUS: 0.5 // 入力中の説明で始まる説明に加える似ている度合い
+    },
+
+    // バックアップ設定
+    BACKUP: {
+        DEFAULT_RETENTION: 10, // 保持する自動バックアップの数（ピン留めしたものは数えない）
+        MIN_RETENTION: 1,
+        MAX_RETENTION: 50,
+        LOCAL_ID: 'local', // localStorageに保存したバックアップのID
+        LABELS: {
+            AUTO: '自動',
+            MANUAL: '手動',
+            BEFORE_IMPORT: 'インポート前',
+            BEFORE_RESTORE: '復元前'
+        }
+    },
+
+    // 保存データの暗号化設定
+    ENCRYPTION: {
+        PBKDF2_ITERATIONS: 600000, // パスフレーズから鍵を導出する反復回数（変えても既存のデータはメタ情報の回数で読める）
+        SALT_BYTES: 16,
+        IV_BYTES: 12,
+        MIN_PASSPHRASE_LENGTH: 8,
+        CHECK_VALUE: 'household-budget', // パスフレーズの確認用に暗号化しておく値
+        META_KEY: 'encryption', // IndexedDBの設定ストアでメタ情報を保存するキー
+        DEFAULT_AUTO_LOCK_MINUTES: 5,
+        AUTO_LOCK_CHOICES: [0, 1, 5, 15, 30, 60], // 0は自動でロックしない
+        ACTIVITY_EVENTS: ['pointerdown', 'keydown', 'wheel', 'touchstart'] // 操作中とみなすイベント
     },
 
     // IndexedDB設定
     INDEXEDDB: {
         DB_NAME: 'HouseholdBudgetDB',
-        VERSION: 1,
+        VERSION: 6, // data/migrations.jsの最新バージョンと一致させる
         STORES: {
             TRANSACTIONS: 'transactions',
             SETTINGS: 'settings',
-            BACKUPS: 'backups'
+            BACKUPS: 'backups',
+            RECURRING_RULES: 'recurringRules',
+            ACCOUNTS: 'accounts'
         }
     },
 
@@ -56,7 +202,13 @@ export const CONSTANTS = {
             EXPENSE: 'rgba(220, 53, 69, 0.8)',
             INCOME_BORDER: 'rgba(40, 167, 69, 1)',
             EXPENSE_BORDER: 'rgba(220, 53, 69, 1)'
-        }
+        },
+        // カテゴリ別グラフの色（カテゴリ一覧の並び順に割り当てる）
+        CATEGORY_COLORS: [
+            '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+            '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac', '#86bcb6', '#d37295'
+        ],
+        CATEGORY_TREND_MONTHS: 6 // 単月表示の時に積み上げグラフで表示する月数
     },
 
     // バリデーション設定
@@ -64,6 +216,11 @@ export const CONSTANTS = {
         MIN_AMOUNT: 1,
         MAX_AMOUNT: 99999999,
         MAX_DESCRIPTION_LENGTH: 200,
+        MAX_PAYEE_LENGTH: 50, // 支払先・入金元
+        MAX_TAG_LENGTH: 20,
+        MAX_TAGS: 10, // 1件の取引に付けられるタグの数
+        MAX_SPLITS: 20, // 1件の取引を分割できる行数
+        MAX_RULE_CONDITIONS: 5, // 自動分類ルール1件に設定できる条件の数
         MIN_YEAR: 1900,
         MAX_YEAR: 2100
     },
@@ -71,7 +228,7 @@ export const CONSTANTS = {
     // セキュリティ設定
     SECURITY: {
         MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-        ALLOWED_FILE_TYPES: ['.json', '.xlsx', '.xls'],
+        ALLOWED_FILE_TYPES: ['.json', '.xlsx', '.xls', '.csv', '.txt'],
         SANITIZE_HTML: true
     },
 
@@ -86,19 +243,47 @@ export const CONSTANTS = {
         STORAGE_ERROR: 'データの保存に失敗しました',
         IMPORT_ERROR: 'ファイルの読み込みに失敗しました',
         CATEGORY_EXISTS: 'このカテゴリは既に存在します',
-        CATEGORY_IN_USE: 'このカテゴリは取引で使用されています'
+        ACCOUNT_IN_USE: 'この口座は取引で使用されています',
+        ACCOUNT_IN_USE_BY_RECURRING_RULES: 'この口座は定期取引ルールで使用されています',
+        ACCOUNT_IN_USE_BY_TEMPLATES: 'この口座は取引テンプレートで使用されています',
+        CATEGORY_IN_USE: 'このカテゴリは取引で使用されています',
+        CATEGORY_NOT_FOUND: 'カテゴリが見つかりません',
+        CATEGORY_TOO_DEEP: 'サブカテゴリの下にはカテゴリを追加できません',
+        CATEGORY_HAS_CHILDREN: 'サブカテゴリを持つカテゴリは他のカテゴリの下に移動できません',
+        NOTHING_TO_UNDO: '元に戻せる操作はありません',
+        NOTHING_TO_REDO: 'やり直せる操作はありません',
+        UNDO_OUTDATED: 'この後に別の操作が行われたため、元に戻せません',
+        BACKUP_NOT_FOUND: 'バックアップデータが見つかりません',
+        PASSPHRASE_TOO_SHORT: 'パスフレーズは8文字以上で入力してください',
+        PASSPHRASE_MISMATCH: '確認用のパスフレーズが一致しません',
+        WRONG_PASSPHRASE: 'パスフレーズが違います',
+        DATA_LOCKED: 'ロック中はデータを読み書きできません',
+        ENCRYPTION_UNSUPPORTED: 'このブラウザでは暗号化を使えません（HTTPSで開いてください）',
+        BACKUP_WRONG_PASSPHRASE: 'パスフレーズが違うか、ファイルが壊れています',
+        BACKUP_FORMAT_INVALID: '暗号化バックアップの形式が正しくありません',
+        BACKUP_VERSION_UNSUPPORTED: 'このバージョンでは読み込めない暗号化バックアップです（アプリを更新してください）'
     },
 
     // 成功メッセージ
     SUCCESS_MESSAGES: {
         TRANSACTION_ADDED: '取引を追加しました',
+        TRANSACTION_UPDATED: '取引を更新しました',
         TRANSACTION_DELETED: '取引を削除しました',
         DATA_EXPORTED: 'データをエクスポートしました',
         DATA_IMPORTED: 'データをインポートしました',
         BACKUP_CREATED: 'バックアップを作成しました',
         BACKUP_RESTORED: 'バックアップからデータを復元しました',
+        BACKUP_DELETED: 'バックアップを削除しました',
+        RECURRING_RULE_ADDED: '定期取引を登録しました',
+        BUDGET_SAVED: '予算を保存しました',
+        ACCOUNT_ADDED: '口座を追加しました',
         CATEGORY_ADDED: 'カテゴリを追加しました',
-        CATEGORY_REMOVED: 'カテゴリを削除しました'
+        CATEGORY_REMOVED: 'カテゴリを削除しました',
+        ENCRYPTION_ENABLED: '暗号化を有効にしました',
+        ENCRYPTION_DISABLED: '暗号化を解除しました',
+        PASSPHRASE_CHANGED: 'パスフレーズを変更しました',
+        ENCRYPTED_BACKUP_EXPORTED: 'パスフレーズ付きのバックアップを書き出しました',
+        DATA_CLEARED: 'すべてのデータを削除しました'
     }
 };
 
@@ -113,13 +298,46 @@ export const DEFAULT_CATEGORIES = {
     ]
 };
 
+// デフォルトカテゴリのアイコン（カテゴリ名 → アイコン）
+export const DEFAULT_CATEGORY_ICONS = {
+    '給与': '💴', 'ボーナス': '🎉', '副業': '💼', '投資': '📈', 'その他収入': '➕',
+    '食費': '🍚', '交通費': '🚃', '光熱費': '💡', '通信費': '📱', '娯楽': '🎮',
+    '医療費': '🏥', '衣服': '👕', '日用品': '🧴', 'その他支出': '📦'
+};
+
+// デフォルト口座設定
+export const DEFAULT_ACCOUNTS = [
+    { id: CONSTANTS.DEFAULTS.ACCOUNT_ID, name: '現金', type: CONSTANTS.ACCOUNT_TYPES.CASH, initialBalance: 0 }
+];
+
 // アプリケーション設定
 export const APP_CONFIG = {
     VERSION: '2.0.0',
     AUTHOR: 'Household Budget Team',
     DESCRIPTION: 'シンプルで使いやすい家計簿アプリ',
     GITHUB_URL: 'https://github.com/your-repo/household-budget',
-    SUPPORT_EMAIL: 'support@household-budget.com'
+    SUPPORT_EMAIL: 'support@household-budget.com',
+    SERVICE_WORKER_URL: './sw.js',
+    UPDATE_CHECK_INTERVAL: 60 * 60 * 1000 // 新しいバージョンを確認する間隔（1時間）
+};
+
+// 同梱する外部ライブラリ（LibraryLoaderで使う直前に読み込む）
+// ファイルを差し替えたときは integrity を計算し直す（README「外部ライブラリの同梱」を参照）
+export const VENDOR_LIBRARIES = {
+    CHART: {
+        label: 'Chart.js',
+        version: '4.4.0',
+        src: 'assets/vendor/chart.js/chart.umd.js',
+        integrity: 'sha384-FcQlsUOd0TJjROrBxhJdUhXTUgNJQxTMcxZe6nHbaEfFL1zjQ+bq/uRoBQxb0KMo',
+        global: 'Chart'
+    },
+    XLSX: {
+        label: 'SheetJS',
+        version: '0.18.5',
+        src: 'assets/vendor/xlsx/xlsx.full.min.js',
+        integrity: 'sha384-vtjasyidUo0kW94K5MXDXntzOJpQgBKXmE7e2Ga4LG0skTTLeBi97eFAXsqewJjw',
+        global: 'XLSX'
+    }
 };
 
 // 環境設定
@@ -1,8 +1,17 @@
 // データ管理メインクラス
 import { EventEmitter } from './eventEmitter.js';
 import { IndexedDBManager } from './indexedDBManager.js';
-import { CONSTANTS, DEFAULT_CATEGORIES, UTILS } from '../constants.js';
+import { EncryptionManager } from './encryptionManager.js';
+import { HistoryManager } from './historyManager.js';
+import { CONSTANTS, DEFAULT_CATEGORIES, DEFAULT_ACCOUNTS, UTILS } from '../constants.js';
 import { Sanitizer } from '../utils/sanitizer.js';
+import { DateParser } from '../utils/dateParser.js';
+import { RecurrenceCalculator } from '../utils/recurrenceCalculator.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { FilterQuery } from '../utils/filterQuery.js';
+import { CategoryRuleMatcher } from '../utils/categoryRuleMatcher.js';
+import { DescriptionSuggester } from '../utils/descriptionSuggester.js';
+import { QuickEntryParser } from '../utils/quickEntryParser.js';
 
 export class HouseholdBudgetData extends EventEmitter {
     constructor() {
@@ -10,11 +19,33 @@ export class HouseholdBudgetData extends EventEmitter {
         this.transactions = [];
         this.filteredTransactions = [];
         this.idCounter = 1;
-        this.categories = { ...DEFAULT_CATEGORIES };
-        this.filters = { type: '', category: '', month: '' };
+        this.categories = CategoryTree.normalizeAll(DEFAULT_CATEGORIES); // 種別 → { id, name, parentId } の配列
+        this.filters = FilterQuery.createDefault();
+        this.filterPresets = {}; // プリセット名 → 保存した絞り込み条件
+        this.categoryRules = []; // 自動分類ルール（先頭のルールほど優先）
+        this.transactionTemplates = []; // 取引テンプレート（先頭の9件はAlt+数字キーで使える）
+        this.recurringRules = [];
+        this.recurringCheckTimer = null;
+        this.budgets = {}; // 支出カテゴリID → 月間予算額
+        this.accounts = DEFAULT_ACCOUNTS.map(account => ({ ...account }));
+        this.importMappings = {}; // 設定名（銀行名など） → CSVの列の割り当て
+        this.backupRetention = CONSTANTS.BACKUP.DEFAULT_RETENTION; // 保持する自動バックアップの数
         this.dbManager = new IndexedDBManager();
+        this.history = new HistoryManager(); // 元に戻す・やり直しの履歴
         this.isInitialized = false;
         
+        // 保存データの暗号化（パスフレーズを設定していない場合はnull）
+        this.cipher = null;
+        this.isLocked = false;
+        this.pendingUnlock = null; // 起動時のロック解除を待っているPromiseのresolve
+        this.pendingWrites = new Set(); // 実行中の書き込み処理（ロックは完了を待ってから行う）
+
+        // 説明から提案するカテゴリと金額の学習モデル
+        // 取引の追加はその場で学習し、それ以外の変更は次に提案するときに登録済みの取引と照合して反映する
+        this.descriptionSuggester = new DescriptionSuggester();
+        this.on('transactionAdded', (transaction) => this.descriptionSuggester.add(transaction));
+        this.on('dataChanged', () => this.descriptionSuggester.markStale());
+        
         // パフォーマンス最適化用のキャッシュ
         this.summaryCache = null;
         this.lastSummaryUpdate = null;
@@ -37,6 +68,9 @@ export class HouseholdBudgetData extends EventEmitter {
             // IndexedDBを初期化
             await this.dbManager.init();
             
+            // 暗号化している場合はロックの解除を待つ
+            await this.unlockIfEncrypted();
+            
             // データを読み込み
             await this.loadData();
             
@@ -47,8 +81,13 @@ export class HouseholdBudgetData extends EventEmitter {
         } catch (error) {
             console.error('IndexedDB初期化エラー:', error);
             // フォールバック: localStorageから読み込み
+            await this.unlockIfEncrypted();
             await this.loadFromLocalStorage();
         }
+        
+        // 期日を迎えた定期取引を生成し、日付が変わったら再チェック
+        await this.processRecurringRules();
+        this.scheduleRecurringCheck();
     }
 
     /**
@@ -61,11 +100,30 @@ export class HouseholdBudgetData extends EventEmitter {
             const transactions = await this.dbManager.getAllTransactions();
             this.transactions = transactions || [];
             
+            // 定期取引ルールを読み込み
+            this.recurringRules = await this.dbManager.getAllRecurringRules();
+            
+            // 口座を読み込み（未登録の場合はデフォルト口座を作成）
+            const accounts = await this.dbManager.getAllAccounts();
+            if (accounts.length > 0) {
+                this.accounts = accounts;
+            } else {
+                for (const account of this.accounts) {
+                    await this.dbManager.saveAccount(account);
+                }
+            }
+            
             // 設定を読み込み
             const settings = await this.dbManager.getSettings();
             if (settings) {
                 this.categories = settings.categories || this.categories;
-                this.filters = settings.filters || this.filters;
+                this.budgets = settings.budgets || this.budgets;
+                this.importMappings = settings.importMappings || this.importMappings;
+                this.backupRetention = settings.backupRetention || this.backupRetention;
+                this.filters = FilterQuery.normalize({ ...this.filters, ...settings.filters });
+                this.filterPresets = settings.filterPresets || this.filterPresets;
+                this.categoryRules = settings.categoryRules || this.categoryRules;
+                this.transactionTemplates = settings.transactionTemplates || this.transactionTemplates;
                 this.idCounter = settings.idCounter || this.idCounter;
                 this.stats = settings.stats || this.stats;
             }
@@ -85,9 +143,8 @@ export class HouseholdBudgetData extends EventEmitter {
      */
     async loadFromLocalStorage() {
         try {
-            const savedData = localStorage.getItem(CONSTANTS.STORAGE_KEYS.MAIN_DATA);
-            if (savedData) {
-                const parsedData = JSON.parse(savedData);
+            const parsedData = await this.readLocalStorage(CONSTANTS.STORAGE_KEYS.MAIN_DATA);
+            if (parsedData) {
                 if (Array.isArray(parsedData)) {
                     this.transactions = parsedData;
                 } else {
@@ -121,12 +178,13 @@ export class HouseholdBudgetData extends EventEmitter {
      * @returns {Promise<object>} 追加されたトランザクション
      */
     async addTransaction(transactionData) {
-        // データの検証とサニタイズ
-        const validation = Sanitizer.validateAndSanitizeTransaction(transactionData);
+        // データの検証とサニタイズ（カテゴリ名で指定された場合はIDに解決）
+        const validation = Sanitizer.validateAndSanitizeTransaction(this.resolveCategoryReference(transactionData));
         
         if (!validation.isValid) {
             throw new Error(validation.errors.join('\n'));
         }
+        this.assertCategoryExists(validation.sanitizedData);
 
         const transaction = {
             id: this.generateUniqueId(),
@@ -135,7 +193,14 @@ export class HouseholdBudgetData extends EventEmitter {
             updatedAt: new Date().toISOString()
         };
 
+        // 予算消化率（追加前）。子カテゴリの支出は親カテゴリの予算にも含まれる
+        const budgetsBefore = this.getAffectedBudgetStatuses(
+            this.getCategoryAllocations(transaction).map(allocation => allocation.categoryId),
+            transaction.date.substring(0, 7)
+        );
+
         this.transactions.push(transaction);
+        this.updateFilteredTransaction(transaction.id, transaction);
         
         // IndexedDBに保存
         if (this.isInitialized && this.dbManager.db) {
@@ -157,9 +222,19 @@ export class HouseholdBudgetData extends EventEmitter {
             this.createAutoBackup();
         }
         
+        this.history.record({
+            label: `取引の追加（${this.describeTransaction(transaction)}）`,
+            undo: () => this.eraseTransactions([transaction.id]),
+            redo: () => this.writeTransactions([transaction])
+        });
+        
         this.emit('transactionAdded', transaction);
         this.emit('dataChanged');
         
+        if (transaction.type === CONSTANTS.TRANSACTION_TYPES.EXPENSE) {
+            budgetsBefore.forEach(before => this.checkBudgetThresholds(before));
+        }
+        
         return transaction;
     }
 
@@ -177,12 +252,13 @@ export class HouseholdBudgetData extends EventEmitter {
 
         // データの検証とサニタイズ
         const currentTransaction = this.transactions[index];
-        const updatedData = { ...currentTransaction, ...updates };
+        const updatedData = this.resolveCategoryReference({ ...currentTransaction, ...updates });
         const validation = Sanitizer.validateAndSanitizeTransaction(updatedData);
         
         if (!validation.isValid) {
             throw new Error(validation.errors.join('\n'));
         }
+        this.assertCategoryExists(validation.sanitizedData);
 
         const updatedTransaction = {
             ...validation.sanitizedData,
@@ -192,6 +268,7 @@ export class HouseholdBudgetData extends EventEmitter {
         };
 
         this.transactions[index] = updatedTransaction;
+        this.updateFilteredTransaction(id, updatedTransaction);
         
         // IndexedDBに保存
         if (this.isInitialized && this.dbManager.db) {
@@ -206,6 +283,12 @@ export class HouseholdBudgetData extends EventEmitter {
         this.invalidateCache();
         this.updateStats();
         
+        this.history.record({
+            label: `取引の更新（${this.describeTransaction(updatedTransaction)}）`,
+            undo: () => this.writeTransactions([currentTransaction]),
+            redo: () => this.writeTransactions([updatedTransaction])
+        });
+        
         this.emit('transactionUpdated', updatedTransaction);
         this.emit('dataChanged');
         
@@ -224,6 +307,7 @@ export class HouseholdBudgetData extends EventEmitter {
         }
 
         const deleted = this.transactions.splice(index, 1)[0];
+        this.updateFilteredTransaction(id, null);
         
         // IndexedDBから削除
         if (this.isInitialized && this.dbManager.db) {
@@ -238,27 +322,134 @@ export class HouseholdBudgetData extends EventEmitter {
         this.invalidateCache();
         this.updateStats();
         
+        this.history.record({
+            label: `取引の削除（${this.describeTransaction(deleted)}）`,
+            undo: () => this.writeTransactions([deleted]),
+            redo: () => this.eraseTransactions([id])
+        });
+        
         this.emit('transactionDeleted', deleted);
         this.emit('dataChanged');
         
         return deleted;
     }
 
+    /**
+     * 取引をそのまま書き込む（元に戻す・やり直し用。履歴には記録しない）
+     * @param {Array<object>} records - 書き込む取引（同じIDの取引は置き換える）
+     * @returns {Promise<void>}
+     */
+    async writeTransactions(records) {
+        const indexById = new Map(this.transactions.map((t, index) => [t.id, index]));
+        
+        records.forEach(record => {
+            if (indexById.has(record.id)) {
+                this.transactions[indexById.get(record.id)] = { ...record };
+            } else {
+                this.transactions.push({ ...record });
+            }
+        });
+        
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.putTransactionsBatch(records);
+            } catch (error) {
+                console.error('IndexedDB書き込みエラー:', error);
+                this.saveToLocalStorage();
+            }
+        }
+        
+        this.invalidateCache();
+        this.updateStats();
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 取引をまとめて削除（元に戻す・やり直し用。履歴には記録しない）
+     * @param {Array<string>} ids - 削除する取引のID
+     * @returns {Promise<void>}
+     */
+    async eraseTransactions(ids) {
+        const idSet = new Set(ids);
+        this.transactions = this.transactions.filter(t => !idSet.has(t.id));
+        
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.deleteTransactionsBatch(ids);
+            } catch (error) {
+                console.error('IndexedDB削除エラー:', error);
+                this.saveToLocalStorage();
+            }
+        }
+        
+        this.invalidateCache();
+        this.updateStats();
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 履歴の表示用に取引の概要を取得
+     * @param {object} transaction - 取引
+     * @returns {string} 「カテゴリ 金額」形式の文字列
+     */
+    describeTransaction(transaction) {
+        return `${this.getTransactionCategoryName(transaction)} ${UTILS.formatCurrency(transaction.amount)}`;
+    }
+
     /**
      * 複数のトランザクションを一括追加
      * @param {Array<object>} transactions - トランザクション配列
-     * @returns {Promise<Array<object>>} 追加されたトランザクション配列
+     * @returns {Promise<object>} { added: 追加されたトランザクション配列, errors: 行ごとのエラー }
      */
     async addTransactionsBatch(transactions) {
+        return this.runWrite(async () => {
+            const { validTransactions, errors } = this.prepareTransactionsBatch(transactions);
+
+            // メモリに追加
+            this.transactions.push(...validTransactions);
+            
+            // IndexedDBに一括保存
+            if (this.isInitialized && this.dbManager.db) {
+                try {
+                    await this.dbManager.addTransactionsBatch(validTransactions);
+                } catch (error) {
+                    console.error('バッチ保存エラー:', error);
+                    this.saveToLocalStorage();
+                }
+            }
+            
+            this.invalidateCache();
+            this.updateStats();
+            
+            this.emit('transactionsBatchAdded', validTransactions);
+            this.emit('dataChanged');
+            
+            if (errors.length > 0) {
+                console.warn('一部のトランザクションでエラーが発生:', errors);
+            }
+            
+            return { added: validTransactions, errors };
+        });
+    }
+
+    /**
+     * 一括追加する取引を検証して保存する形にする（メモリやIndexedDBは変更しない）
+     * addTransactionと同じく、カテゴリ名はIDに解決し、登録されていないカテゴリの行はエラーにする
+     * @param {Array<object>} transactions - トランザクション配列
+     * @returns {object} { validTransactions, errors }
+     * @throws {Error} 有効な行が1件もない場合
+     */
+    prepareTransactionsBatch(transactions) {
         const validTransactions = [];
         const errors = [];
 
         // 各トランザクションを検証
         for (let i = 0; i < transactions.length; i++) {
             try {
-                const validation = Sanitizer.validateAndSanitizeTransaction(transactions[i]);
+                const validation = Sanitizer.validateAndSanitizeTransaction(this.resolveCategoryReference(transactions[i]));
                 
                 if (validation.isValid) {
+                    this.assertCategoryExists(validation.sanitizedData);
                     validTransactions.push({
                         id: this.generateUniqueId(),
                         ...validation.sanitizedData,
@@ -277,18 +468,23 @@ export class HouseholdBudgetData extends EventEmitter {
             throw new Error('有効なトランザクションがありません\n' + errors.join('\n'));
         }
 
-        // メモリに追加
-        this.transactions.push(...validTransactions);
-        
-        // IndexedDBに一括保存
+        return { validTransactions, errors };
+    }
+
+    /**
+     * すべての取引を置き換える（置き換えモードのインポート用）
+     * IndexedDBへの書き込みに失敗した場合は、メモリ上の取引も変更せずにエラーにする
+     * @param {object} prepared - prepareTransactionsBatch の戻り値
+     * @returns {Promise<object>} { added: 置き換え後のトランザクション配列, errors: 行ごとのエラー }
+     * @throws {Error} 書き込みに失敗した場合
+     */
+    async replaceTransactions({ validTransactions, errors }) {
         if (this.isInitialized && this.dbManager.db) {
-            try {
-                await this.dbManager.addTransactionsBatch(validTransactions);
-            } catch (error) {
-                console.error('バッチ保存エラー:', error);
-                this.saveToLocalStorage();
-            }
+            await this.dbManager.replaceTransactions(validTransactions);
         }
+
+        this.transactions = [...validTransactions];
+        this.filteredTransactions = [];
         
         this.invalidateCache();
         this.updateStats();
@@ -304,27 +500,374 @@ export class HouseholdBudgetData extends EventEmitter {
     }
 
     /**
-     * フィルターを適用
-     * @param {object} filters - フィルター設定
+     * 複数の取引をまとめて削除
+     * IndexedDBの1回のトランザクションで削除し、元に戻す操作は1件として記録する
+     * @param {Array<string>} ids - 取引ID
+     * @returns {Promise<Array<object>>} 削除された取引
      */
-    applyFilters(filters) {
-        this.filters = { ...this.filters, ...filters };
-        
-        this.filteredTransactions = this.transactions.filter(transaction => {
-            const typeMatch = !this.filters.type || transaction.type === this.filters.type;
-            const categoryMatch = !this.filters.category || transaction.category === this.filters.category;
-            const monthMatch = !this.filters.month || transaction.date.startsWith(this.filters.month);
+    async deleteTransactionsBatch(ids) {
+        return this.runWrite(async () => {
+            const idSet = new Set(ids);
+            const deleted = this.transactions.filter(t => idSet.has(t.id));
+            if (deleted.length === 0) {
+                throw new Error('削除する取引がありません');
+            }
+
+            const deletedIds = deleted.map(t => t.id);
+            await this.eraseTransactions(deletedIds);
+
+            this.history.record({
+                label: `取引${deleted.length}件の一括削除`,
+                undo: () => this.writeTransactions(deleted),
+                redo: () => this.eraseTransactions(deletedIds)
+            });
+
+            this.emit('transactionsBatchDeleted', deleted);
+            return deleted;
+        });
+    }
+
+    /**
+     * 複数の取引をまとめて変更
+     * 変更後の取引を1件ずつ検証し、有効なものだけをIndexedDBの1回のトランザクションで書き込む
+     * @param {Array<string>} ids - 取引ID
+     * @param {Function} change - 取引を受け取り、変更する項目を返す関数（変更しない取引はnullを返す）
+     * @param {string} label - 履歴に記録する操作名
+     * @returns {Promise<object>} { updated, skipped, errors }（skippedは変更の必要がなかった件数）
+     */
+    async updateTransactionsBatch(ids, change, label) {
+        return this.runWrite(async () => {
+            const idSet = new Set(ids);
+            const now = new Date().toISOString();
+            const previous = [];
+            const updated = [];
+            const errors = [];
+            let skipped = 0;
+
+            this.transactions.filter(t => idSet.has(t.id)).forEach(current => {
+                const updates = change(current);
+                if (!updates) {
+                    skipped++;
+                    return;
+                }
+
+                try {
+                    const validation = Sanitizer.validateAndSanitizeTransaction(
+                        this.resolveCategoryReference({ ...current, ...updates })
+                    );
+                    if (!validation.isValid) {
+                        throw new Error(validation.errors.join(', '));
+                    }
+                    this.assertCategoryExists(validation.sanitizedData);
+
+                    previous.push(current);
+                    updated.push({
+                        ...validation.sanitizedData,
+                        id: current.id,
+                        createdAt: current.createdAt,
+                        updatedAt: now
+                    });
+                } catch (error) {
+                    errors.push(`${current.date} ${this.describeTransaction(current)}: ${error.message}`);
+                }
+            });
+
+            if (updated.length === 0) {
+                if (errors.length > 0) {
+                    throw new Error('変更できる取引がありません\n' + errors.join('\n'));
+                }
+                return { updated, skipped, errors };
+            }
+
+            await this.writeTransactions(updated);
+
+            this.history.record({
+                label: `取引${updated.length}件の${label}`,
+                undo: () => this.writeTransactions(previous),
+                redo: () => this.writeTransactions(updated)
+            });
+
+            this.emit('transactionsBatchUpdated', updated);
+
+            if (errors.length > 0) {
+                console.warn('一部の取引を変更できませんでした:', errors);
+            }
+
+            return { updated, skipped, errors };
+        });
+    }
+
+    /**
+     * 複数の取引のカテゴリをまとめて変更（分割した取引は分割を解除して1つのカテゴリにする）
+     * カテゴリと種別が異なる取引・振替は変更しない
+     * @param {Array<string>} ids - 取引ID
+     * @param {string} type - カテゴリの種別
+     * @param {string} categoryId - 変更後のカテゴリID
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async changeTransactionsCategory(ids, type, categoryId) {
+        const category = this.getCategoryById(type, categoryId);
+        if (!category) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+        }
+
+        return this.updateTransactionsBatch(ids, (t) => {
+            if (t.type !== type || (t.categoryId === categoryId && !t.splits)) return null;
+            return { categoryId, splits: [] };
+        }, `カテゴリの変更（${category.name}）`);
+    }
+
+    /**
+     * 複数の取引にタグをまとめて追加
+     * @param {Array<string>} ids - 取引ID
+     * @param {string} tag - タグ
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async addTagToTransactions(ids, tag) {
+        const sanitizedTag = Sanitizer.sanitizeTag(tag);
+        if (!sanitizedTag) {
+            throw new Error('タグを入力してください');
+        }
+
+        return this.updateTransactionsBatch(ids, (t) => {
+            const tags = t.tags || [];
+            return tags.includes(sanitizedTag) ? null : { tags: [...tags, sanitizedTag] };
+        }, `タグの追加（#${sanitizedTag}）`);
+    }
+
+    /**
+     * 複数の取引からタグをまとめて削除
+     * @param {Array<string>} ids - 取引ID
+     * @param {string} tag - タグ
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async removeTagFromTransactions(ids, tag) {
+        return this.updateTransactionsBatch(ids, (t) => {
+            const tags = t.tags || [];
+            return tags.includes(tag) ? { tags: tags.filter(existing => existing !== tag) } : null;
+        }, `タグの削除（#${tag}）`);
+    }
+
+    /**
+     * 複数の取引の口座をまとめて変更（振替は振替元の口座を変更する）
+     * @param {Array<string>} ids - 取引ID
+     * @param {string} accountId - 変更後の口座ID
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async changeTransactionsAccount(ids, accountId) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            throw new Error('口座が見つかりません');
+        }
+
+        return this.updateTransactionsBatch(ids, (t) => {
+            return (t.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID) === accountId ? null : { accountId };
+        }, `口座の変更（${account.name}）`);
+    }
+
+    /**
+     * 複数の取引の日付をまとめてずらす
+     * @param {Array<string>} ids - 取引ID
+     * @param {number} days - ずらす日数（負の値は前にずらす）
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async shiftTransactionsDate(ids, days) {
+        if (!Number.isInteger(days) || days === 0) {
+            throw new Error('ずらす日数を0以外の整数で入力してください');
+        }
+
+        return this.updateTransactionsBatch(ids, (t) => {
+            const [year, month, day] = t.date.split('-').map(Number);
+            return { date: DateParser.formatToISO(new Date(year, month - 1, day + days)) };
+        }, `日付の変更（${days > 0 ? `${days}日後` : `${-days}日前`}）`);
+    }
+
+    /**
+     * インポートした取引を反映
+     * 置き換えの場合は事前に自動バックアップを作成してから既存の取引を削除する
+     * @param {Array<object>} transactions - 取り込む取引
+     * @param {object} options - { mode: 'add'|'replace', categories, accounts }
+     * @returns {Promise<object>} { added, errors, addedCategories }
+     */
+    async importTransactions(transactions, options = {}) {
+        return this.runWrite(async () => {
+            const { mode = 'add', categories = null, accounts = null } = options;
+
+            if (transactions.length === 0) {
+                throw new Error('インポートする取引がありません');
+            }
+
+            // JSONバックアップに含まれる口座のうち未登録のものを追加
+            if (Array.isArray(accounts)) {
+                for (const account of accounts) {
+                    if (account && account.id && account.name && !this.getAccount(account.id)) {
+                        const restored = { ...account, initialBalance: Number(account.initialBalance) || 0 };
+                        this.accounts.push(restored);
+                        await this.persistAccount(restored);
+                    }
+                }
+            }
+
+            // 未登録の口座を参照している取引はデフォルト口座に割り当て
+            const rows = transactions.map(t => ({
+                ...t,
+                accountId: t.accountId && this.getAccount(t.accountId) ? t.accountId : CONSTANTS.DEFAULTS.ACCOUNT_ID
+            }));
+
+            // 未登録のカテゴリを名前で照合して追加
+            // JSONバックアップの親子関係は親が登録済みの場合に、色とアイコンはそのまま引き継ぐ
+            const addedCategories = [];
+            const addCategoryIfMissing = (type, name, source = null) => {
+                if (!this.categories[type] || !name || this.findCategory(type, name)) return;
+                const parent = source?.parentName ? this.findCategory(type, source.parentName) : null;
+                this.categories[type].push(CategoryTree.createNode(name, parent && !parent.parentId ? parent.id : null, {
+                    color: source?.color || CategoryTree.getNextColor(this.categories[type]),
+                    icon: source?.icon
+                }));
+                addedCategories.push(name);
+            };
+            if (categories) {
+                [CONSTANTS.TRANSACTION_TYPES.INCOME, CONSTANTS.TRANSACTION_TYPES.EXPENSE].forEach(type => {
+                    const nodes = CategoryTree.normalize(categories[type]);
+                    CategoryTree.flatten(nodes).forEach(node => {
+                        const parent = nodes.find(n => n.id === node.parentId);
+                        addCategoryIfMissing(type, node.name, { ...node, parentName: parent?.name });
+                    });
+                });
+            }
+            rows.forEach(t => addCategoryIfMissing(t.type, Sanitizer.sanitizeCategory(t.category)));
+            const resolvedRows = rows.map(t => this.resolveCategoryReference(t));
+
+            let result;
+            if (mode === 'replace') {
+                // 有効な行がない場合は、登録済みの取引を変更する前にエラーにする
+                const prepared = this.prepareTransactionsBatch(resolvedRows);
+                await this.createAutoBackup(CONSTANTS.BACKUP.LABELS.BEFORE_IMPORT);
+                result = await this.replaceTransactions(prepared);
+                
+                // 置き換え前の操作は元に戻せない（復元は自動バックアップから行う）
+                this.history.clear();
+            } else {
+                result = await this.addTransactionsBatch(resolvedRows);
+            }
+            
+            if (addedCategories.length > 0) {
+                this.saveSettings();
+            }
+            if (Array.isArray(accounts)) {
+                this.emit('accountsChanged', this.accounts);
+            }
             
-            return typeMatch && categoryMatch && monthMatch;
+            this.emit('dataImported', { mode, count: result.added.length, addedCategories });
+            
+            return { ...result, addedCategories };
         });
+    }
+
+    /**
+     * フィルターを適用
+     * @param {object} filters - フィルター設定（指定した項目だけ変更する）
+     */
+    applyFilters(filters) {
+        this.filters = FilterQuery.normalize({ ...this.filters, ...filters });
+        this.filteredTransactions = this.transactions.filter(this.createFilterPredicate(this.filters));
 
         // フィルター結果をソート（日付の降順）
-        this.filteredTransactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        this.filteredTransactions.sort((a, b) => b.date.localeCompare(a.date));
 
         this.emit('filtersApplied', this.filteredTransactions);
         this.saveSettings();
     }
 
+    /**
+     * 絞り込み条件に一致するかを判定する関数を作成
+     * @param {object} filters - 正規化済みの絞り込み条件
+     * @returns {Function} 取引を受け取り、一致する場合にtrueを返す関数
+     */
+    createFilterPredicate(filters) {
+        const { type, categoryId, month, dateFrom, dateTo, amountMin, amountMax, accountId, tags, tagMode } = filters;
+        
+        // 親カテゴリで絞り込んだ場合は子カテゴリの取引も含める
+        const categoryFamily = categoryId ? new Set([
+            ...this.getCategoryFamily(CONSTANTS.TRANSACTION_TYPES.INCOME, categoryId),
+            ...this.getCategoryFamily(CONSTANTS.TRANSACTION_TYPES.EXPENSE, categoryId)
+        ]) : null;
+        
+        // タグはすべてを含む（AND）か、いずれかを含む（OR）かで絞り込む
+        const matchesTags = (transaction) => {
+            if (tags.length === 0) return true;
+            const transactionTags = transaction.tags || [];
+            return tagMode === CONSTANTS.TAG_MATCH_MODES.ANY
+                ? tags.some(tag => transactionTags.includes(tag))
+                : tags.every(tag => transactionTags.includes(tag));
+        };
+        
+        // 検索語は空白区切りのすべての語を含むものに絞り込む
+        const terms = FilterQuery.splitTerms(filters.query);
+        const payee = FilterQuery.normalizeText(filters.payee);
+        
+        return (transaction) => {
+            const typeMatch = !type || transaction.type === type;
+            // 分割した取引はいずれかの行のカテゴリが一致すれば含める
+            const categoryMatch = !categoryFamily || this.getCategoryAllocations(transaction)
+                .some(allocation => categoryFamily.has(allocation.categoryId));
+            const monthMatch = !month || transaction.date.startsWith(month);
+            const dateMatch = (!dateFrom || transaction.date >= dateFrom) && (!dateTo || transaction.date <= dateTo);
+            const amountMatch = (amountMin === null || transaction.amount >= amountMin) &&
+                (amountMax === null || transaction.amount <= amountMax);
+            // 振替は振替元・振替先のどちらかが一致すれば含める
+            const accountMatch = !accountId ||
+                (transaction.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID) === accountId ||
+                transaction.toAccountId === accountId;
+            const payeeMatch = !payee || FilterQuery.normalizeText(transaction.payee).includes(payee);
+            const searchText = terms.length > 0 ? this.getSearchText(transaction) : '';
+            const queryMatch = terms.every(term => searchText.includes(term));
+            
+            return typeMatch && categoryMatch && monthMatch && dateMatch && amountMatch &&
+                accountMatch && payeeMatch && queryMatch && matchesTags(transaction);
+        };
+    }
+
+    /**
+     * 取引が現在の絞り込み条件に一致するか判定
+     * @param {object} transaction - 取引
+     * @returns {boolean} 一致する場合はtrue
+     */
+    matchesFilters(transaction) {
+        // カテゴリの親子関係は変わることがあるため、判定のたびに作成する
+        return this.createFilterPredicate(this.filters)(transaction);
+    }
+
+    /**
+     * 1件の取引の追加・更新・削除を絞り込み結果に反映（全件を絞り込み直さない）
+     * @param {string} id - 取引ID
+     * @param {object|null} transaction - 追加・更新後の取引（削除の場合はnull）
+     */
+    updateFilteredTransaction(id, transaction) {
+        this.filteredTransactions = this.filteredTransactions.filter(t => t.id !== id);
+        if (!transaction || !this.matchesFilters(transaction)) return;
+
+        // 日付の降順を保つ位置に挿入
+        const index = this.filteredTransactions.findIndex(t => t.date < transaction.date);
+        this.filteredTransactions.splice(index === -1 ? this.filteredTransactions.length : index, 0, transaction);
+    }
+
+    /**
+     * 全文検索の対象にする文字列を取得（説明・支払先・カテゴリ名・分割のメモ・タグ）
+     * @param {object} transaction - 取引
+     * @returns {string} 検索用に正規化した文字列
+     */
+    getSearchText(transaction) {
+        const parts = [
+            transaction.description,
+            transaction.payee,
+            this.getTransactionCategoryName(transaction),
+            ...(transaction.splits || []).flatMap(split => [this.getCategoryName(split.categoryId), split.memo]),
+            ...(transaction.tags || []).map(tag => `#${tag}`)
+        ];
+        return FilterQuery.normalizeText(parts.filter(Boolean).join('\n'));
+    }
+
     /**
      * サマリーを計算（キャッシュ付き）
      * @returns {object} サマリー情報
@@ -353,7 +896,12 @@ export class HouseholdBudgetData extends EventEmitter {
                 : 0,
             avgExpense: this.transactions.filter(t => t.type === CONSTANTS.TRANSACTION_TYPES.EXPENSE).length > 0 
                 ? expense / this.transactions.filter(t => t.type === CONSTANTS.TRANSACTION_TYPES.EXPENSE).length 
-                : 0
+                : 0,
+            // 親カテゴリに子カテゴリの金額を合算したカテゴリ別合計
+            byCategory: {
+                [CONSTANTS.TRANSACTION_TYPES.INCOME]: this.rollUpCategoryTotals(CONSTANTS.TRANSACTION_TYPES.INCOME, this.transactions),
+                [CONSTANTS.TRANSACTION_TYPES.EXPENSE]: this.rollUpCategoryTotals(CONSTANTS.TRANSACTION_TYPES.EXPENSE, this.transactions)
+            }
         };
         
         this.lastSummaryUpdate = this.transactions.length;
@@ -365,7 +913,7 @@ export class HouseholdBudgetData extends EventEmitter {
      * 月別データを取得（キャッシュ付き）
      * @param {number} months - 月数
      * @param {Date} endDate - 終了日
-     * @returns {Map} 月別データ
+     * @returns {Map} 月キー → { income, expense, byCategory: カテゴリID → 金額 }
      */
     getMonthlyData(months = 12, endDate = new Date()) {
         const cacheKey = `${months}-${endDate.toISOString().substring(0, 7)}`;
@@ -392,16 +940,16 @@ export class HouseholdBudgetData extends EventEmitter {
                 
                 for (let i = 0; i < totalMonths; i++) {
                     const date = new Date(firstDate.getFullYear(), firstDate.getMonth() + i, 1);
-                    const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                    monthlyData.set(key, { income: 0, expense: 0 });
+                    const key = this.getMonthKey(date);
+                    monthlyData.set(key, { income: 0, expense: 0, byCategory: {} });
                 }
             }
         } else {
             // 指定された月数分のデータを初期化
             for (let i = months - 1; i >= 0; i--) {
                 const date = new Date(endDate.getFullYear(), endDate.getMonth() - i, 1);
-                const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                monthlyData.set(key, { income: 0, expense: 0 });
+                const key = this.getMonthKey(date);
+                monthlyData.set(key, { income: 0, expense: 0, byCategory: {} });
             }
         }
         
@@ -410,11 +958,18 @@ export class HouseholdBudgetData extends EventEmitter {
             const month = transaction.date.substring(0, 7);
             if (monthlyData.has(month)) {
                 const data = monthlyData.get(month);
+                // 振替は収支に含めない
+                if (transaction.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) return;
+
                 if (transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME) {
                     data.income += transaction.amount;
                 } else {
                     data.expense += transaction.amount;
                 }
+                // 分割した取引は行ごとのカテゴリに計上する
+                this.getCategoryAllocations(transaction).forEach(({ categoryId, amount }) => {
+                    data.byCategory[categoryId] = (data.byCategory[categoryId] || 0) + amount;
+                });
             }
         });
         
@@ -425,122 +980,1943 @@ export class HouseholdBudgetData extends EventEmitter {
     }
 
     /**
-     * カテゴリを削除
-     * @param {string} type - トランザクション種別
-     * @param {string} categoryName - カテゴリ名
-     * @param {string} replacementCategory - 代替カテゴリ（任意）
-     * @returns {number} 影響を受けたトランザクション数
+     * 日付から月キー（YYYY-MM）を取得
+     * getMonthlyDataや予算集計で共通のキー形式を使う
+     * @param {Date} date - 日付
+     * @returns {string} 月キー
      */
-    removeCategory(type, categoryName, replacementCategory = null) {
-        const relatedTransactions = this.transactions.filter(t => 
-            t.type === type && t.category === categoryName
-        );
+    getMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
 
-        if (relatedTransactions.length > 0) {
-            if (!replacementCategory) {
-                throw new Error(`${CONSTANTS.ERROR_MESSAGES.CATEGORY_IN_USE}（${relatedTransactions.length}件）代替カテゴリを指定してください。`);
-            }
-            
-            // 関連するトランザクションのカテゴリを更新
-            relatedTransactions.forEach(async (t) => {
-                await this.updateTransaction(t.id, { category: replacementCategory });
-            });
+    /**
+     * 指定月を末尾とする月キーの配列を取得
+     * @param {number} months - 月数
+     * @param {string} endMonth - 最後の月（YYYY-MM）
+     * @returns {Array<string>} 古い順の月キー
+     */
+    getMonthKeys(months, endMonth = this.getMonthKey(new Date())) {
+        const [year, month] = endMonth.split('-').map(Number);
+        const keys = [];
+
+        for (let i = months - 1; i >= 0; i--) {
+            keys.push(this.getMonthKey(new Date(year, month - 1 - i, 1)));
         }
 
-        // カテゴリを削除
-        this.categories[type] = this.categories[type].filter(c => c !== categoryName);
-        this.saveSettings();
-        this.emit('categoryRemoved', { type, categoryName });
-        this.emit('dataChanged');
-        
-        return relatedTransactions.length;
+        return keys;
     }
 
     /**
-     * 保存形式に変換
-     * @returns {object} 保存用データ
+     * 期間内のカテゴリ別合計を取得（子カテゴリは親カテゴリに合算）
+     * @param {string} type - トランザクション種別（収入または支出）
+     * @param {Array<string>} monthKeys - 集計する月キー
+     * @returns {Array<object>} { categoryId, category, amount, children } の配列（金額の降順）
      */
-    toSaveFormat() {
-        return {
-            version: '2.0.0',
-            timestamp: new Date().toISOString(),
-            transactions: this.transactions,
-            categories: this.categories,
-            idCounter: this.idCounter,
-            filters: this.filters,
-            stats: this.stats
-        };
+    getCategoryTotals(type, monthKeys) {
+        const months = new Set(monthKeys);
+        return this.rollUpCategoryTotals(type, this.transactions.filter(t => months.has(t.date.substring(0, 7))));
     }
 
     /**
-     * 保存形式から復元
-     * @param {object} data - 保存されたデータ
+     * 取引をカテゴリ別に集計し、子カテゴリの金額を親カテゴリに合算
+     * @param {string} type - トランザクション種別（収入または支出）
+     * @param {Array<object>} transactions - 集計する取引
+     * @returns {Array<object>} { categoryId, category, amount, children: [{ categoryId, category, amount }] } の配列（金額の降順）
      */
-    fromSaveFormat(data) {
-        if (data.transactions && Array.isArray(data.transactions)) {
-            this.transactions = data.transactions;
-        }
-        if (data.categories) {
-            this.categories = { ...DEFAULT_CATEGORIES, ...data.categories };
-        }
-        if (data.idCounter) {
-            this.idCounter = data.idCounter;
-        }
-        if (data.filters) {
-            this.filters = { ...this.filters, ...data.filters };
-        }
-        if (data.stats) {
-            this.stats = { ...this.stats, ...data.stats };
-        }
-        
-        this.invalidateCache();
-        this.updateStats();
-        this.emit('dataLoaded');
-        this.emit('dataChanged');
+    rollUpCategoryTotals(type, transactions) {
+        const totals = new Map();
+
+        transactions.forEach(t => {
+            if (t.type !== type) return;
+
+            this.getCategoryAllocations(t).forEach(({ categoryId, amount }) => {
+                const rootId = this.getRootCategoryId(type, categoryId);
+                if (!totals.has(rootId)) {
+                    totals.set(rootId, { amount: 0, children: new Map() });
+                }
+
+                const total = totals.get(rootId);
+                total.amount += amount;
+                if (categoryId !== rootId) {
+                    total.children.set(categoryId, (total.children.get(categoryId) || 0) + amount);
+                }
+            });
+        });
+
+        return [...totals.entries()]
+            .map(([categoryId, { amount, children }]) => ({
+                categoryId,
+                category: this.getCategoryName(categoryId),
+                amount,
+                children: [...children.entries()]
+                    .map(([childId, value]) => ({ categoryId: childId, category: this.getCategoryName(childId), amount: value }))
+                    .sort((a, b) => b.amount - a.amount)
+            }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    /**
+     * 月別・カテゴリ別の合計を取得（子カテゴリは親カテゴリに合算）
+     * @param {string} type - トランザクション種別（収入または支出）
+     * @param {Array<string>} monthKeys - 集計する月キー
+     * @returns {Map<string, Array<number>>} 最上位のカテゴリID → 月キーの順に並んだ合計
+     */
+    getMonthlyCategoryData(type, monthKeys) {
+        const monthIndex = new Map(monthKeys.map((key, index) => [key, index]));
+        const series = new Map();
+
+        this.transactions.forEach(t => {
+            const index = monthIndex.get(t.date.substring(0, 7));
+            if (t.type !== type || index === undefined) return;
+
+            this.getCategoryAllocations(t).forEach(({ categoryId, amount }) => {
+                const rootId = this.getRootCategoryId(type, categoryId);
+                if (!series.has(rootId)) {
+                    series.set(rootId, new Array(monthKeys.length).fill(0));
+                }
+                series.get(rootId)[index] += amount;
+            });
+        });
+
+        return series;
+    }
+
+    /**
+     * 使われているタグを使用回数の多い順に取得（入力候補や絞り込みの選択肢に使う）
+     * @returns {Array<object>} { tag, count } の配列
+     */
+    getTagUsage() {
+        const counts = new Map();
+
+        this.transactions.forEach(t => {
+            (t.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ja'));
+    }
+
+    /**
+     * タグ別の収支とカテゴリ別の内訳を取得（振替は含めない）
+     * 複数のタグが付いた取引はそれぞれのタグに計上する
+     * @param {Array<string>|null} monthKeys - 集計する月キー（nullの場合は全期間）
+     * @returns {Array<object>} { tag, count, income, expense, byCategory: { income, expense } } の配列（支出の降順）
+     */
+    getTagReport(monthKeys = null) {
+        const months = monthKeys ? new Set(monthKeys) : null;
+        const byTag = new Map();
+
+        this.transactions.forEach(t => {
+            if (t.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) return;
+            if (months && !months.has(t.date.substring(0, 7))) return;
+
+            (t.tags || []).forEach(tag => {
+                if (!byTag.has(tag)) byTag.set(tag, []);
+                byTag.get(tag).push(t);
+            });
+        });
+
+        const sum = (transactions, type) => transactions
+            .filter(t => t.type === type)
+            .reduce((total, t) => total + t.amount, 0);
+
+        return [...byTag.entries()]
+            .map(([tag, transactions]) => ({
+                tag,
+                count: transactions.length,
+                income: sum(transactions, CONSTANTS.TRANSACTION_TYPES.INCOME),
+                expense: sum(transactions, CONSTANTS.TRANSACTION_TYPES.EXPENSE),
+                byCategory: {
+                    [CONSTANTS.TRANSACTION_TYPES.INCOME]: this.rollUpCategoryTotals(CONSTANTS.TRANSACTION_TYPES.INCOME, transactions),
+                    [CONSTANTS.TRANSACTION_TYPES.EXPENSE]: this.rollUpCategoryTotals(CONSTANTS.TRANSACTION_TYPES.EXPENSE, transactions)
+                }
+            }))
+            .sort((a, b) => b.expense - a.expense || b.income - a.income || a.tag.localeCompare(b.tag, 'ja'));
+    }
+
+    /**
+     * カテゴリの月間予算を設定
+     * @param {string} categoryId - 支出カテゴリID
+     * @param {number|null} limit - 月間予算額（0またはnullで解除）
+     */
+    setBudget(categoryId, limit) {
+        if (!this.getCategoryById(CONSTANTS.TRANSACTION_TYPES.EXPENSE, categoryId)) {
+            throw new Error('予算は支出カテゴリにのみ設定できます');
+        }
+
+        if (!limit) {
+            delete this.budgets[categoryId];
+        } else {
+            const amount = Sanitizer.sanitizeAmount(limit);
+            this.budgets[categoryId] = amount;
+        }
+
+        this.saveSettings();
+        this.emit('budgetsChanged', this.budgets);
+    }
+
+    /**
+     * カテゴリの月間予算の消化状況を取得（親カテゴリは子カテゴリの支出も含める）
+     * @param {string} categoryId - 支出カテゴリID
+     * @param {string} monthKey - 月キー（YYYY-MM）
+     * @returns {object|null} 予算状況（予算未設定の場合はnull）
+     */
+    getCategoryBudgetStatus(categoryId, monthKey = this.getMonthKey(new Date())) {
+        const limit = this.budgets[categoryId];
+        if (!limit) {
+            return null;
+        }
+
+        const family = new Set(this.getCategoryFamily(CONSTANTS.TRANSACTION_TYPES.EXPENSE, categoryId));
+        const spent = this.transactions
+            .filter(t => t.type === CONSTANTS.TRANSACTION_TYPES.EXPENSE && t.date.substring(0, 7) === monthKey)
+            .flatMap(t => this.getCategoryAllocations(t))
+            .filter(allocation => family.has(allocation.categoryId))
+            .reduce((sum, allocation) => sum + allocation.amount, 0);
+
+        return {
+            categoryId,
+            category: this.getCategoryName(categoryId),
+            month: monthKey,
+            limit,
+            spent,
+            remaining: limit - spent,
+            percentUsed: (spent / limit) * 100
+        };
+    }
+
+    /**
+     * 予算が設定されたすべてのカテゴリの消化状況を取得
+     * @param {string} monthKey - 月キー（YYYY-MM）
+     * @returns {Array<object>} 予算状況の配列（支出カテゴリの並び順）
+     */
+    getBudgetStatus(monthKey = this.getMonthKey(new Date())) {
+        return this.getCategoryTree(CONSTANTS.TRANSACTION_TYPES.EXPENSE)
+            .map(category => this.getCategoryBudgetStatus(category.id, monthKey))
+            .filter(status => status !== null);
+    }
+
+    /**
+     * 支出カテゴリとその親カテゴリの予算状況を取得
+     * @param {Array<string>} categoryIds - 支出カテゴリID（分割した取引は行ごとのカテゴリ）
+     * @param {string} monthKey - 月キー（YYYY-MM）
+     * @returns {Array<object>} 予算が設定されているものの予算状況
+     */
+    getAffectedBudgetStatuses(categoryIds, monthKey) {
+        const ids = new Set(categoryIds.flatMap(categoryId => [
+            categoryId,
+            this.getRootCategoryId(CONSTANTS.TRANSACTION_TYPES.EXPENSE, categoryId)
+        ]));
+
+        return [...ids]
+            .map(id => this.getCategoryBudgetStatus(id, monthKey))
+            .filter(status => status !== null);
+    }
+
+    /**
+     * 取引追加で予算の警告ラインを超えたかチェック
+     * @param {object} before - 追加前の予算状況
+     */
+    checkBudgetThresholds(before) {
+        const after = this.getCategoryBudgetStatus(before.categoryId, before.month);
+        const threshold = [CONSTANTS.BUDGET.LIMIT_PERCENT, CONSTANTS.BUDGET.WARNING_PERCENT]
+            .find(percent => before.percentUsed < percent && after.percentUsed >= percent);
+
+        if (threshold) {
+            this.emit('budgetThresholdExceeded', { ...after, threshold });
+        }
+    }
+
+    /**
+     * 表示順（親の直後にその子カテゴリ）のカテゴリ一覧を取得
+     * @param {string} type - トランザクション種別
+     * @returns {Array<object>} { id, name, parentId, depth } の配列
+     */
+    getCategoryTree(type) {
+        return CategoryTree.flatten(this.categories[type] || []);
+    }
+
+    /**
+     * 表示順のカテゴリ名一覧を取得
+     * @param {string} type - トランザクション種別
+     * @returns {Array<string>} カテゴリ名
+     */
+    getCategoryNames(type) {
+        return this.getCategoryTree(type).map(node => node.name);
+    }
+
+    /**
+     * 名前でカテゴリを検索
+     * @param {string} type - トランザクション種別
+     * @param {string} name - カテゴリ名
+     * @returns {object|null} カテゴリ
+     */
+    findCategory(type, name) {
+        return (this.categories[type] || []).find(c => c.name === name) || null;
+    }
+
+    /**
+     * IDでカテゴリを検索
+     * @param {string} type - トランザクション種別
+     * @param {string} id - カテゴリID
+     * @returns {object|null} カテゴリ
+     */
+    getCategoryById(type, id) {
+        return (this.categories[type] || []).find(c => c.id === id) || null;
+    }
+
+    /**
+     * カテゴリIDから表示名を取得（収入・支出のどちらからも探す）
+     * @param {string} id - カテゴリID
+     * @returns {string} カテゴリ名（見つからない場合は「不明なカテゴリ」）
+     */
+    getCategoryName(id) {
+        return CategoryTree.getNameById(this.categories, id) || CONSTANTS.UNKNOWN_CATEGORY;
+    }
+
+    /**
+     * 取引のカテゴリの表示名を取得
+     * バックアップなど名前で参照していた頃のデータも表示できるように、IDで見つからない場合は名前を使う
+     * @param {object} transaction - 取引
+     * @param {object} categories - カテゴリ一覧（省略時は現在のカテゴリ）
+     * @returns {string} カテゴリ名
+     */
+    getTransactionCategoryName(transaction, categories = this.categories) {
+        if (transaction.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            return CONSTANTS.TRANSFER_CATEGORY;
+        }
+        return CategoryTree.getNameById(categories, transaction.categoryId)
+            || transaction.category
+            || CONSTANTS.UNKNOWN_CATEGORY;
+    }
+
+    /**
+     * 取引の金額をカテゴリごとに取得
+     * 分割した取引は行ごとのカテゴリと金額、分割していない取引は取引のカテゴリと金額を返す
+     * @param {object} transaction - 取引
+     * @returns {Array<object>} { categoryId, amount } の配列
+     */
+    getCategoryAllocations(transaction) {
+        if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+            return transaction.splits.map(({ categoryId, amount }) => ({ categoryId, amount }));
+        }
+        return [{ categoryId: transaction.categoryId, amount: transaction.amount }];
+    }
+
+    /**
+     * カテゴリ名で指定された取引データのカテゴリをIDに解決
+     * インポートや以前の形式のデータは名前でカテゴリを指定するため、登録済みのカテゴリと名前で照合する
+     * @param {object} data - 取引または定期取引のデータ
+     * @returns {object} categoryIdを設定し、categoryを除いたデータ
+     */
+    resolveCategoryReference(data) {
+        const resolve = (record) => {
+            if (record.category === undefined) {
+                return record;
+            }
+
+            const { category, ...rest } = record;
+            const match = this.findCategory(data.type, Sanitizer.sanitizeCategory(category));
+            return match ? { ...rest, categoryId: match.id } : rest;
+        };
+
+        // 分割の各行もカテゴリ名で指定できる
+        const resolved = resolve(data);
+        return Array.isArray(data.splits)
+            ? { ...resolved, splits: data.splits.map(split => resolve(split || {})) }
+            : resolved;
+    }
+
+    /**
+     * 取引のカテゴリが登録済みか確認
+     * @param {object} data - サニタイズ済みの取引データ
+     */
+    assertCategoryExists(data) {
+        if (data.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) return;
+
+        if (!this.getCategoryAllocations(data).every(({ categoryId }) => this.getCategoryById(data.type, categoryId))) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+        }
+    }
+
+    /**
+     * 他のデータ（バックアップなど）の取引のカテゴリを現在のカテゴリIDに対応付ける
+     * IDが現在のカテゴリにない場合は名前で照合し、それでも見つからない場合は名前を残す
+     * @param {Array<object>} transactions - 取引
+     * @param {object} sourceCategories - 取引が参照しているカテゴリ一覧
+     * @returns {Array<object>} 対応付けた取引
+     */
+    mapCategoryIds(transactions, sourceCategories) {
+        return transactions.map(t => {
+            if (t.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER || this.getCategoryById(t.type, t.categoryId)) {
+                return t;
+            }
+
+            const name = CategoryTree.getNameById(sourceCategories, t.categoryId) || t.category;
+            const match = name ? this.findCategory(t.type, name) : null;
+            const { category, categoryId, ...rest } = t;
+            return match ? { ...rest, categoryId: match.id } : { ...rest, category: name };
+        });
+    }
+
+    /**
+     * カテゴリとその子カテゴリのIDを取得（絞り込みや集計で親カテゴリに子カテゴリを含めるため）
+     * @param {string} type - トランザクション種別
+     * @param {string} id - カテゴリID
+     * @returns {Array<string>} カテゴリID（未登録のカテゴリはそのIDのみ）
+     */
+    getCategoryFamily(type, id) {
+        if (!this.getCategoryById(type, id)) {
+            return [id];
+        }
+        return [id, ...CategoryTree.getChildren(this.categories[type], id).map(c => c.id)];
+    }
+
+    /**
+     * 最上位のカテゴリIDを取得
+     * @param {string} type - トランザクション種別
+     * @param {string} id - カテゴリID
+     * @returns {string} 親カテゴリのID（最上位または未登録のカテゴリはそのID）
+     */
+    getRootCategoryId(type, id) {
+        const category = this.getCategoryById(type, id);
+        return category?.parentId && this.getCategoryById(type, category.parentId) ? category.parentId : id;
+    }
+
+    /**
+     * カテゴリを追加
+     * @param {string} type - トランザクション種別
+     * @param {string} categoryName - カテゴリ名
+     * @param {string|null} parentId - 親カテゴリのID（省略時は最上位）
+     * @param {object} options - { color, icon }（省略時は自動で割り当て）
+     * @returns {object} 追加したカテゴリ
+     */
+    addCategory(type, categoryName, parentId = null, options = {}) {
+        const sanitizedName = Sanitizer.sanitizeCategory(categoryName);
+        
+        if (!sanitizedName) {
+            throw new Error('有効なカテゴリ名を入力してください');
+        }
+        
+        if (this.findCategory(type, sanitizedName)) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_EXISTS);
+        }
+        
+        if (parentId) {
+            const parent = this.getCategoryById(type, parentId);
+            if (!parent) {
+                throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+            }
+            if (parent.parentId) {
+                throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_TOO_DEEP);
+            }
+        }
+        
+        const before = this.snapshotCategoryState(type);
+        const category = CategoryTree.createNode(sanitizedName, parentId, {
+            color: options.color || CategoryTree.getNextColor(this.categories[type]),
+            icon: options.icon
+        });
+        this.categories[type].push(category);
+        this.invalidateCache();
+        this.saveSettings();
+        
+        const after = this.snapshotCategoryState(type);
+        this.history.record({
+            label: `カテゴリ「${sanitizedName}」の追加`,
+            undo: () => this.restoreCategoryState(type, before),
+            redo: () => this.restoreCategoryState(type, after)
+        });
+        
+        this.emit('categoryAdded', { type, categoryId: category.id, categoryName: sanitizedName });
+        
+        return category;
+    }
+
+    /**
+     * カテゴリの名前・色・アイコンを変更
+     * 取引や予算はIDで参照しているため、変更するのはカテゴリ自身のみ
+     * @param {string} type - トランザクション種別
+     * @param {string} id - カテゴリID
+     * @param {object} changes - { name, color, icon }（変更する項目のみ）
+     * @returns {Promise<object>} 変更後のカテゴリ
+     */
+    async updateCategory(type, id, changes) {
+        const category = this.getCategoryById(type, id);
+        if (!category) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+        }
+
+        const updated = { ...category };
+
+        if (changes.name !== undefined) {
+            const sanitizedName = Sanitizer.sanitizeCategory(changes.name);
+            if (!sanitizedName) {
+                throw new Error('有効なカテゴリ名を入力してください');
+            }
+            const duplicate = this.findCategory(type, sanitizedName);
+            if (duplicate && duplicate.id !== id) {
+                throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_EXISTS);
+            }
+            updated.name = sanitizedName;
+        }
+        if (changes.color !== undefined) {
+            updated.color = Sanitizer.sanitizeColor(changes.color) || category.color;
+        }
+        if (changes.icon !== undefined) {
+            updated.icon = Sanitizer.sanitizeIcon(changes.icon) || CategoryTree.getDefaultIcon(updated.name);
+        }
+
+        if (['name', 'color', 'icon'].every(key => updated[key] === category[key])) {
+            return category;
+        }
+
+        const before = this.snapshotCategoryState(type);
+        this.categories[type] = this.categories[type].map(c => (c.id === id ? updated : c));
+        const after = this.snapshotCategoryState(type);
+
+        this.history.record({
+            label: updated.name !== category.name
+                ? `カテゴリ「${category.name}」の名前変更`
+                : `カテゴリ「${category.name}」の表示の変更`,
+            undo: () => this.restoreCategoryState(type, before),
+            redo: () => this.restoreCategoryState(type, after)
+        });
+
+        await this.restoreCategoryState(type, after);
+        return updated;
+    }
+
+    /**
+     * カテゴリの親を変更
+     * @param {string} type - トランザクション種別
+     * @param {string} id - 移動するカテゴリのID
+     * @param {string|null} parentId - 新しい親カテゴリのID（nullで最上位）
+     * @returns {Promise<boolean>} 変更した場合はtrue
+     */
+    async moveCategory(type, id, parentId = null) {
+        const nodes = this.categories[type] || [];
+        const error = CategoryTree.validateMove(nodes, id, parentId);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const category = this.getCategoryById(type, id);
+        if ((category.parentId || null) === (parentId || null)) {
+            return false;
+        }
+
+        const before = this.snapshotCategoryState(type);
+        this.categories[type] = nodes.map(c => (c.id === id ? { ...c, parentId: parentId || null } : c));
+        const after = this.snapshotCategoryState(type);
+
+        this.history.record({
+            label: `カテゴリ「${category.name}」の移動`,
+            undo: () => this.restoreCategoryState(type, before),
+            redo: () => this.restoreCategoryState(type, after)
+        });
+
+        await this.restoreCategoryState(type, after);
+        return true;
+    }
+
+    /**
+     * カテゴリを削除
+     * 子カテゴリは最上位のカテゴリになり、取引と定期取引は代替カテゴリに付け替える
+     * @param {string} type - トランザクション種別
+     * @param {string} categoryId - カテゴリID
+     * @param {string} replacementId - 代替カテゴリのID（任意）
+     * @returns {Promise<number>} 影響を受けたトランザクション数
+     */
+    async removeCategory(type, categoryId, replacementId = null) {
+        const category = this.getCategoryById(type, categoryId);
+        if (!category) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+        }
+
+        const usesCategory = (record) => record.categoryId === categoryId
+            || (record.splits || []).some(split => split.categoryId === categoryId);
+        const relatedTransactions = this.transactions.filter(t => t.type === type && usesCategory(t));
+        const relatedRules = this.recurringRules.filter(r =>
+            r.type === type && r.categoryId === categoryId
+        );
+
+        if ((relatedTransactions.length > 0 || relatedRules.length > 0) && !replacementId) {
+            throw new Error(`${CONSTANTS.ERROR_MESSAGES.CATEGORY_IN_USE}（${relatedTransactions.length}件）代替カテゴリを指定してください。`);
+        }
+        if (replacementId && (replacementId === categoryId || !this.getCategoryById(type, replacementId))) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND);
+        }
+
+        const hadBudget = type === CONSTANTS.TRANSACTION_TYPES.EXPENSE && Boolean(this.budgets[categoryId]);
+        const label = `カテゴリ「${category.name}」の削除`;
+
+        // 取引の付け替えとカテゴリの削除を1つの操作として記録
+        await this.history.group(label, async () => {
+            // 関連するトランザクションをまとめて付け替え
+            if (relatedTransactions.length > 0) {
+                const now = new Date().toISOString();
+                const replaced = relatedTransactions.map(t => this.replaceCategoryReference(t, categoryId, replacementId, now));
+                await this.writeTransactions(replaced);
+                this.history.record({
+                    label,
+                    undo: () => this.writeTransactions(relatedTransactions),
+                    redo: () => this.writeTransactions(replaced)
+                });
+            }
+
+            // 定期取引ルールも付け替え
+            if (relatedRules.length > 0) {
+                const replacedRules = relatedRules.map(r => ({ ...r, categoryId: replacementId }));
+                await this.writeRecurringRules(replacedRules);
+                this.history.record({
+                    label,
+                    undo: () => this.writeRecurringRules(relatedRules),
+                    redo: () => this.writeRecurringRules(replacedRules)
+                });
+            }
+
+            // 自動分類ルールも付け替え（代替カテゴリがない場合はルールを削除）
+            const usesRemovedCategory = (rule) => rule.type === type && rule.categoryId === categoryId;
+            if (this.categoryRules.some(usesRemovedCategory)) {
+                const rulesBefore = this.categoryRules;
+                const rulesAfter = replacementId
+                    ? rulesBefore.map(rule => (usesRemovedCategory(rule) ? { ...rule, categoryId: replacementId } : rule))
+                    : rulesBefore.filter(rule => !usesRemovedCategory(rule));
+                this.categoryRules = rulesAfter;
+                this.emit('categoryRulesChanged', this.categoryRules);
+                this.history.record({
+                    label,
+                    undo: () => {
+                        this.categoryRules = rulesBefore;
+                        this.saveCategoryRules();
+                    },
+                    redo: () => {
+                        this.categoryRules = rulesAfter;
+                        this.saveCategoryRules();
+                    }
+                });
+            }
+
+            // テンプレートのカテゴリも付け替え（代替カテゴリがない場合は使うときに選び直してもらう）
+            if (this.transactionTemplates.some(usesRemovedCategory)) {
+                const templatesBefore = this.transactionTemplates;
+                const templatesAfter = templatesBefore.map(template => (
+                    usesRemovedCategory(template) ? { ...template, categoryId: replacementId || null } : template
+                ));
+                this.transactionTemplates = templatesAfter;
+                this.emit('transactionTemplatesChanged', this.transactionTemplates);
+                this.history.record({
+                    label,
+                    undo: () => {
+                        this.transactionTemplates = templatesBefore;
+                        this.saveTransactionTemplates();
+                    },
+                    redo: () => {
+                        this.transactionTemplates = templatesAfter;
+                        this.saveTransactionTemplates();
+                    }
+                });
+            }
+
+            // カテゴリを削除し、子カテゴリを最上位に移す
+            // 予算は削除するカテゴリの分だけを記録する（元に戻したときに他のカテゴリの予算を戻さないため）
+            const before = this.snapshotCategoryState(type, [categoryId]);
+            this.categories[type] = this.categories[type]
+                .filter(c => c.id !== categoryId)
+                .map(c => (c.parentId === categoryId ? { ...c, parentId: null } : c));
+            if (hadBudget) {
+                delete this.budgets[categoryId];
+            }
+            const after = this.snapshotCategoryState(type, [categoryId]);
+
+            this.history.record({
+                label,
+                undo: () => this.restoreCategoryState(type, before),
+                redo: () => this.restoreCategoryState(type, after)
+            });
+        });
+
+        this.invalidateCache();
+        if (hadBudget) {
+            this.emit('budgetsChanged', this.budgets);
+        }
+        this.saveSettings();
+        this.emit('categoryRemoved', { type, categoryId, categoryName: category.name });
+        this.emit('dataChanged');
+        
+        return relatedTransactions.length;
+    }
+
+    /**
+     * 取引のカテゴリ参照（分割の各行を含む）を別のカテゴリに付け替え
+     * @param {object} transaction - 取引
+     * @param {string} categoryId - 付け替え前のカテゴリID
+     * @param {string} replacementId - 付け替え後のカテゴリID
+     * @param {string} updatedAt - 更新日時
+     * @returns {object} 付け替えた取引
+     */
+    replaceCategoryReference(transaction, categoryId, replacementId, updatedAt) {
+        const replaced = {
+            ...transaction,
+            categoryId: transaction.categoryId === categoryId ? replacementId : transaction.categoryId,
+            updatedAt
+        };
+        if (Array.isArray(transaction.splits)) {
+            replaced.splits = transaction.splits.map(split => (
+                split.categoryId === categoryId ? { ...split, categoryId: replacementId } : split
+            ));
+        }
+        return replaced;
+    }
+
+    /**
+     * カテゴリ一覧と予算の状態を取得（元に戻す・やり直し用）
+     * @param {string} type - トランザクション種別
+     * @param {Array<string>} budgetCategoryIds - 予算も記録するカテゴリのID（それ以外の予算は復元時に変更しない）
+     * @returns {object} { categories, budgets }（budgetsは予算が未設定のカテゴリをnullにする）
+     */
+    snapshotCategoryState(type, budgetCategoryIds = []) {
+        return {
+            categories: this.categories[type].map(c => ({ ...c })),
+            budgets: Object.fromEntries(budgetCategoryIds.map(id => [id, this.budgets[id] ?? null]))
+        };
+    }
+
+    /**
+     * カテゴリ一覧と予算の状態を復元（履歴には記録しない）
+     * @param {string} type - トランザクション種別
+     * @param {object} state - snapshotCategoryStateで取得した状態
+     * @returns {Promise<void>}
+     */
+    async restoreCategoryState(type, state) {
+        this.categories[type] = state.categories.map(c => ({ ...c }));
+        const budgets = { ...this.budgets };
+        Object.entries(state.budgets).forEach(([categoryId, amount]) => {
+            if (amount === null) {
+                delete budgets[categoryId];
+            } else {
+                budgets[categoryId] = amount;
+            }
+        });
+        this.budgets = budgets;
+        this.invalidateCache();
+        await this.saveSettings();
+        
+        this.emit('categoriesChanged', this.categories);
+        this.emit('budgetsChanged', this.budgets);
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 口座を追加
+     * @param {object} accountData - 口座データ（name, type, initialBalance）
+     * @returns {Promise<object>} 追加された口座
+     */
+    async addAccount(accountData) {
+        const name = Sanitizer.sanitizeCategory(accountData.name);
+        if (!name) {
+            throw new Error('有効な口座名を入力してください');
+        }
+        
+        if (this.accounts.some(a => a.name === name)) {
+            throw new Error('この口座名は既に存在します');
+        }
+
+        const account = {
+            id: this.generateUniqueId(),
+            name,
+            type: Object.values(CONSTANTS.ACCOUNT_TYPES).includes(accountData.type)
+                ? accountData.type
+                : CONSTANTS.ACCOUNT_TYPES.CASH,
+            initialBalance: Number(accountData.initialBalance) || 0,
+            createdAt: new Date().toISOString()
+        };
+
+        this.accounts.push(account);
+        await this.persistAccount(account);
+        
+        this.emit('accountsChanged', this.accounts);
+        this.emit('dataChanged');
+        
+        return account;
+    }
+
+    /**
+     * 口座を更新
+     * @param {string} id - 口座ID
+     * @param {object} updates - 更新データ
+     * @returns {Promise<object>} 更新された口座
+     */
+    async updateAccount(id, updates) {
+        const account = this.getAccount(id);
+        if (!account) {
+            throw new Error('口座が見つかりません');
+        }
+
+        if (updates.name !== undefined) {
+            const name = Sanitizer.sanitizeCategory(updates.name);
+            if (!name) {
+                throw new Error('有効な口座名を入力してください');
+            }
+            if (this.accounts.some(a => a.id !== id && a.name === name)) {
+                throw new Error('この口座名は既に存在します');
+            }
+            account.name = name;
+        }
+        if (updates.type !== undefined && Object.values(CONSTANTS.ACCOUNT_TYPES).includes(updates.type)) {
+            account.type = updates.type;
+        }
+        if (updates.initialBalance !== undefined) {
+            account.initialBalance = Number(updates.initialBalance) || 0;
+        }
+
+        await this.persistAccount(account);
+        
+        this.emit('accountsChanged', this.accounts);
+        this.emit('dataChanged');
+        
+        return account;
+    }
+
+    /**
+     * 口座を削除（取引・定期取引ルール・取引テンプレートで使用中の口座とデフォルト口座は削除不可）
+     * @param {string} id - 口座ID
+     * @returns {Promise<void>}
+     */
+    async removeAccount(id) {
+        if (id === CONSTANTS.DEFAULTS.ACCOUNT_ID) {
+            throw new Error('デフォルトの口座は削除できません');
+        }
+        
+        const index = this.accounts.findIndex(a => a.id === id);
+        if (index === -1) {
+            throw new Error('口座が見つかりません');
+        }
+
+        const usesAccount = (record) => record.accountId === id || record.toAccountId === id;
+        const usedCount = this.transactions.filter(usesAccount).length;
+        if (usedCount > 0) {
+            throw new Error(`${CONSTANTS.ERROR_MESSAGES.ACCOUNT_IN_USE}（${usedCount}件）`);
+        }
+
+        // 削除すると定期取引が存在しない口座の取引を作り続けるため、ルールとテンプレートの口座も確認する
+        const ruleCount = this.recurringRules.filter(usesAccount).length;
+        if (ruleCount > 0) {
+            throw new Error(`${CONSTANTS.ERROR_MESSAGES.ACCOUNT_IN_USE_BY_RECURRING_RULES}（${ruleCount}件）`);
+        }
+        const templateCount = this.transactionTemplates.filter(usesAccount).length;
+        if (templateCount > 0) {
+            throw new Error(`${CONSTANTS.ERROR_MESSAGES.ACCOUNT_IN_USE_BY_TEMPLATES}（${templateCount}件）`);
+        }
+
+        this.accounts.splice(index, 1);
+        
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.deleteAccount(id);
+            } catch (error) {
+                console.error('IndexedDB削除エラー:', error);
+                this.saveToLocalStorage();
+            }
+        } else {
+            this.saveToLocalStorage();
+        }
+        
+        this.emit('accountsChanged', this.accounts);
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 口座を取得
+     * @param {string} id - 口座ID
+     * @returns {object|undefined} 口座
+     */
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id);
+    }
+
+    /**
+     * 口座名を取得（削除済み・不明な口座はIDをそのまま返す）
+     * @param {string} id - 口座ID（未指定はデフォルト口座）
+     * @returns {string} 口座名
+     */
+    getAccountName(id = CONSTANTS.DEFAULTS.ACCOUNT_ID) {
+        const account = this.getAccount(id || CONSTANTS.DEFAULTS.ACCOUNT_ID);
+        return account ? account.name : id;
+    }
+
+    /**
+     * 口座ごとの残高を計算
+     * 口座未指定の取引はデフォルト口座に計上する
+     * @returns {Array<object>} 口座と残高の配列
+     */
+    getAccountBalances() {
+        const balances = new Map(
+            this.accounts.map(account => [account.id, account.initialBalance || 0])
+        );
+        const adjust = (id, delta) => {
+            balances.set(id, (balances.get(id) || 0) + delta);
+        };
+
+        this.transactions.forEach(t => {
+            const accountId = t.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID;
+
+            switch (t.type) {
+                case CONSTANTS.TRANSACTION_TYPES.INCOME:
+                    adjust(accountId, t.amount);
+                    break;
+                case CONSTANTS.TRANSACTION_TYPES.EXPENSE:
+                    adjust(accountId, -t.amount);
+                    break;
+                case CONSTANTS.TRANSACTION_TYPES.TRANSFER:
+                    adjust(accountId, -t.amount);
+                    adjust(t.toAccountId, t.amount);
+                    break;
+            }
+        });
+
+        return this.accounts.map(account => ({
+            ...account,
+            balance: balances.get(account.id)
+        }));
+    }
+
+    /**
+     * 口座を永続化
+     * @param {object} account - 口座データ
+     * @returns {Promise<void>}
+     */
+    async persistAccount(account) {
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.saveAccount(account);
+            } catch (error) {
+                console.error('IndexedDB保存エラー:', error);
+                this.saveToLocalStorage();
+            }
+        } else {
+            this.saveToLocalStorage();
+        }
+    }
+
+    /**
+     * CSVの列の割り当てを保存（同じ名前の設定は上書き）
+     * @param {string} name - 設定名（銀行名など）
+     * @param {object} mapping - 列の割り当て
+     * @returns {string} 保存した設定名
+     */
+    saveImportMapping(name, mapping) {
+        const sanitizedName = Sanitizer.sanitizeCategory(name);
+        if (!sanitizedName) {
+            throw new Error('有効な設定名を入力してください');
+        }
+
+        this.importMappings[sanitizedName] = {
+            ...mapping,
+            updatedAt: new Date().toISOString()
+        };
+        this.saveSettings();
+        
+        return sanitizedName;
+    }
+
+    /**
+     * CSVの列の割り当てを削除
+     * @param {string} name - 設定名
+     */
+    removeImportMapping(name) {
+        delete this.importMappings[name];
+        this.saveSettings();
+    }
+
+    /**
+     * ヘッダー行が一致する保存済みの割り当てを検索
+     * @param {string} headerSignature - ヘッダー行を連結した文字列
+     * @returns {string|null} 設定名
+     */
+    findImportMappingName(headerSignature) {
+        const match = Object.entries(this.importMappings)
+            .find(([, mapping]) => mapping.headerSignature && mapping.headerSignature === headerSignature);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * 絞り込み条件をプリセットとして保存（同じ名前のプリセットは上書き）
+     * @param {string} name - プリセット名
+     * @param {object} filters - 絞り込み条件（省略時は現在の条件）
+     * @returns {string} 保存したプリセット名
+     */
+    saveFilterPreset(name, filters = this.filters) {
+        const sanitizedName = Sanitizer.sanitizeCategory(name);
+        if (!sanitizedName) {
+            throw new Error('有効なプリセット名を入力してください');
+        }
+
+        this.filterPresets[sanitizedName] = {
+            filters: FilterQuery.normalize(filters),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveSettings();
+        this.emit('filterPresetsChanged', this.filterPresets);
+        
+        return sanitizedName;
+    }
+
+    /**
+     * 絞り込み条件のプリセットを削除
+     * @param {string} name - プリセット名
+     */
+    removeFilterPreset(name) {
+        delete this.filterPresets[name];
+        this.saveSettings();
+        this.emit('filterPresetsChanged', this.filterPresets);
+    }
+
+    /**
+     * 絞り込み条件のプリセットを適用（プリセットにない項目は絞り込まない）
+     * @param {string} name - プリセット名
+     */
+    applyFilterPreset(name) {
+        const preset = this.filterPresets[name];
+        if (!preset) {
+            throw new Error('プリセットが見つかりません');
+        }
+
+        this.applyFilters({ ...FilterQuery.createDefault(), ...preset.filters });
+    }
+
+    /**
+     * 自動分類ルールを追加（一覧の末尾に追加し、既存のルールを優先する）
+     * @param {object} ruleData - ルールデータ
+     * @returns {object} 追加されたルール
+     */
+    addCategoryRule(ruleData) {
+        const rule = {
+            id: this.generateUniqueId(),
+            ...this.validateCategoryRule(ruleData),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.categoryRules.push(rule);
+        this.saveCategoryRules();
+        
+        return rule;
+    }
+
+    /**
+     * 自動分類ルールを更新
+     * @param {string} id - ルールID
+     * @param {object} updates - 更新データ
+     * @returns {object} 更新されたルール
+     */
+    updateCategoryRule(id, updates) {
+        const index = this.categoryRules.findIndex(r => r.id === id);
+        if (index === -1) {
+            throw new Error('自動分類ルールが見つかりません');
+        }
+
+        const current = this.categoryRules[index];
+        const rule = {
+            ...this.validateCategoryRule({ ...current, ...updates }),
+            id,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.categoryRules[index] = rule;
+        this.saveCategoryRules();
+        
+        return rule;
+    }
+
+    /**
+     * 自動分類ルールを削除
+     * @param {string} id - ルールID
+     */
+    removeCategoryRule(id) {
+        this.categoryRules = this.categoryRules.filter(r => r.id !== id);
+        this.saveCategoryRules();
+    }
+
+    /**
+     * 自動分類ルールの優先順位を変更
+     * @param {string} id - ルールID
+     * @param {number} offset - 移動する数（負の値は優先順位を上げる）
+     */
+    moveCategoryRule(id, offset) {
+        const index = this.categoryRules.findIndex(r => r.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.categoryRules.length) return;
+
+        const [rule] = this.categoryRules.splice(index, 1);
+        this.categoryRules.splice(target, 0, rule);
+        this.saveCategoryRules();
+    }
+
+    /**
+     * 自動分類ルールを検証（カテゴリが登録済みかも確認する）
+     * @param {object} ruleData - ルールデータ
+     * @returns {object} サニタイズ済みのルールデータ
+     */
+    validateCategoryRule(ruleData) {
+        const validation = Sanitizer.validateAndSanitizeCategoryRule(this.resolveCategoryReference(ruleData));
+        
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('\n'));
+        }
+        this.assertCategoryExists(validation.sanitizedData);
+        
+        return validation.sanitizedData;
+    }
+
+    /**
+     * 自動分類ルールを保存して変更を通知
+     */
+    saveCategoryRules() {
+        this.saveSettings();
+        this.emit('categoryRulesChanged', this.categoryRules);
+    }
+
+    /**
+     * 取引に一致する自動分類ルールを取得（カテゴリが削除されたルールは使わない）
+     * @param {object} transaction - 取引（入力中の取引やインポートする行でもよい）
+     * @returns {object|null} 一致したルール
+     */
+    findCategoryRule(transaction) {
+        const rules = this.categoryRules.filter(rule => this.getCategoryById(rule.type, rule.categoryId));
+        return CategoryRuleMatcher.findMatch(rules, transaction);
+    }
+
+    /**
+     * 自動分類ルールに一致する登録済みの取引を取得（ルールの編集中のプレビュー用）
+     * 分割した取引はカテゴリを変更しないため含めない
+     * @param {object} ruleData - ルールデータ（保存前でもよい）
+     * @returns {Array<object>} 一致した取引（日付の新しい順）
+     */
+    getCategoryRuleMatches(ruleData) {
+        // カテゴリを選ぶ前でも、条件が揃っていれば一致する取引を表示する
+        const { conditions, errors } = Sanitizer.validateRuleConditions(ruleData.conditions);
+        if (errors.length > 0) {
+            return [];
+        }
+
+        const rule = { type: ruleData.type, conditions };
+        return this.transactions
+            .filter(t => !t.splits && CategoryRuleMatcher.matches(rule, t))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * 取引が未分類か判定
+     * カテゴリが未指定・見つからない取引と、「その他」に振り分けられた取引を未分類とする
+     * @param {object} transaction - 取引（カテゴリ名で指定したインポート前の行でもよい）
+     * @returns {boolean} 未分類の場合はtrue
+     */
+    isUncategorized(transaction) {
+        if (transaction.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER || transaction.splits?.length > 0) {
+            return false;
+        }
+
+        const name = transaction.categoryId
+            ? this.getCategoryById(transaction.type, transaction.categoryId)?.name
+            : Sanitizer.sanitizeCategory(transaction.category || '');
+        return !name || name === CONSTANTS.FALLBACK_CATEGORIES[transaction.type];
+    }
+
+    /**
+     * インポートする行のうち未分類のものに自動分類ルールのカテゴリを割り当てる
+     * @param {object} row - カテゴリ名で指定した取引
+     * @returns {object} カテゴリを割り当てた行（一致するルールがない場合はそのまま）
+     */
+    categorizeImportedRow(row) {
+        if (!this.isUncategorized(row)) return row;
+
+        const rule = this.findCategoryRule(row);
+        return rule ? { ...row, category: this.getCategoryName(rule.categoryId) } : row;
+    }
+
+    /**
+     * 自動分類ルールに一致する登録済みの未分類の取引を取得
+     * @returns {Array<object>} 取引
+     */
+    getUncategorizedRuleMatches() {
+        return this.transactions.filter(t => this.isUncategorized(t) && this.findCategoryRule(t));
+    }
+
+    /**
+     * 登録済みの未分類の取引に自動分類ルールを適用
+     * @returns {Promise<object>} { updated, skipped, errors }
+     */
+    async applyCategoryRulesToUncategorized() {
+        const ids = this.getUncategorizedRuleMatches().map(t => t.id);
+        if (ids.length === 0) {
+            return { updated: [], skipped: 0, errors: [] };
+        }
+
+        return this.updateTransactionsBatch(ids, (t) => {
+            const rule = this.findCategoryRule(t);
+            return rule && rule.categoryId !== t.categoryId ? { categoryId: rule.categoryId } : null;
+        }, 'カテゴリの自動分類');
+    }
+
+    /**
+     * 入力中の説明に似た過去の取引から、カテゴリと金額の候補を取得
+     * @param {string} description - 入力中の説明
+     * @param {string} type - 種別で絞り込む場合の種別
+     * @returns {Array<object>} { description, type, categoryId, amount, count, score } の配列（似ている順）
+     */
+    getDescriptionSuggestions(description, type = '') {
+        if (this.descriptionSuggester.stale) {
+            this.descriptionSuggester.sync(this.transactions);
+        }
+
+        return this.descriptionSuggester.suggest(description, {
+            type,
+            isAvailable: (categoryType, categoryId) => !!this.getCategoryById(categoryType, categoryId)
+        });
+    }
+
+    /**
+     * クイック入力の1行を取引の下書きに変換
+     * カテゴリを書いていない場合は自動分類ルール、次に似た説明の過去の取引から補う
+     * @param {string} text - 入力（例: 「昨日 ランチ 980円 食費」）
+     * @returns {object} { date, type, categoryId, amount, accountId, description, categorySource }
+     *   categorySource はカテゴリを補った方法（'rule'・'history'。入力から読み取った場合と未選択の場合は空文字）
+     */
+    parseQuickEntry(text) {
+        const parsed = QuickEntryParser.parse(text, { categories: this.categories, accounts: this.accounts });
+        const draft = {
+            ...parsed,
+            date: parsed.date || DateParser.formatToISO(new Date()),
+            accountId: parsed.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID,
+            categorySource: ''
+        };
+
+        if (!draft.categoryId) {
+            const types = draft.type
+                ? [draft.type]
+                : [CONSTANTS.TRANSACTION_TYPES.EXPENSE, CONSTANTS.TRANSACTION_TYPES.INCOME];
+            const rule = types
+                .map(type => this.findCategoryRule({ ...draft, type, amount: draft.amount ?? 0 }))
+                .find(Boolean);
+            const suggestion = !rule && draft.description
+                ? this.getDescriptionSuggestions(draft.description, draft.type)[0]
+                : null;
+
+            if (rule) {
+                Object.assign(draft, { type: rule.type, categoryId: rule.categoryId, categorySource: 'rule' });
+            } else if (suggestion) {
+                Object.assign(draft, { type: suggestion.type, categoryId: suggestion.categoryId, categorySource: 'history' });
+                if (draft.amount === null) draft.amount = suggestion.amount;
+            }
+        }
+
+        draft.type = draft.type || CONSTANTS.TRANSACTION_TYPES.EXPENSE;
+        return draft;
+    }
+
+    /**
+     * 取引テンプレートを追加（一覧の末尾に追加する）
+     * @param {object} templateData - テンプレートデータ
+     * @returns {object} 追加されたテンプレート
+     */
+    addTransactionTemplate(templateData) {
+        const template = {
+            id: this.generateUniqueId(),
+            ...this.validateTransactionTemplate(templateData),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.transactionTemplates.push(template);
+        this.saveTransactionTemplates();
+
+        return template;
+    }
+
+    /**
+     * 取引テンプレートを更新
+     * @param {string} id - テンプレートID
+     * @param {object} updates - 更新データ
+     * @returns {object} 更新されたテンプレート
+     */
+    updateTransactionTemplate(id, updates) {
+        const index = this.transactionTemplates.findIndex(t => t.id === id);
+        if (index === -1) {
+            throw new Error('テンプレートが見つかりません');
+        }
+
+        const current = this.transactionTemplates[index];
+        const template = {
+            ...this.validateTransactionTemplate({ ...current, ...updates }),
+            id,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.transactionTemplates[index] = template;
+        this.saveTransactionTemplates();
+
+        return template;
+    }
+
+    /**
+     * 取引テンプレートを削除
+     * @param {string} id - テンプレートID
+     */
+    removeTransactionTemplate(id) {
+        this.transactionTemplates = this.transactionTemplates.filter(t => t.id !== id);
+        this.saveTransactionTemplates();
+    }
+
+    /**
+     * 取引テンプレートの並び順を変更（ボタンの並びとショートカットキーの番号が変わる）
+     * @param {string} id - テンプレートID
+     * @param {number} offset - 移動する数（負の値は前に移動する）
+     */
+    moveTransactionTemplate(id, offset) {
+        const index = this.transactionTemplates.findIndex(t => t.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.transactionTemplates.length) return;
+
+        const [template] = this.transactionTemplates.splice(index, 1);
+        this.transactionTemplates.splice(target, 0, template);
+        this.saveTransactionTemplates();
+    }
+
+    /**
+     * 取引テンプレートを検証（カテゴリが登録済みかも確認する）
+     * @param {object} templateData - テンプレートデータ
+     * @returns {object} サニタイズ済みのテンプレートデータ
+     */
+    validateTransactionTemplate(templateData) {
+        const validation = Sanitizer.validateAndSanitizeTemplate(this.resolveCategoryReference(templateData));
+
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('\n'));
+        }
+        this.assertCategoryExists(validation.sanitizedData);
+
+        return validation.sanitizedData;
+    }
+
+    /**
+     * 取引テンプレートを保存して変更を通知
+     */
+    saveTransactionTemplates() {
+        this.saveSettings();
+        this.emit('transactionTemplatesChanged', this.transactionTemplates);
+    }
+
+    /**
+     * 取引テンプレートから取引を追加
+     * @param {string} id - テンプレートID
+     * @param {string} date - 取引の日付（デフォルトは今日）
+     * @returns {Promise<object>} 追加された取引
+     */
+    async addTransactionFromTemplate(id, date = DateParser.formatToISO(new Date())) {
+        const template = this.transactionTemplates.find(t => t.id === id);
+        if (!template) {
+            throw new Error('テンプレートが見つかりません');
+        }
+        if (template.amount === null) {
+            throw new Error('このテンプレートには金額がないため、フォームで金額を入力してください');
+        }
+
+        const { id: templateId, name, createdAt, updatedAt, ...transactionData } = template;
+        return this.addTransaction({ ...transactionData, date });
+    }
+
+    /**
+     * 定期取引ルールを追加
+     * @param {object} ruleData - ルールデータ
+     * @returns {Promise<object>} 追加されたルール
+     */
+    async addRecurringRule(ruleData) {
+        const validation = Sanitizer.validateAndSanitizeRecurringRule(this.resolveCategoryReference(ruleData));
+        
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('\n'));
+        }
+        this.assertCategoryExists(validation.sanitizedData);
+
+        const rule = {
+            id: this.generateUniqueId(),
+            ...validation.sanitizedData,
+            isPaused: false,
+            skippedDates: [],
+            lastGeneratedDate: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.recurringRules.push(rule);
+        await this.persistRecurringRule(rule);
+        
+        this.emit('recurringRuleAdded', rule);
+        this.emit('recurringRulesChanged', this.recurringRules);
+        
+        // 開始日が過去の場合はすぐに生成
+        await this.processRecurringRules();
+        
+        return rule;
+    }
+
+    /**
+     * 定期取引ルールを更新
+     * @param {string} id - ルールID
+     * @param {object} updates - 更新データ
+     * @returns {Promise<object>} 更新されたルール
+     */
+    async updateRecurringRule(id, updates) {
+        const index = this.recurringRules.findIndex(r => r.id === id);
+        if (index === -1) {
+            throw new Error('定期取引ルールが見つかりません');
+        }
+
+        const currentRule = this.recurringRules[index];
+        const validation = Sanitizer.validateAndSanitizeRecurringRule(this.resolveCategoryReference({ ...currentRule, ...updates }));
+        
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('\n'));
+        }
+        this.assertCategoryExists(validation.sanitizedData);
+
+        const updatedRule = {
+            ...currentRule,
+            ...validation.sanitizedData,
+            isPaused: updates.isPaused ?? currentRule.isPaused,
+            skippedDates: updates.skippedDates ?? currentRule.skippedDates,
+            lastGeneratedDate: updates.lastGeneratedDate ?? currentRule.lastGeneratedDate,
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.recurringRules[index] = updatedRule;
+        await this.persistRecurringRule(updatedRule);
+        
+        this.emit('recurringRulesChanged', this.recurringRules);
+        
+        return updatedRule;
+    }
+
+    /**
+     * 定期取引ルールを削除（生成済みの取引は残る）
+     * @param {string} id - ルールID
+     * @returns {Promise<object|null>} 削除されたルール
+     */
+    async removeRecurringRule(id) {
+        const index = this.recurringRules.findIndex(r => r.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const removed = this.recurringRules.splice(index, 1)[0];
+        
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.deleteRecurringRule(id);
+            } catch (error) {
+                console.error('IndexedDB削除エラー:', error);
+                this.saveToLocalStorage();
+            }
+        } else {
+            this.saveToLocalStorage();
+        }
+        
+        this.emit('recurringRulesChanged', this.recurringRules);
+        
+        return removed;
+    }
+
+    /**
+     * 定期取引ルールの一時停止・再開を切り替え
+     * 再開時は停止中に過ぎた分を生成しない（再開した日が発生日の場合、その日の分は生成する）
+     * @param {string} id - ルールID
+     * @param {boolean} isPaused - 一時停止するかどうか
+     * @returns {Promise<object>} 更新されたルール
+     */
+    async setRecurringRulePaused(id, isPaused) {
+        const rule = this.recurringRules.find(r => r.id === id);
+        if (!rule) {
+            throw new Error('定期取引ルールが見つかりません');
+        }
+
+        const updates = { isPaused };
+        if (!isPaused) {
+            const now = new Date();
+            const yesterday = DateParser.formatToISO(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+            if (!rule.lastGeneratedDate || rule.lastGeneratedDate < yesterday) {
+                updates.lastGeneratedDate = yesterday;
+            }
+        }
+
+        return this.updateRecurringRule(id, updates);
+    }
+
+    /**
+     * 定期取引の次回発生分を1回だけスキップ
+     * @param {string} id - ルールID
+     * @returns {Promise<string|null>} スキップした日付
+     */
+    async skipNextRecurringOccurrence(id) {
+        const rule = this.recurringRules.find(r => r.id === id);
+        if (!rule) {
+            throw new Error('定期取引ルールが見つかりません');
+        }
+
+        const today = DateParser.formatToISO(new Date());
+        const nextDate = RecurrenceCalculator.getNextOccurrence(rule, today);
+        if (!nextDate) {
+            return null;
+        }
+
+        await this.updateRecurringRule(id, {
+            skippedDates: [...(rule.skippedDates || []), nextDate]
+        });
+        
+        return nextDate;
+    }
+
+    /**
+     * 期日を迎えた定期取引を実際の取引として生成
+     * @param {Date} today - 基準日
+     * @returns {Promise<number>} 生成した取引数
+     */
+    async processRecurringRules(today = new Date()) {
+        return this.runWrite(async () => {
+            if (!this.recurringRules || this.recurringRules.length === 0) {
+                return 0;
+            }
+
+            const untilDate = DateParser.formatToISO(today);
+            const pending = [];
+
+            this.recurringRules
+                .filter(rule => !rule.isPaused)
+                .forEach(rule => {
+                    RecurrenceCalculator.getPendingOccurrences(rule, untilDate).forEach(date => {
+                        pending.push({
+                            date,
+                            type: rule.type,
+                            categoryId: rule.categoryId,
+                            amount: rule.amount,
+                            description: rule.description,
+                            payee: rule.payee,
+                            accountId: rule.accountId,
+                            recurringRuleId: rule.id
+                        });
+                    });
+                });
+
+            if (pending.length === 0) {
+                return 0;
+            }
+
+            let added = [];
+            try {
+                ({ added } = await this.addTransactionsBatch(pending));
+            } catch (error) {
+                // 生成済みの日付は進めないので、次回のチェックで生成し直す
+                console.error('定期取引の生成に失敗しました:', error);
+                return 0;
+            }
+
+            // 実際に追加できた最後の日付までを生成済みとして記録し、二重生成を防ぐ
+            const lastAddedDates = new Map();
+            added.forEach(transaction => {
+                const last = lastAddedDates.get(transaction.recurringRuleId);
+                if (!last || transaction.date > last) {
+                    lastAddedDates.set(transaction.recurringRuleId, transaction.date);
+                }
+            });
+
+            for (const rule of this.recurringRules) {
+                if (!lastAddedDates.has(rule.id)) continue;
+                rule.lastGeneratedDate = lastAddedDates.get(rule.id);
+                rule.updatedAt = new Date().toISOString();
+                await this.persistRecurringRule(rule);
+            }
+
+            this.emit('recurringTransactionsGenerated', { count: added.length, transactions: added });
+            this.emit('recurringRulesChanged', this.recurringRules);
+            
+            return added.length;
+        });
+    }
+
+    /**
+     * 次の日付変更時に定期取引をチェックするタイマーを設定
+     */
+    scheduleRecurringCheck() {
+        clearTimeout(this.recurringCheckTimer);
+
+        const now = new Date();
+        const nextDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 5);
+
+        this.recurringCheckTimer = setTimeout(async () => {
+            await this.processRecurringRules();
+            this.scheduleRecurringCheck();
+        }, nextDay.getTime() - now.getTime());
+    }
+
+    /**
+     * 定期取引ルールを永続化
+     * @param {object} rule - ルールデータ
+     * @returns {Promise<void>}
+     */
+    async persistRecurringRule(rule) {
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.saveRecurringRule(rule);
+            } catch (error) {
+                console.error('IndexedDB保存エラー:', error);
+                this.saveToLocalStorage();
+            }
+        } else {
+            this.saveToLocalStorage();
+        }
+    }
+
+    /**
+     * 定期取引ルールをまとめて書き込む（元に戻す・やり直し用。履歴には記録しない）
+     * @param {Array<object>} rules - 書き込むルール（同じIDのルールは置き換える）
+     * @returns {Promise<void>}
+     */
+    async writeRecurringRules(rules) {
+        for (const rule of rules) {
+            const index = this.recurringRules.findIndex(r => r.id === rule.id);
+            if (index === -1) {
+                this.recurringRules.push({ ...rule });
+            } else {
+                this.recurringRules[index] = { ...rule };
+            }
+            await this.persistRecurringRule(rule);
+        }
+        
+        this.emit('recurringRulesChanged', this.recurringRules);
+    }
+
+    /**
+     * 保存形式に変換
+     * @returns {object} 保存用データ
+     */
+    toSaveFormat() {
+        return {
+            version: '2.0.0',
+            timestamp: new Date().toISOString(),
+            transactions: this.transactions,
+            categories: this.categories,
+            budgets: this.budgets,
+            recurringRules: this.recurringRules,
+            accounts: this.accounts,
+            importMappings: this.importMappings,
+            backupRetention: this.backupRetention,
+            idCounter: this.idCounter,
+            filters: this.filters,
+            filterPresets: this.filterPresets,
+            categoryRules: this.categoryRules,
+            transactionTemplates: this.transactionTemplates,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * 保存形式から復元
+     * @param {object} data - 保存されたデータ
+     */
+    fromSaveFormat(data) {
+        if (data.categories) {
+            // 階層化前のバックアップ（カテゴリ名の配列）もここで変換する
+            this.categories = CategoryTree.normalizeAll({ ...DEFAULT_CATEGORIES, ...data.categories });
+        }
+        // カテゴリを名前で参照していた頃のデータはIDに変換する（一覧にない名前はカテゴリを追加）
+        const withCategoryId = (record) => CategoryTree.assignCategoryId(record, this.categories) || record;
+        if (data.transactions && Array.isArray(data.transactions)) {
+            this.transactions = data.transactions.map(withCategoryId);
+        }
+        if (data.budgets && typeof data.budgets === 'object') {
+            this.budgets = CategoryTree.migrateBudgets(data.budgets, this.categories[CONSTANTS.TRANSACTION_TYPES.EXPENSE]);
+        }
+        if (data.recurringRules && Array.isArray(data.recurringRules)) {
+            this.recurringRules = data.recurringRules.map(withCategoryId);
+        }
+        if (data.accounts && Array.isArray(data.accounts) && data.accounts.length > 0) {
+            this.accounts = data.accounts;
+        }
+        if (data.importMappings && typeof data.importMappings === 'object') {
+            this.importMappings = { ...data.importMappings };
+        }
+        if (data.backupRetention) {
+            this.backupRetention = data.backupRetention;
+        }
+        if (data.idCounter) {
+            this.idCounter = data.idCounter;
+        }
+        if (data.filters) {
+            // 絞り込み中のカテゴリ（以前の形式では名前）は引き継がない
+            const { category, ...filters } = data.filters;
+            this.filters = FilterQuery.normalize({ ...this.filters, ...filters });
+        }
+        if (data.filterPresets && typeof data.filterPresets === 'object') {
+            this.filterPresets = { ...data.filterPresets };
+        }
+        if (Array.isArray(data.categoryRules)) {
+            this.categoryRules = data.categoryRules.filter(rule => rule && Array.isArray(rule.conditions));
+        }
+        if (Array.isArray(data.transactionTemplates)) {
+            this.transactionTemplates = data.transactionTemplates.filter(template => template && template.name);
+        }
+        if (data.stats) {
+            this.stats = { ...this.stats, ...data.stats };
+        }
+        
+        this.invalidateCache();
+        this.updateStats();
+        this.history.clear();
+        this.emit('dataLoaded');
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 自動バックアップを作成（失敗しても例外を投げない）
+     * @param {string} label - 作成理由
+     * @returns {Promise<void>}
+     */
+    async createAutoBackup(label = CONSTANTS.BACKUP.LABELS.AUTO) {
+        try {
+            await this.createBackup(label);
+        } catch (error) {
+            console.error('自動バックアップの作成に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 現在のデータのバックアップを作成
+     * @param {string} label - 作成理由
+     * @returns {Promise<void>}
+     */
+    async createBackup(label = CONSTANTS.BACKUP.LABELS.MANUAL) {
+        const backupData = this.toSaveFormat();
+        
+        if (this.isInitialized && this.dbManager.db) {
+            await this.dbManager.createBackup(backupData, { label, keepCount: this.backupRetention });
+        } else {
+            // フォールバック: localStorageに保存（最新の1件のみ）
+            await this.writeLocalStorage(CONSTANTS.STORAGE_KEYS.BACKUP_DATA, {
+                timestamp: new Date().toISOString(),
+                version: '2.0.0',
+                label,
+                data: backupData
+            });
+        }
+        
+        this.emit('backupsChanged');
+    }
+
+    /**
+     * 最新のバックアップを取得
+     * @returns {Promise<object|null>} バックアップデータ
+     */
+    async getLatestBackup() {
+        try {
+            if (this.isInitialized && this.dbManager.db) {
+                return await this.dbManager.getLatestBackup();
+            } else {
+                // フォールバック: localStorageから取得
+                return await this.readLocalStorage(CONSTANTS.STORAGE_KEYS.BACKUP_DATA);
+            }
+        } catch (error) {
+            console.error('バックアップ取得エラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存されているすべてのバックアップを取得（新しい順）
+     * @returns {Promise<Array<object>>} バックアップの配列
+     */
+    async getBackups() {
+        if (this.isInitialized && this.dbManager.db) {
+            return this.dbManager.getAllBackups();
+        }
+        
+        // フォールバック: localStorageには最新の1件のみ
+        const backupData = await this.readLocalStorage(CONSTANTS.STORAGE_KEYS.BACKUP_DATA);
+        if (!backupData) return [];
+        
+        return [{ ...backupData, id: CONSTANTS.BACKUP.LOCAL_ID }];
     }
 
     /**
-     * 自動バックアップを作成
+     * バックアップのピン留めを切り替え（ピン留めしたバックアップは自動削除されない）
+     * @param {object} backup - バックアップ
+     * @param {boolean} pinned - ピン留めするかどうか
      * @returns {Promise<void>}
      */
-    async createAutoBackup() {
-        try {
-            const backupData = this.toSaveFormat();
+    async setBackupPinned(backup, pinned) {
+        const updated = { ...backup, pinned: Boolean(pinned) };
+        
+        if (backup.id === CONSTANTS.BACKUP.LOCAL_ID) {
+            const { id, ...stored } = updated;
+            await this.writeLocalStorage(CONSTANTS.STORAGE_KEYS.BACKUP_DATA, stored);
+        } else {
+            await this.dbManager.updateBackup(updated);
             
-            if (this.isInitialized && this.dbManager.db) {
-                await this.dbManager.createBackup(backupData);
-            } else {
-                // フォールバック: localStorageに保存
-                localStorage.setItem(CONSTANTS.STORAGE_KEYS.BACKUP_DATA, JSON.stringify({
-                    timestamp: new Date().toISOString(),
-                    version: '2.0.0',
-                    data: backupData
-                }));
+            // ピン留めを外した結果、保持数を超えた場合は削除
+            if (!pinned) {
+                await this.dbManager.cleanupOldBackups(this.backupRetention);
             }
-            
-            console.log('自動バックアップを作成しました');
-        } catch (error) {
-            console.error('自動バックアップの作成に失敗しました:', error);
         }
+        
+        this.emit('backupsChanged');
     }
 
     /**
-     * 最新のバックアップを取得
-     * @returns {Promise<object|null>} バックアップデータ
+     * バックアップを削除
+     * @param {number|string} id - バックアップID
+     * @returns {Promise<void>}
      */
-    async getLatestBackup() {
-        try {
-            if (this.isInitialized && this.dbManager.db) {
-                return await this.dbManager.getLatestBackup();
-            } else {
-                // フォールバック: localStorageから取得
-                const backupData = localStorage.getItem(CONSTANTS.STORAGE_KEYS.BACKUP_DATA);
-                return backupData ? JSON.parse(backupData) : null;
+    async deleteBackup(id) {
+        if (id === CONSTANTS.BACKUP.LOCAL_ID) {
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.BACKUP_DATA);
+        } else {
+            await this.dbManager.deleteBackup(id);
+        }
+        
+        this.emit('backupsChanged');
+    }
+
+    /**
+     * 保持する自動バックアップの数を設定
+     * @param {number} count - 保持数
+     * @returns {Promise<void>}
+     */
+    async setBackupRetention(count) {
+        const retention = Math.round(Number(count));
+        const { MIN_RETENTION, MAX_RETENTION } = CONSTANTS.BACKUP;
+        
+        if (!Number.isFinite(retention) || retention < MIN_RETENTION || retention > MAX_RETENTION) {
+            throw new Error(`保持数は${MIN_RETENTION}〜${MAX_RETENTION}の範囲で指定してください`);
+        }
+        
+        this.backupRetention = retention;
+        await this.saveSettings();
+        
+        if (this.isInitialized && this.dbManager.db) {
+            await this.dbManager.cleanupOldBackups(retention);
+        }
+        
+        this.emit('backupsChanged');
+    }
+
+    /**
+     * バックアップからすべてのデータを復元
+     * 復元前の状態は「復元前」のバックアップとして残す
+     * @param {object} backup - バックアップ
+     * @returns {Promise<void>}
+     */
+    async restoreBackup(backup) {
+        if (!backup || !backup.data) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_NOT_FOUND);
+        }
+        
+        await this.createAutoBackup(CONSTANTS.BACKUP.LABELS.BEFORE_RESTORE);
+        
+        const previousAccountIds = this.accounts.map(a => a.id);
+        const previousRuleIds = this.recurringRules.map(r => r.id);
+        
+        this.fromSaveFormat(backup.data);
+        
+        if (this.isInitialized && this.dbManager.db) {
+            try {
+                await this.dbManager.clearTransactions();
+                await this.dbManager.putTransactionsBatch(this.transactions);
+                
+                // バックアップに含まれない口座・定期取引ルールを削除してから書き込む
+                const accountIds = new Set(this.accounts.map(a => a.id));
+                for (const id of previousAccountIds.filter(id => !accountIds.has(id))) {
+                    await this.dbManager.deleteAccount(id);
+                }
+                for (const account of this.accounts) {
+                    await this.dbManager.saveAccount(account);
+                }
+                
+                const ruleIds = new Set(this.recurringRules.map(r => r.id));
+                for (const id of previousRuleIds.filter(id => !ruleIds.has(id))) {
+                    await this.dbManager.deleteRecurringRule(id);
+                }
+                for (const rule of this.recurringRules) {
+                    await this.dbManager.saveRecurringRule(rule);
+                }
+            } catch (error) {
+                console.error('復元データの保存エラー:', error);
+                this.saveToLocalStorage();
             }
-        } catch (error) {
-            console.error('バックアップ取得エラー:', error);
-            return null;
         }
+        
+        await this.saveSettings();
+        this.emit('accountsChanged', this.accounts);
+        this.emit('recurringRulesChanged', this.recurringRules);
+        this.emit('backupRestored', { mode: 'full', count: this.transactions.length });
+    }
+
+    /**
+     * バックアップにだけある取引を現在のデータに戻す（元に戻すことができる）
+     * 取引が参照しているカテゴリ・口座が無くなっている場合は一緒に戻す
+     * @param {object} backup - バックアップ
+     * @param {Array<object>} transactions - 戻す取引（BackupDiffで「削除」とされたもの）
+     * @returns {Promise<number>} 戻した件数
+     */
+    async restoreMissingTransactions(backup, transactions) {
+        const existingIds = new Set(this.transactions.map(t => t.id));
+        const candidates = transactions.filter(t => !existingIds.has(t.id));
+        
+        if (candidates.length === 0) {
+            return 0;
+        }
+        
+        // 口座
+        const missingAccounts = (backup.data.accounts || []).filter(account =>
+            !this.getAccount(account.id) &&
+            candidates.some(t => t.accountId === account.id || t.toAccountId === account.id)
+        );
+        for (const account of missingAccounts) {
+            this.accounts.push({ ...account });
+            await this.persistAccount(account);
+        }
+        if (missingAccounts.length > 0) {
+            this.emit('accountsChanged', this.accounts);
+        }
+        
+        // カテゴリ（取引と合わせて元に戻せるようにまとめて記録）
+        const label = `バックアップから${candidates.length}件の取引を復元`;
+        const records = await this.history.group(label, async () => {
+            // 現在のカテゴリにIDも名前もないものはバックアップの名前で追加
+            const resolved = this.mapCategoryIds(candidates, backup.data.categories).map(t => {
+                if (!('category' in t) || !this.categories[t.type]) return t;
+                
+                const { category, ...rest } = t;
+                const name = Sanitizer.sanitizeCategory(category) || CONSTANTS.FALLBACK_CATEGORIES[t.type];
+                const node = this.findCategory(t.type, name) || this.addCategory(t.type, name);
+                return { ...rest, categoryId: node.id };
+            });
+            
+            await this.writeTransactions(resolved);
+            this.history.record({
+                label,
+                undo: () => this.eraseTransactions(resolved.map(t => t.id)),
+                redo: () => this.writeTransactions(resolved)
+            });
+            return resolved;
+        });
+        
+        this.emit('backupRestored', { mode: 'missing', count: records.length });
+        
+        return records.length;
     }
 
     /**
@@ -548,13 +2924,20 @@ export class HouseholdBudgetData extends EventEmitter {
      * @returns {Promise<void>}
      */
     async saveSettings() {
-        if (!this.isInitialized) return;
+        // ロック中はデータを消してあるため保存しない
+        if (!this.isInitialized || this.isLocked) return;
         
         try {
             if (this.dbManager.db) {
                 await this.dbManager.saveSettings({
                     categories: this.categories,
+                    budgets: this.budgets,
+                    importMappings: this.importMappings,
+                    backupRetention: this.backupRetention,
                     filters: this.filters,
+                    filterPresets: this.filterPresets,
+                    categoryRules: this.categoryRules,
+                    transactionTemplates: this.transactionTemplates,
                     idCounter: this.idCounter,
                     stats: this.stats
                 });
@@ -572,11 +2955,297 @@ export class HouseholdBudgetData extends EventEmitter {
      * localStorageに保存（フォールバック）
      */
     saveToLocalStorage() {
-        try {
-            const data = this.toSaveFormat();
-            localStorage.setItem(CONSTANTS.STORAGE_KEYS.MAIN_DATA, JSON.stringify(data));
-        } catch (error) {
+        const data = this.toSaveFormat();
+        this.writeLocalStorage(CONSTANTS.STORAGE_KEYS.MAIN_DATA, data).catch(error => {
             console.error('localStorage保存エラー:', error);
+        });
+    }
+
+    /**
+     * localStorageに書き込む（暗号化している場合は暗号化する）
+     * @param {string} key - キー
+     * @param {*} value - JSONにできる値
+     * @param {EncryptionManager|null} cipher - 暗号化に使うEncryptionManager
+     * @returns {Promise<void>}
+     */
+    async writeLocalStorage(key, value, cipher = this.cipher) {
+        const stored = cipher ? { encrypted: await cipher.encrypt(value) } : value;
+        localStorage.setItem(key, JSON.stringify(stored));
+    }
+
+    /**
+     * localStorageから読み込む（暗号化されている場合は復号する）
+     * @param {string} key - キー
+     * @returns {Promise<*>} 値（保存されていない場合はnull）
+     */
+    async readLocalStorage(key) {
+        const saved = localStorage.getItem(key);
+        if (!saved) return null;
+        
+        const parsed = JSON.parse(saved);
+        if (!parsed?.encrypted) return parsed;
+        if (!this.cipher) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.DATA_LOCKED);
+        }
+        return this.cipher.decrypt(parsed.encrypted);
+    }
+
+    /**
+     * このブラウザで暗号化を使えるかどうか
+     * @returns {boolean}
+     */
+    isEncryptionSupported() {
+        return EncryptionManager.isSupported();
+    }
+
+    /**
+     * 暗号化しているかどうか
+     * @returns {boolean}
+     */
+    isEncryptionEnabled() {
+        return this.cipher !== null;
+    }
+
+    /**
+     * 操作がないときに自動でロックするまでの分数
+     * @returns {number} 分数（0は自動でロックしない、暗号化していない場合も0）
+     */
+    getAutoLockMinutes() {
+        return this.cipher ? this.cipher.meta.autoLockMinutes : 0;
+    }
+
+    /**
+     * 暗号化のメタ情報を読み込む
+     * @returns {Promise<object|null>} メタ情報（暗号化していない場合はnull）
+     */
+    async loadEncryptionMeta() {
+        if (this.dbManager.db) {
+            return this.dbManager.getEncryptionMeta();
+        }
+        
+        const saved = localStorage.getItem(CONSTANTS.STORAGE_KEYS.ENCRYPTION);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    /**
+     * 暗号化している場合は、ロックが解除されるまで待つ（起動時）
+     * @returns {Promise<void>}
+     */
+    async unlockIfEncrypted() {
+        if (!this.cipher) {
+            const meta = await this.loadEncryptionMeta();
+            if (!meta) return;
+            
+            this.cipher = new EncryptionManager(meta);
+            this.dbManager.cipher = this.cipher;
+        }
+        if (!this.cipher.isLocked) return;
+        
+        this.isLocked = true;
+        await new Promise(resolve => {
+            this.pendingUnlock = resolve;
+            this.emit('locked');
+        });
+    }
+
+    /**
+     * パスフレーズでロックを解除し、データを読み込む
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} パスフレーズが違う場合
+     */
+    async unlock(passphrase) {
+        if (!this.cipher || !this.isLocked) return;
+        
+        await this.cipher.unlock(passphrase);
+        this.isLocked = false;
+        
+        if (this.pendingUnlock) {
+            // 起動中の場合は init() の続きでデータを読み込む
+            const resolve = this.pendingUnlock;
+            this.pendingUnlock = null;
+            resolve();
+        } else if (this.dbManager.db) {
+            await this.loadData();
+            this.emit('dataLoaded');
+            this.emit('dataChanged');
+            await this.processRecurringRules();
+            this.scheduleRecurringCheck();
+        } else {
+            await this.loadFromLocalStorage();
+        }
+        
+        this.emit('unlocked');
+    }
+
+    /**
+     * 書き込み処理を実行し、実行中の書き込みとして記録する
+     * @param {Function} task - 実行する非同期処理
+     * @returns {Promise<*>} 処理の戻り値
+     */
+    async runWrite(task) {
+        const promise = task();
+        this.pendingWrites.add(promise);
+        try {
+            return await promise;
+        } finally {
+            this.pendingWrites.delete(promise);
+        }
+    }
+
+    /**
+     * ロックする（鍵と、復号したデータをメモリから消す）
+     * 実行中の書き込みがある場合は完了を待つ（途中で消すと、書き込みの続きが復号したデータをメモリに戻すため）
+     * @returns {Promise<void>}
+     */
+    async lock() {
+        if (!this.cipher || this.isLocked) return;
+        
+        while (this.pendingWrites.size > 0) {
+            await Promise.allSettled([...this.pendingWrites]);
+        }
+        if (!this.cipher || this.isLocked) return;
+        
+        this.cipher.lock();
+        this.isLocked = true;
+        clearTimeout(this.recurringCheckTimer);
+        
+        // 元に戻す操作には削除した取引などが含まれるため破棄する
+        this.history.clear();
+        
+        // カテゴリと口座は画面の表示に使うため残す
+        this.transactions = [];
+        this.filteredTransactions = [];
+        this.recurringRules = [];
+        this.budgets = {};
+        this.importMappings = {};
+        this.filterPresets = {};
+        this.categoryRules = [];
+        this.transactionTemplates = [];
+        this.descriptionSuggester.sync([]);
+        this.invalidateCache();
+        
+        this.emit('locked');
+        this.emit('dataChanged');
+    }
+
+    /**
+     * 暗号化を有効にする（保存されているデータをすべて暗号化する）
+     * @param {string} passphrase - パスフレーズ
+     * @param {number} autoLockMinutes - 操作がないときに自動でロックするまでの分数（0はしない）
+     * @returns {Promise<void>}
+     */
+    async enableEncryption(passphrase, autoLockMinutes = CONSTANTS.ENCRYPTION.DEFAULT_AUTO_LOCK_MINUTES) {
+        if (!EncryptionManager.isSupported()) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.ENCRYPTION_UNSUPPORTED);
+        }
+        if (this.cipher) {
+            throw new Error('すでに暗号化しています');
+        }
+        
+        const cipher = await EncryptionManager.create(passphrase, { autoLockMinutes: this.normalizeAutoLockMinutes(autoLockMinutes) });
+        await this.applyCipher(cipher);
+    }
+
+    /**
+     * パスフレーズを変更する（新しい鍵ですべてのデータを暗号化し直す）
+     * @param {string} currentPassphrase - 現在のパスフレーズ
+     * @param {string} newPassphrase - 新しいパスフレーズ
+     * @returns {Promise<void>}
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.verifyPassphrase(currentPassphrase);
+        
+        const cipher = await EncryptionManager.create(newPassphrase, { autoLockMinutes: this.cipher.meta.autoLockMinutes });
+        await this.applyCipher(cipher);
+    }
+
+    /**
+     * 暗号化を解除する（保存されているデータをすべて平文に戻す）
+     * @param {string} passphrase - 現在のパスフレーズ
+     * @returns {Promise<void>}
+     */
+    async disableEncryption(passphrase) {
+        await this.verifyPassphrase(passphrase);
+        await this.applyCipher(null);
+    }
+
+    /**
+     * 自動でロックするまでの分数を変更
+     * @param {number} minutes - 分数（0は自動でロックしない）
+     * @returns {Promise<void>}
+     */
+    async setAutoLockMinutes(minutes) {
+        if (!this.cipher) return;
+        
+        this.cipher.meta = { ...this.cipher.meta, autoLockMinutes: this.normalizeAutoLockMinutes(minutes) };
+        await this.saveEncryptionMeta(this.cipher.meta);
+        this.emit('encryptionChanged');
+    }
+
+    /**
+     * 自動でロックするまでの分数を選択肢のいずれかにする
+     * @param {number} minutes - 分数
+     * @returns {number} 分数
+     */
+    normalizeAutoLockMinutes(minutes) {
+        const value = Number(minutes);
+        return CONSTANTS.ENCRYPTION.AUTO_LOCK_CHOICES.includes(value)
+            ? value
+            : CONSTANTS.ENCRYPTION.DEFAULT_AUTO_LOCK_MINUTES;
+    }
+
+    /**
+     * 現在のパスフレーズが正しいか確認
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} 暗号化していない場合、パスフレーズが違う場合
+     */
+    async verifyPassphrase(passphrase) {
+        if (!this.cipher || this.isLocked) {
+            throw new Error('暗号化していないか、ロック中です');
+        }
+        
+        await new EncryptionManager(this.cipher.meta).unlock(passphrase);
+    }
+
+    /**
+     * 保存されているデータを新しい鍵で暗号化し直し、以降の保存に使う
+     * @param {EncryptionManager|null} cipher - 新しい鍵（暗号化を解除する場合はnull）
+     * @returns {Promise<void>}
+     */
+    async applyCipher(cipher) {
+        if (this.isInitialized && this.dbManager.db) {
+            await this.dbManager.reencryptAll(cipher);
+        } else if (cipher) {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.ENCRYPTION, JSON.stringify(cipher.meta));
+        } else {
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.ENCRYPTION);
+        }
+        
+        // localStorageのデータ（IndexedDBに保存できなかったときのもの）も暗号化し直す
+        for (const key of [CONSTANTS.STORAGE_KEYS.MAIN_DATA, CONSTANTS.STORAGE_KEYS.BACKUP_DATA]) {
+            const value = await this.readLocalStorage(key);
+            if (value !== null) {
+                await this.writeLocalStorage(key, value, cipher);
+            }
+        }
+        
+        this.cipher = cipher;
+        this.dbManager.cipher = cipher;
+        this.emit('encryptionChanged');
+    }
+
+    /**
+     * 暗号化のメタ情報を保存
+     * @param {object} meta - メタ情報
+     * @returns {Promise<void>}
+     */
+    async saveEncryptionMeta(meta) {
+        if (this.isInitialized && this.dbManager.db) {
+            await this.dbManager.saveEncryptionMeta(meta);
+        } else {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.ENCRYPTION, JSON.stringify(meta));
         }
     }
 
@@ -585,6 +3254,7 @@ export class HouseholdBudgetData extends EventEmitter {
      * @returns {Promise<void>}
      */
     async clearAllData() {
+        const cleared = this.transactions;
         this.transactions = [];
         this.filteredTransactions = [];
         
@@ -601,6 +3271,15 @@ export class HouseholdBudgetData extends EventEmitter {
         
         this.invalidateCache();
         this.updateStats();
+        
+        if (cleared.length > 0) {
+            this.history.record({
+                label: `すべての取引の削除（${cleared.length}件）`,
+                undo: () => this.writeTransactions(cleared),
+                redo: () => this.clearAllData()
+            });
+        }
+        
         this.emit('dataCleared');
         this.emit('dataChanged');
     }
@@ -654,21 +3333,33 @@ export class HouseholdBudgetData extends EventEmitter {
             if (!t.type || !Object.values(CONSTANTS.TRANSACTION_TYPES).includes(t.type)) {
                 issues.push(`行${index + 1}: 種別が不正`);
             }
-            if (!t.category) issues.push(`行${index + 1}: カテゴリが不正`);
             if (typeof t.amount !== 'number' || t.amount <= 0) {
                 issues.push(`行${index + 1}: 金額が不正`);
             }
         });
 
-        // カテゴリ整合性チェック
-        const allCategories = [
-            ...this.categories[CONSTANTS.TRANSACTION_TYPES.INCOME],
-            ...this.categories[CONSTANTS.TRANSACTION_TYPES.EXPENSE]
-        ];
+        // カテゴリ整合性チェック（振替はカテゴリを持たない）
+        const categoryCount = Object.values(this.categories).reduce((sum, list) => sum + list.length, 0);
 
         this.transactions.forEach((t, index) => {
-            if (!allCategories.includes(t.category)) {
-                issues.push(`行${index + 1}: 存在しないカテゴリ「${t.category}」`);
+            if (t.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+                if (!t.toAccountId || !this.getAccount(t.toAccountId)) {
+                    issues.push(`行${index + 1}: 振替先の口座が不正`);
+                }
+                return;
+            }
+            if (!this.getCategoryById(t.type, t.categoryId)) {
+                issues.push(`行${index + 1}: 存在しないカテゴリ（ID: ${t.categoryId || 'なし'}）`);
+            }
+            if (Array.isArray(t.splits) && t.splits.length > 0) {
+                t.splits.forEach((split, splitIndex) => {
+                    if (!this.getCategoryById(t.type, split.categoryId)) {
+                        issues.push(`行${index + 1}: 分割${splitIndex + 1}行目が存在しないカテゴリ（ID: ${split.categoryId || 'なし'}）`);
+                    }
+                });
+                if (t.splits.reduce((sum, split) => sum + split.amount, 0) !== t.amount) {
+                    issues.push(`行${index + 1}: 分割の金額の合計が取引の金額と一致しない`);
+                }
             }
         });
 
@@ -679,7 +3370,7 @@ export class HouseholdBudgetData extends EventEmitter {
             summary: {
                 totalTransactions: this.transactions.length,
                 uniqueIds: seenIds.size,
-                categories: allCategories.length
+                categories: categoryCount
             }
         };
     }
@@ -730,25 +3421,49 @@ export class HouseholdBudgetData extends EventEmitter {
             return isValid;
         });
 
-        // 存在しないカテゴリを修復
-        const allCategories = [
-            ...this.categories[CONSTANTS.TRANSACTION_TYPES.INCOME],
-            ...this.categories[CONSTANTS.TRANSACTION_TYPES.EXPENSE]
-        ];
+        // 存在しないカテゴリの代わりに使うカテゴリ（なければ作成）
+        const getFallbackCategory = (type) => {
+            const defaultCategory = type === CONSTANTS.TRANSACTION_TYPES.INCOME 
+                ? 'その他収入' 
+                : 'その他支出';
+            
+            let fallback = this.findCategory(type, defaultCategory);
+            if (!fallback) {
+                fallback = CategoryTree.createNode(defaultCategory, null, {
+                    color: CategoryTree.getNextColor(this.categories[type])
+                });
+                this.categories[type].push(fallback);
+            }
+            return fallback;
+        };
 
+        // 存在しないカテゴリを修復
         this.transactions.forEach(t => {
-            if (!allCategories.includes(t.category)) {
-                const defaultCategory = t.type === CONSTANTS.TRANSACTION_TYPES.INCOME 
-                    ? 'その他収入' 
-                    : 'その他支出';
-                
-                if (!this.categories[t.type].includes(defaultCategory)) {
-                    this.categories[t.type].push(defaultCategory);
-                }
-                
-                t.category = defaultCategory;
-                repairs.push(`カテゴリ「${t.category}」を「${defaultCategory}」に修復`);
+            if (t.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) return;
+            if (!this.getCategoryById(t.type, t.categoryId)) {
+                const fallback = getFallbackCategory(t.type);
+                repairs.push(`存在しないカテゴリ（ID: ${t.categoryId || 'なし'}）を「${fallback.name}」に修復`);
+                t.categoryId = fallback.id;
+                delete t.category;
+            }
+
+            if (!Array.isArray(t.splits) || t.splits.length === 0) return;
+
+            // 合計が一致しない分割は取り消して、取引全体を1行目のカテゴリに計上する
+            if (t.splits.reduce((sum, split) => sum + split.amount, 0) !== t.amount) {
+                repairs.push(`${t.date}の取引: 金額の合計が一致しない分割を取り消し`);
+                delete t.splits;
+                return;
             }
+
+            t.splits.forEach(split => {
+                if (!this.getCategoryById(t.type, split.categoryId)) {
+                    const fallback = getFallbackCategory(t.type);
+                    repairs.push(`分割の存在しないカテゴリ（ID: ${split.categoryId || 'なし'}）を「${fallback.name}」に修復`);
+                    split.categoryId = fallback.id;
+                }
+            });
+            t.categoryId = t.splits[0].categoryId;
         });
 
         this.invalidateCache();
@@ -774,6 +3489,9 @@ export class HouseholdBudgetData extends EventEmitter {
         // イベントリスナーを削除
         this.removeAllListeners();
         
+        // 定期取引のチェックタイマーを停止
+        clearTimeout(this.recurringCheckTimer);
+        
         // データベース接続を閉じる
         if (this.dbManager) {
             this.dbManager.close();
@@ -782,34 +3500,16 @@ export class HouseholdBudgetData extends EventEmitter {
         // キャッシュをクリア
         this.invalidateCache();
         
+        // 履歴を破棄
+        this.history.clear();
+        this.history.removeAllListeners();
+        
         // 参照をクリア
         this.transactions = null;
         this.filteredTransactions = null;
         this.categories = null;
         this.filters = null;
+        this.recurringRules = null;
+        this.accounts = null;
     }
-}テゴリを追加
-     * @param {string} type - トランザクション種別
-     * @param {string} categoryName - カテゴリ名
-     * @returns {boolean} 成功フラグ
-     */
-    addCategory(type, categoryName) {
-        const sanitizedName = Sanitizer.sanitizeCategory(categoryName);
-        
-        if (!sanitizedName) {
-            throw new Error('有効なカテゴリ名を入力してください');
-        }
-        
-        if (this.categories[type].includes(sanitizedName)) {
-            throw new Error(CONSTANTS.ERROR_MESSAGES.CATEGORY_EXISTS);
-        }
-        
-        this.categories[type].push(sanitizedName);
-        this.saveSettings();
-        this.emit('categoryAdded', { type, categoryName: sanitizedName });
-        
-        return true;
-    }
-
-    /**
-     * カ
+}
\ No newline at end of file
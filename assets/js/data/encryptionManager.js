@@ -0,0 +1,187 @@
+// 保存データの暗号化クラス（WebCrypto AES-GCM・パスフレーズからPBKDF2で鍵を導出）
+import { CONSTANTS } from '../constants.js';
+
+/**
+ * 1つのパスフレーズ（鍵）で暗号化・復号する
+ * 鍵の導出に必要な情報（ソルト・反復回数）と、パスフレーズの確認用の暗号文はメタ情報として平文で保存する
+ * 鍵は取り出せない（extractable: false）CryptoKeyとしてメモリにだけ持ち、lock()で破棄する
+ */
+export class EncryptionManager {
+    /**
+     * @param {object} meta - メタ情報（EncryptionManager.create の戻り値の meta）
+     */
+    constructor(meta) {
+        this.meta = meta;
+        this.key = null;
+    }
+
+    /**
+     * このブラウザで暗号化を使えるかどうか（WebCryptoはHTTPSかlocalhostでのみ使える）
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return Boolean(globalThis.crypto?.subtle);
+    }
+
+    /**
+     * 新しいパスフレーズで鍵を作成（ロックを解除した状態で返す）
+     * @param {string} passphrase - パスフレーズ
+     * @param {object} options - { autoLockMinutes: 操作がないときに自動でロックするまでの分数（0はしない） }
+     * @returns {Promise<EncryptionManager>}
+     */
+    static async create(passphrase, { autoLockMinutes = CONSTANTS.ENCRYPTION.DEFAULT_AUTO_LOCK_MINUTES } = {}) {
+        this.validatePassphrase(passphrase);
+
+        const salt = crypto.getRandomValues(new Uint8Array(CONSTANTS.ENCRYPTION.SALT_BYTES));
+        const manager = new EncryptionManager({
+            version: 1,
+            kdf: 'PBKDF2-SHA-256',
+            iterations: CONSTANTS.ENCRYPTION.PBKDF2_ITERATIONS,
+            salt: this.toBase64(salt),
+            check: null,
+            autoLockMinutes,
+            createdAt: new Date().toISOString()
+        });
+        manager.key = await this.deriveKey(passphrase, salt, manager.meta.iterations);
+        manager.meta.check = await manager.encrypt(CONSTANTS.ENCRYPTION.CHECK_VALUE);
+
+        return manager;
+    }
+
+    /**
+     * パスフレーズの長さを検証
+     * @param {string} passphrase - パスフレーズ
+     * @throws {Error} 短すぎる場合
+     */
+    static validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < CONSTANTS.ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.PASSPHRASE_TOO_SHORT);
+        }
+    }
+
+    /**
+     * パスフレーズから鍵を導出
+     * @param {string} passphrase - パスフレーズ
+     * @param {Uint8Array} salt - ソルト
+     * @param {number} iterations - 反復回数
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * ロック中かどうか
+     * @returns {boolean}
+     */
+    get isLocked() {
+        return this.key === null;
+    }
+
+    /**
+     * パスフレーズでロックを解除
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} パスフレーズが違う場合
+     */
+    async unlock(passphrase) {
+        const key = await EncryptionManager.deriveKey(
+            String(passphrase), EncryptionManager.fromBase64(this.meta.salt), this.meta.iterations
+        );
+
+        // 確認用の暗号文を復号できればパスフレーズは正しい（AES-GCMは鍵が違うと復号に失敗する）
+        try {
+            const value = await EncryptionManager.decryptWith(key, this.meta.check);
+            if (value !== CONSTANTS.ENCRYPTION.CHECK_VALUE) throw new Error();
+        } catch {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.WRONG_PASSPHRASE);
+        }
+
+        this.key = key;
+    }
+
+    /**
+     * ロックする（鍵を破棄する）
+     */
+    lock() {
+        this.key = null;
+    }
+
+    /**
+     * 値を暗号化
+     * @param {*} value - JSONにできる値
+     * @returns {Promise<object>} { iv, data }（どちらもBase64）
+     */
+    async encrypt(value) {
+        if (this.isLocked) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.DATA_LOCKED);
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(CONSTANTS.ENCRYPTION.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return { iv: EncryptionManager.toBase64(iv), data: EncryptionManager.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * 暗号文を復号
+     * @param {object} payload - encrypt の戻り値
+     * @returns {Promise<*>} 元の値
+     */
+    async decrypt(payload) {
+        if (this.isLocked) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.DATA_LOCKED);
+        }
+
+        return EncryptionManager.decryptWith(this.key, payload);
+    }
+
+    /**
+     * 指定した鍵で暗号文を復号
+     * @param {CryptoKey} key - 鍵
+     * @param {object} payload - { iv, data }
+     * @returns {Promise<*>} 元の値
+     */
+    static async decryptWith(key, payload) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data)
+        );
+
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * バイト列をBase64に変換
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string}
+     */
+    static toBase64(bytes) {
+        // 大きな取引データでも引数の数の上限を超えないように分けて変換する
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Base64をバイト列に変換
+     * @param {string} base64 - Base64
+     * @returns {Uint8Array}
+     */
+    static fromBase64(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+}
@@ -0,0 +1,188 @@
+// 元に戻す・やり直しの履歴管理クラス
+import { EventEmitter } from './eventEmitter.js';
+import { CONSTANTS } from '../constants.js';
+
+/**
+ * 変更操作を「元に戻す処理」と「やり直す処理」の組（コマンド）として記録する
+ * コマンドは { label, undo: async () => {}, redo: async () => {} } の形式
+ */
+export class HistoryManager extends EventEmitter {
+    constructor(limit = CONSTANTS.DEFAULTS.HISTORY_LIMIT) {
+        super();
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // 元に戻す・やり直しの実行中は記録しない
+        this.pendingGroup = null; // group()の実行中に記録されたコマンド
+    }
+
+    /**
+     * コマンドを記録（やり直し履歴は破棄される）
+     * @param {object} command - { label, undo, redo }
+     */
+    record(command) {
+        if (this.isApplying) return;
+
+        if (this.pendingGroup) {
+            this.pendingGroup.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.emit('historyChanged', this.getState());
+    }
+
+    /**
+     * 処理中に記録されたコマンドを1つの操作としてまとめる
+     * @param {string} label - 操作名
+     * @param {Function} fn - 実行する処理
+     * @returns {Promise<*>} 処理の戻り値
+     */
+    async group(label, fn) {
+        // 入れ子の場合は外側のグループにまとめる
+        if (this.pendingGroup) return fn();
+
+        this.pendingGroup = [];
+        try {
+            return await fn();
+        } finally {
+            const commands = this.pendingGroup;
+            this.pendingGroup = null;
+
+            // 途中で失敗した場合も、実行済みの変更は元に戻せるように記録する
+            if (commands.length > 0) {
+                this.record({
+                    label,
+                    undo: async () => {
+                        for (const command of [...commands].reverse()) {
+                            await command.undo();
+                        }
+                    },
+                    redo: async () => {
+                        for (const command of commands) {
+                            await command.redo();
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * グループの実行中かどうか
+     * @returns {boolean}
+     */
+    isGrouping() {
+        return this.pendingGroup !== null;
+    }
+
+    /**
+     * 直前の操作を元に戻す
+     * @returns {Promise<object|null>} 元に戻したコマンド（履歴が空の場合はnull）
+     */
+    async undo() {
+        if (this.isApplying || this.undoStack.length === 0) return null;
+
+        const command = this.undoStack.pop();
+        await this.apply(command, 'undo');
+        this.redoStack.push(command);
+
+        this.emit('undone', command);
+        this.emit('historyChanged', this.getState());
+        return command;
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     * @returns {Promise<object|null>} やり直したコマンド（履歴が空の場合はnull）
+     */
+    async redo() {
+        if (this.isApplying || this.redoStack.length === 0) return null;
+
+        const command = this.redoStack.pop();
+        await this.apply(command, 'redo');
+        this.undoStack.push(command);
+
+        this.emit('redone', command);
+        this.emit('historyChanged', this.getState());
+        return command;
+    }
+
+    /**
+     * コマンドを実行（実行中に発生した変更は記録しない）
+     * @param {object} command - コマンド
+     * @param {string} direction - 'undo' または 'redo'
+     */
+    async apply(command, direction) {
+        this.isApplying = true;
+        try {
+            await command[direction]();
+        } catch (error) {
+            // 状態が不明になるため履歴ごと破棄する
+            this.clear();
+            throw error;
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * 履歴をすべて破棄
+     * バックアップからの復元など、記録済みの操作と整合しなくなる変更の後に呼び出す
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('historyChanged', this.getState());
+    }
+
+    /**
+     * 次に元に戻すコマンドを取得
+     * @returns {object|null} コマンド
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * 次にやり直すコマンドを取得
+     * @returns {object|null} コマンド
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * 元に戻せるかどうか
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * やり直せるかどうか
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 現在の履歴の状態を取得
+     * @returns {object} { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.peekUndo()?.label || null,
+            redoLabel: this.peekRedo()?.label || null
+        };
+    }
+}
@@ -1,5 +1,18 @@
 // IndexedDB管理クラス
 import { CONSTANTS } from '../constants.js';
+import { MIGRATIONS } from './migrations.js';
+
+/**
+ * 暗号化したレコードでも平文のまま残す項目（キーと、バックアップの一覧・整理に使う項目）
+ * それ以外はレコード全体を暗号化した encrypted にまとめる
+ */
+const PLAIN_FIELDS = {
+    [CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS]: ['id'],
+    [CONSTANTS.INDEXEDDB.STORES.SETTINGS]: ['key'],
+    [CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES]: ['id'],
+    [CONSTANTS.INDEXEDDB.STORES.ACCOUNTS]: ['id'],
+    [CONSTANTS.INDEXEDDB.STORES.BACKUPS]: ['id', 'timestamp', 'version', 'label', 'pinned']
+};
 
 export class IndexedDBManager {
     constructor() {
@@ -7,6 +20,7 @@ export class IndexedDBManager {
         this.dbName = CONSTANTS.INDEXEDDB.DB_NAME;
         this.version = CONSTANTS.INDEXEDDB.VERSION;
         this.isReady = false;
+        this.cipher = null; // 書き込むレコードを暗号化するEncryptionManager（暗号化しない場合はnull）
     }
 
     /**
@@ -41,7 +55,14 @@ export class IndexedDBManager {
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                this.createObjectStores(db);
+                try {
+                    this.runMigrations(db, event.target.transaction, event.oldVersion, event.newVersion);
+                } catch (error) {
+                    // アップグレードを中断し、onerrorで初期化失敗として扱う
+                    // （リクエストのコールバック内の例外は migrations.js の abortOnError で中断する）
+                    console.error('IndexedDBマイグレーションエラー:', error);
+                    event.target.transaction.abort();
+                }
             };
 
             // ブロッキング状況の処理
@@ -52,41 +73,25 @@ export class IndexedDBManager {
     }
 
     /**
-     * オブジェクトストアを作成
+     * 未適用のマイグレーションをバージョン順に実行
+     * onupgradeneededのversionchangeトランザクション内で呼び出す
+     * レコードの書き換えは非同期に終わるため、前のマイグレーションが終わってから次を始める
+     * （同じストアを複数のカーソルで同時に書き換えると、後から書き込んだ方で先の変更が失われる）
      * @param {IDBDatabase} db - データベースインスタンス
+     * @param {IDBTransaction} transaction - versionchangeトランザクション
+     * @param {number} oldVersion - アップグレード前のバージョン（新規作成時は0）
+     * @param {number} newVersion - アップグレード後のバージョン
      */
-    createObjectStores(db) {
-        // トランザクションストア
-        if (!db.objectStoreNames.contains(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS)) {
-            const transactionStore = db.createObjectStore(
-                CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS,
-                { keyPath: 'id' }
-            );
-            
-            // インデックスを作成
-            transactionStore.createIndex('date', 'date', { unique: false });
-            transactionStore.createIndex('type', 'type', { unique: false });
-            transactionStore.createIndex('category', 'category', { unique: false });
-            transactionStore.createIndex('amount', 'amount', { unique: false });
-            transactionStore.createIndex('dateType', ['date', 'type'], { unique: false });
-        }
+    runMigrations(db, transaction, oldVersion, newVersion) {
+        const pending = MIGRATIONS
+            .filter(m => m.version > oldVersion && m.version <= newVersion)
+            .sort((a, b) => a.version - b.version);
 
-        // 設定ストア
-        if (!db.objectStoreNames.contains(CONSTANTS.INDEXEDDB.STORES.SETTINGS)) {
-            db.createObjectStore(
-                CONSTANTS.INDEXEDDB.STORES.SETTINGS,
-                { keyPath: 'key' }
-            );
-        }
-
-        // バックアップストア
-        if (!db.objectStoreNames.contains(CONSTANTS.INDEXEDDB.STORES.BACKUPS)) {
-            const backupStore = db.createObjectStore(
-                CONSTANTS.INDEXEDDB.STORES.BACKUPS,
-                { keyPath: 'id', autoIncrement: true }
-            );
-            backupStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+        const runNext = (index) => {
+            if (index >= pending.length) return;
+            pending[index].migrate(db, transaction, () => runNext(index + 1));
+        };
+        runNext(0);
     }
 
     /**
@@ -119,7 +124,7 @@ export class IndexedDBManager {
             request.onerror = () => {
                 reject(new Error(`トランザクションの取得に失敗しました: ${request.error}`));
             };
-        });
+        }).then(records => this.openRecords(records));
     }
 
     /**
@@ -131,6 +136,12 @@ export class IndexedDBManager {
     async getTransactionsByDateRange(startDate, endDate) {
         this.checkReady();
         
+        // 暗号化した取引はインデックスに載らないため、すべて復号してから絞り込む
+        if (this.cipher) {
+            const transactions = await this.getAllTransactions();
+            return transactions.filter(t => t.date >= startDate && t.date <= endDate);
+        }
+        
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readonly');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
         const index = store.index('date');
@@ -149,6 +160,36 @@ export class IndexedDBManager {
         });
     }
 
+    /**
+     * タグでトランザクションを取得（tagsのmultiEntryインデックスを使用）
+     * @param {string} tag - タグ
+     * @returns {Promise<Array>} トランザクション配列
+     */
+    async getTransactionsByTag(tag) {
+        this.checkReady();
+        
+        if (this.cipher) {
+            const transactions = await this.getAllTransactions();
+            return transactions.filter(t => (t.tags || []).includes(tag));
+        }
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readonly');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
+        const index = store.index('tags');
+        
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(tag);
+            
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+            
+            request.onerror = () => {
+                reject(new Error(`タグによるトランザクションの取得に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
     /**
      * トランザクションを追加
      * @param {object} transactionData - トランザクションデータ
@@ -157,15 +198,16 @@ export class IndexedDBManager {
     async addTransaction(transactionData) {
         this.checkReady();
         
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS, {
+            ...transactionData,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
         
         return new Promise((resolve, reject) => {
-            const request = store.add({
-                ...transactionData,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            });
+            const request = store.add(record);
             
             request.onsuccess = () => resolve();
             
@@ -183,14 +225,15 @@ export class IndexedDBManager {
     async updateTransaction(transactionData) {
         this.checkReady();
         
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS, {
+            ...transactionData,
+            updatedAt: new Date().toISOString()
+        });
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
         
         return new Promise((resolve, reject) => {
-            const request = store.put({
-                ...transactionData,
-                updatedAt: new Date().toISOString()
-            });
+            const request = store.put(record);
             
             request.onsuccess = () => resolve();
             
@@ -230,24 +273,27 @@ export class IndexedDBManager {
     async addTransactionsBatch(transactions) {
         this.checkReady();
         
+        const records = await Promise.all(transactions.map(transactionData =>
+            this.sealRecord(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS, {
+                ...transactionData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            })
+        ));
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
         
         return new Promise((resolve, reject) => {
             let completed = 0;
-            const total = transactions.length;
+            const total = records.length;
             
             if (total === 0) {
                 resolve();
                 return;
             }
             
-            transactions.forEach(transactionData => {
-                const request = store.add({
-                    ...transactionData,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
+            records.forEach(record => {
+                const request = store.add(record);
                 
                 request.onsuccess = () => {
                     completed++;
@@ -263,6 +309,97 @@ export class IndexedDBManager {
         });
     }
 
+    /**
+     * 複数のトランザクションをそのまま書き込む（存在する場合は上書き）
+     * 元に戻す・やり直しで削除前の状態を復元するため、日時は変更しない
+     * @param {Array<object>} transactions - トランザクション配列
+     * @returns {Promise<void>}
+     */
+    async putTransactionsBatch(transactions) {
+        this.checkReady();
+        
+        const records = await Promise.all(transactions.map(transactionData =>
+            this.sealRecord(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS, transactionData)
+        ));
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
+        
+        return new Promise((resolve, reject) => {
+            if (records.length === 0) {
+                resolve();
+                return;
+            }
+            
+            records.forEach(record => {
+                const request = store.put(record);
+                
+                request.onerror = () => {
+                    reject(new Error(`トランザクションの書き込みに失敗しました: ${request.error}`));
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+        });
+    }
+
+    /**
+     * 複数のトランザクションを一括削除
+     * @param {Array<string>} ids - トランザクションIDの配列
+     * @returns {Promise<void>}
+     */
+    async deleteTransactionsBatch(ids) {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
+        
+        return new Promise((resolve, reject) => {
+            if (ids.length === 0) {
+                resolve();
+                return;
+            }
+            
+            ids.forEach(id => {
+                const request = store.delete(id);
+                
+                request.onerror = () => {
+                    reject(new Error(`トランザクションの削除に失敗しました: ${request.error}`));
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+        });
+    }
+
+    /**
+     * すべてのトランザクションを置き換える
+     * 削除と書き込みを1回のトランザクションで行うため、失敗した場合は元のトランザクションが残る
+     * @param {Array<object>} transactions - 置き換え後のトランザクション配列
+     * @returns {Promise<void>}
+     */
+    async replaceTransactions(transactions) {
+        this.checkReady();
+        
+        const records = await Promise.all(transactions.map(transactionData =>
+            this.sealRecord(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS, transactionData)
+        ));
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.TRANSACTIONS);
+        
+        return new Promise((resolve, reject) => {
+            store.clear();
+            records.forEach(record => store.put(record));
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                reject(new Error(`トランザクションの置き換えに失敗しました: ${transaction.error}`));
+            };
+            transaction.onabort = () => {
+                reject(new Error(`トランザクションの置き換えに失敗しました: ${transaction.error}`));
+            };
+        });
+    }
+
     /**
      * すべてのトランザクションを削除
      * @returns {Promise<void>}
@@ -292,15 +429,16 @@ export class IndexedDBManager {
     async saveSettings(settings) {
         this.checkReady();
         
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.SETTINGS, {
+            key: 'main',
+            ...settings,
+            updatedAt: new Date().toISOString()
+        });
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.SETTINGS], 'readwrite');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.SETTINGS);
         
         return new Promise((resolve, reject) => {
-            const request = store.put({ 
-                key: 'main', 
-                ...settings,
-                updatedAt: new Date().toISOString()
-            });
+            const request = store.put(record);
             
             request.onsuccess = () => resolve();
             
@@ -330,32 +468,171 @@ export class IndexedDBManager {
             request.onerror = () => {
                 reject(new Error(`設定の取得に失敗しました: ${request.error}`));
             };
+        }).then(record => this.openRecord(record));
+    }
+
+    /**
+     * すべての定期取引ルールを取得
+     * @returns {Promise<Array>} ルール配列
+     */
+    async getAllRecurringRules() {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES], 'readonly');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+            
+            request.onerror = () => {
+                reject(new Error(`定期取引ルールの取得に失敗しました: ${request.error}`));
+            };
+        }).then(records => this.openRecords(records));
+    }
+
+    /**
+     * 定期取引ルールを保存（追加・更新）
+     * @param {object} rule - ルールデータ
+     * @returns {Promise<void>}
+     */
+    async saveRecurringRule(rule) {
+        this.checkReady();
+        
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES, rule);
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put(record);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`定期取引ルールの保存に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * 定期取引ルールを削除
+     * @param {string} id - ルールID
+     * @returns {Promise<void>}
+     */
+    async deleteRecurringRule(id) {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.RECURRING_RULES);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`定期取引ルールの削除に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * すべての口座を取得
+     * @returns {Promise<Array>} 口座配列
+     */
+    async getAllAccounts() {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.ACCOUNTS], 'readonly');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.ACCOUNTS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+            
+            request.onerror = () => {
+                reject(new Error(`口座の取得に失敗しました: ${request.error}`));
+            };
+        }).then(records => this.openRecords(records));
+    }
+
+    /**
+     * 口座を保存（追加・更新）
+     * @param {object} account - 口座データ
+     * @returns {Promise<void>}
+     */
+    async saveAccount(account) {
+        this.checkReady();
+        
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.ACCOUNTS, account);
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.ACCOUNTS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.ACCOUNTS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put(record);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`口座の保存に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * 口座を削除
+     * @param {string} id - 口座ID
+     * @returns {Promise<void>}
+     */
+    async deleteAccount(id) {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.ACCOUNTS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.ACCOUNTS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`口座の削除に失敗しました: ${request.error}`));
+            };
         });
     }
 
     /**
      * バックアップを作成
      * @param {object} backupData - バックアップデータ
+     * @param {object} options - { label: 作成理由, keepCount: 保持するバックアップ数 }
      * @returns {Promise<void>}
      */
-    async createBackup(backupData) {
+    async createBackup(backupData, options = {}) {
         this.checkReady();
         
+        const { label = CONSTANTS.BACKUP.LABELS.AUTO, keepCount = CONSTANTS.BACKUP.DEFAULT_RETENTION } = options;
+        const backup = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.BACKUPS, {
+            timestamp: new Date().toISOString(),
+            data: backupData,
+            version: CONSTANTS.INDEXEDDB.VERSION,
+            label,
+            pinned: false
+        });
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.BACKUPS], 'readwrite');
         const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.BACKUPS);
         
         return new Promise((resolve, reject) => {
-            const backup = {
-                timestamp: new Date().toISOString(),
-                data: backupData,
-                version: CONSTANTS.INDEXEDDB.VERSION
-            };
-            
             const request = store.add(backup);
             
             request.onsuccess = () => {
-                // 古いバックアップを削除（最新10個まで保持）
-                this.cleanupOldBackups().catch(console.error);
+                // 保持数を超えた古いバックアップを削除
+                this.cleanupOldBackups(keepCount).catch(console.error);
                 resolve();
             };
             
@@ -387,15 +664,93 @@ export class IndexedDBManager {
             request.onerror = () => {
                 reject(new Error(`バックアップの取得に失敗しました: ${request.error}`));
             };
+        }).then(record => this.openRecord(record));
+    }
+
+    /**
+     * すべてのバックアップを取得（新しい順）
+     * @returns {Promise<Array<object>>} バックアップオブジェクトの配列
+     */
+    async getAllBackups() {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.BACKUPS], 'readonly');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.BACKUPS);
+        const index = store.index('timestamp');
+        
+        return new Promise((resolve, reject) => {
+            const backups = [];
+            const request = index.openCursor(null, 'prev');
+            
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                
+                if (cursor) {
+                    backups.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(backups);
+                }
+            };
+            
+            request.onerror = () => {
+                reject(new Error(`バックアップの取得に失敗しました: ${request.error}`));
+            };
+        }).then(records => this.openRecords(records));
+    }
+
+    /**
+     * バックアップを更新（ピン留めなど）
+     * @param {object} backup - バックアップオブジェクト
+     * @returns {Promise<void>}
+     */
+    async updateBackup(backup) {
+        this.checkReady();
+        
+        const record = await this.sealRecord(CONSTANTS.INDEXEDDB.STORES.BACKUPS, backup);
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.BACKUPS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.BACKUPS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put(record);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`バックアップの更新に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * バックアップを削除
+     * @param {number} id - バックアップID
+     * @returns {Promise<void>}
+     */
+    async deleteBackup(id) {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.BACKUPS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.BACKUPS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`バックアップの削除に失敗しました: ${request.error}`));
+            };
         });
     }
 
     /**
      * 古いバックアップを削除
+     * ピン留めされたバックアップは保持数に数えず、削除もしない
      * @param {number} keepCount - 保持するバックアップ数
      * @returns {Promise<void>}
      */
-    async cleanupOldBackups(keepCount = 10) {
+    async cleanupOldBackups(keepCount = CONSTANTS.BACKUP.DEFAULT_RETENTION) {
         this.checkReady();
         
         const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.BACKUPS], 'readwrite');
@@ -410,39 +765,182 @@ export class IndexedDBManager {
                 const cursor = event.target.result;
                 
                 if (cursor) {
-                    backups.push(cursor.value);
+                    if (!cursor.value.pinned) {
+                        backups.push(cursor.value);
+                    }
                     cursor.continue();
                 } else {
                     // 保持数を超えるバックアップを削除
-                    if (backups.length > keepCount) {
-                        const toDelete = backups.slice(keepCount);
-                        let deleted = 0;
-                        
-                        toDelete.forEach(backup => {
-                            const deleteRequest = store.delete(backup.id);
-                            deleteRequest.onsuccess = () => {
-                                deleted++;
-                                if (deleted === toDelete.length) {
-                                    resolve();
-                                }
-                            };
-                        });
-                        
-                        if (toDelete.length === 0) {
-                            resolve();
-                        }
-                    } else {
-                        resolve();
-                    }
+                    backups.slice(keepCount).forEach(backup => store.delete(backup.id));
                 }
             };
             
+            transaction.oncomplete = () => resolve();
+            
             request.onerror = () => {
                 reject(new Error(`バックアップのクリーンアップに失敗しました: ${request.error}`));
             };
         });
     }
 
+    /**
+     * レコードを暗号化（暗号化しない場合はそのまま返す）
+     * @param {string} storeName - ストア名
+     * @param {object} record - レコード
+     * @param {EncryptionManager|null} cipher - 暗号化に使うEncryptionManager
+     * @returns {Promise<object>} 保存するレコード
+     */
+    async sealRecord(storeName, record, cipher = this.cipher) {
+        if (!cipher) return record;
+        
+        const sealed = {};
+        PLAIN_FIELDS[storeName].forEach(field => {
+            if (field in record) sealed[field] = record[field];
+        });
+        sealed.encrypted = await cipher.encrypt(record);
+        
+        return sealed;
+    }
+
+    /**
+     * 暗号化したレコードを復号（暗号化していないレコードはそのまま返す）
+     * @param {object|null} record - 保存されているレコード
+     * @param {EncryptionManager|null} cipher - 復号に使うEncryptionManager
+     * @returns {Promise<object|null>} レコード
+     */
+    async openRecord(record, cipher = this.cipher) {
+        if (!record || !record.encrypted) return record;
+        if (!cipher) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.DATA_LOCKED);
+        }
+        
+        // 平文で残した項目（ピン留めなど）の方を新しい値として扱う
+        const { encrypted, ...plain } = record;
+        return { ...(await cipher.decrypt(encrypted)), ...plain };
+    }
+
+    /**
+     * 複数のレコードを復号
+     * @param {Array<object>} records - 保存されているレコードの配列
+     * @returns {Promise<Array<object>>} レコードの配列
+     */
+    async openRecords(records) {
+        return Promise.all(records.map(record => this.openRecord(record)));
+    }
+
+    /**
+     * 暗号化のメタ情報を取得（メタ情報は平文で保存する）
+     * @returns {Promise<object|null>} メタ情報（暗号化していない場合はnull）
+     */
+    async getEncryptionMeta() {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.SETTINGS], 'readonly');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.SETTINGS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.get(CONSTANTS.ENCRYPTION.META_KEY);
+            
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.meta : null);
+            };
+            
+            request.onerror = () => {
+                reject(new Error(`暗号化の設定の取得に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * 暗号化のメタ情報を保存（自動ロックの時間の変更など、鍵が変わらない場合）
+     * @param {object} meta - メタ情報
+     * @returns {Promise<void>}
+     */
+    async saveEncryptionMeta(meta) {
+        this.checkReady();
+        
+        const transaction = this.db.transaction([CONSTANTS.INDEXEDDB.STORES.SETTINGS], 'readwrite');
+        const store = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.SETTINGS);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put({ key: CONSTANTS.ENCRYPTION.META_KEY, meta });
+            
+            request.onsuccess = () => resolve();
+            
+            request.onerror = () => {
+                reject(new Error(`暗号化の設定の保存に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * すべてのレコードを新しい鍵で暗号化し直す（暗号化の開始・パスフレーズの変更・暗号化の解除）
+     * 途中で失敗した場合に古い鍵と新しい鍵のレコードが混ざらないよう、1つのトランザクションで書き込む
+     * @param {EncryptionManager|null} cipher - 新しい鍵（暗号化を解除する場合はnull）
+     * @returns {Promise<void>}
+     */
+    async reencryptAll(cipher) {
+        this.checkReady();
+        
+        const storeNames = Object.keys(PLAIN_FIELDS);
+        
+        // 現在の鍵ですべて読み込み、新しい鍵で暗号化しておく
+        const sealedByStore = {};
+        for (const storeName of storeNames) {
+            const records = (await this.getAllRecords(storeName))
+                .filter(record => record.key !== CONSTANTS.ENCRYPTION.META_KEY);
+            sealedByStore[storeName] = await Promise.all(records.map(async record =>
+                this.sealRecord(storeName, await this.openRecord(record), cipher)
+            ));
+        }
+        
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        
+        await new Promise((resolve, reject) => {
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                sealedByStore[storeName].forEach(record => store.put(record));
+            });
+            
+            const settingsStore = transaction.objectStore(CONSTANTS.INDEXEDDB.STORES.SETTINGS);
+            if (cipher) {
+                settingsStore.put({ key: CONSTANTS.ENCRYPTION.META_KEY, meta: cipher.meta });
+            } else {
+                settingsStore.delete(CONSTANTS.ENCRYPTION.META_KEY);
+            }
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                reject(new Error(`データの暗号化に失敗しました: ${transaction.error}`));
+            };
+            transaction.onabort = () => {
+                reject(new Error(`データの暗号化が中断されました: ${transaction.error}`));
+            };
+        });
+        
+        this.cipher = cipher;
+    }
+
+    /**
+     * ストアのレコードを保存されている形のまま取得
+     * @param {string} storeName - ストア名
+     * @returns {Promise<Array<object>>} レコードの配列
+     */
+    async getAllRecords(storeName) {
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            
+            request.onerror = () => {
+                reject(new Error(`${storeName}の取得に失敗しました: ${request.error}`));
+            };
+        });
+    }
+
     /**
      * データベースサイズを取得
      * @returns {Promise<object>} サイズ情報
@@ -0,0 +1,191 @@
+// IndexedDBスキーマのマイグレーション定義
+import { CONSTANTS, DEFAULT_CATEGORIES } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+
+const { STORES } = CONSTANTS.INDEXEDDB;
+
+/**
+ * ストアが存在しない場合のみ作成
+ * マイグレーション導入前のバージョンで作成済みのストアを二重に作らないためのガード
+ * @param {IDBDatabase} db - データベースインスタンス
+ * @param {string} storeName - ストア名
+ * @param {object} options - createObjectStoreのオプション
+ * @returns {IDBObjectStore|null} 作成したストア（既に存在する場合はnull）
+ */
+function ensureStore(db, storeName, options) {
+    if (db.objectStoreNames.contains(storeName)) {
+        return null;
+    }
+    return db.createObjectStore(storeName, options);
+}
+
+/**
+ * インデックスが存在しない場合のみ作成
+ * @param {IDBObjectStore} store - オブジェクトストア
+ * @param {string} indexName - インデックス名
+ * @param {string|Array<string>} keyPath - キーパス
+ * @param {object} options - createIndexのオプション
+ */
+function ensureIndex(store, indexName, keyPath, options = { unique: false }) {
+    if (!store.indexNames.contains(indexName)) {
+        store.createIndex(indexName, keyPath, options);
+    }
+}
+
+/**
+ * リクエストのコールバックで例外が起きたら、アップグレード全体を中断するように包む
+ * onupgradeneeded の try/catch では後から呼ばれるコールバック内の例外を捕まえられないため、
+ * 非同期のコールバックは必ずこれを通し、途中まで書き換えた状態で確定させない
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @param {Function} callback - コールバック
+ * @returns {Function}
+ */
+function abortOnError(transaction, callback) {
+    return (...args) => {
+        try {
+            callback(...args);
+        } catch (error) {
+            console.error('IndexedDBマイグレーションエラー:', error);
+            transaction.abort();
+        }
+    };
+}
+
+/**
+ * ストア内のレコードを1件ずつ書き換え
+ * アップグレード用トランザクション内でカーソルを回すので、完了はトランザクションの完了で保証される
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @param {string} storeName - ストア名
+ * @param {Function} transform - レコードを受け取り、更新後のレコードを返す（変更なしはnull）
+ * @param {Function} onComplete - 全レコードを処理した後に呼ばれる（任意）
+ */
+export function rewriteRecords(transaction, storeName, transform, onComplete = null) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = abortOnError(transaction, () => {
+        const cursor = request.result;
+        if (!cursor) {
+            if (onComplete) onComplete();
+            return;
+        }
+
+        const updated = transform(cursor.value);
+        if (updated) {
+            cursor.update(updated);
+        }
+        cursor.continue();
+    });
+}
+
+/**
+ * バージョン順のマイグレーション一覧
+ * スキーマを変更する場合は末尾に追加し、CONSTANTS.INDEXEDDB.VERSIONを同じ番号に上げる
+ * 適用済みのマイグレーションは書き換えないこと
+ * migrate(db, transaction, done) は、レコードの書き換えまで含めてすべて終わったら done を呼ぶ
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: '取引・設定・バックアップストアを作成',
+        migrate(db, transaction, done) {
+            const transactionStore = ensureStore(db, STORES.TRANSACTIONS, { keyPath: 'id' });
+            if (transactionStore) {
+                transactionStore.createIndex('date', 'date', { unique: false });
+                transactionStore.createIndex('type', 'type', { unique: false });
+                transactionStore.createIndex('category', 'category', { unique: false });
+                transactionStore.createIndex('amount', 'amount', { unique: false });
+                transactionStore.createIndex('dateType', ['date', 'type'], { unique: false });
+            }
+
+            ensureStore(db, STORES.SETTINGS, { keyPath: 'key' });
+
+            const backupStore = ensureStore(db, STORES.BACKUPS, { keyPath: 'id', autoIncrement: true });
+            if (backupStore) {
+                backupStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+            done();
+        }
+    },
+    {
+        version: 2,
+        description: '定期取引ルールストアを作成',
+        migrate(db, transaction, done) {
+            ensureStore(db, STORES.RECURRING_RULES, { keyPath: 'id' });
+            done();
+        }
+    },
+    {
+        version: 3,
+        description: '口座ストアを作成し、既存の取引をデフォルト口座に割り当て',
+        migrate(db, transaction, done) {
+            ensureStore(db, STORES.ACCOUNTS, { keyPath: 'id' });
+
+            const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+            ensureIndex(transactionStore, 'accountId', 'accountId');
+
+            rewriteRecords(transaction, STORES.TRANSACTIONS, (record) => {
+                if (record.accountId) return null;
+                return { ...record, accountId: CONSTANTS.DEFAULTS.ACCOUNT_ID };
+            }, done);
+        }
+    },
+    {
+        version: 4,
+        description: 'カテゴリを名前の配列から親子関係を持つ { id, name, parentId } の一覧に変換',
+        migrate(db, transaction, done) {
+            rewriteRecords(transaction, STORES.SETTINGS, (record) => {
+                if (record.key !== 'main' || !record.categories) return null;
+                return { ...record, categories: CategoryTree.normalizeAll(record.categories) };
+            }, done);
+        }
+    },
+    {
+        version: 5,
+        description: '取引・定期取引・予算のカテゴリ参照を名前からIDに変更し、カテゴリに色とアイコンを追加',
+        migrate(db, transaction, done) {
+            const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+            if (transactionStore.indexNames.contains('category')) {
+                transactionStore.deleteIndex('category');
+            }
+            ensureIndex(transactionStore, 'categoryId', 'categoryId');
+
+            const settingsStore = transaction.objectStore(STORES.SETTINGS);
+            const request = settingsStore.get('main');
+
+            request.onsuccess = abortOnError(transaction, () => {
+                const settings = request.result || null;
+                // 一覧にない名前のカテゴリは書き換えの途中で追加されるため、設定は最後に保存する
+                const categories = CategoryTree.normalizeAll(settings?.categories || DEFAULT_CATEGORIES);
+                const transform = (record) => CategoryTree.assignCategoryId(record, categories);
+
+                rewriteRecords(transaction, STORES.TRANSACTIONS, transform, () => {
+                    rewriteRecords(transaction, STORES.RECURRING_RULES, transform, () => {
+                        // 絞り込み中のカテゴリ（名前）は引き継がない
+                        const { category, ...filters } = settings?.filters || {};
+                        settingsStore.put({
+                            key: 'main',
+                            ...settings,
+                            categories,
+                            budgets: CategoryTree.migrateBudgets(settings?.budgets, categories[CONSTANTS.TRANSACTION_TYPES.EXPENSE]),
+                            filters: { ...filters, categoryId: '' }
+                        });
+                        done();
+                    });
+                });
+            });
+        }
+    },
+    {
+        version: 6,
+        description: '取引にタグを追加し、タグごとに検索できるmultiEntryインデックスを作成',
+        migrate(db, transaction, done) {
+            const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+            ensureIndex(transactionStore, 'tags', 'tags', { unique: false, multiEntry: true });
+
+            rewriteRecords(transaction, STORES.TRANSACTIONS, (record) => {
+                if (Array.isArray(record.tags)) return null;
+                return { ...record, tags: [] };
+            }, done);
+        }
+    }
+];
@@ -0,0 +1,144 @@
+// パスフレーズ付き（暗号化）バックアップファイルの形式
+import { CONSTANTS } from '../constants.js';
+import { EncryptionManager } from '../data/encryptionManager.js';
+
+/**
+ * 保存形式のデータをパスフレーズで暗号化したJSONファイルにする・ファイルから元に戻す
+ * 復号に必要な情報（形式のバージョン・ソルト・反復回数・IV）はヘッダーとして平文で持ち、
+ * ヘッダーは追加認証データ（AAD）として暗号文に結び付けるので、書き換えられていれば復号に失敗する
+ */
+export class EncryptedBackupFormat {
+    static FORMAT = 'household-budget-encrypted-backup';
+
+    /**
+     * 書き出す形式のバージョン（読み込めるのはこのバージョンまで）
+     */
+    static VERSION = 1;
+
+    /**
+     * 読み込むときに受け付ける反復回数の上限（極端な値で画面が固まらないようにする）
+     */
+    static MAX_ITERATIONS = 10000000;
+
+    /**
+     * 読み込んだJSONが暗号化バックアップかどうか
+     * @param {*} parsed - JSON.parse の結果
+     * @returns {boolean}
+     */
+    static isEncrypted(parsed) {
+        return Boolean(parsed) && typeof parsed === 'object' && parsed.format === this.FORMAT;
+    }
+
+    /**
+     * 値をパスフレーズで暗号化
+     * @param {*} value - JSONにできる値
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<object>} ファイルに書き出すオブジェクト
+     */
+    static async encrypt(value, passphrase) {
+        EncryptionManager.validatePassphrase(passphrase);
+
+        const salt = crypto.getRandomValues(new Uint8Array(CONSTANTS.ENCRYPTION.SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(CONSTANTS.ENCRYPTION.IV_BYTES));
+        const header = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            cipher: 'AES-GCM',
+            kdf: {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: CONSTANTS.ENCRYPTION.PBKDF2_ITERATIONS,
+                salt: EncryptionManager.toBase64(salt)
+            },
+            iv: EncryptionManager.toBase64(iv),
+            createdAt: new Date().toISOString()
+        };
+
+        const key = await EncryptionManager.deriveKey(passphrase, salt, header.kdf.iterations);
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.getAdditionalData(header) },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return { ...header, data: EncryptionManager.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * 暗号化バックアップをパスフレーズで復号
+     * @param {object} file - encrypt の戻り値（ファイルを JSON.parse したもの）
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<*>} 元の値
+     * @throws {Error} 形式が正しくない・対応していないバージョン・パスフレーズが違う場合
+     */
+    static async decrypt(file, passphrase) {
+        this.validateHeader(file);
+
+        const key = await EncryptionManager.deriveKey(
+            String(passphrase), EncryptionManager.fromBase64(file.kdf.salt), file.kdf.iterations
+        );
+
+        // AES-GCMはパスフレーズ（鍵）が違う場合も、暗号文やヘッダーが書き換えられている場合も復号に失敗する
+        let data;
+        try {
+            data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: EncryptionManager.fromBase64(file.iv), additionalData: this.getAdditionalData(file) },
+                key,
+                EncryptionManager.fromBase64(file.data)
+            );
+        } catch {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_WRONG_PASSPHRASE);
+        }
+
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * ヘッダーを検証
+     * @param {object} file - 暗号化バックアップ
+     * @throws {Error} 形式が正しくない・対応していないバージョンの場合
+     */
+    static validateHeader(file) {
+        if (!this.isEncrypted(file)) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_FORMAT_INVALID);
+        }
+        if (!Number.isInteger(file.version) || file.version > this.VERSION) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_VERSION_UNSUPPORTED);
+        }
+
+        const { kdf } = file;
+        const isValid = file.cipher === 'AES-GCM'
+            && kdf?.name === 'PBKDF2'
+            && kdf.hash === 'SHA-256'
+            && Number.isInteger(kdf.iterations)
+            && kdf.iterations > 0
+            && kdf.iterations <= this.MAX_ITERATIONS
+            && typeof kdf.salt === 'string'
+            && typeof file.iv === 'string'
+            && typeof file.data === 'string';
+
+        if (!isValid) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_FORMAT_INVALID);
+        }
+    }
+
+    /**
+     * ヘッダーから追加認証データを作成
+     * JSONのキーの順序に左右されないよう、決まった順序で並べ直してから文字列にする
+     * @param {object} header - ヘッダー（暗号文以外の項目）
+     * @returns {Uint8Array}
+     */
+    static getAdditionalData(header) {
+        return new TextEncoder().encode(JSON.stringify([
+            header.format,
+            header.version,
+            header.cipher,
+            header.kdf.name,
+            header.kdf.hash,
+            header.kdf.iterations,
+            header.kdf.salt,
+            header.iv,
+            header.createdAt ?? null
+        ]));
+    }
+}
@@ -2,6 +2,10 @@
 import { CONSTANTS } from '../constants.js';
 import { DateParser } from '../utils/dateParser.js';
 import { Sanitizer } from '../utils/sanitizer.js';
+import { CsvParser } from '../utils/csvParser.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { LibraryLoader } from '../utils/libraryLoader.js';
+import { EncryptedBackupFormat } from './encryptedBackupFormat.js';
 
 export class FileHandler {
     constructor(dataManager) {
@@ -77,41 +81,113 @@ export class FileHandler {
         }
     }
 
+    /**
+     * パスフレーズ付き（暗号化）バックアップをエクスポート
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<object>} { success, error }
+     */
+    async exportEncryptedBackup(passphrase) {
+        try {
+            const encrypted = await EncryptedBackupFormat.encrypt(this.dataManager.toSaveFormat(), passphrase);
+            const dataBlob = new Blob([JSON.stringify(encrypted, null, 2)], { type: 'application/json' });
+
+            const filename = this.generateFilename('家計簿バックアップ_暗号化', 'json');
+            this.downloadFile(dataBlob, filename);
+
+            return { success: true };
+        } catch (error) {
+            console.error('Encrypted backup export error:', error);
+            return { success: false, error };
+        }
+    }
+
     /**
      * JSONインポート
+     * パスフレーズ付きのバックアップは requestPassphrase で入力してもらい、復号できるまで繰り返す
+     * @param {File} file - JSONファイル
+     * @param {Function|null} requestPassphrase - (直前のエラーメッセージ) => Promise<string|null>（キャンセル時はnull）
+     * @returns {Promise<object>} { success, data } / { success: false, error } / { success: false, cancelled: true }
      */
-    async importFromJSON(file) {
+    async importFromJSON(file, requestPassphrase = null) {
         // ファイル検証
         const validation = this.validateFile(file, ['.json']);
         if (!validation.isValid) {
             return { success: false, error: new Error(validation.errors.join('\n')) };
         }
 
-        return new Promise((resolve) => {
+        let text;
+        try {
+            text = await this.readFileAsText(file);
+        } catch (error) {
+            return { success: false, error };
+        }
+
+        let importedData;
+        try {
+            importedData = JSON.parse(text);
+        } catch (error) {
+            console.error('JSON parse error:', error);
+            return { success: false, error: new Error('JSONファイルの形式が正しくありません') };
+        }
+
+        if (EncryptedBackupFormat.isEncrypted(importedData)) {
+            const decrypted = await this.decryptBackup(importedData, requestPassphrase);
+            if (!decrypted.success) return decrypted;
+            importedData = decrypted.data;
+        }
+
+        // データ形式の検証
+        const validationResult = this.validateJSONData(importedData);
+        if (!validationResult.isValid) {
+            return { success: false, error: new Error(validationResult.errors.join('\n')) };
+        }
+
+        return { success: true, data: importedData };
+    }
+
+    /**
+     * パスフレーズ付きのバックアップを復号（パスフレーズが違う場合は入力し直してもらう）
+     * @param {object} encrypted - 暗号化バックアップ
+     * @param {Function|null} requestPassphrase - importFromJSON を参照
+     * @returns {Promise<object>} { success, data } / { success: false, error } / { success: false, cancelled: true }
+     */
+    async decryptBackup(encrypted, requestPassphrase) {
+        if (!requestPassphrase) {
+            return { success: false, error: new Error(CONSTANTS.ERROR_MESSAGES.BACKUP_WRONG_PASSPHRASE) };
+        }
+
+        try {
+            // 形式やバージョンの誤りはパスフレーズを聞く前に知らせる
+            EncryptedBackupFormat.validateHeader(encrypted);
+        } catch (error) {
+            return { success: false, error };
+        }
+
+        let errorMessage = '';
+        for (;;) {
+            const passphrase = await requestPassphrase(errorMessage);
+            if (passphrase === null) {
+                return { success: false, cancelled: true };
+            }
+
+            try {
+                return { success: true, data: await EncryptedBackupFormat.decrypt(encrypted, passphrase) };
+            } catch (error) {
+                errorMessage = error.message;
+            }
+        }
+    }
+
+    /**
+     * ファイルをテキストとして読み込む
+     * @param {File} file - ファイル
+     * @returns {Promise<string>}
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const importedData = JSON.parse(e.target.result);
-                    
-                    // データ形式の検証
-                    const validationResult = this.validateJSONData(importedData);
-                    if (!validationResult.isValid) {
-                        resolve({ success: false, error: new Error(validationResult.errors.join('\n')) });
-                        return;
-                    }
-                    
-                    resolve({ success: true, data: importedData });
-                } catch (error) {
-                    console.error('JSON parse error:', error);
-                    resolve({ success: false, error: new Error('JSONファイルの形式が正しくありません') });
-                }
-            };
-            
-            reader.onerror = () => {
-                resolve({ success: false, error: new Error('ファイルの読み込みに失敗しました') });
-            };
-            
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('ファイルの読み込みに失敗しました'));
             reader.readAsText(file, 'UTF-8');
         });
     }
@@ -155,6 +231,31 @@ export class FileHandler {
         };
     }
 
+    /**
+     * インポートしたデータから取引と付随データを取り出す
+     * JSONは旧形式（配列）と新形式（toSaveFormatの出力）の両方に対応する
+     * 取り込み先とカテゴリIDが異なるため、取引のカテゴリは名前で照合できるように名前を補う
+     * @param {Array|object} data - 読み込んだデータ
+     * @returns {object} { transactions, categories, accounts }
+     */
+    extractImportPayload(data) {
+        if (Array.isArray(data)) {
+            return { transactions: data, categories: null, accounts: null };
+        }
+
+        const categories = data?.categories || null;
+        const transactions = (Array.isArray(data?.transactions) ? data.transactions : []).map(t => {
+            const name = t.category || CategoryTree.getNameById(categories, t.categoryId);
+            return name && t.type !== CONSTANTS.TRANSACTION_TYPES.TRANSFER ? { ...t, category: name } : t;
+        });
+
+        return {
+            transactions,
+            categories,
+            accounts: Array.isArray(data?.accounts) ? data.accounts : null
+        };
+    }
+
     /**
      * 個別トランザクションを検証
      */
@@ -174,7 +275,10 @@ export class FileHandler {
             errors.push(`${prefix}種類が不正です`);
         }
         
-        if (!transaction.category || typeof transaction.category !== 'string') {
+        // カテゴリは名前（以前の形式）またはIDで指定する。振替はカテゴリを持たない
+        const hasCategory = [transaction.category, transaction.categoryId]
+            .some(value => value && typeof value === 'string');
+        if (transaction.type !== CONSTANTS.TRANSACTION_TYPES.TRANSFER && !hasCategory) {
             errors.push(`${prefix}カテゴリが不正です`);
         }
         
@@ -188,15 +292,17 @@ export class FileHandler {
     /**
      * Excelエクスポート
      */
-    exportToExcel() {
-        if (!window.XLSX) {
-            return { success: false, error: new Error('SheetJSライブラリが読み込まれていません') };
-        }
-
+    async exportToExcel() {
         if (this.dataManager.transactions.length === 0) {
             return { success: false, error: new Error('エクスポートするデータがありません') };
         }
 
+        try {
+            await LibraryLoader.load('XLSX');
+        } catch (error) {
+            return { success: false, error };
+        }
+
         try {
             const workbook = this.createExcelWorkbook();
             const filename = this.generateFilename('家計簿データ', 'xlsx');
@@ -231,17 +337,22 @@ export class FileHandler {
     }
 
     /**
-     * メインデータシートを作成
+     * メインデータシートを作成（分割した取引は分割の行ごとに出力）
      */
     createMainDataSheet() {
         const excelData = this.dataManager.transactions
             .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .flatMap(transaction => this.expandSplits(transaction))
             .map(transaction => ({
                 '日付': transaction.date,
-                '種類': transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '収入' : '支出',
-                'カテゴリ': transaction.category,
+                '種類': CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+                'カテゴリ': this.dataManager.getTransactionCategoryName(transaction),
                 '説明': transaction.description || '',
-                '金額': transaction.amount
+                '金額': transaction.amount,
+                '口座': this.dataManager.getAccountName(transaction.accountId),
+                '振替先': transaction.toAccountId ? this.dataManager.getAccountName(transaction.toAccountId) : '',
+                'タグ': (transaction.tags || []).join(' '),
+                '支払先': transaction.payee || ''
             }));
 
         const ws = XLSX.utils.json_to_sheet(excelData);
@@ -252,7 +363,11 @@ export class FileHandler {
             { width: 8 },  // 種類
             { width: 15 }, // カテゴリ
             { width: 30 }, // 説明
-            { width: 12 }  // 金額
+            { width: 12 }, // 金額
+            { width: 15 }, // 口座
+            { width: 15 }, // 振替先
+            { width: 20 }, // タグ
+            { width: 20 }  // 支払先
         ];
         
         // 金額列の書式設定
@@ -267,6 +382,24 @@ export class FileHandler {
         return ws;
     }
 
+    /**
+     * 分割した取引を分割の行ごとの取引に展開（エクスポート用）
+     * 各行はその行のカテゴリと金額を持ち、メモは説明の後ろに付ける
+     * @param {object} transaction - 取引
+     * @returns {Array<object>} 展開した取引（分割していない取引はそのまま1件）
+     */
+    expandSplits(transaction) {
+        if (!Array.isArray(transaction.splits) || transaction.splits.length === 0) {
+            return [transaction];
+        }
+
+        return transaction.splits.map(({ categoryId, amount, memo }) => {
+            const { splits, ...rest } = transaction;
+            const description = `${transaction.description || ''}${memo ? `（${memo}）` : ''}`;
+            return { ...rest, categoryId, amount, description };
+        });
+    }
+
     /**
      * サマリーシートを作成
      */
@@ -331,16 +464,18 @@ export class FileHandler {
      * Excelインポート
      */
     async importFromExcel(file) {
-        if (!window.XLSX) {
-            return { success: false, error: new Error('SheetJSライブラリが読み込まれていません') };
-        }
-
         // ファイル検証
         const validation = this.validateFile(file, ['.xlsx', '.xls']);
         if (!validation.isValid) {
             return { success: false, error: new Error(validation.errors.join('\n')) };
         }
 
+        try {
+            await LibraryLoader.load('XLSX');
+        } catch (error) {
+            return { success: false, error };
+        }
+
         return new Promise((resolve) => {
             const reader = new FileReader();
             
@@ -440,13 +575,10 @@ export class FileHandler {
         }
 
         // 種類の変換
-        let type;
-        if (row['種類'] === '収入') {
-            type = CONSTANTS.TRANSACTION_TYPES.INCOME;
-        } else if (row['種類'] === '支出') {
-            type = CONSTANTS.TRANSACTION_TYPES.EXPENSE;
-        } else {
-            throw new Error('種類は「収入」または「支出」である必要があります');
+        const type = Object.keys(CONSTANTS.TRANSACTION_TYPE_LABELS)
+            .find(key => CONSTANTS.TRANSACTION_TYPE_LABELS[key] === row['種類']);
+        if (!type) {
+            throw new Error('種類は「収入」「支出」「振替」のいずれかである必要があります');
         }
 
         // 金額の変換
@@ -455,24 +587,225 @@ export class FileHandler {
             throw new Error(`金額は${CONSTANTS.VALIDATION.MIN_AMOUNT}円以上である必要があります`);
         }
 
-        // カテゴリのサニタイズ
-        const category = Sanitizer.sanitizeCategory(row['カテゴリ'] || '');
-        if (!category) {
-            throw new Error('カテゴリを入力してください');
-        }
-
         // 説明のサニタイズ
         const description = Sanitizer.sanitizeDescription(row['説明'] || '');
+        const payee = Sanitizer.sanitizePayee(row['支払先'] || '');
 
-        return {
+        // タグ（スペース区切り。検証は取引の追加時に行う）
+        const tags = Sanitizer.splitTags(String(row['タグ'] || ''));
+
+        // 口座名から口座IDを解決（見つからない場合はデフォルト口座）
+        const accountId = this.findAccountIdByName(row['口座']);
+
+        if (type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            const toAccountId = this.findAccountIdByName(row['振替先'], null);
+            if (!toAccountId || toAccountId === accountId) {
+                throw new Error('振替先の口座が見つかりません');
+            }
+
+            return {
+                date,
+                type,
+                category: CONSTANTS.TRANSFER_CATEGORY,
+                amount,
+                description,
+                payee,
+                tags,
+                accountId,
+                toAccountId
+            };
+        }
+
+        // カテゴリのサニタイズ（未指定の場合は自動分類ルールで振り分け、一致するルールがなければ「その他」）
+        const category = Sanitizer.sanitizeCategory(row['カテゴリ'] || '') || CONSTANTS.FALLBACK_CATEGORIES[type];
+
+        return this.dataManager.categorizeImportedRow({
             date,
             type,
             category,
             amount,
-            description
+            description,
+            payee,
+            tags,
+            accountId
+        });
+    }
+
+    /**
+     * 口座名から口座IDを取得
+     * @param {string} name - 口座名
+     * @param {string|null} fallback - 見つからない場合の値
+     * @returns {string|null} 口座ID
+     */
+    findAccountIdByName(name, fallback = CONSTANTS.DEFAULTS.ACCOUNT_ID) {
+        const account = this.dataManager.accounts.find(a => a.name === String(name || '').trim());
+        return account ? account.id : fallback;
+    }
+
+    /**
+     * CSVファイルを読み込み（文字コード・区切り文字・引用符は自動判定）
+     * 列の割り当てはウィザードで行うため、ここでは行データだけを返す
+     */
+    async readCSV(file) {
+        // ファイル検証
+        const validation = this.validateFile(file, ['.csv', '.txt']);
+        if (!validation.isValid) {
+            return { success: false, error: new Error(validation.errors.join('\n')) };
+        }
+
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const { text, encoding } = CsvParser.decode(e.target.result);
+                    const { rows, delimiter, quote } = CsvParser.parse(text);
+
+                    if (rows.length === 0) {
+                        resolve({ success: false, error: new Error('CSVファイルにデータが含まれていません') });
+                        return;
+                    }
+
+                    resolve({ success: true, rows, encoding, delimiter, quote, fileName: file.name });
+                } catch (error) {
+                    console.error('CSV parse error:', error);
+                    resolve({ success: false, error: new Error('CSVファイルの読み込みに失敗しました') });
+                }
+            };
+
+            reader.onerror = () => {
+                resolve({ success: false, error: new Error('ファイルの読み込みに失敗しました') });
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * 列の割り当てに従ってCSVの行をトランザクションに変換
+     * @param {Array<Array<string>>} rows - CSVの行（ヘッダー行を含む）
+     * @param {object} mapping - 列の割り当て（hasHeader, amountMode, columns, accountId）
+     * @returns {object} 変換結果（processExcelDataと同じ形式）
+     */
+    convertCsvRows(rows, mapping) {
+        const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+        const rowOffset = mapping.hasHeader ? 2 : 1;
+        const processedData = [];
+        const errors = [];
+
+        dataRows.forEach((row, index) => {
+            try {
+                const transaction = this.convertCsvRowToTransaction(row, mapping);
+                if (transaction) {
+                    processedData.push(transaction);
+                }
+            } catch (error) {
+                errors.push(`行${index + rowOffset}: ${error.message}`);
+            }
+        });
+
+        if (processedData.length === 0) {
+            return {
+                success: false,
+                error: new Error('インポート可能なデータが見つかりませんでした\n' + errors.slice(0, 5).join('\n'))
+            };
+        }
+
+        return {
+            success: true,
+            data: processedData,
+            errors: errors.slice(0, 10) // 最初の10個のエラーのみ
         };
     }
 
+    /**
+     * CSV行をトランザクションに変換
+     * 日付や金額が空の行（残高行・合計行など）はnullを返してスキップする
+     */
+    convertCsvRowToTransaction(row, mapping) {
+        const { columns, amountMode } = mapping;
+        const cell = (key) => (columns[key] !== null && columns[key] !== undefined ? row[columns[key]] ?? '' : '');
+
+        const rawDate = cell('date');
+        if (!rawDate) return null;
+
+        const date = DateParser.formatDateForInput(rawDate);
+        if (!date) {
+            throw new Error('日付形式が正しくありません');
+        }
+
+        // 種類と金額の判定
+        let type;
+        let amount;
+
+        switch (amountMode) {
+            case CONSTANTS.CSV_AMOUNT_MODES.SPLIT: {
+                const deposit = CsvParser.parseAmount(cell('deposit'));
+                const withdrawal = CsvParser.parseAmount(cell('withdrawal'));
+                if (withdrawal > 0) {
+                    type = CONSTANTS.TRANSACTION_TYPES.EXPENSE;
+                    amount = withdrawal;
+                } else if (deposit > 0) {
+                    type = CONSTANTS.TRANSACTION_TYPES.INCOME;
+                    amount = deposit;
+                } else {
+                    return null;
+                }
+                break;
+            }
+            case CONSTANTS.CSV_AMOUNT_MODES.TYPE_COLUMN: {
+                type = this.parseTypeLabel(cell('type'));
+                if (!type) {
+                    throw new Error('種類は「収入」または「支出」である必要があります');
+                }
+                amount = Math.abs(CsvParser.parseAmount(cell('amount')));
+                break;
+            }
+            case CONSTANTS.CSV_AMOUNT_MODES.SIGNED:
+            default: {
+                const signed = CsvParser.parseAmount(cell('amount'));
+                if (!signed) return null;
+                type = signed < 0 ? CONSTANTS.TRANSACTION_TYPES.EXPENSE : CONSTANTS.TRANSACTION_TYPES.INCOME;
+                amount = Math.abs(signed);
+                break;
+            }
+        }
+
+        if (isNaN(amount) || amount < CONSTANTS.VALIDATION.MIN_AMOUNT) {
+            throw new Error(`金額は${CONSTANTS.VALIDATION.MIN_AMOUNT}円以上である必要があります`);
+        }
+
+        // カテゴリ（未指定の場合は自動分類ルールで振り分け、一致するルールがなければ「その他」）
+        const category = Sanitizer.sanitizeCategory(cell('category')) || CONSTANTS.FALLBACK_CATEGORIES[type];
+
+        return this.dataManager.categorizeImportedRow({
+            date,
+            type,
+            category,
+            amount: Math.round(amount),
+            description: Sanitizer.sanitizeDescription(cell('description')),
+            payee: Sanitizer.sanitizePayee(cell('payee')),
+            accountId: mapping.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID
+        });
+    }
+
+    /**
+     * 種類の文字列を収入・支出に変換
+     * @param {string} label - 「収入」「入金」「income」など
+     * @returns {string|null} 種類（判定できない場合はnull）
+     */
+    parseTypeLabel(label) {
+        const value = String(label || '').trim().toLowerCase();
+
+        if (['収入', '入金', 'income', '+'].includes(value)) {
+            return CONSTANTS.TRANSACTION_TYPES.INCOME;
+        }
+        if (['支出', '出金', 'expense', '-'].includes(value)) {
+            return CONSTANTS.TRANSACTION_TYPES.EXPENSE;
+        }
+        return null;
+    }
+
     /**
      * ファイル名を生成
      */
@@ -501,22 +834,27 @@ export class FileHandler {
     }
 
     /**
-     * CSVエクスポート（オプション機能）
+     * CSVエクスポート（オプション機能。分割した取引は分割の行ごとに出力）
      */
     exportToCSV() {
         try {
             const csvData = this.dataManager.transactions
                 .sort((a, b) => new Date(b.date) - new Date(a.date))
+                .flatMap(transaction => this.expandSplits(transaction))
                 .map(transaction => [
                     transaction.date,
-                    transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '収入' : '支出',
-                    transaction.category,
+                    CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+                    this.dataManager.getTransactionCategoryName(transaction),
                     transaction.description || '',
-                    transaction.amount
+                    transaction.amount,
+                    this.dataManager.getAccountName(transaction.accountId),
+                    transaction.toAccountId ? this.dataManager.getAccountName(transaction.toAccountId) : '',
+                    (transaction.tags || []).join(' '),
+                    transaction.payee || ''
                 ]);
 
             // ヘッダーを追加
-            csvData.unshift(['日付', '種類', 'カテゴリ', '説明', '金額']);
+            csvData.unshift(['日付', '種類', 'カテゴリ', '説明', '金額', '口座', '振替先', 'タグ', '支払先']);
 
             // CSV文字列を作成
             const csvString = csvData
@@ -1 +0,0 @@
-// Service Worker placeholder
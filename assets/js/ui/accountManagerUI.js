@@ -0,0 +1,223 @@
+// 口座管理UI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+
+export class AccountManagerUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.handleAccountsChanged = () => this.updateAccountList();
+    }
+
+    /**
+     * 口座管理UIをレンダリング
+     */
+    render() {
+        const typeOptions = Object.entries(CONSTANTS.ACCOUNT_TYPE_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">👛</span> 口座管理</h2>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">📋</span> 登録済みの口座</h3>
+                <div id="accountManagerList" class="recurring-rule-list"></div>
+            </div>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">➕</span> 新しい口座</h3>
+                <form id="accountForm">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="newAccountName">口座名</label>
+                            <input type="text" id="newAccountName" maxlength="50" required placeholder="例: ○○銀行">
+                        </div>
+                        <div class="form-group">
+                            <label for="newAccountType">種類</label>
+                            <select id="newAccountType">${typeOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="newAccountBalance">初期残高</label>
+                            <input type="number" id="newAccountBalance" step="1" value="0">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn btn-success"><span aria-hidden="true">➕</span> 追加</button>
+                </form>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 完了
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.updateAccountList();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, accountId } = button.dataset;
+
+            try {
+                switch (action) {
+                    case 'rename':
+                        await this.handleRename(accountId);
+                        break;
+                    case 'remove':
+                        await this.handleRemove(accountId);
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            } catch (error) {
+                console.error('口座操作エラー:', error);
+                this.uiManager.notificationManager.error(error.message);
+            }
+        });
+
+        const form = this.modal.content.querySelector('#accountForm');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleAddAccount();
+        });
+
+        // モーダルを閉じたらデータイベントの購読を解除
+        this.dataManager.on('accountsChanged', this.handleAccountsChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('accountsChanged', this.handleAccountsChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * 口座一覧を更新
+     */
+    updateAccountList() {
+        const container = this.modal.content.querySelector('#accountManagerList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.dataManager.getAccountBalances().forEach(account => {
+            const item = document.createElement('div');
+            item.className = 'recurring-rule-item account-manager-item';
+
+            const info = document.createElement('div');
+            info.className = 'recurring-rule-info';
+
+            const title = document.createElement('strong');
+            title.textContent = account.name;
+            info.appendChild(title);
+
+            const detail = document.createElement('div');
+            detail.className = 'recurring-rule-detail';
+            detail.textContent = `${CONSTANTS.ACCOUNT_TYPE_LABELS[account.type] || ''} / 残高 ${UTILS.formatCurrency(account.balance)}`;
+            info.appendChild(detail);
+
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'recurring-rule-actions';
+
+            const buttons = [
+                { action: 'rename', text: '名前を変更' },
+                {
+                    action: 'remove',
+                    text: '削除',
+                    className: 'delete-btn',
+                    disabled: account.id === CONSTANTS.DEFAULTS.ACCOUNT_ID
+                }
+            ];
+
+            buttons.forEach(({ action, text, disabled, className }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = className || 'edit-btn';
+                button.textContent = text;
+                button.dataset.action = action;
+                button.dataset.accountId = account.id;
+                button.disabled = !!disabled;
+                actions.appendChild(button);
+            });
+
+            item.appendChild(actions);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * 口座追加を処理
+     */
+    async handleAddAccount() {
+        const content = this.modal.content;
+        const accountData = {
+            name: content.querySelector('#newAccountName').value,
+            type: content.querySelector('#newAccountType').value,
+            initialBalance: parseFloat(content.querySelector('#newAccountBalance').value || '0')
+        };
+
+        try {
+            await this.dataManager.addAccount(accountData);
+            content.querySelector('#newAccountName').value = '';
+            content.querySelector('#newAccountBalance').value = '0';
+            this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.ACCOUNT_ADDED);
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * 口座名の変更を処理
+     */
+    async handleRename(accountId) {
+        const account = this.dataManager.getAccount(accountId);
+        if (!account) return;
+
+        const newName = await this.uiManager.modalManager.showPrompt(
+            '口座名を変更',
+            '新しい口座名を入力してください',
+            { defaultValue: account.name, required: true, maxLength: 50 }
+        );
+
+        if (newName && newName !== account.name) {
+            await this.dataManager.updateAccount(accountId, { name: newName });
+        }
+    }
+
+    /**
+     * 口座削除を処理
+     */
+    async handleRemove(accountId) {
+        const account = this.dataManager.getAccount(accountId);
+        if (!account) return;
+
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            '口座を削除',
+            `口座「${account.name}」を削除しますか？`,
+            { confirmText: '削除', dangerous: true }
+        );
+
+        if (confirmed) {
+            await this.dataManager.removeAccount(accountId);
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
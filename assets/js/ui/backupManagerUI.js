@@ -0,0 +1,622 @@
+// バックアップ管理UI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { BackupDiff } from '../utils/backupDiff.js';
+
+export class BackupManagerUI {
+    /**
+     * 差分の一覧に表示する最大件数
+     */
+    static MAX_DIFF_ROWS = 100;
+
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.backups = [];
+        this.selectedBackup = null; // 差分を表示中のバックアップ
+        this.diff = null;
+        this.handleBackupsChanged = () => this.loadBackups();
+    }
+
+    /**
+     * バックアップ管理UIをレンダリング
+     */
+    async render() {
+        const { MIN_RETENTION, MAX_RETENTION } = CONSTANTS.BACKUP;
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🗄️</span> バックアップ管理</h2>
+
+            <div class="modal-section">
+                <div class="backup-toolbar">
+                    <button type="button" class="btn btn-success" data-action="create">
+                        <span aria-hidden="true">💾</span> 今すぐバックアップ
+                    </button>
+                    <form id="backupRetentionForm" class="form-inline">
+                        <label for="backupRetention">自動バックアップの保持数</label>
+                        <input type="number" id="backupRetention" min="${MIN_RETENTION}" max="${MAX_RETENTION}" step="1" value="${this.dataManager.backupRetention}">
+                        <button type="submit" class="edit-btn">保存</button>
+                    </form>
+                </div>
+                <p class="modal-text backup-note">ピン留めしたバックアップは保持数に数えず、自動では削除されません。</p>
+            </div>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">📋</span> 保存されているバックアップ</h3>
+                <div id="backupList" class="backup-list"></div>
+            </div>
+
+            <div id="backupDiff" class="modal-section backup-diff" hidden></div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 閉じる
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        await this.loadBackups();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action } = button.dataset;
+            const backup = this.findBackup(button.dataset.backupId);
+
+            try {
+                switch (action) {
+                    case 'create':
+                        await this.dataManager.createBackup(CONSTANTS.BACKUP.LABELS.MANUAL);
+                        this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.BACKUP_CREATED);
+                        break;
+                    case 'compare':
+                        this.showDiff(backup);
+                        break;
+                    case 'pin':
+                        await this.dataManager.setBackupPinned(backup, !backup.pinned);
+                        break;
+                    case 'restore':
+                        await this.handleRestore(backup);
+                        break;
+                    case 'delete':
+                        await this.handleDelete(backup);
+                        break;
+                    case 'restore-missing':
+                        await this.handleRestoreMissing();
+                        break;
+                    case 'select-missing':
+                        this.setMissingSelection(button.dataset.value === 'all');
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            } catch (error) {
+                console.error('バックアップ操作エラー:', error);
+                this.uiManager.notificationManager.error(error.message);
+            }
+        });
+
+        this.modal.content.querySelector('#backupRetentionForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = this.modal.content.querySelector('#backupRetention');
+
+            try {
+                await this.dataManager.setBackupRetention(input.value);
+                this.uiManager.notificationManager.success(`自動バックアップを最新${this.dataManager.backupRetention}件まで保持します`);
+            } catch (error) {
+                this.uiManager.notificationManager.error(error.message);
+                input.value = this.dataManager.backupRetention;
+            }
+        });
+
+        this.modal.content.addEventListener('change', (e) => {
+            if (e.target.dataset.missingIndex !== undefined) {
+                this.updateRestoreMissingButton();
+            }
+        });
+
+        // モーダルを閉じたらデータイベントの購読を解除
+        this.dataManager.on('backupsChanged', this.handleBackupsChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('backupsChanged', this.handleBackupsChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * バックアップ一覧を読み込んで表示
+     */
+    async loadBackups() {
+        try {
+            this.backups = await this.dataManager.getBackups();
+        } catch (error) {
+            console.error('バックアップ一覧の取得エラー:', error);
+            this.backups = [];
+            this.uiManager.notificationManager.error('バックアップ一覧の取得に失敗しました');
+        }
+
+        // 差分を表示中のバックアップが削除された場合は差分を閉じる
+        if (this.selectedBackup && !this.findBackup(this.selectedBackup.id)) {
+            this.hideDiff();
+        }
+
+        this.updateBackupList();
+    }
+
+    /**
+     * IDからバックアップを取得
+     * @param {string} id - data属性に設定したID
+     * @returns {object|null} バックアップ
+     */
+    findBackup(id) {
+        if (id === undefined) return null;
+        return this.backups.find(backup => String(backup.id) === String(id)) || null;
+    }
+
+    /**
+     * バックアップ一覧を更新
+     */
+    updateBackupList() {
+        const container = this.modal.content.querySelector('#backupList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.backups.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'modal-text';
+            empty.textContent = CONSTANTS.ERROR_MESSAGES.BACKUP_NOT_FOUND;
+            container.appendChild(empty);
+            return;
+        }
+
+        this.backups.forEach(backup => {
+            const summary = BackupDiff.summarize(backup.data);
+
+            const item = document.createElement('div');
+            item.className = 'recurring-rule-item backup-item';
+            if (backup.pinned) item.classList.add('pinned');
+            if (this.selectedBackup && backup.id === this.selectedBackup.id) item.classList.add('selected');
+
+            const info = document.createElement('div');
+            info.className = 'recurring-rule-info';
+
+            const title = document.createElement('strong');
+            title.textContent = `${backup.pinned ? '📌 ' : ''}${new Date(backup.timestamp).toLocaleString('ja-JP')}`;
+            info.appendChild(title);
+
+            const label = document.createElement('span');
+            label.className = 'backup-label';
+            label.textContent = backup.label || CONSTANTS.BACKUP.LABELS.AUTO;
+            info.appendChild(label);
+
+            const detail = document.createElement('div');
+            detail.className = 'recurring-rule-detail';
+            detail.textContent = summary.transactionCount > 0
+                ? `${summary.transactionCount}件 / ${UTILS.formatDate(summary.firstDate)} 〜 ${UTILS.formatDate(summary.lastDate)}`
+                : '取引なし';
+            info.appendChild(detail);
+
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'recurring-rule-actions';
+
+            [
+                { action: 'compare', text: '比較' },
+                { action: 'pin', text: backup.pinned ? 'ピン留めを解除' : 'ピン留め' },
+                { action: 'restore', text: '復元' },
+                { action: 'delete', text: '削除', className: 'delete-btn' }
+            ].forEach(({ action, text, className }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = className || 'edit-btn';
+                button.textContent = text;
+                button.dataset.action = action;
+                button.dataset.backupId = String(backup.id);
+                actions.appendChild(button);
+            });
+
+            item.appendChild(actions);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * 現在のデータとの差分を表示
+     * @param {object} backup - バックアップ
+     */
+    showDiff(backup) {
+        if (!backup) return;
+
+        this.selectedBackup = backup;
+        // バックアップ時とカテゴリIDが異なる場合（名前で参照していた頃のバックアップなど）は現在のIDに対応付けて比較する
+        const backupData = {
+            ...backup.data,
+            transactions: this.dataManager.mapCategoryIds(backup.data.transactions || [], backup.data.categories)
+        };
+        this.diff = BackupDiff.compare(backupData, this.dataManager.toSaveFormat());
+        this.updateBackupList();
+
+        const { transactions, categories } = this.diff;
+        const container = this.modal.content.querySelector('#backupDiff');
+        container.hidden = false;
+        container.innerHTML = `
+            <h3><span aria-hidden="true">🔍</span> 現在のデータとの違い（${new Date(backup.timestamp).toLocaleString('ja-JP')}）</h3>
+            <ul class="backup-diff-summary">
+                <li>バックアップにだけある取引: <strong>${transactions.removed.length}件</strong></li>
+                <li>バックアップ後に追加された取引: <strong>${transactions.added.length}件</strong></li>
+                <li>内容が変わった取引: <strong>${transactions.changed.length}件</strong></li>
+                <li>カテゴリ: 追加 <strong>${categories.added.length}件</strong> / 削除 <strong>${categories.removed.length}件</strong></li>
+            </ul>
+            <div id="backupDiffDetails"></div>
+        `;
+
+        const details = container.querySelector('#backupDiffDetails');
+
+        if (transactions.removed.length > 0) {
+            details.appendChild(this.createMissingSection(transactions.removed));
+        }
+        if (transactions.added.length > 0) {
+            details.appendChild(this.createTransactionSection('バックアップ後に追加された取引', transactions.added));
+        }
+        if (transactions.changed.length > 0) {
+            details.appendChild(this.createChangedSection(transactions.changed));
+        }
+        if (categories.added.length > 0 || categories.removed.length > 0) {
+            details.appendChild(this.createCategorySection(categories));
+        }
+        if (details.children.length === 0) {
+            const same = document.createElement('p');
+            same.className = 'modal-text';
+            same.textContent = '現在のデータと同じ内容です。';
+            details.appendChild(same);
+        }
+
+        this.updateRestoreMissingButton();
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * 差分の表示を閉じる
+     */
+    hideDiff() {
+        this.selectedBackup = null;
+        this.diff = null;
+
+        const container = this.modal.content.querySelector('#backupDiff');
+        container.hidden = true;
+        container.innerHTML = '';
+    }
+
+    /**
+     * バックアップにだけある取引（選択して戻せる）のセクションを作成
+     * @param {Array<object>} missing - バックアップにだけある取引
+     * @returns {HTMLElement} セクション
+     */
+    createMissingSection(missing) {
+        const section = this.createTransactionSection('バックアップにだけある取引', missing, true);
+
+        const actions = document.createElement('div');
+        actions.className = 'import-preview-actions';
+        actions.innerHTML = `
+            <button type="button" class="edit-btn" data-action="select-missing" data-value="all">すべて選択</button>
+            <button type="button" class="edit-btn" data-action="select-missing" data-value="none">すべて解除</button>
+            <button type="button" class="btn btn-success" data-action="restore-missing" id="restoreMissingBtn"></button>
+        `;
+        section.insertBefore(actions, section.querySelector('.import-preview'));
+
+        return section;
+    }
+
+    /**
+     * 取引一覧のセクションを作成
+     * @param {string} title - 見出し
+     * @param {Array<object>} transactions - 取引
+     * @param {boolean} selectable - 選択用のチェックボックスを付けるか
+     * @returns {HTMLElement} セクション
+     */
+    createTransactionSection(title, transactions, selectable = false) {
+        const section = document.createElement('div');
+        section.className = 'backup-diff-section';
+
+        const heading = document.createElement('h4');
+        heading.textContent = `${title}（${transactions.length}件）`;
+        section.appendChild(heading);
+
+        const region = document.createElement('div');
+        region.className = 'import-preview';
+        region.setAttribute('role', 'region');
+        region.setAttribute('aria-label', title);
+
+        const table = document.createElement('table');
+        const headers = ['日付', '種類', 'カテゴリ', '説明', '金額'];
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    ${selectable ? '<th scope="col"><span class="sr-only">戻す</span></th>' : ''}
+                    ${headers.map(header => `<th scope="col">${header}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        // 戻す対象は全件選べるように省略しない
+        const rows = selectable ? transactions : transactions.slice(0, BackupManagerUI.MAX_DIFF_ROWS);
+        const tbody = table.querySelector('tbody');
+
+        rows.forEach((transaction, index) => {
+            const tr = document.createElement('tr');
+
+            if (selectable) {
+                const tdCheck = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                checkbox.dataset.missingIndex = String(index);
+                checkbox.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を戻す`);
+                tdCheck.appendChild(checkbox);
+                tr.appendChild(tdCheck);
+            }
+
+            this.getTransactionCells(transaction).forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        });
+
+        region.appendChild(table);
+        section.appendChild(region);
+
+        if (rows.length < transactions.length) {
+            section.appendChild(this.createMoreNote(transactions.length - rows.length));
+        }
+
+        return section;
+    }
+
+    /**
+     * 内容が変わった取引のセクションを作成
+     * @param {Array<object>} changed - { before, after, fields } の配列
+     * @returns {HTMLElement} セクション
+     */
+    createChangedSection(changed) {
+        const section = document.createElement('div');
+        section.className = 'backup-diff-section';
+
+        const heading = document.createElement('h4');
+        heading.textContent = `内容が変わった取引（${changed.length}件）`;
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'backup-change-list';
+
+        changed.slice(0, BackupManagerUI.MAX_DIFF_ROWS).forEach(({ before, after, fields }) => {
+            const item = document.createElement('li');
+            const changes = fields.map(field =>
+                `${this.getFieldLabel(field)}: ${this.formatField(field, before[field])} → ${this.formatField(field, after[field])}`
+            );
+            item.textContent = `${UTILS.formatDate(after.date)} ${after.description || this.dataManager.getTransactionCategoryName(after)} … ${changes.join(' / ')}`;
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+
+        if (changed.length > BackupManagerUI.MAX_DIFF_ROWS) {
+            section.appendChild(this.createMoreNote(changed.length - BackupManagerUI.MAX_DIFF_ROWS));
+        }
+
+        return section;
+    }
+
+    /**
+     * カテゴリの差分のセクションを作成
+     * @param {object} categories - { added, removed }
+     * @returns {HTMLElement} セクション
+     */
+    createCategorySection(categories) {
+        const section = document.createElement('div');
+        section.className = 'backup-diff-section';
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'カテゴリ';
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'backup-change-list';
+
+        const format = ({ type, name }) => `${name}（${CONSTANTS.TRANSACTION_TYPE_LABELS[type]}）`;
+        [
+            { label: 'バックアップ後に追加', items: categories.added },
+            { label: 'バックアップにだけある', items: categories.removed }
+        ].forEach(({ label, items }) => {
+            if (items.length === 0) return;
+            const item = document.createElement('li');
+            item.textContent = `${label}: ${items.map(format).join('、')}`;
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * 省略した件数の注記を作成
+     * @param {number} count - 省略した件数
+     * @returns {HTMLElement} 注記
+     */
+    createMoreNote(count) {
+        const note = document.createElement('p');
+        note.className = 'backup-note';
+        note.textContent = `ほか${count}件`;
+        return note;
+    }
+
+    /**
+     * 取引の表示用セルを取得
+     * @param {object} transaction - 取引
+     * @returns {Array<string>} セルの文字列
+     */
+    getTransactionCells(transaction) {
+        return [
+            UTILS.formatDate(transaction.date),
+            CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+            this.dataManager.getTransactionCategoryName(transaction),
+            transaction.description || '',
+            UTILS.formatCurrency(transaction.amount)
+        ];
+    }
+
+    /**
+     * 項目名を取得
+     * @param {string} field - 取引の項目
+     * @returns {string} 表示名
+     */
+    getFieldLabel(field) {
+        const labels = {
+            date: '日付',
+            type: '種類',
+            categoryId: 'カテゴリ',
+            amount: '金額',
+            description: '説明',
+            accountId: '口座',
+            toAccountId: '振替先'
+        };
+        return labels[field] || field;
+    }
+
+    /**
+     * 項目の値を表示用に整形
+     * @param {string} field - 取引の項目
+     * @param {*} value - 値
+     * @returns {string} 表示用の文字列
+     */
+    formatField(field, value) {
+        if (value === undefined || value === null || value === '') return '（なし）';
+
+        switch (field) {
+            case 'date':
+                return UTILS.formatDate(value);
+            case 'type':
+                return CONSTANTS.TRANSACTION_TYPE_LABELS[value] || value;
+            case 'amount':
+                return UTILS.formatCurrency(value);
+            case 'categoryId':
+                return this.dataManager.getCategoryName(value);
+            case 'accountId':
+            case 'toAccountId':
+                return this.dataManager.getAccountName(value);
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * バックアップにだけある取引の選択状態をまとめて変更
+     * @param {boolean} checked - 選択するかどうか
+     */
+    setMissingSelection(checked) {
+        this.modal.content.querySelectorAll('input[data-missing-index]').forEach(checkbox => {
+            checkbox.checked = checked;
+        });
+        this.updateRestoreMissingButton();
+    }
+
+    /**
+     * 選択されたバックアップにだけある取引を取得
+     * @returns {Array<object>} 取引
+     */
+    getSelectedMissing() {
+        if (!this.diff) return [];
+
+        return [...this.modal.content.querySelectorAll('input[data-missing-index]')]
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => this.diff.transactions.removed[Number(checkbox.dataset.missingIndex)]);
+    }
+
+    /**
+     * 「選択した取引を戻す」ボタンの表示を更新
+     */
+    updateRestoreMissingButton() {
+        const button = this.modal.content.querySelector('#restoreMissingBtn');
+        if (!button) return;
+
+        const count = this.getSelectedMissing().length;
+        button.disabled = count === 0;
+        button.innerHTML = `<span aria-hidden="true">↩️</span> 選択した${count}件を戻す`;
+    }
+
+    /**
+     * 選択した取引だけを現在のデータに戻す
+     */
+    async handleRestoreMissing() {
+        const transactions = this.getSelectedMissing();
+        if (!this.selectedBackup || transactions.length === 0) return;
+
+        const count = await this.dataManager.restoreMissingTransactions(this.selectedBackup, transactions);
+        this.uiManager.notifyWithUndo(`バックアップから${count}件の取引を戻しました`);
+
+        // 戻した結果で差分を更新
+        this.showDiff(this.selectedBackup);
+    }
+
+    /**
+     * バックアップからすべてのデータを復元
+     * @param {object} backup - バックアップ
+     */
+    async handleRestore(backup) {
+        if (!backup) return;
+
+        const summary = BackupDiff.summarize(backup.data);
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            'バックアップからの復元',
+            `バックアップからデータを復元しますか？\n\nバックアップ日時: ${new Date(backup.timestamp).toLocaleString('ja-JP')}\n件数: ${summary.transactionCount}件\n\n現在のデータは上書きされます（復元前のデータは「${CONSTANTS.BACKUP.LABELS.BEFORE_RESTORE}」のバックアップとして残ります）。`,
+            { confirmText: '復元', dangerous: true }
+        );
+
+        if (confirmed) {
+            await this.dataManager.restoreBackup(backup);
+            this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.BACKUP_RESTORED);
+            this.close();
+        }
+    }
+
+    /**
+     * バックアップを削除
+     * @param {object} backup - バックアップ
+     */
+    async handleDelete(backup) {
+        if (!backup) return;
+
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            'バックアップを削除',
+            `${new Date(backup.timestamp).toLocaleString('ja-JP')}のバックアップを削除しますか？`,
+            { confirmText: '削除', dangerous: true }
+        );
+
+        if (confirmed) {
+            await this.dataManager.deleteBackup(backup.id);
+            this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.BACKUP_DELETED);
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
@@ -0,0 +1,152 @@
+// パスフレーズ付きバックアップのパスフレーズ入力UI専用クラス
+import { CONSTANTS } from '../constants.js';
+
+export class BackupPassphraseUI {
+    /**
+     * @param {object} dataManager - データマネージャー
+     * @param {object} modal - createModalで作成したモーダル
+     * @param {object} uiManager - UIマネージャー
+     * @param {object} options - { mode: 'export'（書き出し・確認欄あり）または 'import'（読み込み）, error: 表示するエラーメッセージ }
+     * @param {Function} onComplete - 完了時に入力されたパスフレーズ（キャンセル時はnull）で呼ばれる
+     */
+    constructor(dataManager, modal, uiManager, options, onComplete) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.mode = options.mode;
+        this.error = options.error || '';
+        this.onComplete = onComplete;
+        this.isCompleted = false;
+    }
+
+    /**
+     * パスフレーズ入力UIをレンダリング
+     */
+    render() {
+        const isExport = this.mode === 'export';
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🔐</span> ${isExport ? 'パスフレーズ付きでバックアップ' : 'パスフレーズ付きのバックアップ'}</h2>
+            <form id="backupPassphraseForm">
+                ${isExport ? this.renderExport() : this.renderImport()}
+                <p class="lock-screen-error" id="backupPassphraseError" role="alert"></p>
+                <div class="modal-buttons">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                    <button type="submit" class="btn btn-primary">
+                        ${isExport ? '<span aria-hidden="true">📥</span> 書き出す' : '<span aria-hidden="true">🔓</span> 読み込む'}
+                    </button>
+                </div>
+            </form>
+        `;
+
+        this.modal.content.querySelector('#backupPassphraseError').textContent = this.error;
+        this.setupEventListeners();
+    }
+
+    /**
+     * 書き出すときの内容
+     * @returns {string} HTML
+     */
+    renderExport() {
+        return `
+            <p class="modal-text">
+                すべての取引と設定をパスフレーズで暗号化したJSONファイルに書き出します。
+                読み込むときは同じパスフレーズが必要です。
+            </p>
+            <p class="modal-text encryption-warning">
+                <span aria-hidden="true">⚠️</span> パスフレーズを忘れるとこのファイルは読み込めません。復元する方法はありません。
+            </p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="backupPassphrase">パスフレーズ（${CONSTANTS.ENCRYPTION.MIN_PASSPHRASE_LENGTH}文字以上）</label>
+                    <input type="password" id="backupPassphrase" autocomplete="new-password" required>
+                </div>
+                <div class="form-group">
+                    <label for="backupPassphraseConfirm">パスフレーズ（確認）</label>
+                    <input type="password" id="backupPassphraseConfirm" autocomplete="new-password" required>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 読み込むときの内容
+     * @returns {string} HTML
+     */
+    renderImport() {
+        return `
+            <p class="modal-text">このファイルは暗号化されています。書き出したときのパスフレーズを入力してください。</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="backupPassphrase">パスフレーズ</label>
+                    <input type="password" id="backupPassphrase" autocomplete="off" required>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const content = this.modal.content;
+
+        content.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            this.complete(null);
+            this.close();
+        });
+
+        content.querySelector('#backupPassphraseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        // Escキーなどで閉じられた場合もキャンセルとして通知
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+            this.complete(null);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * 入力を確認して完了
+     * パスフレーズは前後の空白も含めてそのまま使う
+     */
+    handleSubmit() {
+        const content = this.modal.content;
+        const passphrase = content.querySelector('#backupPassphrase').value;
+        const errorElement = content.querySelector('#backupPassphraseError');
+
+        if (this.mode === 'export') {
+            if (passphrase.length < CONSTANTS.ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+                errorElement.textContent = CONSTANTS.ERROR_MESSAGES.PASSPHRASE_TOO_SHORT;
+                return;
+            }
+            if (passphrase !== content.querySelector('#backupPassphraseConfirm').value) {
+                errorElement.textContent = CONSTANTS.ERROR_MESSAGES.PASSPHRASE_MISMATCH;
+                return;
+            }
+        }
+
+        this.complete(passphrase);
+        this.close();
+    }
+
+    /**
+     * 完了コールバックを一度だけ呼び出す
+     */
+    complete(result) {
+        if (this.isCompleted) return;
+        this.isCompleted = true;
+        this.onComplete(result);
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
@@ -0,0 +1,106 @@
+// 予算設定UI専用クラス
+import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+
+export class BudgetManagerUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+    }
+
+    /**
+     * 予算設定UIをレンダリング
+     */
+    render() {
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">📋</span> 月間予算の設定</h2>
+            <p class="modal-text">支出カテゴリごとに毎月の予算を入力してください。空欄のカテゴリは予算なしになります。</p>
+            <div id="budgetInputs" class="budget-inputs"></div>
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                <button class="btn btn-primary" data-action="save">
+                    <span aria-hidden="true">✅</span> 保存
+                </button>
+            </div>
+        `;
+
+        this.renderInputs();
+        this.setupEventListeners();
+    }
+
+    /**
+     * カテゴリごとの入力欄を作成
+     */
+    renderInputs() {
+        const container = this.modal.content.querySelector('#budgetInputs');
+        const categories = this.dataManager.getCategoryTree(CONSTANTS.TRANSACTION_TYPES.EXPENSE);
+
+        categories.forEach(({ id, name: category, depth }, index) => {
+            const row = document.createElement('div');
+            row.className = 'form-inline budget-input-row';
+
+            // 親カテゴリの予算にはサブカテゴリの支出も含まれる
+            const hasChildren = categories.some(c => c.parentId === id);
+            const label = document.createElement('label');
+            label.htmlFor = `budgetInput${index}`;
+            label.textContent = CategoryTree.getOptionLabel({ name: category, depth }) + (hasChildren ? '（サブカテゴリを含む）' : '');
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `budgetInput${index}`;
+            input.min = '0';
+            input.step = '1';
+            input.placeholder = '予算なし';
+            input.dataset.categoryId = id;
+            input.dataset.categoryName = category;
+            input.value = this.dataManager.budgets[id] || '';
+
+            row.appendChild(label);
+            row.appendChild(input);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+
+            if (action === 'save') {
+                this.handleSave();
+            } else if (action === 'cancel') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * 入力内容を保存
+     */
+    handleSave() {
+        try {
+            this.modal.content.querySelectorAll('input[data-category-id]').forEach(input => {
+                const limit = parseFloat(input.value || '0');
+                if (limit < 0) {
+                    throw new Error(`「${input.dataset.categoryName}」の予算は0円以上で入力してください`);
+                }
+                this.dataManager.setBudget(input.dataset.categoryId, limit);
+            });
+
+            this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.BUDGET_SAVED);
+            this.close();
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
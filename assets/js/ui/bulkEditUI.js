@@ -0,0 +1,198 @@
+// 選択した取引の一括変更UI専用クラス
+import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { Sanitizer } from '../utils/sanitizer.js';
+import { TagAutocomplete } from './tagAutocomplete.js';
+
+export class BulkEditUI {
+    /**
+     * 操作ごとの見出しと説明
+     */
+    static ACTIONS = {
+        category: { icon: '🗂️', title: 'カテゴリを変更', text: '選択した取引のカテゴリを変更します。分割した取引は分割を解除して、選んだカテゴリにまとめます。カテゴリと種類が異なる取引と振替は変更しません。' },
+        addTag: { icon: '🏷️', title: 'タグを追加', text: '選択した取引にタグを追加します。' },
+        removeTag: { icon: '🏷️', title: 'タグを外す', text: '選択した取引からタグを外します。' },
+        account: { icon: '👛', title: '口座を変更', text: '選択した取引の口座を変更します。振替は振替元の口座を変更します。' },
+        shiftDate: { icon: '📅', title: '日付をずらす', text: '選択した取引の日付を指定した日数だけずらします。前にずらす場合はマイナスの日数を入力してください。' }
+    };
+
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.action = null;
+        this.resolve = null;
+    }
+
+    /**
+     * 一括変更の入力を開始
+     * @param {string} action - 操作（category, addTag, removeTag, account, shiftDate）
+     * @param {Array<object>} transactions - 選択した取引
+     * @returns {Promise<*|null>} 入力された値（キャンセル時はnull）
+     *   category は { type, categoryId }、shiftDate は日数、それ以外は文字列
+     */
+    open(action, transactions) {
+        this.action = action;
+        this.render(transactions);
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 一括変更UIをレンダリング
+     * @param {Array<object>} transactions - 選択した取引
+     */
+    render(transactions) {
+        const { icon, title, text } = BulkEditUI.ACTIONS[this.action];
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">${icon}</span> ${title}</h2>
+            <p class="modal-text">${text}（対象: ${transactions.length}件）</p>
+            <div class="form-group" id="bulkEditField"></div>
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                <button class="btn btn-primary" data-action="confirm">変更</button>
+            </div>
+        `;
+
+        const field = this.modal.content.querySelector('#bulkEditField');
+        const label = document.createElement('label');
+        label.htmlFor = 'bulkEditValue';
+        field.appendChild(label);
+        field.appendChild(this.createInput(transactions, label));
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 操作に応じた入力欄を作成
+     * @param {Array<object>} transactions - 選択した取引
+     * @param {HTMLLabelElement} label - 入力欄のラベル
+     * @returns {HTMLElement} 入力欄
+     */
+    createInput(transactions, label) {
+        if (this.action === 'addTag' || this.action === 'shiftDate') {
+            const input = document.createElement('input');
+            input.id = 'bulkEditValue';
+
+            if (this.action === 'addTag') {
+                label.textContent = '追加するタグ';
+                input.type = 'text';
+                input.maxLength = CONSTANTS.VALIDATION.MAX_TAG_LENGTH;
+                input.placeholder = '例: 経費精算';
+            } else {
+                label.textContent = 'ずらす日数';
+                input.type = 'number';
+                input.step = '1';
+                input.value = '1';
+            }
+            return input;
+        }
+
+        const select = document.createElement('select');
+        select.id = 'bulkEditValue';
+        const addOption = (parent, value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            parent.appendChild(option);
+        };
+        addOption(select, '', '選択してください');
+
+        if (this.action === 'category') {
+            label.textContent = '変更後のカテゴリ';
+            // 選択した取引に含まれる種別のカテゴリだけを選択肢にする
+            const types = [CONSTANTS.TRANSACTION_TYPES.EXPENSE, CONSTANTS.TRANSACTION_TYPES.INCOME]
+                .filter(type => transactions.some(t => t.type === type));
+            types.forEach(type => {
+                const group = document.createElement('optgroup');
+                group.label = CONSTANTS.TRANSACTION_TYPE_LABELS[type];
+                this.dataManager.getCategoryTree(type).forEach(category => {
+                    addOption(group, `${type}:${category.id}`, CategoryTree.getOptionLabel(category));
+                });
+                select.appendChild(group);
+            });
+        } else if (this.action === 'removeTag') {
+            label.textContent = '外すタグ';
+            const tags = [...new Set(transactions.flatMap(t => t.tags || []))].sort((a, b) => a.localeCompare(b, 'ja'));
+            tags.forEach(tag => addOption(select, tag, `#${tag}`));
+        } else if (this.action === 'account') {
+            label.textContent = '変更後の口座';
+            this.dataManager.accounts.forEach(account => addOption(select, account.id, account.name));
+        }
+
+        return select;
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const input = this.modal.content.querySelector('#bulkEditValue');
+
+        if (this.action === 'addTag') {
+            new TagAutocomplete(input, () => this.dataManager.getTagUsage().map(({ tag }) => tag));
+        }
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input.getAttribute('aria-expanded') !== 'true') {
+                e.preventDefault();
+                this.handleConfirm();
+            }
+        });
+
+        this.modal.content.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+
+            if (action === 'confirm') {
+                this.handleConfirm();
+            } else if (action === 'cancel') {
+                this.close(null);
+            }
+        });
+    }
+
+    /**
+     * 入力を検証して確定
+     */
+    handleConfirm() {
+        const value = this.modal.content.querySelector('#bulkEditValue').value.trim();
+        let result = value;
+        let error = '';
+
+        if (this.action === 'category') {
+            const [type, categoryId] = value.split(':');
+            result = { type, categoryId };
+            error = value ? '' : 'カテゴリを選択してください';
+        } else if (this.action === 'addTag') {
+            result = Sanitizer.sanitizeTag(value);
+            error = result ? '' : 'タグを入力してください';
+        } else if (this.action === 'shiftDate') {
+            result = Number(value);
+            error = Number.isInteger(result) && result !== 0 ? '' : 'ずらす日数を0以外の整数で入力してください';
+        } else if (!value) {
+            error = this.action === 'removeTag' ? 'タグを選択してください' : '口座を選択してください';
+        }
+
+        if (error) {
+            this.uiManager.notificationManager.error(error);
+            return;
+        }
+
+        this.close(result);
+    }
+
+    /**
+     * モーダルを閉じる
+     * @param {*|null} result - 入力された値（キャンセル時はnull）
+     */
+    close(result) {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+}
@@ -1,5 +1,6 @@
 // カテゴリ管理UI専用クラス
 import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
 
 export class CategoryManagerUI {
     constructor(dataManager, modal, uiManager) {
@@ -15,10 +16,14 @@ export class CategoryManagerUI {
     render() {
         this.modal.content.innerHTML = `
             <h2 class="modal-title"><span aria-hidden="true">⚙️</span> カテゴリ管理</h2>
+            <p class="modal-text category-tree-hint">
+                カテゴリを別のカテゴリにドラッグするとサブカテゴリになり、一覧の空いている場所にドラッグすると最上位に戻ります。
+                キーボードではAlt+→で直前のカテゴリの下へ、Alt+←で最上位へ移動できます。
+            </p>
             
             <div class="modal-section">
                 <h3><span aria-hidden="true">💰</span> 収入カテゴリ</h3>
-                <div id="incomeCategories" class="category-list"></div>
+                <div id="incomeCategories" class="category-list category-tree" data-type="${CONSTANTS.TRANSACTION_TYPES.INCOME}"></div>
                 <div class="form-inline">
                     <input 
                         type="text" 
@@ -27,6 +32,7 @@ export class CategoryManagerUI {
                         maxlength="50"
                         aria-label="新しい収入カテゴリ名"
                     >
+                    <select id="newIncomeCategoryParent" class="category-parent-select" aria-label="追加する収入カテゴリの親カテゴリ"></select>
                     <button class="btn btn-success" data-action="add-income" aria-label="収入カテゴリを追加">
                         <span aria-hidden="true">➕</span> 追加
                     </button>
@@ -35,7 +41,7 @@ export class CategoryManagerUI {
             
             <div class="modal-section expense">
                 <h3><span aria-hidden="true">💸</span> 支出カテゴリ</h3>
-                <div id="expenseCategories" class="category-list"></div>
+                <div id="expenseCategories" class="category-list category-tree" data-type="${CONSTANTS.TRANSACTION_TYPES.EXPENSE}"></div>
                 <div class="form-inline">
                     <input 
                         type="text" 
@@ -44,6 +50,7 @@ export class CategoryManagerUI {
                         maxlength="50"
                         aria-label="新しい支出カテゴリ名"
                     >
+                    <select id="newExpenseCategoryParent" class="category-parent-select" aria-label="追加する支出カテゴリの親カテゴリ"></select>
                     <button class="btn btn-warning" data-action="add-expense" aria-label="支出カテゴリを追加">
                         <span aria-hidden="true">➕</span> 追加
                     </button>
@@ -129,6 +136,132 @@ export class CategoryManagerUI {
 
         // 入力値検証
         this.setupInputValidation();
+
+        // ドラッグ＆ドロップ・キーボードによる親カテゴリの変更
+        this.setupReparenting();
+
+        // 元に戻す・やり直しでカテゴリが変わった場合は一覧を更新し、閉じたら購読を解除
+        this.handleCategoriesChanged = () => this.updateCategoryList();
+        this.dataManager.on('categoriesChanged', this.handleCategoriesChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('categoriesChanged', this.handleCategoriesChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * 親カテゴリの変更操作を設定
+     */
+    setupReparenting() {
+        const content = this.modal.content;
+        this.dragging = null; // { type, id }
+
+        content.addEventListener('dragstart', (e) => {
+            const item = e.target.closest?.('.category-item[data-id]');
+            if (!item) return;
+
+            this.dragging = { type: item.dataset.type, id: item.dataset.id };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.id);
+            item.classList.add('dragging');
+        });
+
+        content.addEventListener('dragover', (e) => {
+            const tree = e.target.closest?.('.category-tree');
+            if (!this.dragging || !tree || tree.dataset.type !== this.dragging.type) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.highlightDropTarget(tree, this.getDropParentId(e.target));
+        });
+
+        content.addEventListener('dragleave', (e) => {
+            const tree = e.target.closest?.('.category-tree');
+            if (tree && !tree.contains(e.relatedTarget)) {
+                this.highlightDropTarget(tree, undefined);
+            }
+        });
+
+        content.addEventListener('drop', async (e) => {
+            const tree = e.target.closest?.('.category-tree');
+            if (!this.dragging || !tree || tree.dataset.type !== this.dragging.type) return;
+
+            e.preventDefault();
+            const { type, id } = this.dragging;
+            await this.handleMoveCategory(type, id, this.getDropParentId(e.target));
+        });
+
+        content.addEventListener('dragend', () => {
+            this.dragging = null;
+            content.querySelectorAll('.dragging, .drop-target').forEach(element => {
+                element.classList.remove('dragging', 'drop-target');
+            });
+        });
+
+        content.addEventListener('keydown', async (e) => {
+            const item = e.target.closest?.('.category-item[data-id]');
+            if (!item || e.target !== item || !e.altKey) return;
+
+            if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                // 最上位のカテゴリのみ、直前の最上位のカテゴリの下に移動できる
+                const node = item.closest('.category-node');
+                const previousRoot = node?.dataset.id === item.dataset.id ? node.previousElementSibling : null;
+                if (previousRoot) {
+                    await this.handleMoveCategory(item.dataset.type, item.dataset.id, previousRoot.dataset.id);
+                }
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                await this.handleMoveCategory(item.dataset.type, item.dataset.id, null);
+            }
+        });
+    }
+
+    /**
+     * ドロップ位置から新しい親カテゴリのIDを取得
+     * 最上位のカテゴリに重ねた場合はその子に、サブカテゴリに重ねた場合は同じ親の子に、空いている場所は最上位にする
+     * @param {Element} target - ドロップ先の要素
+     * @returns {string|null} 親カテゴリのID（最上位の場合はnull）
+     */
+    getDropParentId(target) {
+        const node = target.closest('.category-node');
+        if (!node || node.dataset.id === this.dragging?.id) {
+            return null;
+        }
+        return node.dataset.id;
+    }
+
+    /**
+     * ドロップ先の親カテゴリを強調表示
+     * @param {Element} tree - カテゴリ一覧の要素
+     * @param {string|null|undefined} parentId - 親カテゴリのID（nullは最上位、undefinedは強調なし）
+     */
+    highlightDropTarget(tree, parentId) {
+        tree.classList.toggle('drop-target', parentId === null);
+        tree.querySelectorAll('.category-node').forEach(node => {
+            node.classList.toggle('drop-target', parentId !== null && node.dataset.id === parentId);
+        });
+    }
+
+    /**
+     * カテゴリの親の変更を処理
+     * @param {string} type - トランザクション種別
+     * @param {string} id - 移動するカテゴリのID
+     * @param {string|null} parentId - 新しい親カテゴリのID（nullで最上位）
+     */
+    async handleMoveCategory(type, id, parentId) {
+        try {
+            const moved = await this.dataManager.moveCategory(type, id, parentId);
+            if (moved) {
+                this.isModified = true;
+                this.updateCategoryList();
+                this.modal.content.querySelector(`.category-item[data-id="${id}"]`)?.focus();
+            }
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
     }
 
     /**
@@ -201,6 +334,32 @@ export class CategoryManagerUI {
     updateCategoryList() {
         this.updateCategoryGroup(CONSTANTS.TRANSACTION_TYPES.INCOME, 'incomeCategories');
         this.updateCategoryGroup(CONSTANTS.TRANSACTION_TYPES.EXPENSE, 'expenseCategories');
+        this.updateParentOptions(CONSTANTS.TRANSACTION_TYPES.INCOME, 'newIncomeCategoryParent');
+        this.updateParentOptions(CONSTANTS.TRANSACTION_TYPES.EXPENSE, 'newExpenseCategoryParent');
+    }
+
+    /**
+     * 追加するカテゴリの親の選択肢を更新（親にできるのは最上位のカテゴリのみ）
+     */
+    updateParentOptions(type, selectId) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const currentValue = select.value;
+        select.innerHTML = '<option value="">最上位</option>';
+
+        this.dataManager.getCategoryTree(type)
+            .filter(category => category.depth === 0)
+            .forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = `${category.name}の下`;
+                select.appendChild(option);
+            });
+
+        if (Array.from(select.options).some(o => o.value === currentValue)) {
+            select.value = currentValue;
+        }
     }
 
     /**
@@ -212,7 +371,7 @@ export class CategoryManagerUI {
 
         container.innerHTML = '';
         
-        const categories = this.dataManager.categories[type] || [];
+        const categories = this.dataManager.getCategoryTree(type);
         
         if (categories.length === 0) {
             const emptyMessage = document.createElement('div');
@@ -223,27 +382,70 @@ export class CategoryManagerUI {
             return;
         }
 
-        categories.forEach(category => {
-            const element = this.createCategoryElement(type, category);
-            container.appendChild(element);
+        // 最上位のカテゴリごとにまとめ、サブカテゴリはその中に並べる
+        categories.filter(category => category.depth === 0).forEach(root => {
+            const node = document.createElement('div');
+            node.className = 'category-node';
+            node.dataset.id = root.id;
+            node.appendChild(this.createCategoryElement(type, root));
+
+            const children = categories.filter(category => category.parentId === root.id);
+            if (children.length > 0) {
+                const childList = document.createElement('div');
+                childList.className = 'category-children';
+                childList.setAttribute('role', 'group');
+                childList.setAttribute('aria-label', `${root.name}のサブカテゴリ`);
+                children.forEach(child => childList.appendChild(this.createCategoryElement(type, child)));
+                node.appendChild(childList);
+            }
+
+            container.appendChild(node);
         });
     }
 
     /**
      * カテゴリ要素を作成
+     * @param {string} type - トランザクション種別
+     * @param {object} node - getCategoryTreeで取得したカテゴリ
      */
-    createCategoryElement(type, category) {
+    createCategoryElement(type, node) {
+        const category = node.name;
         const span = document.createElement('span');
-        span.className = `category-item ${type}`;
-        span.setAttribute('data-category', category);
+        span.className = `category-item ${type}${node.depth > 0 ? ' subcategory' : ''}`;
         span.setAttribute('data-type', type);
+        span.setAttribute('data-id', node.id);
+        span.draggable = true;
+        span.tabIndex = 0;
+        
+        // 色とアイコン（クリックで変更）
+        const appearanceBtn = document.createElement('button');
+        appearanceBtn.type = 'button';
+        appearanceBtn.className = 'category-appearance';
+        appearanceBtn.title = `「${category}」の色とアイコンを変更`;
+        appearanceBtn.setAttribute('aria-label', `${category}の色とアイコンを変更`);
+        appearanceBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleEditAppearance(type, node);
+        });
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'category-color';
+        swatch.style.backgroundColor = node.color;
+        appearanceBtn.appendChild(swatch);
+        
+        const icon = document.createElement('span');
+        icon.className = 'category-icon';
+        icon.textContent = node.icon;
+        appearanceBtn.appendChild(icon);
+        
+        span.appendChild(appearanceBtn);
         
         // カテゴリ名
         const textNode = document.createTextNode(category);
         span.appendChild(textNode);
         
         // 使用状況の表示
-        const usageCount = this.getCategoryUsageCount(type, category);
+        const usageCount = this.getCategoryUsageCount(type, node.id);
         if (usageCount > 0) {
             const usageSpan = document.createElement('span');
             usageSpan.className = 'usage-count';
@@ -261,32 +463,34 @@ export class CategoryManagerUI {
         removeBtn.setAttribute('aria-label', `${category}を削除`);
         removeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.handleRemoveCategory(type, category);
+            this.handleRemoveCategory(type, node);
         });
         
         span.appendChild(removeBtn);
         
         // 編集機能（ダブルクリック）
         span.addEventListener('dblclick', () => {
-            this.editCategoryInline(span, type, category);
+            this.editCategoryInline(span, type, node);
         });
         
         return span;
     }
 
     /**
-     * カテゴリの使用件数を取得
+     * カテゴリの使用件数を取得（分割した取引はいずれかの行で使われていれば数える）
      */
-    getCategoryUsageCount(type, category) {
+    getCategoryUsageCount(type, categoryId) {
         return this.dataManager.transactions.filter(t => 
-            t.type === type && t.category === category
+            t.type === type &&
+            this.dataManager.getCategoryAllocations(t).some(allocation => allocation.categoryId === categoryId)
         ).length;
     }
 
     /**
      * インラインでカテゴリを編集
      */
-    editCategoryInline(element, type, oldCategory) {
+    editCategoryInline(element, type, node) {
+        const oldCategory = node.name;
         const input = document.createElement('input');
         input.type = 'text';
         input.value = oldCategory;
@@ -295,6 +499,7 @@ export class CategoryManagerUI {
         
         const originalContent = element.innerHTML;
         element.innerHTML = '';
+        element.draggable = false; // ドラッグで入力中の文字を選択できるようにする
         element.appendChild(input);
         
         input.focus();
@@ -305,7 +510,7 @@ export class CategoryManagerUI {
                 const newCategory = input.value.trim();
                 if (newCategory && newCategory !== oldCategory) {
                     try {
-                        await this.editCategory(type, oldCategory, newCategory);
+                        await this.editCategory(type, node.id, oldCategory, newCategory);
                     } catch (error) {
                         this.uiManager.notificationManager.error(error.message);
                     }
@@ -328,38 +533,102 @@ export class CategoryManagerUI {
 
     /**
      * カテゴリを編集
+     * 取引や予算はIDで参照しているため、名前を変えてもそのまま引き継がれる
      */
-    async editCategory(type, oldCategory, newCategory) {
-        // 新しいカテゴリが既に存在するかチェック
-        if (this.dataManager.categories[type].includes(newCategory)) {
-            throw new Error('このカテゴリは既に存在します');
-        }
-        
-        // カテゴリを追加
-        this.dataManager.addCategory(type, newCategory);
-        
-        // 既存の取引のカテゴリを更新
-        const relatedTransactions = this.dataManager.transactions.filter(t => 
-            t.type === type && t.category === oldCategory
-        );
-        
-        for (const transaction of relatedTransactions) {
-            await this.dataManager.updateTransaction(transaction.id, { category: newCategory });
-        }
-        
-        // 古いカテゴリを削除
-        this.dataManager.removeCategory(type, oldCategory, newCategory);
+    async editCategory(type, id, oldCategory, newCategory) {
+        await this.dataManager.updateCategory(type, id, { name: newCategory });
         
         this.isModified = true;
         this.uiManager.notificationManager.success(`カテゴリ「${oldCategory}」を「${newCategory}」に変更しました`);
     }
 
+    /**
+     * カテゴリの色とアイコンの変更を処理
+     * @param {string} type - トランザクション種別
+     * @param {object} node - 変更するカテゴリ
+     */
+    async handleEditAppearance(type, node) {
+        const changes = await this.showAppearanceModal(node);
+        if (!changes) return;
+
+        try {
+            await this.dataManager.updateCategory(type, node.id, changes);
+            this.updateCategoryList();
+            this.isModified = true;
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * 色とアイコンの選択モーダルを表示
+     * @param {object} node - 変更するカテゴリ
+     * @returns {Promise<object|null>} { color, icon }（キャンセル時はnull）
+     */
+    async showAppearanceModal(node) {
+        return new Promise((resolve) => {
+            const appearanceModal = this.uiManager.modalManager.createModal();
+            const icons = CONSTANTS.CATEGORY_ICON_CHOICES.includes(node.icon)
+                ? CONSTANTS.CATEGORY_ICON_CHOICES
+                : [node.icon, ...CONSTANTS.CATEGORY_ICON_CHOICES];
+            
+            appearanceModal.content.innerHTML = `
+                <h2 class="modal-title"><span aria-hidden="true">🎨</span> 色とアイコン</h2>
+                <p class="modal-text">カテゴリ「<strong></strong>」の表示を変更します。</p>
+                <div class="form-inline">
+                    <label for="categoryColorInput">色:</label>
+                    <input type="color" id="categoryColorInput" value="${node.color}">
+                </div>
+                <div class="category-icon-choices" role="radiogroup" aria-label="アイコン">
+                    ${icons.map(icon => `
+                        <button type="button" class="category-icon-choice${icon === node.icon ? ' selected' : ''}"
+                            role="radio" aria-checked="${icon === node.icon}" data-icon="${icon}">${icon}</button>
+                    `).join('')}
+                </div>
+                <div class="modal-buttons">
+                    <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                    <button class="btn btn-primary" data-action="confirm">変更</button>
+                </div>
+            `;
+            appearanceModal.content.querySelector('.modal-text strong').textContent = node.name;
+
+            let selectedIcon = node.icon;
+
+            const handleClose = (result) => {
+                this.uiManager.modalManager.closeModal(appearanceModal.overlay);
+                resolve(result);
+            };
+
+            appearanceModal.content.addEventListener('click', (e) => {
+                const choice = e.target.closest('.category-icon-choice');
+                if (choice) {
+                    selectedIcon = choice.dataset.icon;
+                    appearanceModal.content.querySelectorAll('.category-icon-choice').forEach(button => {
+                        const selected = button === choice;
+                        button.classList.toggle('selected', selected);
+                        button.setAttribute('aria-checked', String(selected));
+                    });
+                } else if (e.target.dataset.action === 'confirm') {
+                    handleClose({
+                        color: appearanceModal.content.querySelector('#categoryColorInput').value,
+                        icon: selectedIcon
+                    });
+                } else if (e.target.dataset.action === 'cancel') {
+                    handleClose(null);
+                }
+            });
+
+            this.uiManager.modalManager.showModal(appearanceModal.overlay);
+        });
+    }
+
     /**
      * カテゴリ追加を処理
      */
     async handleAddCategory(type) {
         const inputId = type === CONSTANTS.TRANSACTION_TYPES.INCOME ? 'newIncomeCategory' : 'newExpenseCategory';
         const input = document.getElementById(inputId);
+        const parentSelect = document.getElementById(`${inputId}Parent`);
         
         if (!input) return;
         
@@ -376,7 +645,7 @@ export class CategoryManagerUI {
         }
         
         try {
-            this.dataManager.addCategory(type, newCategory);
+            this.dataManager.addCategory(type, newCategory, parentSelect?.value || null);
             input.value = '';
             this.updateCategoryList();
             this.isModified = true;
@@ -406,35 +675,37 @@ export class CategoryManagerUI {
     /**
      * カテゴリ削除を処理
      */
-    async handleRemoveCategory(type, category) {
-        const usageCount = this.getCategoryUsageCount(type, category);
+    async handleRemoveCategory(type, node) {
+        const category = node.name;
+        const usageCount = this.getCategoryUsageCount(type, node.id);
 
         if (usageCount > 0) {
             // 使用中のカテゴリの場合、代替カテゴリを選択
-            const replacementCategory = await this.showCategoryReplacementModal(type, category, usageCount);
-            if (!replacementCategory) return;
+            const replacementId = await this.showCategoryReplacementModal(type, node, usageCount);
+            if (!replacementId) return;
 
             try {
-                const count = this.dataManager.removeCategory(type, category, replacementCategory);
+                const count = await this.dataManager.removeCategory(type, node.id, replacementId);
                 this.updateCategoryList();
                 this.isModified = true;
                 this.uiManager.notificationManager.success(
-                    `カテゴリ「${category}」を削除し、${count}件の取引を「${replacementCategory}」に変更しました`
+                    `カテゴリ「${category}」を削除し、${count}件の取引を「${this.dataManager.getCategoryName(replacementId)}」に変更しました`
                 );
             } catch (error) {
                 this.uiManager.notificationManager.error(error.message);
             }
         } else {
             // 未使用のカテゴリの場合、確認後削除
+            const hasChildren = this.dataManager.getCategoryFamily(type, node.id).length > 1;
             const confirmed = await this.uiManager.modalManager.showConfirm(
                 'カテゴリを削除',
-                `カテゴリ「${category}」を削除しますか？`,
+                `カテゴリ「${category}」を削除しますか？${hasChildren ? 'サブカテゴリは最上位のカテゴリになります。' : ''}`,
                 { confirmText: '削除', dangerous: true }
             );
 
             if (confirmed) {
                 try {
-                    this.dataManager.removeCategory(type, category);
+                    await this.dataManager.removeCategory(type, node.id);
                     this.updateCategoryList();
                     this.isModified = true;
                 } catch (error) {
@@ -446,6 +717,7 @@ export class CategoryManagerUI {
 
     /**
      * カテゴリ置き換えモーダルを表示
+     * @returns {Promise<string|null>} 置き換え先のカテゴリID（キャンセル時はnull）
      */
     async showCategoryReplacementModal(type, categoryToRemove, transactionCount) {
         return new Promise((resolve) => {
@@ -454,16 +726,16 @@ export class CategoryManagerUI {
             replacementModal.content.innerHTML = `
                 <h2 class="modal-title"><span aria-hidden="true">⚠️</span> カテゴリの置き換え</h2>
                 <p class="modal-text">
-                    カテゴリ「<strong>${categoryToRemove}</strong>」は${transactionCount}件の取引で使用されています。<br>
+                    カテゴリ「<strong>${categoryToRemove.name}</strong>」は${transactionCount}件の取引で使用されています。<br>
                     削除する前に、これらの取引を別のカテゴリに変更してください。
                 </p>
                 <div style="margin-bottom: 20px;">
                     <label style="display: block; margin-bottom: 5px; font-weight: 600;">置き換え先のカテゴリ:</label>
                     <select id="replacementCategory" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
                         <option value="">選択してください</option>
-                        ${this.dataManager.categories[type]
-                            .filter(cat => cat !== categoryToRemove)
-                            .map(cat => `<option value="${cat}">${cat}</option>`)
+                        ${this.dataManager.getCategoryTree(type)
+                            .filter(cat => cat.id !== categoryToRemove.id)
+                            .map(cat => `<option value="${cat.id}">${CategoryTree.getOptionLabel(cat)}</option>`)
                             .join('')}
                     </select>
                 </div>
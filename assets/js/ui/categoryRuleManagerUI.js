@@ -0,0 +1,546 @@
+// 自動分類ルール管理UI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { CategoryRuleMatcher } from '../utils/categoryRuleMatcher.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+
+export class CategoryRuleManagerUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.editingRuleId = null; // 編集中のルールID
+        this.handleRulesChanged = () => this.updateRuleList();
+    }
+
+    /**
+     * 自動分類ルール管理UIをレンダリング
+     */
+    render() {
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🪄</span> 自動分類ルール</h2>
+            <p class="modal-text">条件に一致した取引のカテゴリを自動で選びます。取引の入力時と、Excel・CSVのインポートでカテゴリが未指定（「その他」）の行に適用されます。複数のルールに一致する場合は上にあるルールが優先されます。</p>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">📋</span> 登録済みのルール</h3>
+                <div id="categoryRuleList" class="recurring-rule-list"></div>
+                <div class="category-rule-apply">
+                    <span id="categoryRuleUncategorized" aria-live="polite"></span>
+                    <button type="button" class="btn btn-secondary" data-action="apply">未分類の取引に適用</button>
+                </div>
+            </div>
+
+            <div class="modal-section">
+                <h3 id="categoryRuleFormTitle"><span aria-hidden="true">➕</span> 新しいルール</h3>
+                <form id="categoryRuleForm" class="category-rule-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="categoryRuleType">種類</label>
+                            <select id="categoryRuleType" required>
+                                <option value="">選択してください</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.INCOME}">収入</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.EXPENSE}">支出</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="categoryRuleCategory">カテゴリ</label>
+                            <select id="categoryRuleCategory" required>
+                                <option value="">選択してください</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="categoryRuleName">ルール名（任意）</label>
+                            <input type="text" id="categoryRuleName" placeholder="例: コンビニ">
+                        </div>
+                    </div>
+                    <fieldset class="category-rule-conditions">
+                        <legend>条件（すべてに一致した取引に適用）</legend>
+                        <div id="categoryRuleConditions"></div>
+                        <button type="button" class="btn btn-secondary" data-action="addCondition">＋ 条件を追加</button>
+                    </fieldset>
+                    <div id="categoryRulePreview" class="category-rule-preview" aria-live="polite"></div>
+                    <div class="category-rule-form-buttons">
+                        <button type="button" class="btn btn-secondary hidden" data-action="cancelEdit">編集をやめる</button>
+                        <button type="submit" id="categoryRuleSubmit" class="btn btn-success"><span aria-hidden="true">➕</span> 登録</button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 完了
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.resetForm();
+        this.updateRuleList();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, ruleId } = button.dataset;
+
+            try {
+                switch (action) {
+                    case 'addCondition':
+                        this.addConditionRow();
+                        this.updatePreview();
+                        break;
+                    case 'removeCondition':
+                        button.closest('.category-rule-condition').remove();
+                        this.updateConditionButtons();
+                        this.updatePreview();
+                        break;
+                    case 'up':
+                        this.dataManager.moveCategoryRule(ruleId, -1);
+                        break;
+                    case 'down':
+                        this.dataManager.moveCategoryRule(ruleId, 1);
+                        break;
+                    case 'enable':
+                    case 'disable':
+                        this.dataManager.updateCategoryRule(ruleId, { enabled: action === 'enable' });
+                        break;
+                    case 'edit':
+                        this.startEdit(ruleId);
+                        break;
+                    case 'remove':
+                        await this.handleRemove(ruleId);
+                        break;
+                    case 'cancelEdit':
+                        this.resetForm();
+                        break;
+                    case 'apply':
+                        await this.handleApply();
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            } catch (error) {
+                console.error('自動分類ルール操作エラー:', error);
+                this.uiManager.notificationManager.error(error.message);
+            }
+        });
+
+        const form = this.modal.content.querySelector('#categoryRuleForm');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        form.addEventListener('input', () => this.updatePreview());
+        form.addEventListener('change', (e) => {
+            if (e.target.id === 'categoryRuleType') {
+                this.updateCategoryOptions();
+            } else if (e.target.classList.contains('condition-field')) {
+                this.updateConditionRow(e.target.closest('.category-rule-condition'));
+            }
+            this.updatePreview();
+        });
+
+        // モーダルを閉じたらデータイベントの購読を解除
+        this.dataManager.on('categoryRulesChanged', this.handleRulesChanged);
+        this.dataManager.on('dataChanged', this.handleRulesChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('categoryRulesChanged', this.handleRulesChanged);
+            this.dataManager.off('dataChanged', this.handleRulesChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * カテゴリの選択肢を更新
+     */
+    updateCategoryOptions() {
+        const type = this.modal.content.querySelector('#categoryRuleType').value;
+        const categorySelect = this.modal.content.querySelector('#categoryRuleCategory');
+
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+
+        this.dataManager.getCategoryTree(type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
+            categorySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * 条件の行を追加
+     * @param {object} condition - 初期表示する条件（省略時は説明の条件）
+     */
+    addConditionRow(condition = {}) {
+        const row = document.createElement('div');
+        row.className = 'category-rule-condition';
+
+        const fieldSelect = document.createElement('select');
+        fieldSelect.className = 'condition-field';
+        Object.entries(CategoryRuleMatcher.FIELD_LABELS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            fieldSelect.appendChild(option);
+        });
+        fieldSelect.value = condition.field || CONSTANTS.RULE_CONDITION_FIELDS.DESCRIPTION;
+        row.appendChild(fieldSelect);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'delete-btn';
+        removeBtn.dataset.action = 'removeCondition';
+        removeBtn.textContent = '削除';
+        row.appendChild(removeBtn);
+
+        this.modal.content.querySelector('#categoryRuleConditions').appendChild(row);
+        this.updateConditionRow(row, condition);
+        this.updateConditionButtons();
+    }
+
+    /**
+     * 条件の項目に合わせて比較方法と値の入力欄を作り直す
+     * @param {HTMLElement} row - 条件の行
+     * @param {object} condition - 初期表示する条件
+     */
+    updateConditionRow(row, condition = {}) {
+        const field = row.querySelector('.condition-field').value;
+        row.querySelectorAll('.condition-operator, .condition-value').forEach(element => element.remove());
+
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'condition-operator';
+        CONSTANTS.RULE_FIELD_OPERATORS[field].forEach(operator => {
+            const option = document.createElement('option');
+            option.value = operator;
+            option.textContent = CategoryRuleMatcher.OPERATOR_LABELS[operator];
+            operatorSelect.appendChild(option);
+        });
+        if (condition.operator) {
+            operatorSelect.value = condition.operator;
+        }
+
+        let valueInput;
+        if (field === CONSTANTS.RULE_CONDITION_FIELDS.ACCOUNT) {
+            valueInput = document.createElement('select');
+            this.dataManager.accounts.forEach(account => {
+                const option = document.createElement('option');
+                option.value = account.id;
+                option.textContent = account.name;
+                valueInput.appendChild(option);
+            });
+        } else {
+            valueInput = document.createElement('input');
+            if (field === CONSTANTS.RULE_CONDITION_FIELDS.DESCRIPTION) {
+                valueInput.type = 'text';
+                valueInput.placeholder = '例: セブン';
+            } else {
+                valueInput.type = 'number';
+                valueInput.step = '1';
+                valueInput.min = field === CONSTANTS.RULE_CONDITION_FIELDS.DAY ? '1' : String(CONSTANTS.VALIDATION.MIN_AMOUNT);
+                if (field === CONSTANTS.RULE_CONDITION_FIELDS.DAY) valueInput.max = '31';
+                valueInput.placeholder = field === CONSTANTS.RULE_CONDITION_FIELDS.DAY ? '例: 27' : '例: 5500';
+            }
+        }
+        valueInput.classList.add('condition-value');
+        if (condition.value !== undefined) {
+            valueInput.value = condition.value;
+        }
+
+        // 「説明」「を含む」のように読めるよう、値の入力欄を比較方法の前に置く
+        const removeBtn = row.querySelector('[data-action="removeCondition"]');
+        row.insertBefore(valueInput, removeBtn);
+        row.insertBefore(operatorSelect, removeBtn);
+        this.updateConditionButtons();
+    }
+
+    /**
+     * 条件の行のラベルと、追加・削除ボタンの状態を更新
+     */
+    updateConditionButtons() {
+        const rows = this.modal.content.querySelectorAll('.category-rule-condition');
+
+        rows.forEach((row, index) => {
+            row.querySelector('.condition-field').setAttribute('aria-label', `条件${index + 1}の項目`);
+            row.querySelector('.condition-value')?.setAttribute('aria-label', `条件${index + 1}の値`);
+            row.querySelector('.condition-operator')?.setAttribute('aria-label', `条件${index + 1}の比較方法`);
+            const removeBtn = row.querySelector('[data-action="removeCondition"]');
+            removeBtn.setAttribute('aria-label', `条件${index + 1}を削除`);
+            removeBtn.disabled = rows.length <= 1;
+        });
+
+        this.modal.content.querySelector('[data-action="addCondition"]').disabled =
+            rows.length >= CONSTANTS.VALIDATION.MAX_RULE_CONDITIONS;
+    }
+
+    /**
+     * 入力中のルールを取得
+     * @returns {object} ルールデータ
+     */
+    getFormRule() {
+        const content = this.modal.content;
+        const conditions = Array.from(content.querySelectorAll('.category-rule-condition')).map(row => {
+            const field = row.querySelector('.condition-field').value;
+            const value = row.querySelector('.condition-value').value;
+            const isNumber = field === CONSTANTS.RULE_CONDITION_FIELDS.AMOUNT || field === CONSTANTS.RULE_CONDITION_FIELDS.DAY;
+            return {
+                field,
+                operator: row.querySelector('.condition-operator').value,
+                value: isNumber ? (value === '' ? NaN : Number(value)) : value
+            };
+        });
+
+        return {
+            type: content.querySelector('#categoryRuleType').value,
+            categoryId: content.querySelector('#categoryRuleCategory').value,
+            name: content.querySelector('#categoryRuleName').value,
+            conditions
+        };
+    }
+
+    /**
+     * 入力中のルールに一致する登録済みの取引を表示
+     */
+    updatePreview() {
+        const container = this.modal.content.querySelector('#categoryRulePreview');
+        if (!container) return;
+
+        const rule = this.getFormRule();
+        container.innerHTML = '';
+
+        if (!rule.type) {
+            container.textContent = '種類と条件を入力すると、条件に一致する登録済みの取引を表示します';
+            return;
+        }
+
+        const matches = this.dataManager.getCategoryRuleMatches(rule);
+        const uncategorized = matches.filter(t => this.dataManager.isUncategorized(t)).length;
+
+        const summary = document.createElement('div');
+        summary.className = 'category-rule-preview-summary';
+        summary.textContent = matches.length > 0
+            ? `登録済みの取引のうち${matches.length}件が一致します（うち未分類${uncategorized}件）`
+            : '一致する登録済みの取引はありません';
+        container.appendChild(summary);
+
+        if (matches.length === 0) return;
+
+        const list = document.createElement('ul');
+        list.className = 'category-rule-preview-list';
+        matches.slice(0, CONSTANTS.DEFAULTS.RULE_PREVIEW_LIMIT).forEach(t => {
+            const item = document.createElement('li');
+            item.textContent = `${UTILS.formatDate(t.date)} ${t.description || '（説明なし）'} ${UTILS.formatCurrency(t.amount)}（現在: ${this.dataManager.getTransactionCategoryName(t)}）`;
+            list.appendChild(item);
+        });
+        if (matches.length > CONSTANTS.DEFAULTS.RULE_PREVIEW_LIMIT) {
+            const more = document.createElement('li');
+            more.textContent = `ほか${matches.length - CONSTANTS.DEFAULTS.RULE_PREVIEW_LIMIT}件`;
+            list.appendChild(more);
+        }
+        container.appendChild(list);
+    }
+
+    /**
+     * ルール一覧と未分類の取引の件数を更新
+     */
+    updateRuleList() {
+        const container = this.modal.content.querySelector('#categoryRuleList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const rules = this.dataManager.categoryRules;
+
+        if (rules.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.style.cssText = 'color: #6c757d; font-style: italic; padding: 10px 0;';
+            emptyMessage.textContent = '自動分類ルールはまだありません';
+            container.appendChild(emptyMessage);
+        } else {
+            rules.forEach((rule, index) => {
+                container.appendChild(this.createRuleElement(rule, index, rules.length));
+            });
+        }
+
+        const matches = this.dataManager.getUncategorizedRuleMatches().length;
+        this.modal.content.querySelector('#categoryRuleUncategorized').textContent = matches > 0
+            ? `未分類の取引のうち${matches}件にルールを適用できます`
+            : 'ルールを適用できる未分類の取引はありません';
+        this.modal.content.querySelector('[data-action="apply"]').disabled = matches === 0;
+    }
+
+    /**
+     * ルール要素を作成
+     * @param {object} rule - ルール
+     * @param {number} index - 一覧での位置
+     * @param {number} count - ルールの数
+     * @returns {HTMLElement} ルール要素
+     */
+    createRuleElement(rule, index, count) {
+        const item = document.createElement('div');
+        item.className = `recurring-rule-item ${rule.type}${rule.enabled === false ? ' paused' : ''}`;
+
+        const info = document.createElement('div');
+        info.className = 'recurring-rule-info';
+
+        const conditions = CategoryRuleMatcher.describe(rule, id => this.dataManager.getAccountName(id));
+        const category = this.dataManager.getCategoryById(rule.type, rule.categoryId);
+
+        const title = document.createElement('strong');
+        title.textContent = rule.name || conditions;
+        info.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'recurring-rule-detail';
+        detail.textContent = `${CONSTANTS.TRANSACTION_TYPE_LABELS[rule.type]}で${conditions} → ${category ? category.name : CONSTANTS.UNKNOWN_CATEGORY}`;
+        info.appendChild(detail);
+
+        if (rule.enabled === false) {
+            const status = document.createElement('div');
+            status.className = 'recurring-rule-detail';
+            status.textContent = '無効';
+            info.appendChild(status);
+        }
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'recurring-rule-actions';
+
+        const buttons = [
+            { action: 'up', text: '↑', label: '優先順位を上げる', disabled: index === 0 },
+            { action: 'down', text: '↓', label: '優先順位を下げる', disabled: index === count - 1 },
+            rule.enabled === false
+                ? { action: 'enable', text: '有効にする' }
+                : { action: 'disable', text: '無効にする' },
+            { action: 'edit', text: '編集' },
+            { action: 'remove', text: '削除', className: 'delete-btn' }
+        ];
+
+        buttons.forEach(({ action, text, label, disabled, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className || 'edit-btn';
+            button.textContent = text;
+            button.dataset.action = action;
+            button.dataset.ruleId = rule.id;
+            button.disabled = !!disabled;
+            if (label) button.setAttribute('aria-label', `${rule.name || conditions}の${label}`);
+            actions.appendChild(button);
+        });
+
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * ルールの編集を開始（フォームにルールの内容を表示する）
+     * @param {string} ruleId - ルールID
+     */
+    startEdit(ruleId) {
+        const rule = this.dataManager.categoryRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        const content = this.modal.content;
+        this.editingRuleId = ruleId;
+
+        content.querySelector('#categoryRuleType').value = rule.type;
+        this.updateCategoryOptions();
+        content.querySelector('#categoryRuleCategory').value = rule.categoryId;
+        content.querySelector('#categoryRuleName').value = rule.name || '';
+        content.querySelector('#categoryRuleConditions').innerHTML = '';
+        rule.conditions.forEach(condition => this.addConditionRow(condition));
+
+        content.querySelector('#categoryRuleFormTitle').innerHTML = '<span aria-hidden="true">✏️</span> ルールを編集';
+        content.querySelector('#categoryRuleSubmit').innerHTML = '<span aria-hidden="true">💾</span> 更新';
+        content.querySelector('[data-action="cancelEdit"]').classList.remove(CONSTANTS.CSS_CLASSES.HIDDEN);
+        this.updatePreview();
+        content.querySelector('#categoryRuleType').focus();
+    }
+
+    /**
+     * フォームを新しいルールの入力に戻す
+     */
+    resetForm() {
+        const content = this.modal.content;
+        this.editingRuleId = null;
+
+        content.querySelector('#categoryRuleForm').reset();
+        this.updateCategoryOptions();
+        content.querySelector('#categoryRuleConditions').innerHTML = '';
+        this.addConditionRow();
+
+        content.querySelector('#categoryRuleFormTitle').innerHTML = '<span aria-hidden="true">➕</span> 新しいルール';
+        content.querySelector('#categoryRuleSubmit').innerHTML = '<span aria-hidden="true">➕</span> 登録';
+        content.querySelector('[data-action="cancelEdit"]').classList.add(CONSTANTS.CSS_CLASSES.HIDDEN);
+        this.updatePreview();
+    }
+
+    /**
+     * ルールの登録・更新を処理
+     */
+    handleSubmit() {
+        try {
+            if (this.editingRuleId) {
+                this.dataManager.updateCategoryRule(this.editingRuleId, this.getFormRule());
+                this.uiManager.notificationManager.success('自動分類ルールを更新しました');
+            } else {
+                this.dataManager.addCategoryRule(this.getFormRule());
+                this.uiManager.notificationManager.success('自動分類ルールを登録しました');
+            }
+            this.resetForm();
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * ルール削除を処理
+     * @param {string} ruleId - ルールID
+     */
+    async handleRemove(ruleId) {
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            '自動分類ルールを削除',
+            'この自動分類ルールを削除しますか？\n分類済みの取引のカテゴリは変わりません。',
+            { confirmText: '削除', dangerous: true }
+        );
+
+        if (confirmed) {
+            this.dataManager.removeCategoryRule(ruleId);
+            if (this.editingRuleId === ruleId) {
+                this.resetForm();
+            }
+        }
+    }
+
+    /**
+     * 登録済みの未分類の取引にルールを適用
+     */
+    async handleApply() {
+        const count = this.dataManager.getUncategorizedRuleMatches().length;
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            '未分類の取引に適用',
+            `未分類の取引${count}件のカテゴリを自動分類ルールで変更しますか？`,
+            { confirmText: '適用' }
+        );
+        if (!confirmed) return;
+
+        const result = await this.dataManager.applyCategoryRulesToUncategorized();
+        this.uiManager.notifyBulkResult(result);
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
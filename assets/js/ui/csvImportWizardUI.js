@@ -0,0 +1,446 @@
+// CSVインポートウィザードUI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+
+export class CsvImportWizardUI {
+    /**
+     * 割り当て可能な項目と、ヘッダー名から推測するためのパターン
+     */
+    static FIELDS = [
+        { key: 'date', label: '日付', pattern: /日付|取引日|利用日|年月日|date/i },
+        { key: 'description', label: '説明', pattern: /摘要|内容|説明|利用店|明細|メモ|description|memo/i },
+        { key: 'payee', label: '支払先・入金元', pattern: /支払先|支払い先|入金元|取引先|相手先|payee/i },
+        { key: 'category', label: 'カテゴリ', pattern: /カテゴリ|分類|category/i },
+        { key: 'type', label: '種類', pattern: /種類|区分|type/i },
+        { key: 'amount', label: '金額', pattern: /金額|amount/i },
+        { key: 'deposit', label: '入金', pattern: /入金|預入|預け入れ|預かり|預り|収入/ },
+        { key: 'withdrawal', label: '出金', pattern: /出金|引出|引き出し|支払|支出/ }
+    ];
+
+    /**
+     * 金額の形式ごとに使用する項目
+     */
+    static MODE_FIELDS = {
+        [CONSTANTS.CSV_AMOUNT_MODES.SIGNED]: ['amount'],
+        [CONSTANTS.CSV_AMOUNT_MODES.SPLIT]: ['deposit', 'withdrawal'],
+        [CONSTANTS.CSV_AMOUNT_MODES.TYPE_COLUMN]: ['amount', 'type']
+    };
+
+    /**
+     * 見出し名から推測する順序（「支払い金額」が金額列に割り当てられないよう入金・出金を先に判定し、
+     * 「支払先」「入金元」が出金・入金の列に割り当てられないよう支払先はさらに先に判定）
+     */
+    static GUESS_ORDER = ['date', 'payee', 'deposit', 'withdrawal', 'type', 'category', 'description', 'amount'];
+
+    static PREVIEW_ROWS = 5;
+
+    /**
+     * @param {object} dataManager - データマネージャー
+     * @param {object} modal - createModalで作成したモーダル
+     * @param {object} uiManager - UIマネージャー
+     * @param {object} csvData - FileHandler.readCSVの結果
+     * @param {Function} onComplete - 完了時に変換済みの取引配列（キャンセル時はnull）で呼ばれる
+     */
+    constructor(dataManager, modal, uiManager, csvData, onComplete) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.csvData = csvData;
+        this.onComplete = onComplete;
+        this.isCompleted = false;
+        this.headerSignature = csvData.rows[0].join('|');
+    }
+
+    /**
+     * ウィザードをレンダリング
+     */
+    render() {
+        const { encoding, delimiter, rows, fileName } = this.csvData;
+        const delimiterLabel = { ',': 'カンマ', '\t': 'タブ', ';': 'セミコロン', '|': '縦線' }[delimiter] || delimiter;
+        const escape = (text) => this.uiManager.modalManager.escapeHtml(text);
+
+        const profileOptions = Object.keys(this.dataManager.importMappings)
+            .map(name => `<option value="${escape(name)}">${escape(name)}</option>`)
+            .join('');
+        const accountOptions = this.dataManager.accounts
+            .map(account => `<option value="${account.id}">${escape(account.name)}</option>`)
+            .join('');
+        const fieldSelects = CsvImportWizardUI.FIELDS
+            .map(({ key, label }) => `
+                <div class="form-group" data-field="${key}">
+                    <label for="csvColumn-${key}">${label}</label>
+                    <select id="csvColumn-${key}" data-column-for="${key}"></select>
+                </div>
+            `)
+            .join('');
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">📄</span> CSVインポート</h2>
+            <p class="modal-text">
+                ${escape(fileName || '')}（文字コード: ${encoding} / 区切り文字: ${delimiterLabel} / ${rows.length}行）
+            </p>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">🏦</span> 読み込み設定</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="csvMappingProfile">保存済みの設定</label>
+                        <select id="csvMappingProfile">
+                            <option value="">新しい設定</option>
+                            ${profileOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="csvAmountMode">金額の形式</label>
+                        <select id="csvAmountMode">
+                            <option value="${CONSTANTS.CSV_AMOUNT_MODES.SIGNED}">金額1列（マイナスは支出）</option>
+                            <option value="${CONSTANTS.CSV_AMOUNT_MODES.SPLIT}">入金列と出金列</option>
+                            <option value="${CONSTANTS.CSV_AMOUNT_MODES.TYPE_COLUMN}">金額列と種類列</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="csvAccount">取り込み先の口座</label>
+                        <select id="csvAccount">${accountOptions}</select>
+                    </div>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="csvHasHeader" checked> 1行目は見出し
+                </label>
+            </div>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">🔗</span> 列の割り当て</h3>
+                <div class="form-row csv-column-grid">${fieldSelects}</div>
+            </div>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">👀</span> プレビュー</h3>
+                <div id="csvPreview" class="csv-preview"></div>
+            </div>
+
+            <div class="modal-section">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="csvSaveProfile"> この設定を保存する
+                </label>
+                <div class="form-inline">
+                    <input type="text" id="csvProfileName" maxlength="50" placeholder="設定名（例: ○○銀行）" aria-label="設定名">
+                </div>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                <button class="btn btn-primary" data-action="import">
+                    <span aria-hidden="true">📥</span> 次へ
+                </button>
+            </div>
+        `;
+
+        this.updateColumnOptions();
+
+        // 見出しが一致する保存済みの設定があれば自動で選択
+        const savedName = this.dataManager.findImportMappingName(this.headerSignature);
+        if (savedName) {
+            this.modal.content.querySelector('#csvMappingProfile').value = savedName;
+            this.applyMapping(savedName, this.dataManager.importMappings[savedName]);
+        } else {
+            this.guessMapping();
+        }
+
+        this.setupEventListeners();
+        this.updateFieldVisibility();
+        this.updatePreview();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const content = this.modal.content;
+
+        content.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (action === 'import') {
+                this.handleImport();
+            } else if (action === 'cancel') {
+                this.close();
+            }
+        });
+
+        content.addEventListener('change', (e) => {
+            if (e.target.id === 'csvMappingProfile') {
+                const name = e.target.value;
+                if (name) {
+                    this.applyMapping(name, this.dataManager.importMappings[name]);
+                }
+            }
+            if (e.target.id === 'csvHasHeader') {
+                this.updateColumnOptions();
+            }
+            this.updateFieldVisibility();
+            this.updatePreview();
+        });
+
+        // Escキーなどで閉じられた場合もキャンセルとして通知
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+            this.complete(null);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * 列の選択肢を更新（見出し行があれば見出し名を表示）
+     */
+    updateColumnOptions() {
+        const hasHeader = this.modal.content.querySelector('#csvHasHeader').checked;
+        const firstRow = this.csvData.rows[0];
+        const columnCount = Math.max(...this.csvData.rows.slice(0, 20).map(row => row.length));
+
+        this.modal.content.querySelectorAll('[data-column-for]').forEach(select => {
+            const currentValue = select.value;
+            select.innerHTML = '<option value="">（使用しない）</option>';
+
+            for (let i = 0; i < columnCount; i++) {
+                const option = document.createElement('option');
+                option.value = String(i);
+                option.textContent = hasHeader && firstRow[i]
+                    ? `${i + 1}列目: ${firstRow[i]}`
+                    : `${i + 1}列目`;
+                select.appendChild(option);
+            }
+
+            select.value = currentValue;
+        });
+    }
+
+    /**
+     * 見出し名から列の割り当てを推測
+     */
+    guessMapping() {
+        const headers = this.csvData.rows[0];
+        const used = new Set();
+
+        CsvImportWizardUI.GUESS_ORDER.forEach(key => {
+            const { pattern } = CsvImportWizardUI.FIELDS.find(field => field.key === key);
+            const index = headers.findIndex((header, i) => !used.has(i) && pattern.test(header));
+            if (index !== -1) {
+                used.add(index);
+                this.modal.content.querySelector(`#csvColumn-${key}`).value = String(index);
+            }
+        });
+
+        const hasSplitColumns = this.getColumn('deposit') !== null && this.getColumn('withdrawal') !== null;
+        const hasTypeColumn = this.getColumn('type') !== null;
+        this.modal.content.querySelector('#csvAmountMode').value = hasSplitColumns
+            ? CONSTANTS.CSV_AMOUNT_MODES.SPLIT
+            : hasTypeColumn
+                ? CONSTANTS.CSV_AMOUNT_MODES.TYPE_COLUMN
+                : CONSTANTS.CSV_AMOUNT_MODES.SIGNED;
+    }
+
+    /**
+     * 保存済みの割り当てを画面に反映
+     */
+    applyMapping(name, mapping) {
+        if (!mapping) return;
+
+        const content = this.modal.content;
+        content.querySelector('#csvHasHeader').checked = mapping.hasHeader !== false;
+        content.querySelector('#csvAmountMode').value = mapping.amountMode || CONSTANTS.CSV_AMOUNT_MODES.SIGNED;
+        if (mapping.accountId && this.dataManager.getAccount(mapping.accountId)) {
+            content.querySelector('#csvAccount').value = mapping.accountId;
+        }
+        content.querySelector('#csvProfileName').value = name;
+
+        this.updateColumnOptions();
+        CsvImportWizardUI.FIELDS.forEach(({ key }) => {
+            const column = mapping.columns?.[key];
+            content.querySelector(`#csvColumn-${key}`).value = column === null || column === undefined ? '' : String(column);
+        });
+    }
+
+    /**
+     * 金額の形式に応じて不要な列の選択欄を隠す
+     */
+    updateFieldVisibility() {
+        const mode = this.modal.content.querySelector('#csvAmountMode').value;
+        const amountFields = ['amount', 'type', 'deposit', 'withdrawal'];
+        const activeFields = CsvImportWizardUI.MODE_FIELDS[mode] || [];
+
+        this.modal.content.querySelectorAll('[data-field]').forEach(group => {
+            const key = group.dataset.field;
+            const isHidden = amountFields.includes(key) && !activeFields.includes(key);
+            group.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, isHidden);
+        });
+    }
+
+    /**
+     * 選択中の列番号を取得
+     * @param {string} key - 項目名
+     * @returns {number|null} 列番号（未割り当てはnull）
+     */
+    getColumn(key) {
+        const value = this.modal.content.querySelector(`#csvColumn-${key}`)?.value;
+        return value === '' || value === undefined ? null : Number(value);
+    }
+
+    /**
+     * 画面の入力内容から割り当てを作成
+     * @returns {object} 列の割り当て
+     */
+    getMapping() {
+        const content = this.modal.content;
+        const amountMode = content.querySelector('#csvAmountMode').value;
+        const activeFields = CsvImportWizardUI.MODE_FIELDS[amountMode] || [];
+        const columns = {};
+
+        CsvImportWizardUI.FIELDS.forEach(({ key }) => {
+            const isAmountField = ['amount', 'type', 'deposit', 'withdrawal'].includes(key);
+            columns[key] = !isAmountField || activeFields.includes(key) ? this.getColumn(key) : null;
+        });
+
+        return {
+            hasHeader: content.querySelector('#csvHasHeader').checked,
+            amountMode,
+            columns,
+            accountId: content.querySelector('#csvAccount').value,
+            headerSignature: this.headerSignature
+        };
+    }
+
+    /**
+     * 割り当ての不足をチェック
+     * @param {object} mapping - 列の割り当て
+     * @returns {Array<string>} エラーメッセージ
+     */
+    validateMapping(mapping) {
+        const errors = [];
+        const required = ['date', ...(CsvImportWizardUI.MODE_FIELDS[mapping.amountMode] || [])];
+
+        required.forEach(key => {
+            if (mapping.columns[key] === null) {
+                const { label } = CsvImportWizardUI.FIELDS.find(field => field.key === key);
+                errors.push(`「${label}」の列を選択してください`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * 先頭数行の変換結果をプレビュー表示
+     */
+    updatePreview() {
+        const container = this.modal.content.querySelector('#csvPreview');
+        const mapping = this.getMapping();
+        const errors = this.validateMapping(mapping);
+
+        container.innerHTML = '';
+
+        if (errors.length > 0) {
+            const message = document.createElement('p');
+            message.className = 'csv-preview-message';
+            message.textContent = errors.join(' / ');
+            container.appendChild(message);
+            return;
+        }
+
+        const sampleRows = this.csvData.rows.slice(0, CsvImportWizardUI.PREVIEW_ROWS + (mapping.hasHeader ? 1 : 0));
+        const result = this.uiManager.fileHandler.convertCsvRows(sampleRows, mapping);
+
+        if (!result.success) {
+            const message = document.createElement('p');
+            message.className = 'csv-preview-message';
+            message.textContent = result.error.message;
+            container.appendChild(message);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead>
+                <tr><th>日付</th><th>種類</th><th>カテゴリ</th><th>説明</th><th>金額</th></tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        result.data.forEach(transaction => {
+            const tr = document.createElement('tr');
+            [
+                UTILS.formatDate(transaction.date),
+                CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type],
+                transaction.category,
+                transaction.description,
+                UTILS.formatCurrency(transaction.amount)
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        if (result.errors.length > 0) {
+            const message = document.createElement('p');
+            message.className = 'csv-preview-message';
+            message.textContent = result.errors.join(' / ');
+            container.appendChild(message);
+        }
+    }
+
+    /**
+     * 全行を変換してインポート処理に渡す
+     */
+    handleImport() {
+        const mapping = this.getMapping();
+        const errors = this.validateMapping(mapping);
+
+        if (errors.length > 0) {
+            this.uiManager.notificationManager.error(errors.join('\n'));
+            return;
+        }
+
+        const result = this.uiManager.fileHandler.convertCsvRows(this.csvData.rows, mapping);
+        if (!result.success) {
+            this.uiManager.notificationManager.error(result.error.message);
+            return;
+        }
+
+        if (this.modal.content.querySelector('#csvSaveProfile').checked) {
+            try {
+                const name = this.modal.content.querySelector('#csvProfileName').value;
+                this.dataManager.saveImportMapping(name, mapping);
+            } catch (error) {
+                this.uiManager.notificationManager.error(error.message);
+                return;
+            }
+        }
+
+        if (result.errors.length > 0) {
+            this.uiManager.notificationManager.warning(`${result.errors.length}行を読み込めませんでした\n${result.errors.slice(0, 3).join('\n')}`);
+        }
+
+        this.complete(result.data);
+        this.close();
+    }
+
+    /**
+     * 完了コールバックを一度だけ呼び出す
+     */
+    complete(result) {
+        if (this.isCompleted) return;
+        this.isCompleted = true;
+        this.onComplete(result);
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
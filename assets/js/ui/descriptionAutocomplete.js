@@ -0,0 +1,162 @@
+// 説明の入力欄の入力補完（過去の取引からカテゴリと金額を提案する）
+import { UTILS } from '../constants.js';
+
+/**
+ * 説明の入力中に、似た説明の過去の取引で使ったカテゴリと金額を候補として表示する
+ * 候補は↑↓で選び、Enter・Tabで確定、Escで閉じる
+ */
+export class DescriptionAutocomplete {
+    /**
+     * @param {HTMLInputElement} input - 説明の入力欄
+     * @param {Function} getSuggestions - 入力中の説明から候補（{ description, categoryId, amount, count }）を返す関数
+     * @param {Function} getCategoryName - カテゴリIDからカテゴリ名を取得する関数
+     * @param {Function} onSelect - 候補を確定したときに呼ぶ関数
+     */
+    constructor(input, getSuggestions, getCategoryName, onSelect) {
+        this.input = input;
+        this.getSuggestions = getSuggestions;
+        this.getCategoryName = getCategoryName;
+        this.onSelect = onSelect;
+        this.suggestions = [];
+        this.activeIndex = -1;
+
+        this.list = document.createElement('ul');
+        this.list.id = `${input.id}Suggestions`;
+        this.list.className = 'description-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        input.insertAdjacentElement('afterend', this.list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', this.list.id);
+        input.autocomplete = 'off';
+
+        this.bindEvents();
+    }
+
+    /**
+     * イベントをバインド
+     */
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('blur', () => this.close());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (this.list.hidden) return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.setActive((this.activeIndex + 1) % this.suggestions.length);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActive((this.activeIndex - 1 + this.suggestions.length) % this.suggestions.length);
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    if (this.activeIndex >= 0) {
+                        e.preventDefault();
+                        this.select(this.suggestions[this.activeIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    // モーダルを閉じるなど、他のEscの処理には伝えない
+                    e.stopPropagation();
+                    this.close();
+                    break;
+            }
+        });
+
+        // blurより先に処理して、クリックした候補を確定できるようにする
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+
+            e.preventDefault();
+            this.select(this.suggestions[Number(option.dataset.index)]);
+        });
+    }
+
+    /**
+     * 候補を更新
+     */
+    update() {
+        this.suggestions = this.input.value.trim() ? this.getSuggestions(this.input.value) : [];
+        this.render();
+    }
+
+    /**
+     * 候補の一覧を描画
+     */
+    render() {
+        this.list.innerHTML = '';
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.list.id}-${index}`;
+            option.className = 'description-suggestion';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.dataset.index = index;
+
+            const description = document.createElement('span');
+            description.textContent = suggestion.description;
+            option.appendChild(description);
+
+            const detail = document.createElement('span');
+            detail.className = 'description-suggestion-detail';
+            detail.textContent = `${this.getCategoryName(suggestion.categoryId)} ${UTILS.formatCurrency(suggestion.amount)}（${suggestion.count}回）`;
+            option.appendChild(detail);
+
+            this.list.appendChild(option);
+        });
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * 選択中の候補を変更
+     * @param {number} index - 候補の位置
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.description-suggestion').forEach((option, i) => {
+            const active = i === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+            }
+        });
+    }
+
+    /**
+     * 候補を確定
+     * @param {object} suggestion - 確定する候補
+     */
+    select(suggestion) {
+        this.close();
+        this.onSelect(suggestion);
+    }
+
+    /**
+     * 候補を閉じる
+     */
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
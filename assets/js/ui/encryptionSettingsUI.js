@@ -0,0 +1,239 @@
+// 暗号化（パスフレーズによるロック）の設定UI専用クラス
+import { CONSTANTS } from '../constants.js';
+
+export class EncryptionSettingsUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+    }
+
+    /**
+     * 暗号化の設定UIをレンダリング
+     */
+    render() {
+        const enabled = this.dataManager.isEncryptionEnabled();
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🔐</span> 暗号化とロック</h2>
+            ${enabled ? this.renderEnabled() : this.renderDisabled()}
+            <div class="modal-buttons">
+                <button type="button" class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 閉じる
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 暗号化していない場合の内容
+     * @returns {string} HTML
+     */
+    renderDisabled() {
+        if (!this.dataManager.isEncryptionSupported()) {
+            return `<p class="modal-text">${CONSTANTS.ERROR_MESSAGES.ENCRYPTION_UNSUPPORTED}</p>`;
+        }
+
+        return `
+            <p class="modal-text">
+                取引・設定・バックアップをパスフレーズで暗号化して保存します。
+                起動時と、操作がないまま設定した時間が過ぎたときにパスフレーズの入力が必要になります。
+            </p>
+            <p class="modal-text encryption-warning">
+                <span aria-hidden="true">⚠️</span> パスフレーズを忘れるとデータを読み出せなくなります。復元する方法はありません。
+            </p>
+            <form id="encryptionEnableForm" class="modal-section">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="encryptionPassphrase">パスフレーズ（${CONSTANTS.ENCRYPTION.MIN_PASSPHRASE_LENGTH}文字以上）</label>
+                        <input type="password" id="encryptionPassphrase" autocomplete="new-password" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="encryptionPassphraseConfirm">パスフレーズ（確認）</label>
+                        <input type="password" id="encryptionPassphraseConfirm" autocomplete="new-password" required>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="encryptionAutoLock">自動ロック</label>
+                        ${this.renderAutoLockSelect(CONSTANTS.ENCRYPTION.DEFAULT_AUTO_LOCK_MINUTES)}
+                    </div>
+                </div>
+                <button type="submit" class="btn btn-success"><span aria-hidden="true">🔒</span> 暗号化を有効にする</button>
+            </form>
+        `;
+    }
+
+    /**
+     * 暗号化している場合の内容
+     * @returns {string} HTML
+     */
+    renderEnabled() {
+        return `
+            <p class="modal-text"><span aria-hidden="true">🔒</span> 取引・設定・バックアップは暗号化して保存されています。</p>
+
+            <div class="modal-section">
+                <div class="backup-toolbar">
+                    <button type="button" class="btn btn-warning" data-action="lock">
+                        <span aria-hidden="true">🔒</span> 今すぐロック
+                    </button>
+                    <div class="form-inline">
+                        <label for="encryptionAutoLock">自動ロック</label>
+                        ${this.renderAutoLockSelect(this.dataManager.getAutoLockMinutes())}
+                    </div>
+                </div>
+            </div>
+
+            <form id="encryptionChangeForm" class="modal-section">
+                <h3><span aria-hidden="true">🔑</span> パスフレーズの変更</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="encryptionCurrentPassphrase">現在のパスフレーズ</label>
+                        <input type="password" id="encryptionCurrentPassphrase" autocomplete="current-password" required>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="encryptionNewPassphrase">新しいパスフレーズ（${CONSTANTS.ENCRYPTION.MIN_PASSPHRASE_LENGTH}文字以上）</label>
+                        <input type="password" id="encryptionNewPassphrase" autocomplete="new-password" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="encryptionNewPassphraseConfirm">新しいパスフレーズ（確認）</label>
+                        <input type="password" id="encryptionNewPassphraseConfirm" autocomplete="new-password" required>
+                    </div>
+                </div>
+                <button type="submit" class="btn btn-primary">変更してすべて暗号化し直す</button>
+            </form>
+
+            <form id="encryptionDisableForm" class="modal-section">
+                <h3><span aria-hidden="true">🔓</span> 暗号化の解除</h3>
+                <p class="modal-text">すべてのデータを暗号化せずに保存し直します。</p>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="encryptionDisablePassphrase">現在のパスフレーズ</label>
+                        <input type="password" id="encryptionDisablePassphrase" autocomplete="current-password" required>
+                    </div>
+                </div>
+                <button type="submit" class="btn btn-warning">暗号化を解除</button>
+            </form>
+        `;
+    }
+
+    /**
+     * 自動ロックの選択肢
+     * @param {number} selected - 選択する分数
+     * @returns {string} HTML
+     */
+    renderAutoLockSelect(selected) {
+        const options = CONSTANTS.ENCRYPTION.AUTO_LOCK_CHOICES.map(minutes => `
+            <option value="${minutes}" ${minutes === selected ? 'selected' : ''}>
+                ${minutes === 0 ? 'しない' : `${minutes}分操作がないとき`}
+            </option>
+        `).join('');
+
+        return `<select id="encryptionAutoLock">${options}</select>`;
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const content = this.modal.content;
+        const value = (selector) => content.querySelector(selector).value;
+
+        content.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        content.querySelector('[data-action="lock"]')?.addEventListener('click', () => this.dataManager.lock());
+
+        const autoLockSelect = content.querySelector('#encryptionAutoLock');
+        if (autoLockSelect && this.dataManager.isEncryptionEnabled()) {
+            autoLockSelect.addEventListener('change', async () => {
+                try {
+                    await this.dataManager.setAutoLockMinutes(Number(autoLockSelect.value));
+                } catch (error) {
+                    this.uiManager.notificationManager.error(error.message);
+                }
+            });
+        }
+
+        content.querySelector('#encryptionEnableForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run(
+                () => {
+                    this.assertConfirmed(value('#encryptionPassphrase'), value('#encryptionPassphraseConfirm'));
+                    return this.dataManager.enableEncryption(value('#encryptionPassphrase'), Number(value('#encryptionAutoLock')));
+                },
+                'データを暗号化しています...',
+                CONSTANTS.SUCCESS_MESSAGES.ENCRYPTION_ENABLED
+            );
+        });
+
+        content.querySelector('#encryptionChangeForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run(
+                () => {
+                    this.assertConfirmed(value('#encryptionNewPassphrase'), value('#encryptionNewPassphraseConfirm'));
+                    return this.dataManager.changePassphrase(value('#encryptionCurrentPassphrase'), value('#encryptionNewPassphrase'));
+                },
+                'データを暗号化し直しています...',
+                CONSTANTS.SUCCESS_MESSAGES.PASSPHRASE_CHANGED
+            );
+        });
+
+        content.querySelector('#encryptionDisableForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const confirmed = await this.uiManager.modalManager.showConfirm(
+                '暗号化の解除',
+                '暗号化を解除すると、このブラウザのデータは誰でも読める状態で保存されます。解除しますか？',
+                { confirmText: '解除', dangerous: true }
+            );
+            if (!confirmed) return;
+
+            this.run(
+                () => this.dataManager.disableEncryption(value('#encryptionDisablePassphrase')),
+                'データを復号しています...',
+                CONSTANTS.SUCCESS_MESSAGES.ENCRYPTION_DISABLED
+            );
+        });
+    }
+
+    /**
+     * 確認用のパスフレーズが一致するか確認
+     * @param {string} passphrase - パスフレーズ
+     * @param {string} confirmation - 確認用のパスフレーズ
+     * @throws {Error} 一致しない場合
+     */
+    assertConfirmed(passphrase, confirmation) {
+        if (passphrase !== confirmation) {
+            throw new Error(CONSTANTS.ERROR_MESSAGES.PASSPHRASE_MISMATCH);
+        }
+    }
+
+    /**
+     * すべてのデータを暗号化し直す操作を実行し、終わったら表示を更新
+     * @param {Function} action - 実行する処理
+     * @param {string} loadingMessage - 実行中に表示するメッセージ
+     * @param {string} successMessage - 成功したときのメッセージ
+     */
+    async run(action, loadingMessage, successMessage) {
+        this.uiManager.showLoading(loadingMessage);
+
+        try {
+            await action();
+            this.uiManager.notificationManager.success(successMessage);
+            this.render();
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        } finally {
+            this.uiManager.hideLoading();
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
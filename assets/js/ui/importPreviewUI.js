@@ -0,0 +1,228 @@
+// インポートプレビューUI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+
+export class ImportPreviewUI {
+    /**
+     * @param {object} dataManager - データマネージャー
+     * @param {object} modal - createModalで作成したモーダル
+     * @param {object} uiManager - UIマネージャー
+     * @param {object} preview - { rows: DuplicateDetector.annotateの結果, mode, format }
+     * @param {Function} onComplete - 完了時に選択された取引配列（キャンセル時はnull）で呼ばれる
+     */
+    constructor(dataManager, modal, uiManager, preview, onComplete) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.rows = preview.rows;
+        this.mode = preview.mode;
+        this.format = preview.format;
+        this.onComplete = onComplete;
+        this.isCompleted = false;
+
+        // 重複の可能性がある行は初期状態で選択しない
+        this.selected = this.rows.map(row => !row.duplicateOf);
+    }
+
+    /**
+     * プレビューをレンダリング
+     */
+    render() {
+        const duplicateCount = this.rows.filter(row => row.duplicateOf).length;
+        const modeText = this.mode === 'replace'
+            ? '選択した取引で既存のデータを<strong>置き換えます</strong>（置き換え前に自動バックアップを作成します）。'
+            : '選択した取引を既存のデータに追加します。';
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">👀</span> インポート内容の確認</h2>
+            <p class="modal-text">
+                ${this.format}から${this.rows.length}件を読み込みました。
+                ${duplicateCount > 0 ? `<span class="import-duplicate-count">重複の可能性: ${duplicateCount}件</span>` : ''}
+            </p>
+            <p class="modal-text">${modeText}</p>
+
+            <div class="import-preview-actions">
+                <button type="button" class="edit-btn" data-action="select-all">すべて選択</button>
+                <button type="button" class="edit-btn" data-action="select-none">すべて解除</button>
+                <button type="button" class="edit-btn" data-action="exclude-duplicates" ${duplicateCount === 0 ? 'disabled' : ''}>重複を除外</button>
+            </div>
+
+            <div class="import-preview" role="region" aria-label="インポートする取引">
+                <table>
+                    <thead>
+                        <tr>
+                            <th scope="col"><span class="sr-only">取り込む</span></th>
+                            <th scope="col">日付</th>
+                            <th scope="col">種類</th>
+                            <th scope="col">カテゴリ</th>
+                            <th scope="col">説明</th>
+                            <th scope="col">金額</th>
+                            <th scope="col">状態</th>
+                        </tr>
+                    </thead>
+                    <tbody id="importPreviewBody"></tbody>
+                </table>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                <button class="btn btn-primary" data-action="confirm" id="importConfirmBtn"></button>
+            </div>
+        `;
+
+        this.renderRows();
+        this.updateConfirmButton();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 行を描画
+     */
+    renderRows() {
+        const tbody = this.modal.content.querySelector('#importPreviewBody');
+        const fragment = document.createDocumentFragment();
+
+        this.rows.forEach(({ transaction, duplicateOf, source }, index) => {
+            const tr = document.createElement('tr');
+            if (duplicateOf) tr.className = 'import-duplicate';
+
+            const tdCheck = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selected[index];
+            checkbox.dataset.index = String(index);
+            checkbox.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を取り込む`);
+            tdCheck.appendChild(checkbox);
+            tr.appendChild(tdCheck);
+
+            [
+                UTILS.formatDate(transaction.date),
+                CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+                transaction.category,
+                transaction.description || '',
+                UTILS.formatCurrency(transaction.amount)
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            const tdStatus = document.createElement('td');
+            if (duplicateOf) {
+                tdStatus.textContent = source === 'file' ? 'ファイル内で重複' : '重複の可能性';
+                tdStatus.title = `既存: ${UTILS.formatDate(duplicateOf.date)} ${duplicateOf.description || ''} ${UTILS.formatCurrency(duplicateOf.amount)}`;
+            } else {
+                tdStatus.textContent = '新規';
+            }
+            tr.appendChild(tdStatus);
+
+            fragment.appendChild(tr);
+        });
+
+        tbody.innerHTML = '';
+        tbody.appendChild(fragment);
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const content = this.modal.content;
+
+        content.addEventListener('change', (e) => {
+            if (e.target.dataset.index !== undefined) {
+                this.selected[Number(e.target.dataset.index)] = e.target.checked;
+                this.updateConfirmButton();
+            }
+        });
+
+        content.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            switch (action) {
+                case 'select-all':
+                    this.setSelection(() => true);
+                    break;
+                case 'select-none':
+                    this.setSelection(() => false);
+                    break;
+                case 'exclude-duplicates':
+                    this.setSelection((row, index) => this.selected[index] && !row.duplicateOf);
+                    break;
+                case 'confirm':
+                    this.handleConfirm();
+                    break;
+                case 'cancel':
+                    this.close();
+                    break;
+            }
+        });
+
+        // Escキーなどで閉じられた場合もキャンセルとして通知
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+            this.complete(null);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * 選択状態をまとめて変更
+     * @param {Function} predicate - (row, index) => boolean
+     */
+    setSelection(predicate) {
+        this.selected = this.rows.map((row, index) => predicate(row, index));
+        this.modal.content.querySelectorAll('input[data-index]').forEach(checkbox => {
+            checkbox.checked = this.selected[Number(checkbox.dataset.index)];
+        });
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 確定ボタンの表示を更新
+     */
+    updateConfirmButton() {
+        const button = this.modal.content.querySelector('#importConfirmBtn');
+        const count = this.selected.filter(Boolean).length;
+
+        button.disabled = count === 0;
+        button.innerHTML = `<span aria-hidden="true">📥</span> ${count}件をインポート`;
+    }
+
+    /**
+     * 選択された取引で確定
+     */
+    async handleConfirm() {
+        const transactions = this.rows
+            .filter((row, index) => this.selected[index])
+            .map(row => row.transaction);
+
+        if (this.mode === 'replace') {
+            const confirmed = await this.uiManager.modalManager.showConfirm(
+                '既存データの置き換え',
+                `現在の${this.dataManager.transactions.length}件の取引を削除し、${transactions.length}件に置き換えます。よろしいですか？`,
+                { confirmText: '置き換える', dangerous: true }
+            );
+            if (!confirmed) return;
+        }
+
+        this.complete(transactions);
+        this.close();
+    }
+
+    /**
+     * 完了コールバックを一度だけ呼び出す
+     */
+    complete(result) {
+        if (this.isCompleted) return;
+        this.isCompleted = true;
+        this.onComplete(result);
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
@@ -0,0 +1,122 @@
+// ロック画面と自動ロック専用クラス
+import { CONSTANTS } from '../constants.js';
+
+/**
+ * 暗号化している場合に、起動時とロック中はパスフレーズの入力画面で画面全体を覆う
+ * 操作がないまま設定した時間が過ぎたら自動でロックする
+ */
+export class LockScreenUI {
+    constructor(dataManager, uiManager) {
+        this.dataManager = dataManager;
+        this.uiManager = uiManager;
+        this.idleTimer = null;
+
+        this.element = document.getElementById('lockScreen');
+        this.form = document.getElementById('lockScreenForm');
+        this.input = document.getElementById('lockScreenPassphrase');
+        this.error = document.getElementById('lockScreenError');
+        this.submitButton = this.form?.querySelector('button[type="submit"]');
+
+        this.handleActivity = () => this.resetIdleTimer();
+        this.handleLocked = () => this.show();
+        this.handleUnlocked = () => this.hide();
+        this.handleEncryptionChanged = () => this.resetIdleTimer();
+
+        this.bindEvents();
+    }
+
+    /**
+     * イベントをバインド
+     */
+    bindEvents() {
+        this.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        CONSTANTS.ENCRYPTION.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true });
+        });
+
+        this.dataManager.on('locked', this.handleLocked);
+        this.dataManager.on('unlocked', this.handleUnlocked);
+        this.dataManager.on('encryptionChanged', this.handleEncryptionChanged);
+    }
+
+    /**
+     * ロック画面を表示
+     */
+    show() {
+        if (!this.element) return;
+
+        clearTimeout(this.idleTimer);
+        this.uiManager.hideLoading();
+        this.uiManager.modalManager.closeAllModals();
+
+        // 後ろの画面をフォーカスや読み上げの対象から外す
+        document.querySelector('.container')?.setAttribute('inert', '');
+
+        this.error.textContent = '';
+        this.input.value = '';
+        this.element.classList.remove(CONSTANTS.CSS_CLASSES.HIDDEN);
+        this.input.focus();
+    }
+
+    /**
+     * ロック画面を閉じる
+     */
+    hide() {
+        if (!this.element) return;
+
+        this.element.classList.add(CONSTANTS.CSS_CLASSES.HIDDEN);
+        this.input.value = '';
+        document.querySelector('.container')?.removeAttribute('inert');
+        this.resetIdleTimer();
+    }
+
+    /**
+     * パスフレーズでロックを解除
+     */
+    async handleSubmit() {
+        this.error.textContent = '';
+        this.submitButton.disabled = true;
+        this.submitButton.textContent = '確認しています…';
+
+        try {
+            await this.dataManager.unlock(this.input.value);
+        } catch (error) {
+            this.error.textContent = error.message;
+            this.input.select();
+        } finally {
+            this.submitButton.disabled = false;
+            this.submitButton.textContent = 'ロックを解除';
+        }
+    }
+
+    /**
+     * 自動ロックのタイマーを最初からやり直す（操作があったとき・設定を変えたとき）
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+
+        const minutes = this.dataManager.getAutoLockMinutes();
+        if (minutes > 0 && !this.dataManager.isLocked) {
+            this.idleTimer = setTimeout(() => this.dataManager.lock(), minutes * 60 * 1000);
+        }
+    }
+
+    /**
+     * リソースのクリーンアップ
+     */
+    destroy() {
+        clearTimeout(this.idleTimer);
+
+        CONSTANTS.ENCRYPTION.ACTIVITY_EVENTS.forEach(type => {
+            document.removeEventListener(type, this.handleActivity);
+        });
+
+        this.dataManager.off('locked', this.handleLocked);
+        this.dataManager.off('unlocked', this.handleUnlocked);
+        this.dataManager.off('encryptionChanged', this.handleEncryptionChanged);
+    }
+}
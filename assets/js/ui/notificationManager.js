@@ -275,9 +275,10 @@ export class NotificationManager {
      * 成功通知のショートカット
      * @param {string} message - メッセージ
      * @param {number} duration - 表示時間
+     * @param {object} options - オプション（actionsなど）
      */
-    success(message, duration) {
-        return this.show(message, CONSTANTS.NOTIFICATION_TYPES.SUCCESS, duration);
+    success(message, duration, options) {
+        return this.show(message, CONSTANTS.NOTIFICATION_TYPES.SUCCESS, duration, options);
     }
 
     /**
@@ -302,9 +303,10 @@ export class NotificationManager {
      * 情報通知のショートカット
      * @param {string} message - メッセージ
      * @param {number} duration - 表示時間
+     * @param {object} options - オプション（actionsなど）
      */
-    info(message, duration) {
-        return this.show(message, CONSTANTS.NOTIFICATION_TYPES.INFO, duration);
+    info(message, duration, options) {
+        return this.show(message, CONSTANTS.NOTIFICATION_TYPES.INFO, duration, options);
     }
 
     /**
@@ -0,0 +1,176 @@
+// クイック入力の確認UI専用クラス
+import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+
+export class QuickEntryUI {
+    /**
+     * カテゴリを補った方法の説明
+     */
+    static CATEGORY_SOURCE_LABELS = {
+        rule: '🪄 自動分類ルールで選択しました',
+        history: '💡 似た説明の過去の取引から選択しました'
+    };
+
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.onAdded = null;
+    }
+
+    /**
+     * クイック入力の確認UIをレンダリング
+     * @param {object} draft - 入力を解析した取引の下書き（dataManager.parseQuickEntry の戻り値）
+     * @param {Function} onAdded - 取引を追加したときに呼ぶ関数
+     */
+    render(draft, onAdded) {
+        this.onAdded = onAdded;
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">⚡</span> クイック入力の確認</h2>
+            <p class="modal-text">入力から読み取った内容です。必要に応じて直してから追加してください。</p>
+            <form id="quickEntryConfirmForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="quickEntryDate">日付</label>
+                        <input type="date" id="quickEntryDate" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="quickEntryType">種類</label>
+                        <select id="quickEntryType" required>
+                            <option value="${CONSTANTS.TRANSACTION_TYPES.INCOME}">収入</option>
+                            <option value="${CONSTANTS.TRANSACTION_TYPES.EXPENSE}">支出</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="quickEntryCategory">カテゴリ</label>
+                        <select id="quickEntryCategory" required></select>
+                        <div id="quickEntryCategorySource" class="category-rule-hint hidden"></div>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="quickEntryAmount">金額</label>
+                        <input type="number" id="quickEntryAmount" required min="1" step="1">
+                    </div>
+                    <div class="form-group">
+                        <label for="quickEntryAccount">口座</label>
+                        <select id="quickEntryAccount"></select>
+                    </div>
+                    <div class="form-group">
+                        <label for="quickEntryDescription">説明</label>
+                        <input type="text" id="quickEntryDescription">
+                    </div>
+                </div>
+                <div class="modal-buttons">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                    <button type="submit" class="btn btn-primary"><span aria-hidden="true">✅</span> 追加</button>
+                </div>
+            </form>
+        `;
+
+        const content = this.modal.content;
+        const accountSelect = content.querySelector('#quickEntryAccount');
+        this.dataManager.accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name;
+            accountSelect.appendChild(option);
+        });
+
+        content.querySelector('#quickEntryDate').value = draft.date;
+        content.querySelector('#quickEntryType').value = draft.type;
+        this.updateCategoryOptions();
+        content.querySelector('#quickEntryCategory').value = draft.categoryId;
+        content.querySelector('#quickEntryAmount').value = draft.amount ?? '';
+        accountSelect.value = draft.accountId;
+        content.querySelector('#quickEntryDescription').value = draft.description;
+
+        const source = content.querySelector('#quickEntryCategorySource');
+        if (draft.categorySource) {
+            source.textContent = QuickEntryUI.CATEGORY_SOURCE_LABELS[draft.categorySource];
+            source.classList.remove(CONSTANTS.CSS_CLASSES.HIDDEN);
+        }
+
+        this.setupEventListeners();
+
+        // 読み取れなかった項目から入力してもらう
+        const firstEmpty = ['#quickEntryCategory', '#quickEntryAmount']
+            .map(selector => content.querySelector(selector))
+            .find(element => !element.value);
+        (firstEmpty || content.querySelector('button[type="submit"]')).focus();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const content = this.modal.content;
+
+        content.querySelector('#quickEntryType').addEventListener('change', () => {
+            this.updateCategoryOptions();
+            this.hideCategorySource();
+        });
+        content.querySelector('#quickEntryCategory').addEventListener('change', () => this.hideCategorySource());
+
+        content.querySelector('#quickEntryConfirmForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleConfirm();
+        });
+
+        content.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * カテゴリの選択肢を更新
+     */
+    updateCategoryOptions() {
+        const type = this.modal.content.querySelector('#quickEntryType').value;
+        const categorySelect = this.modal.content.querySelector('#quickEntryCategory');
+
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+
+        this.dataManager.getCategoryTree(type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
+            categorySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * カテゴリを補った方法の表示を消す（自分で選び直した場合）
+     */
+    hideCategorySource() {
+        this.modal.content.querySelector('#quickEntryCategorySource').classList.add(CONSTANTS.CSS_CLASSES.HIDDEN);
+    }
+
+    /**
+     * 取引を追加
+     */
+    async handleConfirm() {
+        const content = this.modal.content;
+
+        try {
+            const transaction = await this.dataManager.addTransaction({
+                date: content.querySelector('#quickEntryDate').value,
+                type: content.querySelector('#quickEntryType').value,
+                categoryId: content.querySelector('#quickEntryCategory').value,
+                amount: parseFloat(content.querySelector('#quickEntryAmount').value || '0'),
+                accountId: content.querySelector('#quickEntryAccount').value,
+                description: content.querySelector('#quickEntryDescription').value
+            });
+            this.close();
+            if (this.onAdded) this.onAdded(transaction);
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
@@ -0,0 +1,324 @@
+// 定期取引管理UI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { RecurrenceCalculator } from '../utils/recurrenceCalculator.js';
+import { DateParser } from '../utils/dateParser.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+
+export class RecurringManagerUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.handleRulesChanged = () => this.updateRuleList();
+    }
+
+    /**
+     * 定期取引管理UIをレンダリング
+     */
+    render() {
+        const today = DateParser.formatToISO(new Date());
+        const frequencyOptions = Object.entries(RecurrenceCalculator.FREQUENCY_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        const accountOptions = this.dataManager.accounts
+            .map(account => `<option value="${account.id}">${this.uiManager.modalManager.escapeHtml(account.name)}</option>`)
+            .join('');
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🔁</span> 定期取引</h2>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">📋</span> 登録済みのルール</h3>
+                <div id="recurringRuleList" class="recurring-rule-list"></div>
+            </div>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">➕</span> 新しいルール</h3>
+                <form id="recurringRuleForm" class="recurring-rule-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="recurringType">種類</label>
+                            <select id="recurringType" required>
+                                <option value="">選択してください</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.INCOME}">収入</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.EXPENSE}">支出</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringCategory">カテゴリ</label>
+                            <select id="recurringCategory" required>
+                                <option value="">選択してください</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="recurringAmount">金額</label>
+                            <input type="number" id="recurringAmount" required min="1" step="1">
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringAccount">口座</label>
+                            <select id="recurringAccount">${accountOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringPayee">支払先・入金元</label>
+                            <input type="text" id="recurringPayee" placeholder="例: 大家" maxlength="50">
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringDescription">説明</label>
+                            <input type="text" id="recurringDescription" placeholder="例: 家賃">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="recurringFrequency">頻度</label>
+                            <select id="recurringFrequency" required>${frequencyOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringStartDate">開始日</label>
+                            <input type="date" id="recurringStartDate" value="${today}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringEndDate">終了日（任意）</label>
+                            <input type="date" id="recurringEndDate">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn btn-success"><span aria-hidden="true">➕</span> 登録</button>
+                </form>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 完了
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.updateRuleList();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, ruleId } = button.dataset;
+
+            try {
+                switch (action) {
+                    case 'pause':
+                        await this.dataManager.setRecurringRulePaused(ruleId, true);
+                        break;
+                    case 'resume':
+                        await this.dataManager.setRecurringRulePaused(ruleId, false);
+                        break;
+                    case 'skip':
+                        await this.handleSkip(ruleId);
+                        break;
+                    case 'remove':
+                        await this.handleRemove(ruleId);
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            } catch (error) {
+                console.error('定期取引操作エラー:', error);
+                this.uiManager.notificationManager.error(error.message);
+            }
+        });
+
+        const form = this.modal.content.querySelector('#recurringRuleForm');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleAddRule();
+        });
+
+        const typeSelect = this.modal.content.querySelector('#recurringType');
+        typeSelect.addEventListener('change', () => this.updateCategoryOptions());
+
+        // モーダルを閉じたらデータイベントの購読を解除
+        this.dataManager.on('recurringRulesChanged', this.handleRulesChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('recurringRulesChanged', this.handleRulesChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * カテゴリの選択肢を更新
+     */
+    updateCategoryOptions() {
+        const type = this.modal.content.querySelector('#recurringType').value;
+        const categorySelect = this.modal.content.querySelector('#recurringCategory');
+
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+
+        this.dataManager.getCategoryTree(type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
+            categorySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * ルール一覧を更新
+     */
+    updateRuleList() {
+        const container = this.modal.content.querySelector('#recurringRuleList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const rules = this.dataManager.recurringRules || [];
+
+        if (rules.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.style.cssText = 'color: #6c757d; font-style: italic; padding: 10px 0;';
+            emptyMessage.textContent = '定期取引はまだありません';
+            container.appendChild(emptyMessage);
+            return;
+        }
+
+        rules.forEach(rule => {
+            container.appendChild(this.createRuleElement(rule));
+        });
+    }
+
+    /**
+     * ルール要素を作成
+     */
+    createRuleElement(rule) {
+        const today = DateParser.formatToISO(new Date());
+        const nextDate = RecurrenceCalculator.getNextOccurrence(rule, today);
+
+        const item = document.createElement('div');
+        item.className = `recurring-rule-item ${rule.type}${rule.isPaused ? ' paused' : ''}`;
+
+        const info = document.createElement('div');
+        info.className = 'recurring-rule-info';
+
+        const categoryName = this.dataManager.getTransactionCategoryName(rule);
+
+        const title = document.createElement('strong');
+        title.textContent = rule.name || rule.description || categoryName;
+        info.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'recurring-rule-detail';
+        const sign = rule.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '+' : '-';
+        detail.textContent = `${categoryName} ${sign}${UTILS.formatCurrency(rule.amount)} / ${RecurrenceCalculator.describe(rule)}`;
+        info.appendChild(detail);
+
+        const status = document.createElement('div');
+        status.className = 'recurring-rule-detail';
+        if (rule.isPaused) {
+            status.textContent = '一時停止中';
+        } else if (nextDate) {
+            status.textContent = `次回: ${UTILS.formatDate(nextDate)}`;
+        } else {
+            status.textContent = '終了しました';
+        }
+        if (rule.endDate) {
+            status.textContent += `（${UTILS.formatDate(rule.endDate)}まで）`;
+        }
+        info.appendChild(status);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'recurring-rule-actions';
+
+        const buttons = [
+            rule.isPaused
+                ? { action: 'resume', text: '再開' }
+                : { action: 'pause', text: '一時停止' },
+            { action: 'skip', text: '次回をスキップ', disabled: rule.isPaused || !nextDate },
+            { action: 'remove', text: '削除', className: 'delete-btn' }
+        ];
+
+        buttons.forEach(({ action, text, disabled, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className || 'edit-btn';
+            button.textContent = text;
+            button.dataset.action = action;
+            button.dataset.ruleId = rule.id;
+            button.disabled = !!disabled;
+            actions.appendChild(button);
+        });
+
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * ルール追加を処理
+     */
+    async handleAddRule() {
+        const content = this.modal.content;
+        const ruleData = {
+            type: content.querySelector('#recurringType').value,
+            categoryId: content.querySelector('#recurringCategory').value,
+            amount: parseFloat(content.querySelector('#recurringAmount').value || '0'),
+            description: content.querySelector('#recurringDescription').value,
+            payee: content.querySelector('#recurringPayee').value,
+            accountId: content.querySelector('#recurringAccount').value,
+            frequency: content.querySelector('#recurringFrequency').value,
+            startDate: content.querySelector('#recurringStartDate').value,
+            endDate: content.querySelector('#recurringEndDate').value
+        };
+
+        try {
+            await this.dataManager.addRecurringRule(ruleData);
+            content.querySelector('#recurringAmount').value = '';
+            content.querySelector('#recurringDescription').value = '';
+            content.querySelector('#recurringPayee').value = '';
+            content.querySelector('#recurringEndDate').value = '';
+            this.uiManager.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.RECURRING_RULE_ADDED);
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * 次回スキップを処理
+     */
+    async handleSkip(ruleId) {
+        const skippedDate = await this.dataManager.skipNextRecurringOccurrence(ruleId);
+        if (skippedDate) {
+            this.uiManager.notificationManager.info(`${UTILS.formatDate(skippedDate)}の分をスキップします`);
+        }
+    }
+
+    /**
+     * ルール削除を処理
+     */
+    async handleRemove(ruleId) {
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            '定期取引を削除',
+            'この定期取引を削除しますか？\n作成済みの取引は削除されません。',
+            { confirmText: '削除', dangerous: true }
+        );
+
+        if (confirmed) {
+            await this.dataManager.removeRecurringRule(ruleId);
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
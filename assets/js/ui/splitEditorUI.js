@@ -0,0 +1,244 @@
+// 取引の分割（カテゴリ別の内訳）編集UI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { Sanitizer } from '../utils/sanitizer.js';
+
+export class SplitEditorUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.type = null;
+        this.total = 0;
+        this.resolve = null;
+    }
+
+    /**
+     * 分割の編集を開始
+     * @param {string} type - トランザクション種別（収入または支出）
+     * @param {number} total - 取引の金額
+     * @param {Array<object>} splits - 現在の分割（分割していない場合は空の配列）
+     * @param {string} categoryId - 分割していない場合に1行目に使うカテゴリID
+     * @returns {Promise<Array<object>|null>} 分割（「分割しない」は空の配列、キャンセル時はnull）
+     */
+    open(type, total, splits, categoryId = '') {
+        this.type = type;
+        this.total = total;
+
+        // 分割していない場合は、取引全体を1行目に入れた2行から始める
+        this.render(splits.length > 0 ? splits : [
+            { categoryId, amount: total, memo: '' },
+            { categoryId: '', amount: '', memo: '' }
+        ]);
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 分割の編集UIをレンダリング
+     * @param {Array<object>} splits - 初期表示する行
+     */
+    render(splits) {
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">✂️</span> 取引の分割</h2>
+            <p class="modal-text">1件の取引を複数のカテゴリに分けて記録します。金額の合計は取引の金額（<strong>${UTILS.formatCurrency(this.total)}</strong>）と一致させてください。</p>
+            <table class="split-table">
+                <thead>
+                    <tr>
+                        <th scope="col">カテゴリ</th>
+                        <th scope="col">金額</th>
+                        <th scope="col">メモ</th>
+                        <th scope="col"><span class="sr-only">操作</span></th>
+                    </tr>
+                </thead>
+                <tbody id="splitRows"></tbody>
+            </table>
+            <div class="split-footer">
+                <button type="button" class="btn btn-secondary" data-action="add">＋ 行を追加</button>
+                <span id="splitRemaining" class="split-remaining" aria-live="polite"></span>
+            </div>
+            <div class="modal-buttons">
+                <button class="btn btn-secondary" data-action="clear">分割しない</button>
+                <button class="btn btn-secondary" data-action="cancel">キャンセル</button>
+                <button class="btn btn-primary" data-action="confirm">決定</button>
+            </div>
+        `;
+
+        const tbody = this.modal.content.querySelector('#splitRows');
+        splits.forEach(split => tbody.appendChild(this.createRow(split)));
+
+        this.setupEventListeners();
+        this.updateRows();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('input', () => this.updateRemaining());
+        this.modal.content.addEventListener('change', () => this.updateRemaining());
+
+        this.modal.content.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+
+            if (action === 'add') {
+                this.addRow();
+            } else if (action === 'remove') {
+                e.target.closest('tr').remove();
+                this.updateRows();
+            } else if (action === 'confirm') {
+                this.handleConfirm();
+            } else if (action === 'clear') {
+                this.close([]);
+            } else if (action === 'cancel') {
+                this.close(null);
+            }
+        });
+    }
+
+    /**
+     * 分割の行を作成
+     * @param {object} split - { categoryId, amount, memo }
+     * @returns {HTMLElement} 行
+     */
+    createRow(split) {
+        const tr = document.createElement('tr');
+        tr.className = 'split-row';
+
+        const categorySelect = document.createElement('select');
+        categorySelect.className = 'split-category';
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+        this.dataManager.getCategoryTree(this.type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
+            categorySelect.appendChild(option);
+        });
+        categorySelect.value = this.dataManager.getCategoryById(this.type, split.categoryId) ? split.categoryId : '';
+
+        const amountInput = document.createElement('input');
+        amountInput.type = 'number';
+        amountInput.className = 'split-amount';
+        amountInput.min = String(CONSTANTS.VALIDATION.MIN_AMOUNT);
+        amountInput.step = '1';
+        amountInput.value = split.amount;
+
+        const memoInput = document.createElement('input');
+        memoInput.type = 'text';
+        memoInput.className = 'split-memo';
+        memoInput.placeholder = '任意';
+        memoInput.value = split.memo || '';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'delete-btn';
+        removeBtn.dataset.action = 'remove';
+        removeBtn.textContent = '削除';
+
+        [categorySelect, amountInput, memoInput, removeBtn].forEach(element => {
+            const td = document.createElement('td');
+            td.appendChild(element);
+            tr.appendChild(td);
+        });
+
+        return tr;
+    }
+
+    /**
+     * 行を追加（未割り当ての金額を初期値にする）
+     */
+    addRow() {
+        const remaining = this.total - this.getSum();
+        const tr = this.createRow({ categoryId: '', amount: remaining > 0 ? remaining : '', memo: '' });
+        this.modal.content.querySelector('#splitRows').appendChild(tr);
+        this.updateRows();
+        tr.querySelector('.split-category').focus();
+    }
+
+    /**
+     * 行の番号と操作できるボタンを更新
+     */
+    updateRows() {
+        const rows = this.modal.content.querySelectorAll('.split-row');
+
+        rows.forEach((tr, index) => {
+            tr.querySelector('.split-category').setAttribute('aria-label', `${index + 1}行目のカテゴリ`);
+            tr.querySelector('.split-amount').setAttribute('aria-label', `${index + 1}行目の金額`);
+            tr.querySelector('.split-memo').setAttribute('aria-label', `${index + 1}行目のメモ`);
+            tr.querySelector('[data-action="remove"]').setAttribute('aria-label', `${index + 1}行目を削除`);
+            // 分割は2行以上必要なため、2行のときは削除できない
+            tr.querySelector('[data-action="remove"]').disabled = rows.length <= 2;
+        });
+
+        this.modal.content.querySelector('[data-action="add"]').disabled = rows.length >= CONSTANTS.VALIDATION.MAX_SPLITS;
+        this.updateRemaining();
+    }
+
+    /**
+     * 入力された分割を取得
+     * @returns {Array<object>} { categoryId, amount, memo } の配列
+     */
+    getSplits() {
+        return Array.from(this.modal.content.querySelectorAll('.split-row')).map(tr => ({
+            categoryId: tr.querySelector('.split-category').value,
+            amount: parseFloat(tr.querySelector('.split-amount').value || '0'),
+            memo: tr.querySelector('.split-memo').value
+        }));
+    }
+
+    /**
+     * 入力された金額の合計を取得
+     * @returns {number} 合計
+     */
+    getSum() {
+        return this.getSplits().reduce((sum, split) => sum + (Number.isFinite(split.amount) ? split.amount : 0), 0);
+    }
+
+    /**
+     * 未割り当ての金額の表示を更新
+     */
+    updateRemaining() {
+        const element = this.modal.content.querySelector('#splitRemaining');
+        if (!element) return;
+
+        const remaining = this.total - this.getSum();
+        element.classList.toggle('balanced', remaining === 0);
+        element.classList.toggle('over', remaining < 0);
+
+        if (remaining === 0) {
+            element.textContent = '合計が取引の金額と一致しています';
+        } else if (remaining > 0) {
+            element.textContent = `未割り当て: ${UTILS.formatCurrency(remaining)}`;
+        } else {
+            element.textContent = `取引の金額を${UTILS.formatCurrency(-remaining)}超えています`;
+        }
+    }
+
+    /**
+     * 入力を検証して確定
+     */
+    handleConfirm() {
+        const validation = Sanitizer.validateSplits(this.getSplits(), this.total);
+
+        if (validation.errors.length > 0) {
+            this.uiManager.notificationManager.error(validation.errors.join('\n'));
+            return;
+        }
+
+        this.close(validation.splits);
+    }
+
+    /**
+     * モーダルを閉じる
+     * @param {Array<object>|null} result - 確定した分割（キャンセル時はnull）
+     */
+    close(result) {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+}
@@ -0,0 +1,172 @@
+// タグ入力欄の入力補完
+import { CONSTANTS } from '../constants.js';
+import { Sanitizer } from '../utils/sanitizer.js';
+
+/**
+ * 区切り文字で複数のタグを入力する欄に、入力中のタグの候補を表示する
+ * 候補は↑↓で選び、Enter・Tabで確定、Escで閉じる
+ */
+export class TagAutocomplete {
+    /**
+     * @param {HTMLInputElement} input - タグの入力欄
+     * @param {Function} getTags - 候補にするタグ（使用回数の多い順）を返す関数
+     */
+    constructor(input, getTags) {
+        this.input = input;
+        this.getTags = getTags;
+        this.suggestions = [];
+        this.activeIndex = -1;
+
+        this.list = document.createElement('ul');
+        this.list.id = `${input.id}Suggestions`;
+        this.list.className = 'tag-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        input.insertAdjacentElement('afterend', this.list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', this.list.id);
+        input.autocomplete = 'off';
+
+        this.bindEvents();
+    }
+
+    /**
+     * イベントをバインド
+     */
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('blur', () => this.close());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (this.list.hidden) return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.setActive((this.activeIndex + 1) % this.suggestions.length);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActive((this.activeIndex - 1 + this.suggestions.length) % this.suggestions.length);
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    if (this.activeIndex >= 0) {
+                        e.preventDefault();
+                        this.select(this.suggestions[this.activeIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    // モーダルを閉じるなど、他のEscの処理には伝えない
+                    e.stopPropagation();
+                    this.close();
+                    break;
+            }
+        });
+
+        // blurより先に処理して、クリックした候補を確定できるようにする
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-tag]');
+            if (!option) return;
+
+            e.preventDefault();
+            this.select(option.dataset.tag);
+        });
+    }
+
+    /**
+     * 入力中のタグ（最後の区切り文字より後ろ）を取得
+     * @returns {string} 入力中のタグ
+     */
+    getCurrentToken() {
+        const match = this.input.value.match(/[^,、\s]*$/);
+        return Sanitizer.sanitizeTag(match ? match[0] : '');
+    }
+
+    /**
+     * 候補を更新
+     */
+    update() {
+        const token = this.getCurrentToken().toLowerCase();
+        const entered = new Set(Sanitizer.splitTags(this.input.value).map(tag => Sanitizer.sanitizeTag(tag)));
+
+        this.suggestions = token
+            ? this.getTags()
+                .filter(tag => !entered.has(tag) && tag.toLowerCase().includes(token))
+                .slice(0, CONSTANTS.DEFAULTS.TAG_SUGGESTION_LIMIT)
+            : [];
+
+        this.render();
+    }
+
+    /**
+     * 候補の一覧を描画
+     */
+    render() {
+        this.list.innerHTML = '';
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.suggestions.forEach((tag, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.list.id}-${index}`;
+            option.className = 'tag-suggestion';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.dataset.tag = tag;
+            option.textContent = `#${tag}`;
+            this.list.appendChild(option);
+        });
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * 選択中の候補を変更
+     * @param {number} index - 候補の位置
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.tag-suggestion').forEach((option, i) => {
+            const active = i === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+            }
+        });
+    }
+
+    /**
+     * 候補を確定して入力中のタグと置き換える
+     * @param {string} tag - 確定するタグ
+     */
+    select(tag) {
+        this.input.value = `${this.input.value.replace(/[^,、\s]*$/, '')}${tag} `;
+        this.close();
+        this.input.focus();
+
+        // 絞り込みなど、入力欄の変更を監視している処理に伝える
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * 候補を閉じる
+     */
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
@@ -0,0 +1,153 @@
+// タグ別レポートUI専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+
+export class TagReportUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.period = 0; // 集計する月数（0は全期間）
+    }
+
+    /**
+     * タグ別レポートUIをレンダリング
+     */
+    render() {
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">🏷️</span> タグ別レポート</h2>
+            <p class="modal-text">タグごとの収支です。複数のタグが付いた取引は、それぞれのタグに計上されます。</p>
+            <div class="form-inline">
+                <label for="tagReportPeriod">集計期間:</label>
+                <select id="tagReportPeriod">
+                    <option value="0">全期間</option>
+                    <option value="1">今月</option>
+                    <option value="3">過去3ヶ月</option>
+                    <option value="6">過去6ヶ月</option>
+                    <option value="12">過去12ヶ月</option>
+                </select>
+            </div>
+            <div id="tagReportList" class="tag-report-list" role="region" aria-label="タグ別の収支"></div>
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">閉じる</button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.updateReport();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.querySelector('#tagReportPeriod').addEventListener('change', (e) => {
+            this.period = parseInt(e.target.value, 10);
+            this.updateReport();
+        });
+
+        this.modal.content.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+
+            if (action === 'filter') {
+                this.showTransactions(e.target.dataset.tag);
+            } else if (action === 'close') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * レポートを更新
+     */
+    updateReport() {
+        const container = this.modal.content.querySelector('#tagReportList');
+        const monthKeys = this.period > 0 ? this.dataManager.getMonthKeys(this.period) : null;
+        const report = this.dataManager.getTagReport(monthKeys);
+
+        container.innerHTML = '';
+
+        if (report.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.style.cssText = 'color: #6c757d; font-style: italic; padding: 10px 0;';
+            emptyMessage.textContent = 'この期間にタグの付いた取引はありません';
+            container.appendChild(emptyMessage);
+            return;
+        }
+
+        report.forEach(entry => container.appendChild(this.createTagElement(entry)));
+    }
+
+    /**
+     * タグごとの要素を作成（開くとカテゴリ別の内訳を表示）
+     * @param {object} entry - getTagReportの要素
+     * @returns {HTMLElement} 要素
+     */
+    createTagElement(entry) {
+        const details = document.createElement('details');
+        details.className = 'tag-report-item';
+
+        const summary = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'tag-chip';
+        name.textContent = `#${entry.tag}`;
+        summary.appendChild(name);
+
+        const totals = document.createElement('span');
+        totals.className = 'tag-report-totals';
+        totals.textContent = `${entry.count}件　収入 ${UTILS.formatCurrency(entry.income)}　支出 ${UTILS.formatCurrency(entry.expense)}`;
+        summary.appendChild(totals);
+        details.appendChild(summary);
+
+        [CONSTANTS.TRANSACTION_TYPES.EXPENSE, CONSTANTS.TRANSACTION_TYPES.INCOME].forEach(type => {
+            const categories = entry.byCategory[type];
+            if (categories.length === 0) return;
+
+            const list = document.createElement('ul');
+            list.className = `tag-report-categories ${type}`;
+            list.setAttribute('aria-label', `${CONSTANTS.TRANSACTION_TYPE_LABELS[type]}のカテゴリ別内訳`);
+
+            categories.forEach(({ category, amount, children }) => {
+                const item = document.createElement('li');
+                item.textContent = `${category}: ${UTILS.formatCurrency(amount)}`;
+                if (children.length > 0) {
+                    item.textContent += `（${children.map(child => `${child.category} ${UTILS.formatCurrency(child.amount)}`).join('、')}）`;
+                }
+                list.appendChild(item);
+            });
+
+            details.appendChild(list);
+        });
+
+        const filterButton = document.createElement('button');
+        filterButton.type = 'button';
+        filterButton.className = 'edit-btn';
+        filterButton.dataset.action = 'filter';
+        filterButton.dataset.tag = entry.tag;
+        filterButton.textContent = 'このタグの取引を表示';
+        details.appendChild(filterButton);
+
+        return details;
+    }
+
+    /**
+     * タグで取引履歴を絞り込んで表示
+     * @param {string} tag - タグ
+     */
+    showTransactions(tag) {
+        this.dataManager.applyFilters({ tags: [tag], tagMode: CONSTANTS.TAG_MATCH_MODES.ALL });
+        this.close();
+
+        const transactionsSection = document.querySelector('.transactions-section');
+        if (transactionsSection) {
+            transactionsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
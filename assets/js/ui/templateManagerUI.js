@@ -0,0 +1,399 @@
+// 取引テンプレート管理UI専用クラス
+import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { Sanitizer } from '../utils/sanitizer.js';
+import { TagAutocomplete } from './tagAutocomplete.js';
+
+export class TemplateManagerUI {
+    constructor(dataManager, modal, uiManager) {
+        this.dataManager = dataManager;
+        this.modal = modal;
+        this.uiManager = uiManager;
+        this.editingTemplateId = null; // 編集中のテンプレートID
+        this.handleTemplatesChanged = () => this.updateTemplateList();
+    }
+
+    /**
+     * 取引テンプレート管理UIをレンダリング
+     * @param {object|null} initialData - 新しいテンプレートの入力欄に入れておく内容（入力フォームの内容など）
+     */
+    render(initialData = null) {
+        const accountOptions = this.dataManager.accounts
+            .map(account => `<option value="${account.id}">${this.uiManager.modalManager.escapeHtml(account.name)}</option>`)
+            .join('');
+
+        this.modal.content.innerHTML = `
+            <h2 class="modal-title"><span aria-hidden="true">⭐</span> 取引テンプレート</h2>
+            <p class="modal-text">よく入力する取引を登録しておくと、入力フォームの横のボタンからすぐに入力できます。先頭から9件のテンプレートは Alt+数字キー でフォームに入力、Alt+Shift+数字キー で今日の日付の取引として追加できます。</p>
+
+            <div class="modal-section">
+                <h3><span aria-hidden="true">📋</span> 登録済みのテンプレート</h3>
+                <div id="templateList" class="recurring-rule-list"></div>
+            </div>
+
+            <div class="modal-section">
+                <h3 id="templateFormTitle"><span aria-hidden="true">➕</span> 新しいテンプレート</h3>
+                <form id="templateForm">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="templateName">テンプレート名</label>
+                            <input type="text" id="templateName" required placeholder="例: コンビニ弁当">
+                        </div>
+                        <div class="form-group">
+                            <label for="templateType">種類</label>
+                            <select id="templateType" required>
+                                <option value="">選択してください</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.INCOME}">収入</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.EXPENSE}">支出</option>
+                                <option value="${CONSTANTS.TRANSACTION_TYPES.TRANSFER}">振替</option>
+                            </select>
+                        </div>
+                        <div class="form-group" id="templateCategoryGroup">
+                            <label for="templateCategory">カテゴリ</label>
+                            <select id="templateCategory">
+                                <option value="">選択してください</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="templateAmount">金額（任意）</label>
+                            <input type="number" id="templateAmount" min="1" step="1" placeholder="使うときに入力">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="templateAccount" id="templateAccountLabel">口座</label>
+                            <select id="templateAccount">${accountOptions}</select>
+                        </div>
+                        <div class="form-group hidden" id="templateToAccountGroup">
+                            <label for="templateToAccount">振替先</label>
+                            <select id="templateToAccount">${accountOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="templatePayee">支払先・入金元</label>
+                            <input type="text" id="templatePayee" placeholder="例: コンビニ" maxlength="50">
+                        </div>
+                        <div class="form-group">
+                            <label for="templateDescription">説明</label>
+                            <input type="text" id="templateDescription" placeholder="例: 弁当">
+                        </div>
+                        <div class="form-group tag-input-group">
+                            <label for="templateTags">タグ</label>
+                            <input type="text" id="templateTags" placeholder="スペース区切り">
+                        </div>
+                    </div>
+                    <div class="category-rule-form-buttons">
+                        <button type="button" class="btn btn-secondary hidden" data-action="cancelEdit">編集をやめる</button>
+                        <button type="submit" id="templateSubmit" class="btn btn-success"><span aria-hidden="true">➕</span> 登録</button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="modal-buttons">
+                <button class="btn btn-primary" data-action="close">
+                    <span aria-hidden="true">✅</span> 完了
+                </button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.resetForm();
+        if (initialData) {
+            this.fillForm(initialData);
+        }
+        this.updateTemplateList();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.modal.content.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, templateId } = button.dataset;
+
+            try {
+                switch (action) {
+                    case 'up':
+                        this.dataManager.moveTransactionTemplate(templateId, -1);
+                        break;
+                    case 'down':
+                        this.dataManager.moveTransactionTemplate(templateId, 1);
+                        break;
+                    case 'edit':
+                        this.startEdit(templateId);
+                        break;
+                    case 'remove':
+                        await this.handleRemove(templateId);
+                        break;
+                    case 'cancelEdit':
+                        this.resetForm();
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            } catch (error) {
+                console.error('テンプレート操作エラー:', error);
+                this.uiManager.notificationManager.error(error.message);
+            }
+        });
+
+        this.modal.content.querySelector('#templateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        this.modal.content.querySelector('#templateType').addEventListener('change', () => {
+            this.updateCategoryOptions();
+            this.updateTransferFields();
+        });
+
+        new TagAutocomplete(
+            this.modal.content.querySelector('#templateTags'),
+            () => this.dataManager.getTagUsage().map(({ tag }) => tag)
+        );
+
+        // モーダルを閉じたらデータイベントの購読を解除
+        this.dataManager.on('transactionTemplatesChanged', this.handleTemplatesChanged);
+        const handleModalClosed = (closedModal) => {
+            if (closedModal !== this.modal.overlay) return;
+            this.dataManager.off('transactionTemplatesChanged', this.handleTemplatesChanged);
+            this.uiManager.modalManager.off('modalClosed', handleModalClosed);
+        };
+        this.uiManager.modalManager.on('modalClosed', handleModalClosed);
+    }
+
+    /**
+     * カテゴリの選択肢を更新
+     */
+    updateCategoryOptions() {
+        const type = this.modal.content.querySelector('#templateType').value;
+        const categorySelect = this.modal.content.querySelector('#templateCategory');
+
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+
+        this.dataManager.getCategoryTree(type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
+            categorySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * 振替かどうかで入力項目を切り替え（振替はカテゴリの代わりに振替先の口座を入力する）
+     */
+    updateTransferFields() {
+        const content = this.modal.content;
+        const isTransfer = content.querySelector('#templateType').value === CONSTANTS.TRANSACTION_TYPES.TRANSFER;
+
+        content.querySelector('#templateCategoryGroup').classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, isTransfer);
+        content.querySelector('#templateToAccountGroup').classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !isTransfer);
+        content.querySelector('#templateAccountLabel').textContent = isTransfer ? '振替元' : '口座';
+    }
+
+    /**
+     * フォームに内容を入れる
+     * @param {object} data - テンプレートまたは入力フォームの内容
+     */
+    fillForm(data) {
+        const content = this.modal.content;
+        const tags = Array.isArray(data.tags) ? data.tags : Sanitizer.splitTags(data.tags || '');
+
+        content.querySelector('#templateName').value = data.name || data.description || '';
+        content.querySelector('#templateType').value = data.type || '';
+        this.updateCategoryOptions();
+        this.updateTransferFields();
+        content.querySelector('#templateCategory').value = data.categoryId || '';
+        content.querySelector('#templateAmount').value = data.amount ?? '';
+        content.querySelector('#templateAccount').value = data.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID;
+        if (data.toAccountId) {
+            content.querySelector('#templateToAccount').value = data.toAccountId;
+        }
+        content.querySelector('#templatePayee').value = data.payee || '';
+        content.querySelector('#templateDescription').value = data.description || '';
+        content.querySelector('#templateTags').value = tags.join(' ');
+    }
+
+    /**
+     * 入力中のテンプレートを取得
+     * @returns {object} テンプレートデータ
+     */
+    getFormTemplate() {
+        const content = this.modal.content;
+        const type = content.querySelector('#templateType').value;
+        const isTransfer = type === CONSTANTS.TRANSACTION_TYPES.TRANSFER;
+
+        return {
+            name: content.querySelector('#templateName').value,
+            type,
+            categoryId: isTransfer ? '' : content.querySelector('#templateCategory').value,
+            amount: content.querySelector('#templateAmount').value,
+            accountId: content.querySelector('#templateAccount').value,
+            toAccountId: isTransfer ? content.querySelector('#templateToAccount').value : '',
+            description: content.querySelector('#templateDescription').value,
+            payee: content.querySelector('#templatePayee').value,
+            tags: content.querySelector('#templateTags').value
+        };
+    }
+
+    /**
+     * テンプレート一覧を更新
+     */
+    updateTemplateList() {
+        const container = this.modal.content.querySelector('#templateList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const templates = this.dataManager.transactionTemplates;
+
+        if (templates.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.style.cssText = 'color: #6c757d; font-style: italic; padding: 10px 0;';
+            emptyMessage.textContent = 'テンプレートはまだありません';
+            container.appendChild(emptyMessage);
+            return;
+        }
+
+        templates.forEach((template, index) => {
+            container.appendChild(this.createTemplateElement(template, index, templates.length));
+        });
+    }
+
+    /**
+     * テンプレート要素を作成
+     * @param {object} template - テンプレート
+     * @param {number} index - 一覧での位置
+     * @param {number} count - テンプレートの数
+     * @returns {HTMLElement} テンプレート要素
+     */
+    createTemplateElement(template, index, count) {
+        const item = document.createElement('div');
+        item.className = `recurring-rule-item ${template.type}`;
+
+        const info = document.createElement('div');
+        info.className = 'recurring-rule-info';
+
+        const title = document.createElement('strong');
+        title.textContent = index < 9 ? `${template.name}（Alt+${index + 1}）` : template.name;
+        info.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'recurring-rule-detail';
+        detail.textContent = this.uiManager.describeTemplate(template);
+        info.appendChild(detail);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'recurring-rule-actions';
+
+        const buttons = [
+            { action: 'up', text: '↑', label: '前に移動', disabled: index === 0 },
+            { action: 'down', text: '↓', label: '後ろに移動', disabled: index === count - 1 },
+            { action: 'edit', text: '編集' },
+            { action: 'remove', text: '削除', className: 'delete-btn' }
+        ];
+
+        buttons.forEach(({ action, text, label, disabled, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className || 'edit-btn';
+            button.textContent = text;
+            button.dataset.action = action;
+            button.dataset.templateId = template.id;
+            button.disabled = !!disabled;
+            if (label) button.setAttribute('aria-label', `${template.name}を${label}`);
+            actions.appendChild(button);
+        });
+
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * テンプレートの編集を開始（フォームにテンプレートの内容を表示する）
+     * @param {string} templateId - テンプレートID
+     */
+    startEdit(templateId) {
+        const template = this.dataManager.transactionTemplates.find(t => t.id === templateId);
+        if (!template) return;
+
+        const content = this.modal.content;
+        this.editingTemplateId = templateId;
+        this.fillForm(template);
+
+        content.querySelector('#templateFormTitle').innerHTML = '<span aria-hidden="true">✏️</span> テンプレートを編集';
+        content.querySelector('#templateSubmit').innerHTML = '<span aria-hidden="true">💾</span> 更新';
+        content.querySelector('[data-action="cancelEdit"]').classList.remove(CONSTANTS.CSS_CLASSES.HIDDEN);
+        content.querySelector('#templateName').focus();
+    }
+
+    /**
+     * フォームを新しいテンプレートの入力に戻す
+     */
+    resetForm() {
+        const content = this.modal.content;
+        this.editingTemplateId = null;
+
+        content.querySelector('#templateForm').reset();
+        this.updateCategoryOptions();
+        this.updateTransferFields();
+
+        content.querySelector('#templateFormTitle').innerHTML = '<span aria-hidden="true">➕</span> 新しいテンプレート';
+        content.querySelector('#templateSubmit').innerHTML = '<span aria-hidden="true">➕</span> 登録';
+        content.querySelector('[data-action="cancelEdit"]').classList.add(CONSTANTS.CSS_CLASSES.HIDDEN);
+    }
+
+    /**
+     * テンプレートの登録・更新を処理
+     */
+    handleSubmit() {
+        try {
+            if (this.editingTemplateId) {
+                this.dataManager.updateTransactionTemplate(this.editingTemplateId, this.getFormTemplate());
+                this.uiManager.notificationManager.success('テンプレートを更新しました');
+            } else {
+                this.dataManager.addTransactionTemplate(this.getFormTemplate());
+                this.uiManager.notificationManager.success('テンプレートを登録しました');
+            }
+            this.resetForm();
+        } catch (error) {
+            this.uiManager.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * テンプレート削除を処理
+     * @param {string} templateId - テンプレートID
+     */
+    async handleRemove(templateId) {
+        const template = this.dataManager.transactionTemplates.find(t => t.id === templateId);
+        if (!template) return;
+
+        const confirmed = await this.uiManager.modalManager.showConfirm(
+            'テンプレートを削除',
+            `テンプレート「${template.name}」を削除しますか？\nこのテンプレートから追加した取引は削除されません。`,
+            { confirmText: '削除', dangerous: true }
+        );
+
+        if (confirmed) {
+            this.dataManager.removeTransactionTemplate(templateId);
+            if (this.editingTemplateId === templateId) {
+                this.resetForm();
+            }
+        }
+    }
+
+    /**
+     * モーダルを閉じる
+     */
+    close() {
+        this.uiManager.modalManager.closeModal(this.modal.overlay);
+    }
+}
@@ -0,0 +1,504 @@
+// 取引履歴テーブル（並べ替え・ページ送り・差分更新）専用クラス
+import { CONSTANTS, UTILS } from '../constants.js';
+import { FilterQuery } from '../utils/filterQuery.js';
+
+/**
+ * 絞り込んだ取引を並べ替えてページ単位で表示する
+ * 表示中のページの行は取引IDで管理し、取引の追加・更新・削除では変わった行だけを作り直す
+ * 一括操作のために選択した取引も管理する（選択はページをまたいで保持し、絞り込み結果から外れた取引は選択を解除する）
+ */
+export class TransactionTableUI {
+    /**
+     * 並べ替えできる列と、はじめて選んだときの並び順
+     */
+    static SORT_DEFAULT_DIRECTIONS = {
+        date: 'desc',
+        amount: 'desc',
+        category: 'asc'
+    };
+
+    constructor(dataManager, uiManager) {
+        this.dataManager = dataManager;
+        this.uiManager = uiManager;
+        this.rows = []; // 並べ替え済みの絞り込み結果
+        this.sortKeys = new Map(); // 取引ID → 並べ替えに使うカテゴリ名
+        this.rowElements = new Map(); // 表示中の取引ID → 行要素
+        this.selectedIds = new Set(); // 一括操作の対象として選択した取引ID
+        this.sort = { key: 'date', direction: 'desc' };
+        this.page = 0;
+        this.pageSize = CONSTANTS.DEFAULTS.TABLE_PAGE_SIZE;
+        this.filterSignature = null; // 前回表示した絞り込み条件（変わったら1ページ目に戻す）
+
+        this.tbody = document.getElementById('transactionsBody');
+        this.pager = document.getElementById('transactionsPager');
+        this.selectAll = document.getElementById('selectAllTransactions');
+        this.bulkActions = document.getElementById('bulkActions');
+
+        this.bindEvents();
+        this.updateSortIndicators();
+    }
+
+    /**
+     * イベントをバインド
+     */
+    bindEvents() {
+        document.querySelectorAll('#transactionsTable .sort-btn').forEach(button => {
+            button.addEventListener('click', () => this.setSort(button.dataset.sort));
+        });
+
+        if (this.tbody) {
+            this.tbody.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('row-select')) return;
+                this.toggleSelection(e.target.closest('tr').dataset.id, e.target.checked);
+            });
+        }
+
+        // 見出しのチェックボックスは表示中のページではなく、絞り込み結果のすべての取引を選択する
+        if (this.selectAll) {
+            this.selectAll.addEventListener('change', () => {
+                this.selectedIds = this.selectAll.checked ? new Set(this.rows.map(t => t.id)) : new Set();
+                this.updateSelection();
+            });
+        }
+
+        if (this.bulkActions) {
+            this.bulkActions.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-bulk-action]')?.dataset.bulkAction;
+                if (action === 'clear') {
+                    this.clearSelection();
+                } else if (action) {
+                    this.uiManager.handleBulkAction(action);
+                }
+            });
+        }
+
+        if (this.pager) {
+            this.pager.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-page]')?.dataset.page;
+                if (action === 'prev') {
+                    this.goToPage(this.page - 1);
+                } else if (action === 'next') {
+                    this.goToPage(this.page + 1);
+                }
+            });
+
+            const pageSizeSelect = this.pager.querySelector('#transactionsPageSize');
+            if (pageSizeSelect) {
+                pageSizeSelect.value = String(this.pageSize);
+                pageSizeSelect.addEventListener('change', () => {
+                    // 表示中の先頭の取引が含まれるページを表示する
+                    const firstIndex = this.page * this.pageSize;
+                    this.pageSize = parseInt(pageSizeSelect.value, 10);
+                    this.goToPage(Math.floor(firstIndex / this.pageSize));
+                });
+            }
+        }
+    }
+
+    /**
+     * 絞り込み結果をすべて表示し直す
+     * @param {Array<object>} transactions - 絞り込んだ取引
+     */
+    setTransactions(transactions) {
+        // 絞り込み条件が変わった場合だけ1ページ目に戻す（カテゴリの変更などで表示し直す場合はページを保つ）
+        const signature = FilterQuery.toHash(this.dataManager.filters);
+        if (signature !== this.filterSignature) {
+            this.page = 0;
+            this.filterSignature = signature;
+        }
+
+        this.sortKeys = new Map(transactions.map(t => [t.id, this.getCategorySortKey(t)]));
+        this.rows = [...transactions].sort((a, b) => this.compare(a, b));
+        this.selectedIds = new Set(this.rows.filter(t => this.selectedIds.has(t.id)).map(t => t.id));
+
+        // カテゴリ名などが変わっている可能性があるため、行は作り直す
+        this.rowElements.clear();
+        this.render();
+    }
+
+    /**
+     * 追加・更新された取引を反映（絞り込み条件に一致しなくなった場合は取り除く）
+     * @param {object} transaction - 取引
+     */
+    upsert(transaction) {
+        const selected = this.selectedIds.has(transaction.id);
+        this.removeFromRows(transaction.id);
+
+        if (this.dataManager.matchesFilters(transaction)) {
+            if (selected) this.selectedIds.add(transaction.id);
+            this.sortKeys.set(transaction.id, this.getCategorySortKey(transaction));
+            this.rows.splice(this.findInsertIndex(transaction), 0, transaction);
+        }
+        this.render();
+    }
+
+    /**
+     * 削除された取引を反映
+     * @param {string} id - 取引ID
+     */
+    remove(id) {
+        this.removeFromRows(id);
+        this.render();
+    }
+
+    /**
+     * 並べ替え済みの一覧から取引を取り除く（表示中の行も作り直す対象にする）
+     * @param {string} id - 取引ID
+     */
+    removeFromRows(id) {
+        const index = this.rows.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.rows.splice(index, 1);
+        }
+        this.sortKeys.delete(id);
+        this.rowElements.delete(id);
+        this.selectedIds.delete(id);
+    }
+
+    /**
+     * 並べ替える列を変更（同じ列を選んだ場合は昇順・降順を切り替える）
+     * @param {string} key - 列（date, amount, category）
+     */
+    setSort(key) {
+        if (!TransactionTableUI.SORT_DEFAULT_DIRECTIONS[key]) return;
+
+        this.sort = this.sort.key === key
+            ? { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: TransactionTableUI.SORT_DEFAULT_DIRECTIONS[key] };
+
+        this.rows.sort((a, b) => this.compare(a, b));
+        this.page = 0;
+        this.updateSortIndicators();
+        this.render();
+    }
+
+    /**
+     * 取引を比較（同じ値の場合は日付の新しい順、さらに登録の新しい順）
+     * @param {object} a - 取引
+     * @param {object} b - 取引
+     * @returns {number} 比較結果
+     */
+    compare(a, b) {
+        const sign = this.sort.direction === 'asc' ? 1 : -1;
+        let result = 0;
+
+        if (this.sort.key === 'amount') {
+            result = (a.amount - b.amount) * sign;
+        } else if (this.sort.key === 'category') {
+            result = this.sortKeys.get(a.id).localeCompare(this.sortKeys.get(b.id), 'ja') * sign;
+        } else {
+            result = a.date.localeCompare(b.date) * sign;
+        }
+
+        return result
+            || b.date.localeCompare(a.date)
+            || String(b.createdAt || '').localeCompare(String(a.createdAt || ''))
+            || String(a.id).localeCompare(String(b.id));
+    }
+
+    /**
+     * 並び順を保つ挿入位置を二分探索で取得
+     * @param {object} transaction - 取引
+     * @returns {number} 挿入位置
+     */
+    findInsertIndex(transaction) {
+        let low = 0;
+        let high = this.rows.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.compare(this.rows[mid], transaction) <= 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * カテゴリ列の並べ替えに使う名前を取得（分割した取引は1行目のカテゴリ）
+     * @param {object} transaction - 取引
+     * @returns {string} カテゴリ名
+     */
+    getCategorySortKey(transaction) {
+        return this.dataManager.getTransactionCategoryName(transaction);
+    }
+
+    /**
+     * 表示するページを変更
+     * @param {number} page - ページ番号（0始まり）
+     */
+    goToPage(page) {
+        this.page = page;
+        this.render();
+
+        const section = document.querySelector('.transactions-table');
+        if (section) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * 表示中のページを描画
+     * すでに表示している行は再利用し、増えた行だけ作成・減った行だけ削除する
+     */
+    render() {
+        if (!this.tbody) return;
+
+        const pageCount = Math.max(1, Math.ceil(this.rows.length / this.pageSize));
+        this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+
+        const start = this.page * this.pageSize;
+        const pageRows = this.rows.slice(start, start + this.pageSize);
+        const visibleIds = new Set(pageRows.map(t => t.id));
+
+        // ページから外れた行を削除
+        this.rowElements.forEach((tr, id) => {
+            if (!visibleIds.has(id)) {
+                tr.remove();
+                this.rowElements.delete(id);
+            }
+        });
+        // 作り直す対象になった行（更新された取引）を削除
+        Array.from(this.tbody.children).forEach(tr => {
+            if (this.rowElements.get(tr.dataset.id) !== tr) {
+                tr.remove();
+            }
+        });
+
+        // 並び順どおりに行を配置（位置が変わらない行は動かさない）
+        let previous = null;
+        pageRows.forEach(transaction => {
+            let tr = this.rowElements.get(transaction.id);
+            if (!tr) {
+                tr = this.createTransactionRow(transaction);
+                this.rowElements.set(transaction.id, tr);
+            }
+
+            const expectedNext = previous ? previous.nextSibling : this.tbody.firstChild;
+            if (expectedNext !== tr) {
+                this.tbody.insertBefore(tr, expectedNext);
+            }
+            previous = tr;
+        });
+
+        this.updateEmptyState();
+        this.updatePager(start, pageRows.length, pageCount);
+        this.updateSelection();
+        this.uiManager.highlightEditingRow();
+    }
+
+    /**
+     * 取引の選択を切り替える
+     * @param {string} id - 取引ID
+     * @param {boolean} selected - 選択する場合はtrue
+     */
+    toggleSelection(id, selected) {
+        if (selected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        this.updateSelection();
+    }
+
+    /**
+     * 選択をすべて解除
+     */
+    clearSelection() {
+        this.selectedIds.clear();
+        this.updateSelection();
+    }
+
+    /**
+     * 選択した取引を表示順で取得
+     * @returns {Array<object>} 取引
+     */
+    getSelectedTransactions() {
+        return this.rows.filter(t => this.selectedIds.has(t.id));
+    }
+
+    /**
+     * 行と見出しのチェックボックス、一括操作のバーを選択状態に合わせて更新
+     */
+    updateSelection() {
+        this.rowElements.forEach((tr, id) => {
+            const selected = this.selectedIds.has(id);
+            tr.classList.toggle('selected', selected);
+            const checkbox = tr.querySelector('.row-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+
+        const count = this.selectedIds.size;
+        if (this.selectAll) {
+            this.selectAll.checked = count > 0 && count === this.rows.length;
+            this.selectAll.indeterminate = count > 0 && count < this.rows.length;
+            this.selectAll.disabled = this.rows.length === 0;
+        }
+
+        if (this.bulkActions) {
+            this.bulkActions.hidden = count === 0;
+            const status = this.bulkActions.querySelector('#bulkSelectionCount');
+            if (status) {
+                status.textContent = `${count}件を選択中（全${this.rows.length}件）`;
+            }
+        }
+    }
+
+    /**
+     * 取引がない場合の表示を更新
+     */
+    updateEmptyState() {
+        const emptyState = document.getElementById('emptyState');
+        if (!emptyState) return;
+
+        emptyState.style.display = this.rows.length === 0 ? 'block' : 'none';
+
+        // 取引はあるが絞り込み条件に一致しない場合は、条件の変更を促す
+        const hasTransactions = this.dataManager.transactions.length > 0;
+        const title = emptyState.querySelector('h3');
+        const message = emptyState.querySelector('p');
+        if (title) title.textContent = hasTransactions ? '条件に一致する取引がありません' : 'まだ取引がありません';
+        if (message) message.textContent = hasTransactions ? '絞り込み条件を変更してください' : '上のフォームから最初の取引を追加してください';
+    }
+
+    /**
+     * ページ送りの表示を更新
+     * @param {number} start - 表示中の先頭の位置
+     * @param {number} count - 表示中の件数
+     * @param {number} pageCount - ページ数
+     */
+    updatePager(start, count, pageCount) {
+        if (!this.pager) return;
+
+        this.pager.hidden = this.rows.length === 0;
+
+        const status = this.pager.querySelector('#transactionsPageStatus');
+        if (status) {
+            status.textContent = `${start + 1}〜${start + count}件目 / 全${this.rows.length}件（${this.page + 1} / ${pageCount}ページ）`;
+        }
+
+        const prev = this.pager.querySelector('[data-page="prev"]');
+        const next = this.pager.querySelector('[data-page="next"]');
+        if (prev) prev.disabled = this.page === 0;
+        if (next) next.disabled = this.page >= pageCount - 1;
+    }
+
+    /**
+     * 列見出しの並べ替えの表示を更新
+     */
+    updateSortIndicators() {
+        document.querySelectorAll('#transactionsTable .sort-btn').forEach(button => {
+            const th = button.closest('th');
+            const active = button.dataset.sort === this.sort.key;
+            const indicator = button.querySelector('.sort-indicator');
+
+            th.setAttribute('aria-sort', active ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            if (indicator) {
+                indicator.textContent = active ? (this.sort.direction === 'asc' ? '▲' : '▼') : '';
+            }
+        });
+    }
+
+    /**
+     * トランザクション行を作成
+     * @param {object} transaction - 取引
+     * @returns {HTMLElement} 行要素
+     */
+    createTransactionRow(transaction) {
+        const tr = document.createElement('tr');
+        tr.dataset.id = transaction.id;
+
+        // 選択
+        const tdSelect = document.createElement('td');
+        tdSelect.className = 'select-col';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'row-select';
+        checkbox.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を選択`);
+        tdSelect.appendChild(checkbox);
+        tr.appendChild(tdSelect);
+
+        // 日付
+        const tdDate = document.createElement('td');
+        tdDate.textContent = UTILS.formatDate(transaction.date);
+        tr.appendChild(tdDate);
+
+        // 種類
+        const tdType = document.createElement('td');
+        tdType.textContent = CONSTANTS.TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type;
+        tr.appendChild(tdType);
+
+        // 口座（振替は「振替元 → 振替先」）
+        const tdAccount = document.createElement('td');
+        tdAccount.textContent = transaction.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER
+            ? `${this.dataManager.getAccountName(transaction.accountId)} → ${this.dataManager.getAccountName(transaction.toAccountId)}`
+            : this.dataManager.getAccountName(transaction.accountId);
+        tr.appendChild(tdAccount);
+
+        // カテゴリ（分割した取引は1行のまま、内訳のカテゴリを並べる）
+        const tdCategory = document.createElement('td');
+        const category = this.dataManager.getCategoryById(transaction.type, transaction.categoryId);
+        if (transaction.splits?.length > 0) {
+            const names = [...new Set(transaction.splits.map(split => this.dataManager.getCategoryName(split.categoryId)))];
+            tdCategory.textContent = `✂️ 分割（${names.join('、')}）`;
+            tdCategory.title = this.uiManager.describeSplits(transaction.splits);
+        } else {
+            tdCategory.textContent = category
+                ? `${category.icon} ${category.name}`
+                : this.dataManager.getTransactionCategoryName(transaction);
+        }
+        tr.appendChild(tdCategory);
+
+        // 説明（支払先を先頭に表示し、タグはクリックで絞り込みに追加）
+        const tdDescription = document.createElement('td');
+        if (transaction.payee) {
+            const payee = document.createElement('span');
+            payee.className = 'transaction-payee';
+            payee.textContent = transaction.payee;
+            tdDescription.appendChild(payee);
+        }
+        tdDescription.appendChild(document.createTextNode(transaction.description || ''));
+        (transaction.tags || []).forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.textContent = `#${tag}`;
+            chip.title = `タグ「${tag}」で絞り込む`;
+            chip.addEventListener('click', () => this.uiManager.addTagFilter(tag));
+            tdDescription.appendChild(chip);
+        });
+        tr.appendChild(tdDescription);
+
+        // 金額
+        const tdAmount = document.createElement('td');
+        if (transaction.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            tdAmount.className = 'amount-transfer';
+            tdAmount.textContent = UTILS.formatCurrency(transaction.amount);
+        } else {
+            tdAmount.className = transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? 'amount-positive' : 'amount-negative';
+            tdAmount.textContent = `${transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '+' : '-'}${UTILS.formatCurrency(transaction.amount)}`;
+        }
+        tr.appendChild(tdAmount);
+
+        // 操作
+        const tdAction = document.createElement('td');
+        const editBtn = document.createElement('button');
+        editBtn.className = 'edit-btn';
+        editBtn.textContent = '編集';
+        editBtn.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を編集`);
+        editBtn.addEventListener('click', () => this.uiManager.startEditTransaction(transaction));
+        tdAction.appendChild(editBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.textContent = '削除';
+        deleteBtn.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を削除`);
+        deleteBtn.addEventListener('click', () => this.uiManager.deleteTransactionWithConfirm(transaction.id));
+        tdAction.appendChild(deleteBtn);
+        tr.appendChild(tdAction);
+
+        return tr;
+    }
+}
@@ -2,10 +2,34 @@
 import { ModalManager } from './modalManager.js';
 import { NotificationManager } from './notificationManager.js';
 import { CategoryManagerUI } from './categoryManagerUI.js';
+import { RecurringManagerUI } from './recurringManagerUI.js';
+import { CategoryRuleManagerUI } from './categoryRuleManagerUI.js';
+import { BudgetManagerUI } from './budgetManagerUI.js';
+import { AccountManagerUI } from './accountManagerUI.js';
+import { BackupManagerUI } from './backupManagerUI.js';
+import { CsvImportWizardUI } from './csvImportWizardUI.js';
+import { ImportPreviewUI } from './importPreviewUI.js';
+import { TagReportUI } from './tagReportUI.js';
+import { SplitEditorUI } from './splitEditorUI.js';
+import { BulkEditUI } from './bulkEditUI.js';
+import { QuickEntryUI } from './quickEntryUI.js';
+import { TemplateManagerUI } from './templateManagerUI.js';
+import { EncryptionSettingsUI } from './encryptionSettingsUI.js';
+import { BackupPassphraseUI } from './backupPassphraseUI.js';
+import { LockScreenUI } from './lockScreenUI.js';
+import { TagAutocomplete } from './tagAutocomplete.js';
+import { DescriptionAutocomplete } from './descriptionAutocomplete.js';
+import { TransactionTableUI } from './transactionTableUI.js';
 import { ChartManager } from '../chart/chartManager.js';
+import { CategoryChartManager } from '../chart/categoryChartManager.js';
 import { FileHandler } from '../file/fileHandler.js';
 import { CONSTANTS, UTILS } from '../constants.js';
 import { debounce } from '../utils/debounce.js';
+import { DuplicateDetector } from '../utils/duplicateDetector.js';
+import { CategoryTree } from '../utils/categoryTree.js';
+import { Sanitizer } from '../utils/sanitizer.js';
+import { FilterQuery } from '../utils/filterQuery.js';
+import { CategoryRuleMatcher } from '../utils/categoryRuleMatcher.js';
 
 export class UIManager {
     constructor(dataManager) {
@@ -14,11 +38,19 @@ export class UIManager {
         this.notificationManager = new NotificationManager();
         this.fileHandler = new FileHandler(dataManager);
         this.chartManager = null; // 後で初期化
+        this.categoryChartManager = null;
+        this.editingTransactionId = null; // 編集中の取引ID
+        this.formSplits = []; // 入力中の取引の分割（分割しない場合は空の配列）
+        this.transactionTable = new TransactionTableUI(dataManager, this);
+        this.lockScreen = new LockScreenUI(dataManager, this);
         
         // Debounce処理用
         this.debouncedSaveSettings = debounce(() => {
             this.dataManager.saveSettings();
         }, CONSTANTS.DEFAULTS.DEBOUNCE_DELAY);
+        this.debouncedFilterChange = debounce(() => {
+            this.handleFilterChange();
+        }, CONSTANTS.DEFAULTS.SEARCH_DEBOUNCE_DELAY);
         
         this.setupEventListeners();
         this.bindDataEvents();
@@ -37,21 +69,103 @@ export class UIManager {
             });
         }
 
+        const quickEntryForm = document.getElementById('quickEntryForm');
+        if (quickEntryForm) {
+            quickEntryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleQuickEntry();
+            });
+        }
+
         const typeSelect = document.getElementById('type');
         if (typeSelect) {
             typeSelect.addEventListener('change', () => {
+                // 分割のカテゴリは種別ごとに異なるため、種別を変えたら分割を解除する
+                this.formSplits = [];
                 this.updateCategoryOptions();
+                this.updateTransferFields();
+                this.applyCategoryRuleToForm();
             });
         }
 
+        // 自動分類ルールに一致したらカテゴリを選んでおく（自分で選び直したカテゴリは変えない）
+        ['date', 'amount', 'description', 'account'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.applyCategoryRuleToForm());
+        });
+        const categorySelect = document.getElementById('category');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', () => {
+                delete categorySelect.dataset.ruleId;
+                this.updateCategoryRuleHint(null);
+            });
+        }
+
+        // タグ入力の補完（使用回数の多いタグから候補にする）
+        const getTags = () => this.dataManager.getTagUsage().map(({ tag }) => tag);
+        ['tags', 'filterTags'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) new TagAutocomplete(input, getTags);
+        });
+
+        // 説明の入力補完（似た説明の過去の取引で使ったカテゴリと金額を提案する）
+        const descriptionInput = document.getElementById('description');
+        if (descriptionInput) {
+            new DescriptionAutocomplete(
+                descriptionInput,
+                (text) => {
+                    const type = document.getElementById('type')?.value || '';
+                    return type === CONSTANTS.TRANSACTION_TYPES.TRANSFER
+                        ? []
+                        : this.dataManager.getDescriptionSuggestions(text, type);
+                },
+                (categoryId) => this.dataManager.getCategoryName(categoryId),
+                (suggestion) => this.applyDescriptionSuggestion(suggestion)
+            );
+        }
+
         // フィルタイベント
         const filterType = document.getElementById('filterType');
         const filterCategory = document.getElementById('filterCategory');
         const filterMonth = document.getElementById('filterMonth');
+        const filterTags = document.getElementById('filterTags');
+        const filterTagMode = document.getElementById('filterTagMode');
 
         if (filterType) filterType.addEventListener('change', () => this.handleFilterChange());
         if (filterCategory) filterCategory.addEventListener('change', () => this.handleFilterChange());
         if (filterMonth) filterMonth.addEventListener('input', () => this.handleFilterChange());
+        // タグは入力途中で絞り込まないよう、確定（Enter・フォーカス移動・候補の選択）時に反映する
+        if (filterTags) filterTags.addEventListener('change', () => this.handleFilterChange());
+        if (filterTagMode) filterTagMode.addEventListener('change', () => this.handleFilterChange());
+
+        // 検索語と支払先は入力が止まってから絞り込む
+        ['filterQuery', 'filterPayee'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.debouncedFilterChange());
+        });
+        ['filterDateFrom', 'filterDateTo', 'filterAmountMin', 'filterAmountMax', 'filterAccount'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.handleFilterChange());
+        });
+
+        const filterPreset = document.getElementById('filterPreset');
+        if (filterPreset) {
+            filterPreset.addEventListener('change', () => {
+                if (filterPreset.value) {
+                    this.dataManager.applyFilterPreset(filterPreset.value);
+                }
+                this.updateFilterPresetButtons();
+            });
+        }
+
+        // ブックマークしたURLを開いた場合や、ブラウザの戻る・進むでハッシュが変わった場合
+        window.addEventListener('hashchange', () => {
+            this.dataManager.applyFilters(FilterQuery.fromHash(window.location.hash) || FilterQuery.createDefault());
+        });
+
+        // 予算パネルの表示月
+        const budgetMonth = document.getElementById('budgetMonth');
+        if (budgetMonth) {
+            budgetMonth.value = this.dataManager.getMonthKey(new Date());
+            budgetMonth.addEventListener('input', () => this.updateBudgetPanel());
+        }
 
         // ボタンイベント
         this.setupButtonEventListeners();
@@ -59,6 +173,9 @@ export class UIManager {
         // ファイル入力イベント
         this.setupFileInputListeners();
 
+        // キーボードショートカット
+        this.setupKeyboardShortcuts();
+
         // ページ離脱時の設定保存
         window.addEventListener('beforeunload', () => {
             if (this.dataManager.isInitialized) {
@@ -76,10 +193,26 @@ export class UIManager {
             { id: 'importExcelBtn', handler: () => document.getElementById('excelFileInput')?.click() },
             { id: 'exportJsonBtn', handler: () => this.exportData() },
             { id: 'importJsonBtn', handler: () => document.getElementById('fileInput')?.click() },
+            { id: 'exportEncryptedBackupBtn', handler: () => this.exportEncryptedBackup() },
+            { id: 'importCsvBtn', handler: () => document.getElementById('csvFileInput')?.click() },
             { id: 'clearDataBtn', handler: () => this.clearAllData() },
             { id: 'storageInfoBtn', handler: () => this.showStorageInfo() },
-            { id: 'restoreBackupBtn', handler: () => this.restoreFromBackup() },
-            { id: 'categoryManagerBtn', handler: () => this.showCategoryManager() }
+            { id: 'restoreBackupBtn', handler: () => this.showBackupManager() },
+            { id: 'encryptionSettingsBtn', handler: () => this.showEncryptionSettings() },
+            { id: 'lockNowBtn', handler: () => this.dataManager.lock() },
+            { id: 'categoryManagerBtn', handler: () => this.showCategoryManager() },
+            { id: 'recurringManagerBtn', handler: () => this.showRecurringManager() },
+            { id: 'categoryRuleManagerBtn', handler: () => this.showCategoryRuleManager() },
+            { id: 'templateManagerBtn', handler: () => this.showTemplateManager() },
+            { id: 'saveAsTemplateBtn', handler: () => this.saveFormAsTemplate() },
+            { id: 'budgetSettingsBtn', handler: () => this.showBudgetManager() },
+            { id: 'accountManagerBtn', handler: () => this.showAccountManager() },
+            { id: 'tagReportBtn', handler: () => this.showTagReport() },
+            { id: 'splitBtn', handler: () => this.showSplitEditor() },
+            { id: 'saveFilterPresetBtn', handler: () => this.saveFilterPreset() },
+            { id: 'deleteFilterPresetBtn', handler: () => this.deleteFilterPreset() },
+            { id: 'clearFiltersBtn', handler: () => this.dataManager.applyFilters(FilterQuery.createDefault()) },
+            { id: 'cancelEditBtn', handler: () => this.cancelEditTransaction() }
         ];
 
         buttons.forEach(({ id, handler }) => {
@@ -96,6 +229,7 @@ export class UIManager {
     setupFileInputListeners() {
         const fileInput = document.getElementById('fileInput');
         const excelFileInput = document.getElementById('excelFileInput');
+        const csvFileInput = document.getElementById('csvFileInput');
 
         if (fileInput) {
             fileInput.addEventListener('change', (e) => this.importData(e));
@@ -104,57 +238,280 @@ export class UIManager {
         if (excelFileInput) {
             excelFileInput.addEventListener('change', (e) => this.importFromExcel(e));
         }
+
+        if (csvFileInput) {
+            csvFileInput.addEventListener('change', (e) => this.importFromCSV(e));
+        }
+    }
+
+    /**
+     * キーボードショートカットを設定
+     * Ctrl+Z（⌘+Z）で元に戻す、Ctrl+Shift+Z・Ctrl+Yでやり直す
+     * Alt+1〜9でテンプレートをフォームに入力、Alt+Shift+1〜9でテンプレートの取引を追加
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Shiftで入力される記号やOptionキーの特殊文字に左右されないよう、キーの位置で判定する
+            if (e.altKey && !e.ctrlKey && !e.metaKey && /^Digit[1-9]$/.test(e.code)) {
+                if (this.modalManager.modalStack.length > 0) return;
+
+                const template = this.dataManager.transactionTemplates[Number(e.code.slice(-1)) - 1];
+                if (!template) return;
+
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.addTransactionFromTemplate(template);
+                } else {
+                    this.applyTemplateToForm(template);
+                }
+                return;
+            }
+
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            // 入力欄の中では文字入力の取り消しを優先し、モーダル表示中は無効にする
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            if (this.modalManager.modalStack.length > 0) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
     }
 
     /**
      * データイベントにバインド
      */
     bindDataEvents() {
+        this.dataManager.on('encryptionChanged', () => this.updateLockButton());
+
         this.dataManager.on('dataChanged', () => {
             this.updateSummary();
+            this.updateBudgetPanel();
+            this.updateAccountPanel();
             this.debouncedSaveSettings();
         });
 
-        this.dataManager.on('transactionAdded', () => {
+        this.dataManager.on('accountsChanged', () => {
+            this.updateAccountOptions();
+            this.updateTemplateButtons();
             this.handleFilterChange();
+        });
+
+        this.dataManager.on('budgetsChanged', () => {
+            this.updateBudgetPanel();
+        });
+
+        this.dataManager.on('budgetThresholdExceeded', ({ category, threshold, spent, limit }) => {
+            const message = threshold >= CONSTANTS.BUDGET.LIMIT_PERCENT
+                ? `「${category}」が今月の予算を超えました（${UTILS.formatCurrency(spent)} / ${UTILS.formatCurrency(limit)}）`
+                : `「${category}」が予算の${threshold}%に達しました（${UTILS.formatCurrency(spent)} / ${UTILS.formatCurrency(limit)}）`;
+            this.notificationManager.warning(message);
+        });
+
+        // 追加・更新・削除は変わった取引の行だけを反映する
+        this.dataManager.on('transactionAdded', (transaction) => {
+            this.transactionTable.upsert(transaction);
             this.clearForm();
-            this.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.TRANSACTION_ADDED);
+            this.notifyWithUndo(CONSTANTS.SUCCESS_MESSAGES.TRANSACTION_ADDED);
+        });
+
+        this.dataManager.on('transactionUpdated', (transaction) => {
+            this.transactionTable.upsert(transaction);
+            this.notifyWithUndo(CONSTANTS.SUCCESS_MESSAGES.TRANSACTION_UPDATED);
+        });
+
+        this.dataManager.on('transactionDeleted', (deleted) => {
+            // 編集中の取引が削除された場合は編集モードを解除
+            if (deleted && deleted.id === this.editingTransactionId) {
+                this.clearForm();
+            }
+            this.transactionTable.remove(deleted.id);
+            this.notifyWithUndo(CONSTANTS.SUCCESS_MESSAGES.TRANSACTION_DELETED);
         });
 
-        this.dataManager.on('transactionDeleted', () => {
+        this.dataManager.on('transactionsBatchAdded', () => {
+            this.handleFilterChange();
+        });
+
+        this.dataManager.on('transactionsBatchUpdated', () => {
+            this.handleFilterChange();
+        });
+
+        this.dataManager.on('transactionsBatchDeleted', (deleted) => {
+            // 編集中の取引が削除された場合は編集モードを解除
+            if (deleted.some(t => t.id === this.editingTransactionId)) {
+                this.clearForm();
+            }
             this.handleFilterChange();
-            this.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.TRANSACTION_DELETED);
+        });
+
+        this.dataManager.on('recurringTransactionsGenerated', ({ count }) => {
+            if (count > 0) {
+                this.notificationManager.info(`定期取引を${count}件追加しました`);
+            }
         });
 
         this.dataManager.on('filtersApplied', (filteredTransactions) => {
-            this.displayTransactions(filteredTransactions);
+            // グラフのクリックなど、画面外から適用されたフィルターを入力欄に反映
+            this.syncFilterControls();
+            this.updateFilterHash();
+            this.transactionTable.setTransactions(filteredTransactions);
+        });
+
+        this.dataManager.on('filterPresetsChanged', () => {
+            this.updateFilterPresetOptions();
         });
 
         this.dataManager.on('categoryAdded', ({ categoryName }) => {
             this.updateCategoryOptions();
             this.updateFilterCategoryOptions();
-            this.notificationManager.success(`カテゴリ「${categoryName}」を追加しました`);
+            this.notifyWithUndo(`カテゴリ「${categoryName}」を追加しました`);
         });
 
         this.dataManager.on('categoryRemoved', ({ categoryName }) => {
             this.updateCategoryOptions();
             this.updateFilterCategoryOptions();
-            this.notificationManager.success(`カテゴリ「${categoryName}」を削除しました`);
+            this.notifyWithUndo(`カテゴリ「${categoryName}」を削除しました`);
+        });
+
+        this.dataManager.on('backupRestored', () => {
+            this.updateCategoryOptions();
+            this.updateFilterCategoryOptions();
+            this.handleFilterChange();
+        });
+
+        this.dataManager.on('categoriesChanged', () => {
+            this.updateCategoryOptions();
+            this.updateFilterCategoryOptions();
+            this.updateTemplateButtons();
+        });
+
+        this.dataManager.on('categoryRulesChanged', () => this.applyCategoryRuleToForm());
+
+        this.dataManager.on('transactionTemplatesChanged', () => this.updateTemplateButtons());
+
+        // 元に戻す・やり直しの結果を反映
+        this.dataManager.history.on('undone', (command) => {
+            this.refreshAfterHistoryChange();
+            this.notificationManager.info(`「${command.label}」を元に戻しました`, CONSTANTS.DEFAULTS.UNDO_NOTIFICATION_DURATION, {
+                actions: [{ text: 'やり直す', handler: () => this.redo(command) }]
+            });
+        });
+
+        this.dataManager.history.on('redone', (command) => {
+            this.refreshAfterHistoryChange();
+            this.notificationManager.info(`「${command.label}」をやり直しました`, CONSTANTS.DEFAULTS.UNDO_NOTIFICATION_DURATION, {
+                actions: [{ text: '元に戻す', handler: () => this.undo(command) }]
+            });
         });
 
         this.dataManager.on('dataLoaded', () => {
+            this.updateAccountOptions();
             this.updateCategoryOptions();
             this.updateFilterCategoryOptions();
+            this.updateFilterPresetOptions();
+            this.updateTemplateButtons();
+            this.updateLockButton();
             this.updateSummary();
-            this.handleFilterChange();
+            // 読み込んだ絞り込み条件を適用して入力欄に反映
+            this.dataManager.applyFilters({});
             
             // チャートマネージャーを初期化
             if (!this.chartManager) {
                 this.chartManager = new ChartManager(this.dataManager);
             }
+            if (!this.categoryChartManager) {
+                this.categoryChartManager = new CategoryChartManager(this.dataManager);
+            }
+        });
+    }
+
+    /**
+     * 「元に戻す」ボタン付きの成功通知を表示
+     * 複数の変更をまとめている途中は、まとまった操作が確定していないため通常の通知にする
+     * @param {string} message - メッセージ
+     */
+    notifyWithUndo(message) {
+        const history = this.dataManager.history;
+        const command = history.peekUndo();
+
+        if (!command || history.isGrouping()) {
+            this.notificationManager.success(message);
+            return;
+        }
+
+        this.notificationManager.success(message, CONSTANTS.DEFAULTS.UNDO_NOTIFICATION_DURATION, {
+            actions: [{ text: '元に戻す', handler: () => this.undo(command) }]
         });
     }
 
+    /**
+     * 直前の操作を元に戻す
+     * @param {object|null} expected - 通知のボタンから実行する場合の対象コマンド
+     */
+    async undo(expected = null) {
+        const history = this.dataManager.history;
+
+        if (!history.canUndo()) {
+            this.notificationManager.info(CONSTANTS.ERROR_MESSAGES.NOTHING_TO_UNDO);
+            return;
+        }
+        if (expected && history.peekUndo() !== expected) {
+            this.notificationManager.warning(CONSTANTS.ERROR_MESSAGES.UNDO_OUTDATED);
+            return;
+        }
+
+        try {
+            await history.undo();
+        } catch (error) {
+            console.error('元に戻す処理に失敗しました:', error);
+            this.notificationManager.error(`元に戻せませんでした: ${error.message}`);
+        }
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     * @param {object|null} expected - 通知のボタンから実行する場合の対象コマンド
+     */
+    async redo(expected = null) {
+        const history = this.dataManager.history;
+
+        if (!history.canRedo()) {
+            this.notificationManager.info(CONSTANTS.ERROR_MESSAGES.NOTHING_TO_REDO);
+            return;
+        }
+        if (expected && history.peekRedo() !== expected) {
+            this.notificationManager.warning(CONSTANTS.ERROR_MESSAGES.UNDO_OUTDATED);
+            return;
+        }
+
+        try {
+            await history.redo();
+        } catch (error) {
+            console.error('やり直しに失敗しました:', error);
+            this.notificationManager.error(`やり直せませんでした: ${error.message}`);
+        }
+    }
+
+    /**
+     * 元に戻す・やり直しの後に画面を更新
+     */
+    refreshAfterHistoryChange() {
+        // 編集中の取引が消えた場合は編集モードを解除
+        if (this.editingTransactionId && !this.dataManager.transactions.some(t => t.id === this.editingTransactionId)) {
+            this.clearForm();
+        }
+        this.updateCategoryOptions();
+        this.updateFilterCategoryOptions();
+        this.handleFilterChange();
+    }
+
     /**
      * トランザクション送信を処理
      */
@@ -162,12 +519,143 @@ export class UIManager {
         const formData = this.getFormData();
         
         try {
-            await this.dataManager.addTransaction(formData);
+            if (this.editingTransactionId) {
+                await this.dataManager.updateTransaction(this.editingTransactionId, formData);
+                this.clearForm();
+            } else {
+                await this.dataManager.addTransaction(formData);
+            }
         } catch (error) {
             this.notificationManager.error(error.message);
         }
     }
 
+    /**
+     * クイック入力を解析して確認画面を表示
+     */
+    handleQuickEntry() {
+        const input = document.getElementById('quickEntryInput');
+        if (!input || !input.value.trim()) {
+            this.notificationManager.error('クイック入力に内容を入力してください');
+            return;
+        }
+
+        const draft = this.dataManager.parseQuickEntry(input.value);
+        const modal = this.modalManager.createModal({ ariaLabel: 'クイック入力の確認' });
+        const quickEntryUI = new QuickEntryUI(this.dataManager, modal, this);
+        this.modalManager.showModal(modal.overlay);
+        quickEntryUI.render(draft, () => {
+            input.value = '';
+        });
+    }
+
+    /**
+     * 取引テンプレートのボタンを更新
+     */
+    updateTemplateButtons() {
+        const container = document.getElementById('templateButtons');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const templates = this.dataManager.transactionTemplates;
+        if (templates.length === 0) {
+            const emptyMessage = document.createElement('span');
+            emptyMessage.className = 'template-empty';
+            emptyMessage.textContent = 'よく入力する取引をテンプレートに登録すると、ここからすぐに入力できます';
+            container.appendChild(emptyMessage);
+            return;
+        }
+
+        templates.forEach((template, index) => {
+            const shortcut = index < 9 ? `Alt+${index + 1}` : '';
+            const amount = template.amount !== null ? ` ${UTILS.formatCurrency(template.amount)}` : '';
+
+            const item = document.createElement('div');
+            item.className = `template-item ${template.type}`;
+
+            const fillBtn = document.createElement('button');
+            fillBtn.type = 'button';
+            fillBtn.className = 'template-btn';
+            fillBtn.textContent = `${template.name}${amount}`;
+            fillBtn.title = `${this.describeTemplate(template)}\nフォームに入力${shortcut ? `（${shortcut}）` : ''}`;
+            fillBtn.addEventListener('click', () => this.applyTemplateToForm(template));
+            item.appendChild(fillBtn);
+
+            const addBtn = document.createElement('button');
+            addBtn.type = 'button';
+            addBtn.className = 'template-add-btn';
+            addBtn.innerHTML = '<span aria-hidden="true">⚡</span>';
+            addBtn.title = `今日の日付で追加${shortcut ? `（Alt+Shift+${index + 1}）` : ''}`;
+            addBtn.setAttribute('aria-label', `${template.name}を今日の日付で追加`);
+            addBtn.addEventListener('click', () => this.addTransactionFromTemplate(template));
+            item.appendChild(addBtn);
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * 取引テンプレートの内容を表示用の文字列にする
+     * @param {object} template - テンプレート
+     * @returns {string} 「支出・食費・¥600・現金・弁当」形式
+     */
+    describeTemplate(template) {
+        const isTransfer = template.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER;
+        const parts = [
+            CONSTANTS.TRANSACTION_TYPE_LABELS[template.type],
+            isTransfer ? null : (template.categoryId ? this.dataManager.getCategoryName(template.categoryId) : 'カテゴリ未選択'),
+            template.amount !== null ? UTILS.formatCurrency(template.amount) : '金額は使うときに入力',
+            isTransfer
+                ? `${this.dataManager.getAccountName(template.accountId)} → ${this.dataManager.getAccountName(template.toAccountId)}`
+                : this.dataManager.getAccountName(template.accountId),
+            template.payee,
+            template.description,
+            ...(template.tags || []).map(tag => `#${tag}`)
+        ];
+
+        return parts.filter(Boolean).join('・');
+    }
+
+    /**
+     * 取引テンプレートの内容を入力フォームに入れる（日付は今日、編集中の場合は編集をやめる）
+     * @param {object} template - テンプレート
+     */
+    applyTemplateToForm(template) {
+        this.clearForm();
+
+        document.getElementById('type').value = template.type;
+        this.updateCategoryOptions();
+        this.updateTransferFields();
+        document.getElementById('account').value = template.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID;
+        document.getElementById('toAccount').value = template.toAccountId || '';
+        document.getElementById('category').value = template.categoryId || '';
+        document.getElementById('amount').value = template.amount ?? '';
+        document.getElementById('payee').value = template.payee || '';
+        document.getElementById('description').value = template.description || '';
+        document.getElementById('tags').value = (template.tags || []).join(' ');
+
+        // 未入力の項目があればそこから入力してもらう
+        const firstEmpty = ['category', 'amount']
+            .map(id => document.getElementById(id))
+            .find(element => element && !element.value && !element.closest('.hidden'));
+        (firstEmpty || document.getElementById('submitBtn'))?.focus();
+    }
+
+    /**
+     * 取引テンプレートから今日の日付の取引を追加
+     * 金額やカテゴリが足りず追加できない場合は入力フォームに入れて入力してもらう
+     * @param {object} template - テンプレート
+     */
+    async addTransactionFromTemplate(template) {
+        try {
+            await this.dataManager.addTransactionFromTemplate(template.id);
+        } catch (error) {
+            this.applyTemplateToForm(template);
+            this.notificationManager.info(error.message);
+        }
+    }
+
     /**
      * フォームデータを取得
      */
@@ -175,44 +663,449 @@ export class UIManager {
         return {
             date: document.getElementById('date')?.value || '',
             type: document.getElementById('type')?.value || '',
-            category: document.getElementById('category')?.value || '',
+            categoryId: document.getElementById('category')?.value || '',
             amount: parseFloat(document.getElementById('amount')?.value || '0'),
-            description: document.getElementById('description')?.value || ''
+            description: document.getElementById('description')?.value || '',
+            payee: document.getElementById('payee')?.value || '',
+            tags: document.getElementById('tags')?.value || '',
+            splits: this.formSplits,
+            accountId: document.getElementById('account')?.value || '',
+            toAccountId: document.getElementById('toAccount')?.value || ''
         };
     }
 
+    /**
+     * 取引の編集を開始（入力フォームを更新モードにする）
+     * @param {object} transaction - 編集する取引
+     */
+    startEditTransaction(transaction) {
+        const form = document.getElementById('transactionForm');
+        if (!form) return;
+
+        this.editingTransactionId = transaction.id;
+
+        document.getElementById('date').value = transaction.date;
+        document.getElementById('type').value = transaction.type;
+        this.formSplits = (transaction.splits || []).map(split => ({ ...split }));
+        this.updateCategoryOptions();
+        this.updateTransferFields();
+        document.getElementById('account').value = transaction.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID;
+        document.getElementById('toAccount').value = transaction.toAccountId || '';
+
+        // カテゴリはIDで参照しているため、一覧にない場合は未選択のまま選び直してもらう
+        const categorySelect = document.getElementById('category');
+        if (categorySelect) {
+            const exists = Array.from(categorySelect.options).some(o => o.value === transaction.categoryId);
+            categorySelect.value = exists ? transaction.categoryId : '';
+        }
+
+        document.getElementById('amount').value = transaction.amount;
+        document.getElementById('payee').value = transaction.payee || '';
+        document.getElementById('description').value = transaction.description || '';
+        document.getElementById('tags').value = (transaction.tags || []).join(' ');
+
+        this.setFormMode(true);
+        this.highlightEditingRow();
+
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        document.getElementById('amount')?.focus();
+    }
+
+    /**
+     * 取引の編集をキャンセル
+     */
+    cancelEditTransaction() {
+        this.clearForm();
+    }
+
+    /**
+     * フォームの表示モードを切り替え
+     * @param {boolean} isEditing - 編集モードかどうか
+     */
+    setFormMode(isEditing) {
+        const formTitle = document.getElementById('formTitle');
+        const submitBtn = document.getElementById('submitBtn');
+        const cancelBtn = document.getElementById('cancelEditBtn');
+
+        if (formTitle) {
+            formTitle.textContent = isEditing ? '取引を編集' : '新しい取引を追加';
+        }
+        if (submitBtn) {
+            submitBtn.innerHTML = isEditing
+                ? '<span aria-hidden="true">💾</span> 更新'
+                : '<span aria-hidden="true">✅</span> 追加';
+        }
+        if (cancelBtn) {
+            cancelBtn.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !isEditing);
+        }
+    }
+
+    /**
+     * 編集中の行を強調表示
+     */
+    highlightEditingRow() {
+        const tbody = document.getElementById('transactionsBody');
+        if (!tbody) return;
+
+        tbody.querySelectorAll('tr').forEach(tr => {
+            tr.classList.toggle('editing', tr.dataset.id === this.editingTransactionId);
+        });
+    }
+
     /**
      * フィルター変更を処理
      */
     handleFilterChange() {
+        const value = (id) => document.getElementById(id)?.value || '';
         const filters = {
-            type: document.getElementById('filterType')?.value || '',
-            category: document.getElementById('filterCategory')?.value || '',
-            month: document.getElementById('filterMonth')?.value || ''
+            type: value('filterType'),
+            categoryId: value('filterCategory'),
+            month: value('filterMonth'),
+            dateFrom: value('filterDateFrom'),
+            dateTo: value('filterDateTo'),
+            amountMin: value('filterAmountMin'),
+            amountMax: value('filterAmountMax'),
+            accountId: value('filterAccount'),
+            payee: value('filterPayee'),
+            query: value('filterQuery'),
+            tags: Sanitizer.validateTags(value('filterTags')).tags,
+            tagMode: value('filterTagMode') || CONSTANTS.TAG_MATCH_MODES.ALL
         };
         this.dataManager.applyFilters(filters);
     }
 
-    /**
-     * カテゴリオプションを更新
-     */
-    updateCategoryOptions() {
-        const typeSelect = document.getElementById('type');
-        const categorySelect = document.getElementById('category');
-        
-        if (!typeSelect || !categorySelect) return;
-        
-        const type = typeSelect.value;
-        categorySelect.innerHTML = '<option value="">選択してください</option>';
-        
-        if (type && this.dataManager.categories[type]) {
-            this.dataManager.categories[type].forEach(category => {
+    /**
+     * フィルターの入力欄を現在のフィルター設定に合わせる
+     */
+    syncFilterControls() {
+        const filters = this.dataManager.filters;
+        const controls = {
+            filterType: filters.type,
+            filterCategory: filters.categoryId,
+            filterMonth: filters.month,
+            filterDateFrom: filters.dateFrom,
+            filterDateTo: filters.dateTo,
+            filterAmountMin: filters.amountMin,
+            filterAmountMax: filters.amountMax,
+            filterAccount: filters.accountId,
+            filterTagMode: filters.tagMode
+        };
+
+        Object.entries(controls).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            const text = String(value ?? '');
+            if (element && element.value !== text) {
+                element.value = text;
+            }
+        });
+
+        // 文字を入力する欄は、空白など正規化で変わるだけの場合は入力中の内容を残す
+        const texts = {
+            filterQuery: filters.query,
+            filterPayee: filters.payee,
+            filterTags: filters.tags.join(' ')
+        };
+        Object.entries(texts).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            const current = id === 'filterTags'
+                ? Sanitizer.validateTags(element.value).tags.join(' ')
+                : Sanitizer.sanitizeDescription(element.value);
+            if (current !== value) {
+                element.value = value;
+            }
+        });
+
+        // 詳細な条件の指定数（閉じていても条件が残っていることがわかるように）
+        const advancedKeys = ['dateFrom', 'dateTo', 'amountMin', 'amountMax', 'accountId', 'payee'];
+        const advancedCount = FilterQuery.getActiveKeys(filters).filter(key => advancedKeys.includes(key)).length;
+        const countElement = document.getElementById('filterAdvancedCount');
+        if (countElement) {
+            countElement.textContent = advancedCount > 0 ? String(advancedCount) : '';
+        }
+
+        // 現在の条件と同じプリセットを選択状態にする
+        const filterPreset = document.getElementById('filterPreset');
+        if (filterPreset) {
+            filterPreset.value = this.findMatchingFilterPreset() || '';
+            this.updateFilterPresetButtons();
+        }
+    }
+
+    /**
+     * 現在の絞り込み条件をURLのハッシュに反映（ブックマークで同じ表示を開けるようにする）
+     * 履歴を増やさないよう、現在の履歴項目を置き換える
+     */
+    updateFilterHash() {
+        const hash = FilterQuery.toHash(this.dataManager.filters);
+        if (window.location.hash.replace(/^#/, '') === hash) return;
+
+        const url = hash ? `#${hash}` : `${window.location.pathname}${window.location.search}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * 現在の絞り込み条件と同じ条件のプリセット名を取得
+     * @returns {string|null} プリセット名
+     */
+    findMatchingFilterPreset() {
+        const current = FilterQuery.toHash(this.dataManager.filters);
+        const match = Object.entries(this.dataManager.filterPresets)
+            .find(([, preset]) => FilterQuery.toHash(preset.filters) === current);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * 保存した絞り込み条件の選択肢を更新
+     */
+    updateFilterPresetOptions() {
+        const filterPreset = document.getElementById('filterPreset');
+        if (!filterPreset) return;
+
+        filterPreset.innerHTML = '<option value="">選択してください</option>';
+        Object.keys(this.dataManager.filterPresets)
+            .sort((a, b) => a.localeCompare(b, 'ja'))
+            .forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                filterPreset.appendChild(option);
+            });
+
+        filterPreset.value = this.findMatchingFilterPreset() || '';
+        this.updateFilterPresetButtons();
+    }
+
+    /**
+     * プリセットの削除ボタンの有効・無効を更新
+     */
+    updateFilterPresetButtons() {
+        const deleteBtn = document.getElementById('deleteFilterPresetBtn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !document.getElementById('filterPreset')?.value;
+        }
+    }
+
+    /**
+     * 現在の絞り込み条件に名前を付けて保存
+     */
+    async saveFilterPreset() {
+        if (FilterQuery.getActiveKeys(this.dataManager.filters).length === 0) {
+            this.notificationManager.warning('保存する絞り込み条件を指定してください');
+            return;
+        }
+
+        const name = await this.modalManager.showPrompt(
+            '絞り込み条件を保存',
+            '現在の絞り込み条件に名前を付けて保存します。同じ名前の条件は上書きされます。',
+            { defaultValue: this.findMatchingFilterPreset() || '', placeholder: '例: 今年の外食', required: true, maxLength: 50 }
+        );
+        if (!name) return;
+
+        try {
+            const savedName = this.dataManager.saveFilterPreset(name);
+            this.notificationManager.success(`絞り込み条件「${savedName}」を保存しました`);
+        } catch (error) {
+            this.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * 選択中のプリセットを削除
+     */
+    async deleteFilterPreset() {
+        const name = document.getElementById('filterPreset')?.value;
+        if (!name) return;
+
+        const confirmed = await this.modalManager.showConfirm(
+            '絞り込み条件の削除',
+            `保存した絞り込み条件「${name}」を削除しますか？`,
+            { confirmText: '削除', dangerous: true }
+        );
+        if (confirmed) {
+            this.dataManager.removeFilterPreset(name);
+        }
+    }
+
+    /**
+     * カテゴリオプションを更新
+     */
+    updateCategoryOptions() {
+        const typeSelect = document.getElementById('type');
+        const categorySelect = document.getElementById('category');
+        
+        if (!typeSelect || !categorySelect) return;
+        
+        const type = typeSelect.value;
+        categorySelect.innerHTML = '<option value="">選択してください</option>';
+        
+        if (type && this.dataManager.categories[type]) {
+            this.dataManager.getCategoryTree(type).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = CategoryTree.getOptionLabel(category);
+                categorySelect.appendChild(option);
+            });
+        }
+
+        delete categorySelect.dataset.ruleId;
+        this.updateCategoryRuleHint(null);
+    }
+
+    /**
+     * 入力中の取引に一致する自動分類ルールのカテゴリを選択
+     * 未選択か、ルールで選んだカテゴリの場合だけ変更する（編集中と分割した取引は対象外）
+     */
+    applyCategoryRuleToForm() {
+        const categorySelect = document.getElementById('category');
+        if (!categorySelect || this.editingTransactionId || this.formSplits.length > 0) return;
+        if (categorySelect.value && !categorySelect.dataset.ruleId) return;
+
+        const { date, type, amount, description, accountId } = this.getFormData();
+        const rule = this.dataManager.findCategoryRule({ date, type, amount, description, accountId });
+
+        if (rule) {
+            categorySelect.value = rule.categoryId;
+            categorySelect.dataset.ruleId = rule.id;
+        } else if (categorySelect.dataset.ruleId) {
+            categorySelect.value = '';
+            delete categorySelect.dataset.ruleId;
+        }
+        this.updateCategoryRuleHint(rule);
+    }
+
+    /**
+     * 説明の候補を入力フォームに反映
+     * 種別とカテゴリは候補に合わせ、金額は未入力の場合だけ入れる（分割した取引のカテゴリは変えない）
+     * @param {object} suggestion - { description, type, categoryId, amount }
+     */
+    applyDescriptionSuggestion(suggestion) {
+        const typeSelect = document.getElementById('type');
+        const categorySelect = document.getElementById('category');
+        const amountInput = document.getElementById('amount');
+
+        document.getElementById('description').value = suggestion.description;
+
+        if (typeSelect && typeSelect.value !== suggestion.type) {
+            typeSelect.value = suggestion.type;
+            this.formSplits = [];
+            this.updateCategoryOptions();
+            this.updateTransferFields();
+        }
+        if (categorySelect && this.formSplits.length === 0) {
+            categorySelect.value = suggestion.categoryId;
+            delete categorySelect.dataset.ruleId;
+            this.updateCategoryRuleHint(null);
+        }
+        if (amountInput && !amountInput.value) {
+            amountInput.value = suggestion.amount;
+        }
+
+        amountInput?.focus();
+    }
+
+    /**
+     * 自動分類ルールでカテゴリを選んだことを表示
+     * @param {object|null} rule - 適用したルール（nullの場合は表示を消す）
+     */
+    updateCategoryRuleHint(rule) {
+        const hint = document.getElementById('categoryRuleHint');
+        if (!hint) return;
+
+        hint.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !rule);
+        hint.textContent = rule
+            ? `🪄 自動分類ルール「${rule.name || CategoryRuleMatcher.describe(rule, id => this.dataManager.getAccountName(id))}」で選択しました`
+            : '';
+    }
+
+    /**
+     * 振替かどうかで入力項目を切り替え
+     * 振替はカテゴリの代わりに振替先の口座を入力する
+     */
+    updateTransferFields() {
+        const isTransfer = document.getElementById('type')?.value === CONSTANTS.TRANSACTION_TYPES.TRANSFER;
+        const categoryGroup = document.getElementById('categoryGroup');
+        const categorySelect = document.getElementById('category');
+        const toAccountGroup = document.getElementById('toAccountGroup');
+        const accountLabel = document.getElementById('accountLabel');
+
+        if (categoryGroup) categoryGroup.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, isTransfer);
+        if (toAccountGroup) toAccountGroup.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !isTransfer);
+        if (accountLabel) accountLabel.textContent = isTransfer ? '振替元' : '口座';
+
+        this.updateSplitFields();
+    }
+
+    /**
+     * 分割しているかどうかで入力項目を切り替え
+     * 分割した取引はカテゴリの代わりに分割の内訳を表示する
+     */
+    updateSplitFields() {
+        const isTransfer = document.getElementById('type')?.value === CONSTANTS.TRANSACTION_TYPES.TRANSFER;
+        const isSplit = this.formSplits.length > 0;
+        const categorySelect = document.getElementById('category');
+        const splitBtn = document.getElementById('splitBtn');
+        const splitSummary = document.getElementById('splitSummary');
+
+        if (categorySelect) {
+            categorySelect.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, isSplit);
+            categorySelect.required = !isTransfer && !isSplit;
+        }
+        if (splitBtn) {
+            splitBtn.innerHTML = `<span aria-hidden="true">✂️</span> ${isSplit ? '分割を編集' : '分割'}`;
+        }
+        if (splitSummary) {
+            splitSummary.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !isSplit);
+            splitSummary.textContent = isSplit ? this.describeSplits(this.formSplits) : '';
+        }
+    }
+
+    /**
+     * 分割の内訳を表示用の文字列にする
+     * @param {Array<object>} splits - { categoryId, amount, memo } の配列
+     * @returns {string} 「食費 ¥1,000（牛乳）、日用品 ¥500」形式
+     */
+    describeSplits(splits) {
+        return splits
+            .map(split => {
+                const memo = split.memo ? `（${split.memo}）` : '';
+                return `${this.dataManager.getCategoryName(split.categoryId)} ${UTILS.formatCurrency(split.amount)}${memo}`;
+            })
+            .join('、');
+    }
+
+    /**
+     * 口座の選択肢を更新
+     */
+    updateAccountOptions() {
+        const accountSelect = document.getElementById('account');
+        const toAccountSelect = document.getElementById('toAccount');
+        const filterAccountSelect = document.getElementById('filterAccount');
+
+        [accountSelect, toAccountSelect, filterAccountSelect].forEach(select => {
+            if (!select) return;
+
+            const currentValue = select === filterAccountSelect ? this.dataManager.filters.accountId : select.value;
+            if (select === toAccountSelect) {
+                select.innerHTML = '<option value="">選択してください</option>';
+            } else if (select === filterAccountSelect) {
+                select.innerHTML = '<option value="">すべて</option>';
+            } else {
+                select.innerHTML = '';
+            }
+
+            this.dataManager.accounts.forEach(account => {
                 const option = document.createElement('option');
-                option.value = category;
-                option.textContent = category;
-                categorySelect.appendChild(option);
+                option.value = account.id;
+                option.textContent = account.name;
+                select.appendChild(option);
             });
-        }
+
+            if (Array.from(select.options).some(o => o.value === currentValue)) {
+                select.value = currentValue;
+            }
+        });
     }
 
     /**
@@ -222,19 +1115,23 @@ export class UIManager {
         const filterCategorySelect = document.getElementById('filterCategory');
         if (!filterCategorySelect) return;
         
+        // 親カテゴリを選ぶと子カテゴリの取引も表示される
         const allCategories = [
-            ...this.dataManager.categories[CONSTANTS.TRANSACTION_TYPES.INCOME], 
-            ...this.dataManager.categories[CONSTANTS.TRANSACTION_TYPES.EXPENSE]
+            ...this.dataManager.getCategoryTree(CONSTANTS.TRANSACTION_TYPES.INCOME), 
+            ...this.dataManager.getCategoryTree(CONSTANTS.TRANSACTION_TYPES.EXPENSE)
         ];
         
         filterCategorySelect.innerHTML = '<option value="">すべて</option>';
         
         allCategories.forEach(category => {
             const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
+            option.value = category.id;
+            option.textContent = CategoryTree.getOptionLabel(category);
             filterCategorySelect.appendChild(option);
         });
+        
+        // 選択肢を作り直しても適用中のフィルターは保持する
+        filterCategorySelect.value = this.dataManager.filters.categoryId || '';
     }
 
     /**
@@ -253,80 +1150,126 @@ export class UIManager {
     }
 
     /**
-     * トランザクションを表示
+     * 口座残高パネルを更新
      */
-    displayTransactions(transactions) {
-        const tbody = document.getElementById('transactionsBody');
-        const emptyState = document.getElementById('emptyState');
-        
-        if (!tbody || !emptyState) return;
-        
-        if (transactions.length === 0) {
-            tbody.innerHTML = '';
-            emptyState.style.display = 'block';
+    updateAccountPanel() {
+        const container = document.getElementById('accountList');
+        if (!container) return;
+
+        const fragment = document.createDocumentFragment();
+
+        this.dataManager.getAccountBalances().forEach(account => {
+            const item = document.createElement('div');
+            item.className = `account-item ${account.type}`;
+
+            const name = document.createElement('span');
+            name.className = 'account-item-name';
+            name.textContent = account.name;
+
+            const typeLabel = document.createElement('span');
+            typeLabel.className = 'account-item-type';
+            typeLabel.textContent = CONSTANTS.ACCOUNT_TYPE_LABELS[account.type] || '';
+
+            const balance = document.createElement('div');
+            balance.className = account.balance < 0 ? 'account-item-balance amount-negative' : 'account-item-balance';
+            balance.textContent = UTILS.formatCurrency(account.balance);
+
+            item.appendChild(name);
+            item.appendChild(typeLabel);
+            item.appendChild(balance);
+            fragment.appendChild(item);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * 予算パネルを更新
+     */
+    updateBudgetPanel() {
+        const container = document.getElementById('budgetList');
+        if (!container) return;
+
+        const monthKey = document.getElementById('budgetMonth')?.value || this.dataManager.getMonthKey(new Date());
+        const statuses = this.dataManager.getBudgetStatus(monthKey);
+
+        container.innerHTML = '';
+
+        if (statuses.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'budget-empty';
+            emptyMessage.textContent = '予算が設定されていません。「予算を設定」から支出カテゴリごとの月間予算を登録できます。';
+            container.appendChild(emptyMessage);
             return;
         }
-        
-        emptyState.style.display = 'none';
-        
+
         const fragment = document.createDocumentFragment();
-        
-        const sortedTransactions = [...transactions].sort((a, b) => 
-            new Date(b.date) - new Date(a.date)
-        );
-        
-        sortedTransactions.forEach(transaction => {
-            const tr = this.createTransactionRow(transaction);
-            fragment.appendChild(tr);
-        });
-        
-        tbody.innerHTML = '';
-        tbody.appendChild(fragment);
+        statuses.forEach(status => fragment.appendChild(this.createBudgetItem(status)));
+        container.appendChild(fragment);
     }
 
     /**
-     * トランザクション行を作成
+     * 予算項目の要素を作成
      */
-    createTransactionRow(transaction) {
-        const tr = document.createElement('tr');
-        
-        // 日付
-        const tdDate = document.createElement('td');
-        tdDate.textContent = UTILS.formatDate(transaction.date);
-        tr.appendChild(tdDate);
-        
-        // 種類
-        const tdType = document.createElement('td');
-        tdType.textContent = transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '収入' : '支出';
-        tr.appendChild(tdType);
-        
-        // カテゴリ
-        const tdCategory = document.createElement('td');
-        tdCategory.textContent = transaction.category;
-        tr.appendChild(tdCategory);
-        
-        // 説明
-        const tdDescription = document.createElement('td');
-        tdDescription.textContent = transaction.description;
-        tr.appendChild(tdDescription);
-        
-        // 金額
-        const tdAmount = document.createElement('td');
-        tdAmount.className = transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? 'amount-positive' : 'amount-negative';
-        tdAmount.textContent = `${transaction.type === CONSTANTS.TRANSACTION_TYPES.INCOME ? '+' : '-'}${UTILS.formatCurrency(transaction.amount)}`;
-        tr.appendChild(tdAmount);
-        
-        // 操作
-        const tdAction = document.createElement('td');
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'delete-btn';
-        deleteBtn.textContent = '削除';
-        deleteBtn.setAttribute('aria-label', `${UTILS.formatDate(transaction.date)}の取引を削除`);
-        deleteBtn.addEventListener('click', () => this.deleteTransactionWithConfirm(transaction.id));
-        tdAction.appendChild(deleteBtn);
-        tr.appendChild(tdAction);
-        
-        return tr;
+    createBudgetItem(status) {
+        let level = 'ok';
+        if (status.percentUsed >= CONSTANTS.BUDGET.LIMIT_PERCENT) {
+            level = 'over';
+        } else if (status.percentUsed >= CONSTANTS.BUDGET.WARNING_PERCENT) {
+            level = 'warning';
+        }
+
+        const item = document.createElement('div');
+        item.className = `budget-item ${level}`;
+
+        const header = document.createElement('div');
+        header.className = 'budget-item-header';
+
+        const name = document.createElement('span');
+        name.className = 'budget-item-name';
+        name.textContent = status.category;
+
+        const amounts = document.createElement('span');
+        amounts.textContent = `${UTILS.formatCurrency(status.spent)} / ${UTILS.formatCurrency(status.limit)}`;
+
+        header.appendChild(name);
+        header.appendChild(amounts);
+        item.appendChild(header);
+
+        const bar = document.createElement('div');
+        bar.className = 'budget-progress';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-label', `${status.category}の予算消化率`);
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', String(Math.round(Math.min(status.percentUsed, 100))));
+
+        const fill = document.createElement('div');
+        fill.className = 'budget-progress-bar';
+        fill.style.width = `${Math.min(status.percentUsed, 100)}%`;
+        bar.appendChild(fill);
+        item.appendChild(bar);
+
+        const footer = document.createElement('div');
+        footer.className = 'budget-item-footer';
+        footer.textContent = status.remaining >= 0
+            ? `残り ${UTILS.formatCurrency(status.remaining)}（${Math.round(status.percentUsed)}%）`
+            : `${UTILS.formatCurrency(Math.abs(status.remaining))} 超過（${Math.round(status.percentUsed)}%）`;
+        item.appendChild(footer);
+
+        return item;
+    }
+
+    /**
+     * タグの絞り込みにタグを追加
+     * @param {string} tag - タグ
+     */
+    addTagFilter(tag) {
+        const tags = this.dataManager.filters.tags || [];
+        if (tags.includes(tag)) return;
+
+        this.dataManager.applyFilters({ tags: [...tags, tag] });
     }
 
     /**
@@ -336,12 +1279,19 @@ export class UIManager {
         const form = document.getElementById('transactionForm');
         if (form) {
             form.reset();
+            this.formSplits = [];
             const dateInput = document.getElementById('date');
             if (dateInput) {
                 dateInput.value = new Date().toISOString().split('T')[0];
             }
             this.updateCategoryOptions();
+            this.updateTransferFields();
         }
+
+        // 編集モードを解除
+        this.editingTransactionId = null;
+        this.setFormMode(false);
+        this.highlightEditingRow();
     }
 
     /**
@@ -359,28 +1309,111 @@ export class UIManager {
         }
     }
 
+    /**
+     * 選択した取引の一括操作を実行
+     * @param {string} action - 操作（delete, category, addTag, removeTag, account, shiftDate）
+     */
+    async handleBulkAction(action) {
+        const transactions = this.transactionTable.getSelectedTransactions();
+        if (transactions.length === 0) return;
+
+        const ids = transactions.map(t => t.id);
+
+        try {
+            if (action === 'delete') {
+                const confirmed = await this.modalManager.showConfirm(
+                    '選択した取引を削除',
+                    `選択した${ids.length}件の取引を削除しますか？`,
+                    { confirmText: '削除', dangerous: true }
+                );
+                if (!confirmed) return;
+
+                const deleted = await this.dataManager.deleteTransactionsBatch(ids);
+                this.notifyWithUndo(`${deleted.length}件の取引を削除しました`);
+                return;
+            }
+
+            const modal = this.modalManager.createModal({ ariaLabel: BulkEditUI.ACTIONS[action].title });
+            const bulkEditUI = new BulkEditUI(this.dataManager, modal, this);
+            const input = bulkEditUI.open(action, transactions);
+            this.modalManager.showModal(modal.overlay);
+
+            const value = await input;
+            if (value === null) return;
+
+            let result;
+            switch (action) {
+                case 'category':
+                    result = await this.dataManager.changeTransactionsCategory(ids, value.type, value.categoryId);
+                    break;
+                case 'addTag':
+                    result = await this.dataManager.addTagToTransactions(ids, value);
+                    break;
+                case 'removeTag':
+                    result = await this.dataManager.removeTagFromTransactions(ids, value);
+                    break;
+                case 'account':
+                    result = await this.dataManager.changeTransactionsAccount(ids, value);
+                    break;
+                case 'shiftDate':
+                    result = await this.dataManager.shiftTransactionsDate(ids, value);
+                    break;
+                default:
+                    return;
+            }
+
+            this.notifyBulkResult(result);
+        } catch (error) {
+            console.error('一括操作エラー:', error);
+            this.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * 一括変更の結果を通知
+     * @param {object} result - { updated, skipped, errors }
+     */
+    notifyBulkResult({ updated, skipped, errors }) {
+        if (updated.length === 0) {
+            this.notificationManager.info('変更が必要な取引はありませんでした');
+            return;
+        }
+
+        const notes = [];
+        if (skipped > 0) notes.push(`${skipped}件は変更不要`);
+        if (errors.length > 0) notes.push(`${errors.length}件は変更できませんでした`);
+        this.notifyWithUndo(`${updated.length}件の取引を変更しました${notes.length > 0 ? `（${notes.join('、')}）` : ''}`);
+
+        // 変更できなかった取引が多い場合は先頭の数件だけ理由を表示する
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 3);
+            if (errors.length > shown.length) shown.push(`ほか${errors.length - shown.length}件`);
+            this.notificationManager.warning(shown.join('\n'));
+        }
+    }
+
     /**
      * 全データクリア
      */
     async clearAllData() {
         const confirmed = await this.modalManager.showConfirm(
             'すべてのデータを削除',
-            'すべてのデータを削除しますか？この操作は取り消せません。',
+            'すべての取引を削除しますか？削除直後であれば「元に戻す」で復元できます。',
             { confirmText: '削除', dangerous: true }
         );
         
         if (confirmed) {
             await this.dataManager.clearAllData();
             this.handleFilterChange();
-            this.notificationManager.success('すべてのデータを削除しました');
+            this.notifyWithUndo(CONSTANTS.SUCCESS_MESSAGES.DATA_CLEARED);
         }
     }
 
     /**
      * Excelエクスポート
      */
-    exportToExcel() {
-        const result = this.fileHandler.exportToExcel();
+    async exportToExcel() {
+        const result = await this.fileHandler.exportToExcel();
         if (result.success) {
             this.notificationManager.success('Excelファイルをエクスポートしました');
         } else {
@@ -405,7 +1438,7 @@ export class UIManager {
             
             if (!result.success) {
                 this.hideLoading();
-                this.notificationManager.error('Excelファイルの読み込みに失敗しました');
+                this.notificationManager.error(result.error?.message || 'Excelファイルの読み込みに失敗しました');
                 return;
             }
 
@@ -420,6 +1453,51 @@ export class UIManager {
         }
     }
 
+    /**
+     * CSVインポート（列の割り当てウィザードを表示）
+     */
+    async importFromCSV(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const result = await this.fileHandler.readCSV(file);
+
+            if (!result.success) {
+                this.notificationManager.error(result.error.message);
+                return;
+            }
+
+            const transactions = await this.showCsvImportWizard(result);
+            if (!transactions) return;
+
+            const importMode = await this.showImportOptions();
+            if (!importMode) return;
+
+            await this.processImportedData(transactions, importMode, 'CSV');
+
+        } catch (error) {
+            console.error('Import error:', error);
+            this.notificationManager.error('インポートに失敗しました');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * CSVインポートウィザードを表示
+     * @param {object} csvData - FileHandler.readCSVの結果
+     * @returns {Promise<Array|null>} 変換済みの取引配列（キャンセル時はnull）
+     */
+    showCsvImportWizard(csvData) {
+        return new Promise((resolve) => {
+            const modal = this.modalManager.createModal({ ariaLabel: 'CSVインポート' });
+            const wizard = new CsvImportWizardUI(this.dataManager, modal, this, csvData, resolve);
+            wizard.render();
+            this.modalManager.showModal(modal.overlay);
+        });
+    }
+
     /**
      * JSONエクスポート
      */
@@ -432,8 +1510,48 @@ export class UIManager {
         }
     }
 
+    /**
+     * パスフレーズ付き（暗号化）バックアップをエクスポート
+     */
+    async exportEncryptedBackup() {
+        if (!this.dataManager.isEncryptionSupported()) {
+            this.notificationManager.error(CONSTANTS.ERROR_MESSAGES.ENCRYPTION_UNSUPPORTED);
+            return;
+        }
+
+        const passphrase = await this.requestBackupPassphrase({ mode: 'export' });
+        if (passphrase === null) return;
+
+        this.showLoading('バックアップを暗号化しています...');
+        try {
+            const result = await this.fileHandler.exportEncryptedBackup(passphrase);
+            if (result.success) {
+                this.notificationManager.success(CONSTANTS.SUCCESS_MESSAGES.ENCRYPTED_BACKUP_EXPORTED);
+            } else {
+                this.notificationManager.error(result.error?.message || 'バックアップの書き出しに失敗しました');
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * パスフレーズ付きバックアップのパスフレーズを入力してもらう
+     * @param {object} options - { mode: 'export' または 'import', error: 表示するエラーメッセージ }
+     * @returns {Promise<string|null>} パスフレーズ（キャンセル時はnull）
+     */
+    requestBackupPassphrase(options) {
+        return new Promise((resolve) => {
+            const modal = this.modalManager.createModal({ ariaLabel: 'バックアップのパスフレーズ' });
+            const backupPassphraseUI = new BackupPassphraseUI(this.dataManager, modal, this, options, resolve);
+            backupPassphraseUI.render();
+            this.modalManager.showModal(modal.overlay);
+        });
+    }
+
     /**
      * JSONインポート
+     * パスフレーズ付きのバックアップはパスフレーズを入力してもらってから読み込む
      */
     async importData(event) {
         const file = event.target.files[0];
@@ -443,10 +1561,19 @@ export class UIManager {
             const importMode = await this.showImportOptions();
             if (!importMode) return;
 
-            const result = await this.fileHandler.importFromJSON(file);
-            
+            const result = await this.fileHandler.importFromJSON(file, async (error) => {
+                this.hideLoading();
+                const passphrase = await this.requestBackupPassphrase({ mode: 'import', error });
+                if (passphrase !== null) {
+                    this.showLoading('バックアップを復号しています...');
+                }
+                return passphrase;
+            });
+            this.hideLoading();
+
+            if (result.cancelled) return;
             if (!result.success) {
-                this.notificationManager.error('ファイルの読み込みに失敗しました');
+                this.notificationManager.error(result.error?.message || CONSTANTS.ERROR_MESSAGES.IMPORT_ERROR);
                 return;
             }
 
@@ -462,11 +1589,64 @@ export class UIManager {
 
     /**
      * インポートされたデータを処理
+     * プレビューで取り込む行を選んでもらい、追加または置き換えで反映する
+     * @param {Array|object} data - 読み込んだデータ（取引配列またはJSONの保存形式）
+     * @param {string} importMode - 'add' または 'replace'
+     * @param {string} format - 表示用の形式名
      */
     async processImportedData(data, importMode, format) {
-        // データの正規化と処理ロジック
-        // 実装は元のコードのimportFromExcel/importDataメソッドから抽出
-        this.notificationManager.success(`${format}データをインポートしました`);
+        this.hideLoading();
+
+        const { transactions, categories, accounts } = this.fileHandler.extractImportPayload(data);
+        if (transactions.length === 0) {
+            this.notificationManager.warning('インポートする取引がありません');
+            return;
+        }
+
+        // 置き換えの場合は既存データとの重複は問題にならないため、ファイル内の重複のみ判定
+        const existing = importMode === 'replace' ? [] : this.dataManager.transactions;
+        const rows = DuplicateDetector.annotate(transactions, existing);
+
+        const selected = await this.showImportPreview({ rows, mode: importMode, format });
+        if (!selected || selected.length === 0) return;
+
+        try {
+            this.showLoading('インポートしています...');
+            const result = await this.dataManager.importTransactions(selected, {
+                mode: importMode,
+                categories,
+                accounts
+            });
+
+            if (result.addedCategories.length > 0) {
+                this.updateCategoryOptions();
+                this.updateFilterCategoryOptions();
+            }
+
+            this.notificationManager.success(`${format}データから${result.added.length}件をインポートしました`);
+            if (result.errors.length > 0) {
+                this.notificationManager.warning(`${result.errors.length}件は内容が不正なため取り込みませんでした`);
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            this.notificationManager.error(error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * インポートのプレビューを表示
+     * @param {object} preview - { rows, mode, format }
+     * @returns {Promise<Array|null>} 選択された取引（キャンセル時はnull）
+     */
+    showImportPreview(preview) {
+        return new Promise((resolve) => {
+            const modal = this.modalManager.createModal({ ariaLabel: 'インポート内容の確認' });
+            const importPreviewUI = new ImportPreviewUI(this.dataManager, modal, this, preview, resolve);
+            importPreviewUI.render();
+            this.modalManager.showModal(modal.overlay);
+        });
     }
 
     /**
@@ -479,6 +1659,65 @@ export class UIManager {
         this.modalManager.showModal(modal.overlay);
     }
 
+    /**
+     * 定期取引マネージャーを表示
+     */
+    showRecurringManager() {
+        const modal = this.modalManager.createModal({ ariaLabel: '定期取引' });
+        const recurringManagerUI = new RecurringManagerUI(this.dataManager, modal, this);
+        recurringManagerUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 自動分類ルールの管理を表示
+     */
+    showCategoryRuleManager() {
+        const modal = this.modalManager.createModal({ ariaLabel: '自動分類ルール' });
+        const categoryRuleManagerUI = new CategoryRuleManagerUI(this.dataManager, modal, this);
+        categoryRuleManagerUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 取引テンプレートの管理を表示
+     * @param {object|null} initialData - 新しいテンプレートの入力欄に入れておく内容
+     */
+    showTemplateManager(initialData = null) {
+        const modal = this.modalManager.createModal({ ariaLabel: '取引テンプレート' });
+        const templateManagerUI = new TemplateManagerUI(this.dataManager, modal, this);
+        templateManagerUI.render(initialData);
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 入力フォームの内容を新しいテンプレートとして登録する画面を表示
+     */
+    saveFormAsTemplate() {
+        const formData = this.getFormData();
+        this.showTemplateManager({ ...formData, amount: formData.amount > 0 ? formData.amount : null });
+    }
+
+    /**
+     * 予算設定を表示
+     */
+    showBudgetManager() {
+        const modal = this.modalManager.createModal({ ariaLabel: '月間予算の設定' });
+        const budgetManagerUI = new BudgetManagerUI(this.dataManager, modal, this);
+        budgetManagerUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 口座管理を表示
+     */
+    showAccountManager() {
+        const modal = this.modalManager.createModal({ ariaLabel: '口座管理' });
+        const accountManagerUI = new AccountManagerUI(this.dataManager, modal, this);
+        accountManagerUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
     /**
      * ストレージ情報を表示
      */
@@ -511,33 +1750,76 @@ export class UIManager {
     }
 
     /**
-     * バックアップから復元
+     * 入力中の取引の分割を編集
      */
-    async restoreFromBackup() {
-        try {
-            const backup = await this.dataManager.getLatestBackup();
-            
-            if (!backup || !backup.data) {
-                this.notificationManager.warning('バックアップデータが見つかりません');
-                return;
-            }
-            
-            const backupDate = new Date(backup.timestamp).toLocaleString('ja-JP');
-            const transactions = backup.data.transactions || [];
-            
-            const confirmed = await this.modalManager.showConfirm(
-                'バックアップからの復元',
-                `バックアップからデータを復元しますか？\n\nバックアップ日時: ${backupDate}\n件数: ${transactions.length}件\n\n現在のデータは上書きされます。`,
-                { confirmText: '復元', dangerous: true }
-            );
-            
-            if (confirmed) {
-                this.dataManager.fromSaveFormat(backup.data);
-                this.notificationManager.success('バックアップからデータを復元しました');
-            }
-        } catch (error) {
-            console.error('バックアップからの復元に失敗しました:', error);
-            this.notificationManager.error('バックアップからの復元に失敗しました');
+    async showSplitEditor() {
+        const type = document.getElementById('type')?.value || '';
+        const amount = parseFloat(document.getElementById('amount')?.value || '0');
+
+        if (!type || type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            this.notificationManager.warning('分割するには種類で収入か支出を選択してください');
+            return;
+        }
+        if (!(amount >= CONSTANTS.VALIDATION.MIN_AMOUNT)) {
+            this.notificationManager.warning('分割する前に取引の金額を入力してください');
+            document.getElementById('amount')?.focus();
+            return;
+        }
+
+        const modal = this.modalManager.createModal({ ariaLabel: '取引の分割' });
+        const splitEditorUI = new SplitEditorUI(this.dataManager, modal, this);
+        const result = splitEditorUI.open(type, amount, this.formSplits, document.getElementById('category')?.value || '');
+        this.modalManager.showModal(modal.overlay);
+
+        const splits = await result;
+        if (splits === null) return;
+
+        this.formSplits = splits;
+        // 後で分割をやめたときのために、1行目のカテゴリを取引のカテゴリとしても選択しておく
+        const categorySelect = document.getElementById('category');
+        if (categorySelect && splits.length > 0) {
+            categorySelect.value = splits[0].categoryId;
+        }
+        this.updateSplitFields();
+    }
+
+    /**
+     * タグ別レポートを表示
+     */
+    showTagReport() {
+        const modal = this.modalManager.createModal({ ariaLabel: 'タグ別レポート' });
+        const tagReportUI = new TagReportUI(this.dataManager, modal, this);
+        tagReportUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * バックアップ管理を表示
+     */
+    showBackupManager() {
+        const modal = this.modalManager.createModal({ ariaLabel: 'バックアップ管理' });
+        const backupManagerUI = new BackupManagerUI(this.dataManager, modal, this);
+        backupManagerUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 暗号化とロックの設定を表示
+     */
+    showEncryptionSettings() {
+        const modal = this.modalManager.createModal({ ariaLabel: '暗号化とロック' });
+        const encryptionSettingsUI = new EncryptionSettingsUI(this.dataManager, modal, this);
+        encryptionSettingsUI.render();
+        this.modalManager.showModal(modal.overlay);
+    }
+
+    /**
+     * 「ロック」ボタンを暗号化している場合だけ表示
+     */
+    updateLockButton() {
+        const button = document.getElementById('lockNowBtn');
+        if (button) {
+            button.classList.toggle(CONSTANTS.CSS_CLASSES.HIDDEN, !this.dataManager.isEncryptionEnabled());
         }
     }
 
@@ -659,6 +1941,11 @@ export class UIManager {
             this.chartManager.destroy();
         }
         
+        // 自動ロックのタイマーを停止
+        if (this.lockScreen) {
+            this.lockScreen.destroy();
+        }
+        
         // イベントリスナーを削除
         // 必要に応じて追加のクリーンアップ
     }
@@ -0,0 +1,100 @@
+// バックアップと現在のデータの比較ユーティリティ
+import { CONSTANTS } from '../constants.js';
+import { CategoryTree } from './categoryTree.js';
+
+export class BackupDiff {
+    /**
+     * 変更の有無を比較する取引の項目
+     */
+    static COMPARED_FIELDS = ['date', 'type', 'categoryId', 'amount', 'description', 'accountId', 'toAccountId'];
+
+    /**
+     * バックアップの概要を取得
+     * @param {object} data - バックアップされた保存形式のデータ
+     * @returns {object} { transactionCount, firstDate, lastDate }
+     */
+    static summarize(data) {
+        const transactions = Array.isArray(data?.transactions) ? data.transactions : [];
+        const dates = transactions
+            .map(t => t.date)
+            .filter(Boolean)
+            .sort();
+
+        return {
+            transactionCount: transactions.length,
+            firstDate: dates[0] || null,
+            lastDate: dates[dates.length - 1] || null
+        };
+    }
+
+    /**
+     * バックアップと現在のデータを比較
+     * 「追加」はバックアップ後に増えたもの、「削除」はバックアップにだけあるもの
+     * @param {object} backupData - バックアップされた保存形式のデータ
+     * @param {object} currentData - 現在の保存形式のデータ
+     * @returns {object} { transactions: { added, removed, changed }, categories: { added, removed } }
+     */
+    static compare(backupData, currentData) {
+        return {
+            transactions: this.compareTransactions(backupData?.transactions || [], currentData?.transactions || []),
+            categories: this.compareCategories(backupData?.categories || {}, currentData?.categories || {})
+        };
+    }
+
+    /**
+     * 取引をIDで突き合わせて比較
+     * @param {Array<object>} backupTransactions - バックアップの取引
+     * @param {Array<object>} currentTransactions - 現在の取引
+     * @returns {object} { added, removed, changed: [{ before, after, fields }] }
+     */
+    static compareTransactions(backupTransactions, currentTransactions) {
+        const currentById = new Map(currentTransactions.map(t => [t.id, t]));
+        const backupIds = new Set();
+        const removed = [];
+        const changed = [];
+
+        backupTransactions.forEach(before => {
+            backupIds.add(before.id);
+
+            const after = currentById.get(before.id);
+            if (!after) {
+                removed.push(before);
+                return;
+            }
+
+            const fields = this.COMPARED_FIELDS.filter(field => (before[field] ?? '') !== (after[field] ?? ''));
+            if (fields.length > 0) {
+                changed.push({ before, after, fields });
+            }
+        });
+
+        const added = currentTransactions.filter(t => !backupIds.has(t.id));
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * 種別ごとにカテゴリを名前で比較（階層化前のバックアップにも対応）
+     * @param {object} backupCategories - バックアップのカテゴリ（種別 → カテゴリ一覧）
+     * @param {object} currentCategories - 現在のカテゴリ
+     * @returns {object} { added: [{ type, name }], removed: [{ type, name }] }
+     */
+    static compareCategories(backupCategories, currentCategories) {
+        const added = [];
+        const removed = [];
+
+        [CONSTANTS.TRANSACTION_TYPES.INCOME, CONSTANTS.TRANSACTION_TYPES.EXPENSE].forEach(type => {
+            const before = new Set(CategoryTree.getNames(backupCategories[type]));
+            const after = new Set(CategoryTree.getNames(currentCategories[type]));
+
+            after.forEach(name => {
+                if (!before.has(name)) added.push({ type, name });
+            });
+            before.forEach(name => {
+                if (!after.has(name)) removed.push({ type, name });
+            });
+        });
+
+        return { added, removed };
+    }
+}
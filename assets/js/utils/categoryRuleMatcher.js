@@ -0,0 +1,122 @@
+// 自動分類ルールの照合ユーティリティ
+import { CONSTANTS, UTILS } from '../constants.js';
+import { FilterQuery } from './filterQuery.js';
+
+/**
+ * ルールは { id, name, type, categoryId, conditions: [{ field, operator, value }], enabled } の形で保持する
+ * 種類が同じで、すべての条件に一致した取引にルールのカテゴリを割り当てる
+ * 複数のルールに一致する場合は一覧の先頭にあるルールを優先する
+ */
+export class CategoryRuleMatcher {
+    /**
+     * 条件の項目の表示名
+     */
+    static FIELD_LABELS = {
+        description: '説明',
+        amount: '金額',
+        day: '日付の日',
+        accountId: '口座'
+    };
+
+    /**
+     * 比較方法の表示名
+     */
+    static OPERATOR_LABELS = {
+        contains: 'を含む',
+        startsWith: 'で始まる',
+        equals: 'と一致',
+        gte: '以上',
+        lte: '以下'
+    };
+
+    /**
+     * 取引に一致する最初のルールを取得（無効にしたルールは除く）
+     * @param {Array<object>} rules - ルール（優先する順）
+     * @param {object} transaction - 取引（date, type, amount, description, accountId）
+     * @returns {object|null} 一致したルール
+     */
+    static findMatch(rules, transaction) {
+        return rules.find(rule => rule.enabled !== false && this.matches(rule, transaction)) || null;
+    }
+
+    /**
+     * 取引がルールに一致するか判定
+     * @param {object} rule - ルール
+     * @param {object} transaction - 取引
+     * @returns {boolean} 一致する場合はtrue
+     */
+    static matches(rule, transaction) {
+        return rule.type === transaction.type
+            && rule.conditions.length > 0
+            && rule.conditions.every(condition => this.matchesCondition(condition, transaction));
+    }
+
+    /**
+     * 取引が条件に一致するか判定（説明は全角・半角と大文字・小文字を区別しない）
+     * @param {object} condition - { field, operator, value }
+     * @param {object} transaction - 取引
+     * @returns {boolean} 一致する場合はtrue
+     */
+    static matchesCondition({ field, operator, value }, transaction) {
+        const { DESCRIPTION, AMOUNT, DAY } = CONSTANTS.RULE_CONDITION_FIELDS;
+        const { CONTAINS, STARTS_WITH, EQUALS, AT_LEAST, AT_MOST } = CONSTANTS.RULE_CONDITION_OPERATORS;
+
+        if (field === DESCRIPTION) {
+            const text = FilterQuery.normalizeText(transaction.description);
+            const term = FilterQuery.normalizeText(value);
+            switch (operator) {
+                case CONTAINS: return text.includes(term);
+                case STARTS_WITH: return text.startsWith(term);
+                case EQUALS: return text.trim() === term.trim();
+                default: return false;
+            }
+        }
+
+        if (field === AMOUNT || field === DAY) {
+            const actual = field === AMOUNT
+                ? Number(transaction.amount)
+                : parseInt(String(transaction.date || '').substring(8, 10), 10);
+            switch (operator) {
+                case EQUALS: return actual === value;
+                case AT_LEAST: return actual >= value;
+                case AT_MOST: return actual <= value;
+                default: return false;
+            }
+        }
+
+        return (transaction.accountId || CONSTANTS.DEFAULTS.ACCOUNT_ID) === value;
+    }
+
+    /**
+     * 条件を説明する文字列を取得
+     * @param {object} condition - { field, operator, value }
+     * @param {Function} getAccountName - 口座IDから口座名を取得する関数
+     * @returns {string} 「説明に「セブン」を含む」など
+     */
+    static describeCondition({ field, operator, value }, getAccountName) {
+        const { DESCRIPTION, AMOUNT, DAY } = CONSTANTS.RULE_CONDITION_FIELDS;
+        const { EQUALS } = CONSTANTS.RULE_CONDITION_OPERATORS;
+        const suffix = operator === EQUALS ? '' : this.OPERATOR_LABELS[operator];
+
+        switch (field) {
+            case DESCRIPTION:
+                return operator === EQUALS ? `説明が「${value}」` : `説明が「${value}」${suffix}`;
+            case AMOUNT:
+                return `金額が${UTILS.formatCurrency(value)}${suffix}`;
+            case DAY:
+                return `日付が${value}日${suffix}`;
+            default:
+                return `口座が「${getAccountName(value)}」`;
+        }
+    }
+
+    /**
+     * ルールの条件をまとめて説明する文字列を取得
+     * @param {object} rule - ルール
+     * @param {Function} getAccountName - 口座IDから口座名を取得する関数
+     * @returns {string} 条件を「かつ」でつないだ文字列
+     */
+    static describe(rule, getAccountName) {
+        return rule.conditions.map(condition => this.describeCondition(condition, getAccountName)).join(' かつ ');
+    }
+}
@@ -0,0 +1,251 @@
+// カテゴリの階層（親子関係）を扱うユーティリティ
+import { CONSTANTS, DEFAULT_CATEGORY_ICONS, UTILS } from '../constants.js';
+import { Sanitizer } from './sanitizer.js';
+
+/**
+ * カテゴリは種別ごとに { id, name, parentId, color, icon } の配列で保持する
+ * 取引・予算・定期取引はカテゴリをIDで参照するため、名前の変更はカテゴリ自身の更新だけで済む
+ * 親は最上位のカテゴリ（parentIdがnull）に限り、階層は2段までとする
+ */
+export class CategoryTree {
+    /**
+     * カテゴリを作成
+     * @param {string} name - カテゴリ名
+     * @param {string|null} parentId - 親カテゴリのID
+     * @param {object} options - { color, icon }（省略時は既定値）
+     * @returns {object} { id, name, parentId, color, icon }
+     */
+    static createNode(name, parentId = null, options = {}) {
+        return {
+            id: UTILS.generateId(),
+            name,
+            parentId,
+            color: Sanitizer.sanitizeColor(options.color) || CONSTANTS.CHART.CATEGORY_COLORS[0],
+            icon: Sanitizer.sanitizeIcon(options.icon) || this.getDefaultIcon(name)
+        };
+    }
+
+    /**
+     * カテゴリ名に応じた既定のアイコンを取得
+     * @param {string} name - カテゴリ名
+     * @returns {string} アイコン
+     */
+    static getDefaultIcon(name) {
+        return DEFAULT_CATEGORY_ICONS[name] || CONSTANTS.DEFAULTS.CATEGORY_ICON;
+    }
+
+    /**
+     * 新しいカテゴリに割り当てる色を取得（使われている数が最も少ない色）
+     * @param {Array<object>} nodes - カテゴリ一覧
+     * @returns {string} 色
+     */
+    static getNextColor(nodes) {
+        const palette = CONSTANTS.CHART.CATEGORY_COLORS;
+        const counts = new Map(palette.map(color => [color, 0]));
+        nodes.forEach(node => {
+            if (counts.has(node.color)) {
+                counts.set(node.color, counts.get(node.color) + 1);
+            }
+        });
+
+        return palette.reduce((best, color) => (counts.get(color) < counts.get(best) ? color : best), palette[0]);
+    }
+
+    /**
+     * カテゴリ一覧を正規化
+     * 名前だけの配列（階層化前の形式）も受け付け、不正な親子関係は最上位に戻す
+     * 色とアイコンがないもの（ID導入前の形式）には既定値を設定する
+     * @param {Array<string|object>} list - カテゴリ一覧
+     * @returns {Array<object>} 正規化したカテゴリ一覧
+     */
+    static normalize(list) {
+        const nodes = [];
+        const names = new Set();
+        const ids = new Set();
+
+        (Array.isArray(list) ? list : []).forEach(item => {
+            const source = typeof item === 'string' ? { name: item } : item;
+            const name = Sanitizer.sanitizeCategory(source?.name);
+            if (!name || names.has(name)) return;
+
+            let id = Sanitizer.sanitizeId(source.id);
+            if (!id || ids.has(id)) {
+                id = UTILS.generateId();
+            }
+
+            names.add(name);
+            ids.add(id);
+            nodes.push({
+                id,
+                name,
+                parentId: source.parentId || null,
+                color: Sanitizer.sanitizeColor(source.color) || CONSTANTS.CHART.CATEGORY_COLORS[nodes.length % CONSTANTS.CHART.CATEGORY_COLORS.length],
+                icon: Sanitizer.sanitizeIcon(source.icon) || this.getDefaultIcon(name)
+            });
+        });
+
+        // 親が存在しない、または親自身が子カテゴリの場合は最上位にする
+        const rootIds = new Set(nodes.filter(node => !node.parentId).map(node => node.id));
+        return nodes.map(node => (
+            node.parentId && (!rootIds.has(node.parentId) || node.parentId === node.id)
+                ? { ...node, parentId: null }
+                : node
+        ));
+    }
+
+    /**
+     * 収入・支出のカテゴリ一覧をまとめて正規化
+     * @param {object} categories - 種別 → カテゴリ一覧
+     * @returns {object} 種別 → 正規化したカテゴリ一覧
+     */
+    static normalizeAll(categories) {
+        return {
+            [CONSTANTS.TRANSACTION_TYPES.INCOME]: this.normalize(categories?.[CONSTANTS.TRANSACTION_TYPES.INCOME]),
+            [CONSTANTS.TRANSACTION_TYPES.EXPENSE]: this.normalize(categories?.[CONSTANTS.TRANSACTION_TYPES.EXPENSE])
+        };
+    }
+
+    /**
+     * 表示順（親の直後にその子カテゴリ）に並べる
+     * @param {Array<object>} nodes - カテゴリ一覧
+     * @returns {Array<object>} { ...カテゴリ, depth } の配列
+     */
+    static flatten(nodes) {
+        const result = [];
+
+        nodes.filter(node => !node.parentId).forEach(root => {
+            result.push({ ...root, depth: 0 });
+            this.getChildren(nodes, root.id).forEach(child => {
+                result.push({ ...child, depth: 1 });
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * 子カテゴリを取得
+     * @param {Array<object>} nodes - カテゴリ一覧
+     * @param {string} id - 親カテゴリのID
+     * @returns {Array<object>} 子カテゴリ
+     */
+    static getChildren(nodes, id) {
+        return nodes.filter(node => node.parentId === id);
+    }
+
+    /**
+     * カテゴリ名の一覧を取得（階層化前の名前だけの形式にも対応）
+     * @param {Array<string|object>} list - カテゴリ一覧
+     * @returns {Array<string>} カテゴリ名
+     */
+    static getNames(list) {
+        return (Array.isArray(list) ? list : [])
+            .map(item => (typeof item === 'string' ? item : item?.name))
+            .filter(Boolean);
+    }
+
+    /**
+     * 取引や定期取引のカテゴリ参照をIDに変換（名前で参照していた形式からの移行用）
+     * 一覧にない名前のカテゴリは最上位に追加する
+     * @param {object} record - 取引または定期取引ルール
+     * @param {object} categories - 種別 → カテゴリ一覧（不足分が追加される）
+     * @returns {object|null} 変換後のレコード（変更がない場合はnull）
+     */
+    static assignCategoryId(record, categories) {
+        const { category, ...rest } = record;
+
+        if (record.type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            return category !== undefined || record.categoryId !== null ? { ...rest, categoryId: null } : null;
+        }
+
+        const nodes = categories[record.type];
+        if (!nodes) return null;
+
+        if (record.categoryId && nodes.some(node => node.id === record.categoryId)) {
+            return category !== undefined ? rest : null;
+        }
+
+        const name = Sanitizer.sanitizeCategory(category) || CONSTANTS.FALLBACK_CATEGORIES[record.type];
+        let node = nodes.find(n => n.name === name);
+        if (!node) {
+            node = this.createNode(name, null, { color: this.getNextColor(nodes) });
+            nodes.push(node);
+        }
+
+        return { ...rest, categoryId: node.id };
+    }
+
+    /**
+     * カテゴリ名をキーにした予算をカテゴリIDのキーに変換（ID導入前の形式からの移行用）
+     * @param {object} budgets - カテゴリ名またはID → 月間予算額
+     * @param {Array<object>} expenseNodes - 支出カテゴリ一覧
+     * @returns {object} カテゴリID → 月間予算額（該当するカテゴリがないものは除く）
+     */
+    static migrateBudgets(budgets, expenseNodes) {
+        const migrated = {};
+
+        Object.entries(budgets || {}).forEach(([key, limit]) => {
+            const node = expenseNodes.find(n => n.id === key) || expenseNodes.find(n => n.name === key);
+            if (node && limit) {
+                migrated[node.id] = limit;
+            }
+        });
+
+        return migrated;
+    }
+
+    /**
+     * IDからカテゴリ名を取得（収入・支出のどちらからも探す）
+     * @param {object} categories - 種別 → カテゴリ一覧
+     * @param {string} id - カテゴリID
+     * @returns {string|null} カテゴリ名
+     */
+    static getNameById(categories, id) {
+        if (!id || !categories) return null;
+
+        for (const list of Object.values(categories)) {
+            const node = (Array.isArray(list) ? list : []).find(item => item && typeof item === 'object' && item.id === id);
+            if (node) return node.name;
+        }
+        return null;
+    }
+
+    /**
+     * 親カテゴリを変更できるか検証
+     * @param {Array<object>} nodes - カテゴリ一覧
+     * @param {string} id - 移動するカテゴリのID
+     * @param {string|null} parentId - 新しい親カテゴリのID（nullで最上位）
+     * @returns {string|null} 変更できない理由（変更できる場合はnull）
+     */
+    static validateMove(nodes, id, parentId) {
+        const node = nodes.find(n => n.id === id);
+        if (!node) {
+            return CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND;
+        }
+        if (!parentId) {
+            return null;
+        }
+
+        const parent = nodes.find(n => n.id === parentId);
+        if (!parent || parent.id === id) {
+            return CONSTANTS.ERROR_MESSAGES.CATEGORY_NOT_FOUND;
+        }
+        if (parent.parentId) {
+            return CONSTANTS.ERROR_MESSAGES.CATEGORY_TOO_DEEP;
+        }
+        if (this.getChildren(nodes, id).length > 0) {
+            return CONSTANTS.ERROR_MESSAGES.CATEGORY_HAS_CHILDREN;
+        }
+
+        return null;
+    }
+
+    /**
+     * 選択肢の表示名を取得（子カテゴリは字下げする）
+     * @param {object} node - flattenで取得したカテゴリ
+     * @returns {string} 表示名
+     */
+    static getOptionLabel(node) {
+        return node.depth > 0 ? `　└ ${node.name}` : node.name;
+    }
+}
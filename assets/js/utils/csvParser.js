@@ -0,0 +1,188 @@
+// CSV解析ユーティリティ
+// 銀行・カード会社ごとに異なる文字コード・区切り文字・引用符を自動判定する
+
+export class CsvParser {
+    /**
+     * 区切り文字の候補
+     */
+    static DELIMITERS = [',', '\t', ';', '|'];
+
+    /**
+     * 引用符の候補
+     */
+    static QUOTES = ['"', "'"];
+
+    /**
+     * ファイルの中身を文字列に変換（文字コードを自動判定）
+     * BOM付きUTF-8/UTF-16、BOMなしUTF-8、Shift_JISの順に判定する
+     * @param {ArrayBuffer} buffer - ファイルの内容
+     * @returns {{text: string, encoding: string}} - デコード結果
+     */
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+        }
+
+        try {
+            // UTF-8として不正なバイト列があれば例外になる
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch {
+            // 国内の銀行CSVはShift_JIS（CP932）が多い
+            return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'Shift_JIS' };
+        }
+    }
+
+    /**
+     * CSV文字列を解析
+     * @param {string} text - CSV文字列
+     * @param {object} options - { delimiter, quote } 未指定の場合は自動判定
+     * @returns {{rows: Array<Array<string>>, delimiter: string, quote: string}} - 解析結果
+     */
+    static parse(text, options = {}) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const quote = options.quote || this.detectQuote(normalized);
+        const delimiter = options.delimiter || this.detectDelimiter(normalized, quote);
+
+        const rows = this.splitRows(normalized, delimiter, quote)
+            .filter(row => row.some(cell => cell.trim() !== ''));
+
+        return { rows, delimiter, quote };
+    }
+
+    /**
+     * 区切り文字を判定
+     * 先頭数行で列数が揃い、かつ列数が最も多くなる候補を選ぶ
+     * @param {string} text - CSV文字列
+     * @param {string} quote - 引用符
+     * @returns {string} - 区切り文字
+     */
+    static detectDelimiter(text, quote = '"') {
+        const sample = text.split('\n').slice(0, 20).join('\n');
+        let best = { delimiter: ',', score: 0 };
+
+        this.DELIMITERS.forEach(delimiter => {
+            const counts = this.splitRows(sample, delimiter, quote)
+                .filter(row => row.length > 1)
+                .map(row => row.length);
+            if (counts.length === 0) return;
+
+            // 最も多い列数の行がどれだけあるか × 列数
+            const frequency = new Map();
+            counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+            const [columns, lines] = [...frequency.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            const score = lines * columns;
+
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * 引用符を判定
+     * @param {string} text - CSV文字列
+     * @returns {string} - 引用符
+     */
+    static detectQuote(text) {
+        const sample = text.slice(0, 5000);
+        const counts = this.QUOTES.map(quote => {
+            // 行頭または区切り文字の直後に現れる引用符を数える
+            const pattern = new RegExp(`(^|[,\\t;|])${quote}`, 'gm');
+            return (sample.match(pattern) || []).length;
+        });
+
+        return counts[1] > counts[0] ? this.QUOTES[1] : this.QUOTES[0];
+    }
+
+    /**
+     * 行とセルに分割（引用符内の区切り文字・改行・二重引用符に対応）
+     * @param {string} text - 改行をLFに正規化したCSV文字列
+     * @param {string} delimiter - 区切り文字
+     * @param {string} quote - 引用符
+     * @returns {Array<Array<string>>} - 行の配列
+     */
+    static splitRows(text, delimiter, quote) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === quote && text[i + 1] === quote) {
+                    cell += quote;
+                    i++;
+                } else if (char === quote) {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === quote && cell.trim() === '') {
+                cell = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell.trim());
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * 金額文字列を符号付きの数値に変換
+     * 「¥1,234」「-1,234円」「△1,234」「(1,234)」「１２３４」などに対応
+     * @param {string|number} value - 金額
+     * @returns {number} - 数値（解析できない場合はNaN）
+     */
+    static parseAmount(value) {
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined) return NaN;
+
+        let str = String(value)
+            .replace(/[０-９．，－]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+            .replace(/[\s¥￥円,]/g, '');
+
+        if (str === '') return NaN;
+
+        let sign = 1;
+        if (/^\(.*\)$/.test(str)) {
+            sign = -1;
+            str = str.slice(1, -1);
+        }
+        if (/^[-−▲△]/.test(str)) {
+            sign = -sign;
+            str = str.slice(1);
+        } else if (str.startsWith('+')) {
+            str = str.slice(1);
+        }
+
+        if (!/^\d+(\.\d+)?$/.test(str)) return NaN;
+
+        return sign * parseFloat(str);
+    }
+}
@@ -8,6 +8,8 @@ export class DateParser {
     static SUPPORTED_FORMATS = [
         { pattern: /^\d{4}-\d{2}-\d{2}$/, name: 'YYYY-MM-DD', example: '2025-01-15' },
         { pattern: /^\d{4}\/\d{1,2}\/\d{1,2}$/, name: 'YYYY/MM/DD', example: '2025/1/15' },
+        { pattern: /^\d{4}\.\d{1,2}\.\d{1,2}$/, name: 'YYYY.MM.DD', example: '2025.1.15' },
+        { pattern: /^\d{8}$/, name: 'YYYYMMDD', example: '20250115' },
         { pattern: /^\d{2}\/\d{1,2}\/\d{1,2}$/, name: 'YY/MM/DD', example: '25/1/15' },
         { pattern: /^\d{4}年\d{1,2}月\d{1,2}日$/, name: 'YYYY年MM月DD日', example: '2025年1月15日' },
         { pattern: /^\d{1,2}-\d{1,2}-\d{4}$/, name: 'DD-MM-YYYY', example: '15-01-2025' },
@@ -96,6 +98,21 @@ export class DateParser {
             return new Date(year, month - 1, day);
         }
         
+        // YYYY.MM.DD形式（銀行の明細CSVなど）
+        if (/^\d{4}\.\d{1,2}\.\d{1,2}$/.test(dateStr)) {
+            const [year, month, day] = dateStr.split('.').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        
+        // YYYYMMDD形式（銀行の明細CSVなど）
+        if (/^\d{8}$/.test(dateStr)) {
+            return new Date(
+                Number(dateStr.substring(0, 4)),
+                Number(dateStr.substring(4, 6)) - 1,
+                Number(dateStr.substring(6, 8))
+            );
+        }
+        
         // YY/MM/DD形式
         if (/^\d{2}\/\d{1,2}\/\d{1,2}$/.test(dateStr)) {
             const [year, month, day] = dateStr.split('/').map(Number);
@@ -138,6 +155,76 @@ export class DateParser {
         throw new Error(`解析できない日付形式: ${dateStr}`);
     }
 
+    /**
+     * 相対的な日付を表す語と、年を省略した日付
+     */
+    static RELATIVE_DAY_WORDS = {
+        '今日': 0, 'きょう': 0, '本日': 0,
+        '昨日': -1, 'きのう': -1,
+        '一昨日': -2, 'おととい': -2, 'おとつい': -2,
+        '明日': 1, 'あした': 1
+    };
+
+    static WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+    /**
+     * 手入力の日付を解析（今日・昨日・3日前・先週金曜・金曜・2/14・2月14日・先月25日など）
+     * 年を省略した日付が基準日より後になる場合は前の年の日付とする
+     * @param {string} text - 日付を表す語（全角の数字も可）
+     * @param {Date} baseDate - 基準日（デフォルトは今日）
+     * @returns {string} YYYY-MM-DD形式の文字列（日付として解析できない場合は空文字）
+     */
+    static parseNaturalDate(text, baseDate = new Date()) {
+        const word = String(text || '').normalize('NFKC').trim();
+        const base = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate());
+        const addDays = (days) => new Date(base.getFullYear(), base.getMonth(), base.getDate() + days);
+        let date = null;
+        let match;
+
+        if (word in this.RELATIVE_DAY_WORDS) {
+            date = addDays(this.RELATIVE_DAY_WORDS[word]);
+        } else if ((match = word.match(/^(\d{1,3})日(前|後)$/))) {
+            date = addDays(Number(match[1]) * (match[2] === '前' ? -1 : 1));
+        } else if ((match = word.match(/^(先々週|先週|今週|来週)?の?([日月火水木金土])曜日?$/))) {
+            // 週は月曜日から始まるものとする。週を省略した場合は今日以前で最も近いその曜日
+            const weekday = this.WEEKDAY_NAMES.indexOf(match[2]);
+            if (match[1]) {
+                const weekOffset = { '先々週': -2, '先週': -1, '今週': 0, '来週': 1 }[match[1]];
+                const monday = -((base.getDay() + 6) % 7);
+                date = addDays(monday + weekOffset * 7 + (weekday + 6) % 7);
+            } else {
+                date = addDays(-((base.getDay() - weekday + 7) % 7));
+            }
+        } else if ((match = word.match(/^(先月|今月)の?(\d{1,2})日$/))) {
+            const month = base.getMonth() + (match[1] === '先月' ? -1 : 0);
+            date = this.createDate(base.getFullYear(), month, Number(match[2]));
+        } else if ((match = word.match(/^(\d{1,2})[/月](\d{1,2})日?$/))) {
+            const month = Number(match[1]) - 1;
+            const day = Number(match[2]);
+            date = this.createDate(base.getFullYear(), month, day);
+            if (date && date > base) {
+                date = this.createDate(base.getFullYear() - 1, month, day);
+            }
+        } else if (this.SUPPORTED_FORMATS.some(format => format.pattern.test(word))) {
+            return this.formatDateForInput(word);
+        }
+
+        return date && this.isValidYear(date.getFullYear()) ? this.formatToISO(date) : '';
+    }
+
+    /**
+     * 年・月・日からDateを作成（2月30日のように存在しない日付の場合はnull）
+     * @param {number} year - 年
+     * @param {number} monthIndex - 月（0始まり。範囲外の場合は前後の年の月）
+     * @param {number} day - 日
+     * @returns {Date|null} Dateオブジェクト
+     */
+    static createDate(year, monthIndex, day) {
+        const date = new Date(year, monthIndex, day);
+        const expectedMonth = ((monthIndex % 12) + 12) % 12;
+        return date.getMonth() === expectedMonth && date.getDate() === day ? date : null;
+    }
+
     /**
      * 日付の有効性をチェック
      * @param {Date} date - チェックする日付
@@ -0,0 +1,243 @@
+// 過去の取引から説明に合うカテゴリと金額を提案する学習モデル
+import { CONSTANTS } from '../constants.js';
+import { FilterQuery } from './filterQuery.js';
+
+/**
+ * 説明（全角・半角と大文字・小文字は区別しない）ごとに、使ったカテゴリと金額の回数を数える
+ * 入力中の説明とは文字のn-gram（2文字ずつ）の重なりで比べ、似ている説明の使い方を提案する
+ * 学習した内容はメモリ上だけに持ち、保存や送信はしない
+ */
+export class DescriptionSuggester {
+    constructor() {
+        this.entries = new Map(); // 取引ID → { signature, key, categoryKey, amount }
+        this.documents = new Map(); // 正規化した説明 → { description, grams, count, categories }
+        this.index = new Map(); // n-gram → 正規化した説明のSet
+        this.stale = false; // 登録済みの取引との照合が必要かどうか
+    }
+
+    /**
+     * 説明を正規化（空白の連続は1つにまとめる）
+     * @param {string} description - 説明
+     * @returns {string} 正規化した説明
+     */
+    static normalize(description) {
+        return FilterQuery.normalizeText(description).trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * 文字列のn-gramを取得（1文字の場合はその文字だけ）
+     * @param {string} text - 正規化した文字列
+     * @returns {Set<string>} n-gram
+     */
+    static getGrams(text) {
+        const chars = Array.from(text.replace(/\s/g, ''));
+        const size = CONSTANTS.SUGGESTION.NGRAM_SIZE;
+
+        if (chars.length <= size) {
+            return new Set(chars.length > 0 ? [chars.join('')] : []);
+        }
+
+        const grams = new Set();
+        for (let i = 0; i <= chars.length - size; i++) {
+            grams.add(chars.slice(i, i + size).join(''));
+        }
+        return grams;
+    }
+
+    /**
+     * 学習に使う項目をまとめた文字列（変更されたかどうかの判定に使う）
+     * @param {object} transaction - 取引
+     * @returns {string} 項目をつないだ文字列
+     */
+    static getSignature(transaction) {
+        return [
+            transaction.type,
+            transaction.categoryId,
+            transaction.amount,
+            transaction.description,
+            transaction.splits?.length || 0
+        ].join('\u0000');
+    }
+
+    /**
+     * 取引を学習（同じIDの取引を学習済みの場合は置き換える）
+     * 振替・分割した取引・説明のない取引は学習しない
+     * @param {object} transaction - 取引
+     */
+    add(transaction) {
+        this.remove(transaction.id);
+
+        const key = DescriptionSuggester.normalize(transaction.description);
+        const learnable = key
+            && transaction.categoryId
+            && transaction.type !== CONSTANTS.TRANSACTION_TYPES.TRANSFER
+            && !(transaction.splits?.length > 0);
+        const entry = { signature: DescriptionSuggester.getSignature(transaction), key: null };
+        this.entries.set(transaction.id, entry);
+
+        if (!learnable) return;
+
+        let learned = this.documents.get(key);
+        if (!learned) {
+            learned = { description: '', grams: DescriptionSuggester.getGrams(key), count: 0, categories: new Map() };
+            this.documents.set(key, learned);
+            learned.grams.forEach(gram => {
+                if (!this.index.has(gram)) this.index.set(gram, new Set());
+                this.index.get(gram).add(key);
+            });
+        }
+
+        const categoryKey = `${transaction.type}:${transaction.categoryId}`;
+        let category = learned.categories.get(categoryKey);
+        if (!category) {
+            category = { type: transaction.type, categoryId: transaction.categoryId, count: 0, amounts: new Map() };
+            learned.categories.set(categoryKey, category);
+        }
+
+        // 候補には最後に学習した表記の説明を表示する
+        learned.description = transaction.description.trim();
+        learned.count++;
+        category.count++;
+        category.amounts.set(transaction.amount, (category.amounts.get(transaction.amount) || 0) + 1);
+
+        Object.assign(entry, { key, categoryKey, amount: transaction.amount });
+    }
+
+    /**
+     * 学習した取引を取り除く
+     * @param {string} id - 取引ID
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.entries.delete(id);
+        if (!entry.key) return;
+
+        const learned = this.documents.get(entry.key);
+        const category = learned.categories.get(entry.categoryKey);
+        const amountCount = category.amounts.get(entry.amount) - 1;
+
+        if (amountCount > 0) {
+            category.amounts.set(entry.amount, amountCount);
+        } else {
+            category.amounts.delete(entry.amount);
+        }
+        if (--category.count === 0) {
+            learned.categories.delete(entry.categoryKey);
+        }
+        if (--learned.count === 0) {
+            this.documents.delete(entry.key);
+            learned.grams.forEach(gram => {
+                const keys = this.index.get(gram);
+                keys.delete(entry.key);
+                if (keys.size === 0) this.index.delete(gram);
+            });
+        }
+    }
+
+    /**
+     * 登録済みの取引と照合し、変更・削除された取引だけを学習し直す
+     * @param {Array<object>} transactions - 登録済みの取引
+     */
+    sync(transactions) {
+        const ids = new Set();
+
+        transactions.forEach(transaction => {
+            ids.add(transaction.id);
+            if (this.entries.get(transaction.id)?.signature !== DescriptionSuggester.getSignature(transaction)) {
+                this.add(transaction);
+            }
+        });
+
+        Array.from(this.entries.keys())
+            .filter(id => !ids.has(id))
+            .forEach(id => this.remove(id));
+
+        this.stale = false;
+    }
+
+    /**
+     * 登録済みの取引との照合が必要なことを記録（次に提案するときに照合する）
+     */
+    markStale() {
+        this.stale = true;
+    }
+
+    /**
+     * 入力中の説明に似た過去の説明と、そのカテゴリ・金額を提案
+     * @param {string} text - 入力中の説明
+     * @param {object} options - { type: 種別で絞り込む場合の種別, limit: 最大件数, isAvailable: カテゴリを提案できるか判定する関数 }
+     * @returns {Array<object>} { description, type, categoryId, amount, count, score } の配列（似ている順）
+     */
+    suggest(text, { type = '', limit = CONSTANTS.SUGGESTION.LIMIT, isAvailable = () => true } = {}) {
+        const query = DescriptionSuggester.normalize(text);
+        const grams = DescriptionSuggester.getGrams(query);
+        if (grams.size === 0) return [];
+
+        // 入力中の説明とn-gramを共有する説明ごとに、共有する数を数える
+        const shared = new Map();
+        grams.forEach(gram => {
+            this.index.get(gram)?.forEach(key => shared.set(key, (shared.get(key) || 0) + 1));
+        });
+
+        const suggestions = [];
+        shared.forEach((count, key) => {
+            const learned = this.documents.get(key);
+            // Dice係数で似ている度合いを求め、入力中の説明で始まる説明は優先する
+            const score = (2 * count) / (grams.size + learned.grams.size)
+                + (key.startsWith(query) ? CONSTANTS.SUGGESTION.PREFIX_BONUS : 0);
+            if (score < CONSTANTS.SUGGESTION.MIN_SCORE) return;
+
+            const category = this.getTopCategory(learned, type, isAvailable);
+            if (!category) return;
+
+            suggestions.push({
+                description: learned.description,
+                type: category.type,
+                categoryId: category.categoryId,
+                amount: this.getTopAmount(category),
+                count: category.count,
+                score
+            });
+        });
+
+        return suggestions
+            .sort((a, b) => b.score - a.score || b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * 説明で最もよく使われたカテゴリを取得
+     * @param {object} learned - 説明の学習内容
+     * @param {string} type - 種別で絞り込む場合の種別
+     * @param {Function} isAvailable - カテゴリを提案できるか判定する関数
+     * @returns {object|null} { type, categoryId, count, amounts }
+     */
+    getTopCategory(learned, type, isAvailable) {
+        let top = null;
+        learned.categories.forEach(category => {
+            if (type && category.type !== type) return;
+            if (!isAvailable(category.type, category.categoryId)) return;
+            if (!top || category.count > top.count) top = category;
+        });
+        return top;
+    }
+
+    /**
+     * カテゴリで最もよく使われた金額を取得（同じ回数の場合は先に学習した金額）
+     * @param {object} category - カテゴリの学習内容
+     * @returns {number} 金額
+     */
+    getTopAmount(category) {
+        let top = null;
+        let topCount = 0;
+        category.amounts.forEach((count, amount) => {
+            if (count > topCount) {
+                top = amount;
+                topCount = count;
+            }
+        });
+        return top;
+    }
+}
@@ -0,0 +1,124 @@
+// インポート時の重複取引検出ユーティリティ
+import { CONSTANTS } from '../constants.js';
+
+export class DuplicateDetector {
+    /**
+     * インポートする取引ごとに重複の可能性を判定
+     * 日付・種類・金額が一致し、説明文が似ている取引を重複候補とする
+     * @param {Array<object>} imported - インポートする取引
+     * @param {Array<object>} existing - 既存の取引
+     * @param {number} threshold - 説明文の類似度のしきい値（0〜1）
+     * @returns {Array<object>} - { transaction, duplicateOf, source, similarity } の配列
+     */
+    static annotate(imported, existing, threshold = CONSTANTS.IMPORT.DUPLICATE_SIMILARITY) {
+        const existingIndex = this.buildIndex(existing);
+        const importedIndex = new Map();
+
+        return imported.map(transaction => {
+            const key = this.getKey(transaction);
+
+            // 既存データとの重複
+            const existingMatch = this.findBestMatch(transaction, existingIndex.get(key), threshold);
+            if (existingMatch) {
+                return { transaction, duplicateOf: existingMatch.candidate, source: 'existing', similarity: existingMatch.similarity };
+            }
+
+            // 同じファイル内での重複
+            const importedMatch = this.findBestMatch(transaction, importedIndex.get(key), threshold);
+            if (!importedIndex.has(key)) importedIndex.set(key, []);
+            importedIndex.get(key).push(transaction);
+
+            if (importedMatch) {
+                return { transaction, duplicateOf: importedMatch.candidate, source: 'file', similarity: importedMatch.similarity };
+            }
+
+            return { transaction, duplicateOf: null, source: null, similarity: 0 };
+        });
+    }
+
+    /**
+     * 日付・種類・金額のキーで取引をまとめる
+     * @param {Array<object>} transactions - 取引
+     * @returns {Map<string, Array<object>>} - キーごとの取引
+     */
+    static buildIndex(transactions) {
+        const index = new Map();
+
+        transactions.forEach(transaction => {
+            const key = this.getKey(transaction);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(transaction);
+        });
+
+        return index;
+    }
+
+    /**
+     * 比較用のキーを取得
+     */
+    static getKey(transaction) {
+        return `${transaction.date}|${transaction.type}|${Math.round(transaction.amount)}`;
+    }
+
+    /**
+     * 候補の中から説明文が最も似ている取引を取得
+     * @returns {object|null} - { candidate, similarity }
+     */
+    static findBestMatch(transaction, candidates, threshold) {
+        if (!candidates || candidates.length === 0) return null;
+
+        let best = null;
+        candidates.forEach(candidate => {
+            const similarity = this.similarity(transaction.description, candidate.description);
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { candidate, similarity };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 説明文の類似度を計算（文字バイグラムのダイス係数）
+     * 全角・半角や空白の違いは無視する
+     * @param {string} a - 説明文
+     * @param {string} b - 説明文
+     * @returns {number} - 0〜1の類似度
+     */
+    static similarity(a, b) {
+        const left = this.normalize(a);
+        const right = this.normalize(b);
+
+        if (left === right) return 1;
+        if (left.length < 2 || right.length < 2) return 0;
+
+        const leftBigrams = this.bigrams(left);
+        const rightBigrams = this.bigrams(right);
+        let overlap = 0;
+
+        rightBigrams.forEach((count, bigram) => {
+            overlap += Math.min(count, leftBigrams.get(bigram) || 0);
+        });
+
+        return (2 * overlap) / (left.length - 1 + right.length - 1);
+    }
+
+    /**
+     * 比較用に文字列を正規化
+     */
+    static normalize(text) {
+        return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * 文字バイグラムの出現数を取得
+     */
+    static bigrams(text) {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const bigram = text.substring(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    }
+}
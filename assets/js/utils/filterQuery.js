@@ -0,0 +1,150 @@
+// 取引の絞り込み条件（検索語・期間・金額など）を扱うユーティリティ
+import { CONSTANTS } from '../constants.js';
+import { Sanitizer } from './sanitizer.js';
+
+/**
+ * 絞り込み条件は { type, categoryId, month, dateFrom, dateTo, amountMin, amountMax,
+ * accountId, payee, query, tags, tagMode } の形で保持する
+ * 空文字・null・空の配列はその条件で絞り込まないことを表す
+ */
+export class FilterQuery {
+    /**
+     * URLのハッシュで使うパラメーター名（条件の項目 → パラメーター名）
+     */
+    static HASH_KEYS = {
+        query: 'q',
+        type: 'type',
+        categoryId: 'category',
+        month: 'month',
+        dateFrom: 'from',
+        dateTo: 'to',
+        amountMin: 'min',
+        amountMax: 'max',
+        accountId: 'account',
+        payee: 'payee',
+        tags: 'tags',
+        tagMode: 'tagMode'
+    };
+
+    /**
+     * 何も絞り込まない条件を作成
+     * @returns {object} 絞り込み条件
+     */
+    static createDefault() {
+        return {
+            type: '',
+            categoryId: '',
+            month: '',
+            dateFrom: '',
+            dateTo: '',
+            amountMin: null,
+            amountMax: null,
+            accountId: '',
+            payee: '',
+            query: '',
+            tags: [],
+            tagMode: CONSTANTS.TAG_MATCH_MODES.ALL
+        };
+    }
+
+    /**
+     * 絞り込み条件を正規化（保存された条件やURLから読んだ条件の不正な値は取り除く）
+     * @param {object} filters - 絞り込み条件（一部の項目だけでもよい）
+     * @returns {object} 正規化した絞り込み条件（すべての項目を持つ）
+     */
+    static normalize(filters) {
+        const source = { ...this.createDefault(), ...(filters || {}) };
+        const toAmount = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            const amount = Number(value);
+            return Number.isFinite(amount) && amount >= 0 ? Math.round(amount) : null;
+        };
+
+        return {
+            type: Object.values(CONSTANTS.TRANSACTION_TYPES).includes(source.type) ? source.type : '',
+            categoryId: Sanitizer.sanitizeId(source.categoryId),
+            month: /^\d{4}-\d{2}$/.test(source.month) ? source.month : '',
+            dateFrom: Sanitizer.sanitizeDate(source.dateFrom),
+            dateTo: Sanitizer.sanitizeDate(source.dateTo),
+            amountMin: toAmount(source.amountMin),
+            amountMax: toAmount(source.amountMax),
+            accountId: Sanitizer.sanitizeId(source.accountId),
+            payee: Sanitizer.sanitizePayee(typeof source.payee === 'string' ? source.payee : ''),
+            query: Sanitizer.sanitizeDescription(typeof source.query === 'string' ? source.query : ''),
+            tags: Sanitizer.validateTags(source.tags).tags,
+            tagMode: Object.values(CONSTANTS.TAG_MATCH_MODES).includes(source.tagMode)
+                ? source.tagMode
+                : CONSTANTS.TAG_MATCH_MODES.ALL
+        };
+    }
+
+    /**
+     * 既定値から変更されている条件の項目を取得
+     * @param {object} filters - 正規化済みの絞り込み条件
+     * @returns {Array<string>} 項目名（タグの条件はタグを指定している場合だけ数える）
+     */
+    static getActiveKeys(filters) {
+        const defaults = this.createDefault();
+
+        return Object.keys(defaults).filter(key => {
+            if (key === 'tags') return filters.tags.length > 0;
+            if (key === 'tagMode') return filters.tags.length > 0 && filters.tagMode !== defaults.tagMode;
+            return filters[key] !== defaults[key];
+        });
+    }
+
+    /**
+     * 絞り込み条件をURLのハッシュ（先頭の#は除く）に変換（既定値の項目は含めない）
+     * @param {object} filters - 絞り込み条件
+     * @returns {string} "type=expense&q=ランチ" 形式（条件がない場合は空文字）
+     */
+    static toHash(filters) {
+        const normalized = this.normalize(filters);
+        const params = new URLSearchParams();
+
+        this.getActiveKeys(normalized).forEach(key => {
+            const value = key === 'tags' ? normalized.tags.join(',') : String(normalized[key]);
+            params.set(this.HASH_KEYS[key], value);
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * URLのハッシュから絞り込み条件を読み取る
+     * @param {string} hash - location.hash（先頭の#はあってもなくてもよい）
+     * @returns {object|null} 正規化した絞り込み条件（条件のパラメーターがない場合はnull）
+     */
+    static fromHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const entries = Object.entries(this.HASH_KEYS).filter(([, param]) => params.has(param));
+        if (entries.length === 0) {
+            return null;
+        }
+
+        const filters = {};
+        entries.forEach(([key, param]) => {
+            filters[key] = key === 'tags' ? params.get(param).split(',') : params.get(param);
+        });
+
+        return this.normalize(filters);
+    }
+
+    /**
+     * 検索用に文字列を正規化（全角・半角と大文字・小文字の違いを無視する）
+     * @param {string} text - 文字列
+     * @returns {string} 正規化した文字列
+     */
+    static normalizeText(text) {
+        return String(text || '').normalize('NFKC').toLowerCase();
+    }
+
+    /**
+     * 検索語を空白で区切って正規化
+     * @param {string} query - 検索語
+     * @returns {Array<string>} 正規化した検索語
+     */
+    static splitTerms(query) {
+        return this.normalizeText(query).split(/\s+/).filter(Boolean);
+    }
+}
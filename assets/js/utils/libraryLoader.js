@@ -0,0 +1,72 @@
+// 外部ライブラリ（assets/vendor に同梱したChart.js・SheetJS）の遅延読み込みユーティリティ
+import { VENDOR_LIBRARIES } from '../constants.js';
+
+/**
+ * 同梱したライブラリを使う直前に<script>で読み込む
+ * integrity（SRI）を必ず付けるので、ファイルが差し替えられていた場合は読み込まない
+ */
+export class LibraryLoader {
+    /**
+     * ライブラリ名 → 読み込み中・読み込み済みのPromise
+     */
+    static loading = new Map();
+
+    /**
+     * ライブラリを読み込む（読み込み済みの場合はすぐに返す）
+     * @param {string} name - VENDOR_LIBRARIES のキー（'CHART'・'XLSX'）
+     * @returns {Promise<object>} ライブラリのグローバルオブジェクト
+     */
+    static load(name) {
+        const library = VENDOR_LIBRARIES[name];
+        if (!library) {
+            return Promise.reject(new Error(`不明なライブラリです: ${name}`));
+        }
+        if (window[library.global]) {
+            return Promise.resolve(window[library.global]);
+        }
+        if (!this.loading.has(name)) {
+            const promise = this.injectScript(library).catch(error => {
+                // 失敗した場合は次に使うときに読み込み直す
+                this.loading.delete(name);
+                throw error;
+            });
+            this.loading.set(name, promise);
+        }
+        return this.loading.get(name);
+    }
+
+    /**
+     * <script>を追加して読み込みを待つ
+     * @param {object} library - VENDOR_LIBRARIES の定義
+     * @returns {Promise<object>} ライブラリのグローバルオブジェクト
+     */
+    static injectScript(library) {
+        return new Promise((resolve, reject) => {
+            if (!library.integrity) {
+                reject(new Error(`${library.label}の整合性ハッシュ（integrity）が設定されていません`));
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = library.src;
+            script.integrity = library.integrity;
+            script.crossOrigin = 'anonymous';
+            script.async = true;
+
+            script.addEventListener('load', () => {
+                if (window[library.global]) {
+                    resolve(window[library.global]);
+                } else {
+                    reject(new Error(`${library.label}ライブラリが読み込まれていません`));
+                }
+            });
+            // ファイルがない場合と、integrityが一致しない場合
+            script.addEventListener('error', () => {
+                script.remove();
+                reject(new Error(`${library.label}ライブラリの読み込みに失敗しました`));
+            });
+
+            document.head.appendChild(script);
+        });
+    }
+}
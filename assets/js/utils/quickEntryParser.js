@@ -0,0 +1,99 @@
+// クイック入力（「昨日 ランチ 980円 食費」のような1行の入力）の解析ユーティリティ
+import { CONSTANTS } from '../constants.js';
+import { DateParser } from './dateParser.js';
+import { FilterQuery } from './filterQuery.js';
+
+/**
+ * 入力を空白で区切り、語ごとに日付・金額・種別・カテゴリ・口座のどれに当たるかを判定する
+ * どれにも当たらない語は説明としてつなげる
+ */
+export class QuickEntryParser {
+    /**
+     * 種別を表す語
+     */
+    static TYPE_WORDS = {
+        '収入': CONSTANTS.TRANSACTION_TYPES.INCOME,
+        '支出': CONSTANTS.TRANSACTION_TYPES.EXPENSE
+    };
+
+    /**
+     * 金額を表す語（¥980・980円・1,200 など）
+     */
+    static AMOUNT_PATTERN = /^[¥\\]?(\d{1,3}(?:,\d{3})+|\d+)円?$/;
+
+    /**
+     * 1行の入力を解析
+     * @param {string} text - 入力
+     * @param {object} options - { categories: 種別 → カテゴリの配列, accounts: 口座の配列, baseDate: 相対的な日付の基準日 }
+     * @returns {object} { date, type, categoryId, amount, accountId, description }
+     *   読み取れなかった項目は空文字（金額はnull）。種別はカテゴリから決まらない場合は空文字
+     */
+    static parse(text, { categories = {}, accounts = [], baseDate = new Date() } = {}) {
+        const result = { date: '', type: '', categoryId: '', amount: null, accountId: '', description: '' };
+        const descriptionWords = [];
+        let categoryMatches = [];
+
+        String(text || '').normalize('NFKC').split(/\s+/).filter(Boolean).forEach(word => {
+            if (!result.date) {
+                const date = DateParser.parseNaturalDate(word, baseDate);
+                if (date) {
+                    result.date = date;
+                    return;
+                }
+            }
+
+            const amountMatch = result.amount === null && word.match(this.AMOUNT_PATTERN);
+            if (amountMatch) {
+                result.amount = Number(amountMatch[1].replace(/,/g, ''));
+                return;
+            }
+
+            if (!result.type && word in this.TYPE_WORDS) {
+                result.type = this.TYPE_WORDS[word];
+                return;
+            }
+
+            if (categoryMatches.length === 0) {
+                categoryMatches = this.findCategories(categories, word);
+                if (categoryMatches.length > 0) return;
+            }
+
+            if (!result.accountId) {
+                const account = accounts.find(a => FilterQuery.normalizeText(a.name) === FilterQuery.normalizeText(word));
+                if (account) {
+                    result.accountId = account.id;
+                    return;
+                }
+            }
+
+            descriptionWords.push(word);
+        });
+
+        // 収入と支出に同じ名前のカテゴリがある場合は、種別を指定した方（指定がなければ支出）を使う
+        const category = categoryMatches.find(c => c.type === (result.type || CONSTANTS.TRANSACTION_TYPES.EXPENSE))
+            || (!result.type && categoryMatches[0]);
+        if (category) {
+            result.type = category.type;
+            result.categoryId = category.id;
+        }
+
+        result.description = descriptionWords.join(' ');
+        return result;
+    }
+
+    /**
+     * 名前が一致するカテゴリを探す（全角・半角と大文字・小文字は区別しない）
+     * @param {object} categories - 種別 → カテゴリの配列
+     * @param {string} word - 語
+     * @returns {Array<object>} { type, id } の配列
+     */
+    static findCategories(categories, word) {
+        const name = FilterQuery.normalizeText(word);
+
+        return [CONSTANTS.TRANSACTION_TYPES.EXPENSE, CONSTANTS.TRANSACTION_TYPES.INCOME].flatMap(type =>
+            (categories[type] || [])
+                .filter(category => FilterQuery.normalizeText(category.name) === name)
+                .map(category => ({ type, id: category.id }))
+        );
+    }
+}
@@ -0,0 +1,147 @@
+// 定期取引の発生日計算ユーティリティ
+import { CONSTANTS } from '../constants.js';
+import { DateParser } from './dateParser.js';
+
+export class RecurrenceCalculator {
+    /**
+     * 頻度の表示名
+     */
+    static FREQUENCY_LABELS = {
+        [CONSTANTS.RECURRENCE_FREQUENCIES.MONTHLY]: '毎月',
+        [CONSTANTS.RECURRENCE_FREQUENCIES.WEEKLY]: '毎週',
+        [CONSTANTS.RECURRENCE_FREQUENCIES.YEARLY]: '毎年',
+        [CONSTANTS.RECURRENCE_FREQUENCIES.LAST_BUSINESS_DAY]: '毎月最終営業日'
+    };
+
+    /**
+     * 指定日までに発生する未生成の日付を取得
+     * @param {object} rule - 定期取引ルール
+     * @param {string} untilDate - この日まで（YYYY-MM-DD、この日を含む）
+     * @returns {Array<string>} - YYYY-MM-DD形式の日付配列
+     */
+    static getPendingOccurrences(rule, untilDate) {
+        const endDate = rule.endDate && rule.endDate < untilDate ? rule.endDate : untilDate;
+        const skipped = new Set(rule.skippedDates || []);
+        const occurrences = [];
+
+        for (const date of this.iterate(rule)) {
+            if (date > endDate) break;
+            if (rule.lastGeneratedDate && date <= rule.lastGeneratedDate) continue;
+            if (skipped.has(date)) continue;
+            occurrences.push(date);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * 指定日より後の次回発生日を取得（スキップ済みの日付は除く）
+     * @param {object} rule - 定期取引ルール
+     * @param {string} afterDate - 基準日（YYYY-MM-DD、この日を含まない）
+     * @returns {string|null} - 次回発生日（終了済みの場合はnull）
+     */
+    static getNextOccurrence(rule, afterDate) {
+        const skipped = new Set(rule.skippedDates || []);
+        const from = rule.lastGeneratedDate && rule.lastGeneratedDate > afterDate
+            ? rule.lastGeneratedDate
+            : afterDate;
+
+        for (const date of this.iterate(rule)) {
+            if (rule.endDate && date > rule.endDate) return null;
+            if (date <= from || skipped.has(date)) continue;
+            return date;
+        }
+
+        return null;
+    }
+
+    /**
+     * 開始日から順に発生日を列挙するジェネレーター
+     * 終了日の判定は呼び出し側で行う
+     * @param {object} rule - 定期取引ルール
+     * @returns {Generator<string>} - YYYY-MM-DD形式の日付
+     */
+    static *iterate(rule) {
+        const [startYear, startMonth, startDay] = rule.startDate.split('-').map(Number);
+        const start = new Date(startYear, startMonth - 1, startDay);
+        const maxYear = CONSTANTS.VALIDATION.MAX_YEAR;
+
+        for (let i = 0; ; i++) {
+            let date;
+
+            switch (rule.frequency) {
+                case CONSTANTS.RECURRENCE_FREQUENCIES.WEEKLY:
+                    date = new Date(startYear, startMonth - 1, startDay + i * 7);
+                    break;
+                case CONSTANTS.RECURRENCE_FREQUENCIES.YEARLY:
+                    date = this.clampedDate(startYear + i, startMonth - 1, startDay);
+                    break;
+                case CONSTANTS.RECURRENCE_FREQUENCIES.LAST_BUSINESS_DAY:
+                    date = this.lastBusinessDayOfMonth(startYear, startMonth - 1 + i);
+                    if (date < start) continue;
+                    break;
+                case CONSTANTS.RECURRENCE_FREQUENCIES.MONTHLY:
+                default:
+                    date = this.clampedDate(startYear, startMonth - 1 + i, startDay);
+                    break;
+            }
+
+            if (date.getFullYear() > maxYear) return;
+
+            yield DateParser.formatToISO(date);
+        }
+    }
+
+    /**
+     * 月末を超える日は月末日に丸めた日付を作成（例: 31日 → 2月28日）
+     * @param {number} year - 年
+     * @param {number} monthIndex - 月（0始まり、12以上は翌年に繰り越し）
+     * @param {number} day - 日
+     * @returns {Date} - Dateオブジェクト
+     */
+    static clampedDate(year, monthIndex, day) {
+        const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+        return new Date(year, monthIndex, Math.min(day, lastDay));
+    }
+
+    /**
+     * 月の最終営業日（土日を除く）を取得
+     * @param {number} year - 年
+     * @param {number} monthIndex - 月（0始まり、12以上は翌年に繰り越し）
+     * @returns {Date} - Dateオブジェクト
+     */
+    static lastBusinessDayOfMonth(year, monthIndex) {
+        const date = new Date(year, monthIndex + 1, 0);
+
+        while (date.getDay() === 0 || date.getDay() === 6) {
+            date.setDate(date.getDate() - 1);
+        }
+
+        return date;
+    }
+
+    /**
+     * ルールの頻度を説明する文字列を取得
+     * @param {object} rule - 定期取引ルール
+     * @returns {string} - 例: 「毎月25日」
+     */
+    static describe(rule) {
+        const label = this.FREQUENCY_LABELS[rule.frequency] || rule.frequency;
+        const [, month, day] = rule.startDate.split('-').map(Number);
+
+        switch (rule.frequency) {
+            case CONSTANTS.RECURRENCE_FREQUENCIES.MONTHLY:
+                return `${label}${day}日`;
+            case CONSTANTS.RECURRENCE_FREQUENCIES.YEARLY:
+                return `${label}${month}月${day}日`;
+            case CONSTANTS.RECURRENCE_FREQUENCIES.WEEKLY: {
+                const weekday = ['日', '月', '火', '水', '木', '金', '土'][
+                    new Date(rule.startDate.replace(/-/g, '/')).getDay()
+                ];
+                return `${label}${weekday}曜日`;
+            }
+            default:
+                return label;
+        }
+    }
+}
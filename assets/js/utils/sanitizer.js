@@ -1,5 +1,5 @@
 // 入力値サニタイゼーション機能
-import { CONSTANTS } from '../constants.js';
+import { CONSTANTS, UTILS } from '../constants.js';
 
 export class Sanitizer {
     /**
@@ -44,6 +44,24 @@ export class Sanitizer {
         return sanitized.trim();
     }
 
+    /**
+     * 支払先・入金元をサニタイズ
+     * @param {string} payee - 支払先・入金元
+     * @returns {string} - サニタイズされた支払先・入金元
+     */
+    static sanitizePayee(payee) {
+        if (!payee) return '';
+        
+        let sanitized = this.sanitizeHTML(String(payee)).trim();
+        
+        // 長さ制限
+        if (sanitized.length > CONSTANTS.VALIDATION.MAX_PAYEE_LENGTH) {
+            sanitized = sanitized.substring(0, CONSTANTS.VALIDATION.MAX_PAYEE_LENGTH);
+        }
+        
+        return sanitized.trim();
+    }
+
     /**
      * カテゴリ名をサニタイズ
      * @param {string} category - カテゴリ名
@@ -65,6 +83,134 @@ export class Sanitizer {
         return sanitized.trim();
     }
 
+    /**
+     * 表示色をサニタイズ（#rrggbb形式のみ許可）
+     * @param {string} color - 色
+     * @returns {string} - 小文字にした色（不正な場合は空文字）
+     */
+    static sanitizeColor(color) {
+        if (typeof color !== 'string') return '';
+        
+        const trimmed = color.trim();
+        return /^#[0-9a-f]{6}$/i.test(trimmed) ? trimmed.toLowerCase() : '';
+    }
+
+    /**
+     * アイコン（絵文字）をサニタイズ
+     * @param {string} icon - アイコン
+     * @returns {string} - サニタイズされたアイコン（不正な場合は空文字）
+     */
+    static sanitizeIcon(icon) {
+        if (typeof icon !== 'string') return '';
+        
+        // HTMLとして解釈される文字と空白を除去し、異体字セレクタなどを含めて8コードポイントまで
+        const sanitized = icon.replace(/[<>&"'`\s]/g, '');
+        return [...sanitized].length <= 8 ? sanitized : '';
+    }
+
+    /**
+     * タグをサニタイズ
+     * @param {string} tag - タグ
+     * @returns {string} - サニタイズされたタグ（先頭の「#」と区切り文字は除く）
+     */
+    static sanitizeTag(tag) {
+        if (typeof tag !== 'string') return '';
+        
+        return this.sanitizeHTML(tag)
+            .replace(/[<>&"'`,、\s]/g, '')
+            .replace(/^[#＃]+/, '');
+    }
+
+    /**
+     * 入力欄の文字列をタグの配列に分割（カンマ・読点・空白区切り）
+     * @param {string} input - 入力された文字列
+     * @returns {Array<string>} - タグ（サニタイズ前）
+     */
+    static splitTags(input) {
+        if (typeof input !== 'string') return [];
+        
+        return input.split(/[,、\s]+/).filter(Boolean);
+    }
+
+    /**
+     * タグの一覧を検証してサニタイズ
+     * @param {Array<string>|string} tags - タグの配列または区切り文字で区切った文字列
+     * @returns {object} - {tags: array, errors: array}
+     */
+    static validateTags(tags) {
+        if (tags === undefined || tags === null || tags === '') {
+            return { tags: [], errors: [] };
+        }
+        
+        const list = typeof tags === 'string' ? this.splitTags(tags) : tags;
+        if (!Array.isArray(list)) {
+            return { tags: [], errors: ['タグの形式が正しくありません'] };
+        }
+        
+        const errors = [];
+        const sanitized = [];
+        list.forEach(tag => {
+            const value = this.sanitizeTag(tag);
+            if (!value || sanitized.includes(value)) return;
+            
+            if ([...value].length > CONSTANTS.VALIDATION.MAX_TAG_LENGTH) {
+                errors.push(`タグ「${value}」は${CONSTANTS.VALIDATION.MAX_TAG_LENGTH}文字以内で入力してください`);
+            } else {
+                sanitized.push(value);
+            }
+        });
+        
+        if (sanitized.length > CONSTANTS.VALIDATION.MAX_TAGS) {
+            errors.push(`タグは${CONSTANTS.VALIDATION.MAX_TAGS}個まで設定できます`);
+        }
+        
+        return { tags: sanitized, errors };
+    }
+
+    /**
+     * 取引の分割（カテゴリ別の内訳）を検証してサニタイズ
+     * 分割する場合は2行以上とし、各行の金額の合計は取引の金額と一致しなければならない
+     * @param {Array<object>} splits - { categoryId, amount, memo } の配列
+     * @param {number} total - 取引の金額
+     * @returns {object} - {splits: array, errors: array}（分割しない場合は空の配列）
+     */
+    static validateSplits(splits, total) {
+        if (splits === undefined || splits === null || (Array.isArray(splits) && splits.length === 0)) {
+            return { splits: [], errors: [] };
+        }
+        if (!Array.isArray(splits)) {
+            return { splits: [], errors: ['分割の形式が正しくありません'] };
+        }
+        if (splits.length < 2) {
+            return { splits: [], errors: ['分割する場合は2行以上入力してください'] };
+        }
+        if (splits.length > CONSTANTS.VALIDATION.MAX_SPLITS) {
+            return { splits: [], errors: [`分割は${CONSTANTS.VALIDATION.MAX_SPLITS}行まで入力できます`] };
+        }
+        
+        const errors = [];
+        const sanitized = splits.map((split, index) => {
+            const categoryId = this.sanitizeId(split?.categoryId);
+            const amount = this.sanitizeAmount(split?.amount);
+            
+            if (!categoryId) {
+                errors.push(`分割${index + 1}行目: カテゴリを選択してください`);
+            }
+            if (amount < CONSTANTS.VALIDATION.MIN_AMOUNT) {
+                errors.push(`分割${index + 1}行目: 金額は${CONSTANTS.VALIDATION.MIN_AMOUNT}円以上で入力してください`);
+            }
+            
+            return { categoryId, amount, memo: this.sanitizeDescription(split?.memo || '') };
+        });
+        
+        const sum = sanitized.reduce((total, split) => total + split.amount, 0);
+        if (errors.length === 0 && sum !== total) {
+            errors.push(`分割の金額の合計（${UTILS.formatCurrency(sum)}）が取引の金額（${UTILS.formatCurrency(total)}）と一致しません`);
+        }
+        
+        return { splits: errors.length === 0 ? sanitized : [], errors };
+    }
+
     /**
      * ファイル名をサニタイズ
      * @param {string} filename - ファイル名
@@ -86,6 +232,18 @@ export class Sanitizer {
         return sanitized;
     }
 
+    /**
+     * 参照用IDをサニタイズ（口座ID・ルールIDなど）
+     * @param {string} id - ID文字列
+     * @returns {string} - サニタイズされたID（不正な場合は空文字）
+     */
+    static sanitizeId(id) {
+        if (typeof id !== 'string') return '';
+        
+        const trimmed = id.trim();
+        return /^[\w-]{1,64}$/.test(trimmed) ? trimmed : '';
+    }
+
     /**
      * 数値をサニタイズ（金額用）
      * @param {string|number} amount - 金額
@@ -206,12 +364,23 @@ export class Sanitizer {
             sanitizedData.type = type;
         }
         
-        // カテゴリのサニタイズ
-        const sanitizedCategory = this.sanitizeCategory(transactionData.category);
-        if (!sanitizedCategory) {
-            errors.push('カテゴリを入力してください');
-        } else {
-            sanitizedData.category = sanitizedCategory;
+        // 口座（任意項目、未指定はデフォルト口座として扱う）
+        const accountId = this.sanitizeId(transactionData.accountId);
+        if (accountId) {
+            sanitizedData.accountId = accountId;
+        }
+        
+        if (type === CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            // 振替は振替元・振替先の口座が必須で、カテゴリを持たない
+            const toAccountId = this.sanitizeId(transactionData.toAccountId);
+            if (!accountId || !toAccountId) {
+                errors.push('振替元と振替先の口座を選択してください');
+            } else if (accountId === toAccountId) {
+                errors.push('振替元と振替先には別の口座を選択してください');
+            } else {
+                sanitizedData.toAccountId = toAccountId;
+            }
+            sanitizedData.categoryId = null;
         }
         
         // 金額のサニタイズとバリデーション
@@ -222,9 +391,224 @@ export class Sanitizer {
             sanitizedData.amount = sanitizedAmount;
         }
         
+        if (type !== CONSTANTS.TRANSACTION_TYPES.TRANSFER) {
+            // 分割（任意項目）。分割した取引のカテゴリは1行目のカテゴリとする
+            const splitValidation = this.validateSplits(transactionData.splits, sanitizedAmount);
+            errors.push(...splitValidation.errors);
+            if (splitValidation.splits.length > 0) {
+                sanitizedData.splits = splitValidation.splits;
+            }
+            
+            // カテゴリはIDで参照する（名前からの解決はデータマネージャーで行う）
+            const categoryId = splitValidation.splits.length > 0
+                ? splitValidation.splits[0].categoryId
+                : this.sanitizeId(transactionData.categoryId);
+            if (categoryId) {
+                sanitizedData.categoryId = categoryId;
+            } else if (splitValidation.errors.length === 0) {
+                // 分割の誤りはその内容を伝えれば足りるため、カテゴリ未選択のエラーは重ねない
+                errors.push('カテゴリを選択してください');
+            }
+        }
+        
         // 説明のサニタイズ（任意項目）
         sanitizedData.description = this.sanitizeDescription(transactionData.description || '');
         
+        // 支払先・入金元（任意項目）
+        sanitizedData.payee = this.sanitizePayee(transactionData.payee);
+        
+        // タグ（任意項目）
+        const tagValidation = this.validateTags(transactionData.tags);
+        errors.push(...tagValidation.errors);
+        sanitizedData.tags = tagValidation.tags;
+        
+        // 定期取引ルールID（任意項目）
+        const recurringRuleId = this.sanitizeId(transactionData.recurringRuleId);
+        if (recurringRuleId) {
+            sanitizedData.recurringRuleId = recurringRuleId;
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            sanitizedData,
+            errors
+        };
+    }
+
+    /**
+     * 定期取引ルールの検証とサニタイズ
+     * @param {object} ruleData - ルールデータ
+     * @returns {object} - {isValid: boolean, sanitizedData: object, errors: array}
+     */
+    static validateAndSanitizeRecurringRule(ruleData) {
+        // 取引部分は通常の取引と同じ検証を行う（開始日を日付として扱う）
+        const validation = this.validateAndSanitizeTransaction({
+            ...ruleData,
+            date: ruleData.startDate
+        });
+        const errors = [...validation.errors];
+        const { date: startDate, ...sanitizedData } = validation.sanitizedData;
+        
+        if (startDate) {
+            sanitizedData.startDate = startDate;
+        }
+        
+        // 頻度のバリデーション
+        if (!Object.values(CONSTANTS.RECURRENCE_FREQUENCIES).includes(ruleData.frequency)) {
+            errors.push('繰り返しの頻度を選択してください');
+        } else {
+            sanitizedData.frequency = ruleData.frequency;
+        }
+        
+        // 終了日（任意項目）
+        sanitizedData.endDate = null;
+        if (ruleData.endDate) {
+            const endDate = this.sanitizeDate(ruleData.endDate);
+            if (!endDate) {
+                errors.push('有効な終了日を入力してください');
+            } else if (startDate && endDate < startDate) {
+                errors.push('終了日は開始日以降の日付を入力してください');
+            } else {
+                sanitizedData.endDate = endDate;
+            }
+        }
+        
+        // ルール名（任意項目）
+        sanitizedData.name = this.sanitizeDescription(ruleData.name || '');
+        
+        return {
+            isValid: errors.length === 0,
+            sanitizedData,
+            errors
+        };
+    }
+
+    /**
+     * 自動分類ルールの条件を検証
+     * @param {Array<object>} conditions - { field, operator, value } の配列
+     * @returns {object} - {conditions: array, errors: array}
+     */
+    static validateRuleConditions(conditions) {
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            return { conditions: [], errors: ['条件を1つ以上入力してください'] };
+        }
+        if (conditions.length > CONSTANTS.VALIDATION.MAX_RULE_CONDITIONS) {
+            return { conditions: [], errors: [`条件は${CONSTANTS.VALIDATION.MAX_RULE_CONDITIONS}個まで設定できます`] };
+        }
+        
+        const { DESCRIPTION, AMOUNT, DAY } = CONSTANTS.RULE_CONDITION_FIELDS;
+        const errors = [];
+        const sanitized = conditions.map((condition, index) => {
+            const field = condition?.field;
+            const operator = condition?.operator;
+            const label = `条件${index + 1}`;
+            
+            if (!(CONSTANTS.RULE_FIELD_OPERATORS[field] || []).includes(operator)) {
+                errors.push(`${label}: 項目と比較方法を選択してください`);
+                return null;
+            }
+            
+            let value;
+            if (field === DESCRIPTION) {
+                value = this.sanitizeDescription(String(condition.value ?? ''));
+                if (!value) errors.push(`${label}: 説明に含まれる文字を入力してください`);
+            } else if (field === AMOUNT) {
+                value = Number(condition.value);
+                if (!Number.isInteger(value) || value < CONSTANTS.VALIDATION.MIN_AMOUNT || value > CONSTANTS.VALIDATION.MAX_AMOUNT) {
+                    errors.push(`${label}: 金額は${CONSTANTS.VALIDATION.MIN_AMOUNT}円以上の整数で入力してください`);
+                }
+            } else if (field === DAY) {
+                value = Number(condition.value);
+                if (!Number.isInteger(value) || value < 1 || value > 31) {
+                    errors.push(`${label}: 日は1〜31で入力してください`);
+                }
+            } else {
+                value = this.sanitizeId(condition.value);
+                if (!value) errors.push(`${label}: 口座を選択してください`);
+            }
+            
+            return { field, operator, value };
+        });
+        
+        return { conditions: errors.length === 0 ? sanitized : [], errors };
+    }
+
+    /**
+     * 自動分類ルールの検証とサニタイズ
+     * @param {object} ruleData - { name, type, categoryId, conditions: [{ field, operator, value }], enabled }
+     * @returns {object} - {isValid: boolean, sanitizedData: object, errors: array}
+     */
+    static validateAndSanitizeCategoryRule(ruleData) {
+        const errors = [];
+        const sanitizedData = {};
+        
+        // 種類のバリデーション（振替にはカテゴリがないため対象外）
+        const type = ruleData.type;
+        if (![CONSTANTS.TRANSACTION_TYPES.INCOME, CONSTANTS.TRANSACTION_TYPES.EXPENSE].includes(type)) {
+            errors.push('取引種類を選択してください');
+        } else {
+            sanitizedData.type = type;
+        }
+        
+        const categoryId = this.sanitizeId(ruleData.categoryId);
+        if (!categoryId) {
+            errors.push('カテゴリを選択してください');
+        } else {
+            sanitizedData.categoryId = categoryId;
+        }
+        
+        // 条件のバリデーション（すべての条件に一致した取引に適用する）
+        const conditionValidation = this.validateRuleConditions(ruleData.conditions);
+        errors.push(...conditionValidation.errors);
+        sanitizedData.conditions = conditionValidation.conditions;
+        
+        // ルール名（任意項目）
+        sanitizedData.name = this.sanitizeDescription(ruleData.name || '');
+        sanitizedData.enabled = ruleData.enabled !== false;
+        
+        return {
+            isValid: errors.length === 0,
+            sanitizedData,
+            errors
+        };
+    }
+
+    /**
+     * 取引テンプレートの検証とサニタイズ
+     * @param {object} templateData - テンプレートデータ
+     * @returns {object} - {isValid: boolean, sanitizedData: object, errors: array}
+     */
+    static validateAndSanitizeTemplate(templateData) {
+        // 金額は任意項目（使うときに入力する）。未入力の場合は最小額で取引部分を検証する
+        const hasAmount = templateData.amount !== null && templateData.amount !== undefined && templateData.amount !== '';
+        
+        // 取引部分は通常の取引と同じ検証を行う（日付は使うときに決めるため、今日の日付で検証する）
+        const validation = this.validateAndSanitizeTransaction({
+            type: templateData.type,
+            categoryId: templateData.categoryId,
+            amount: hasAmount ? templateData.amount : CONSTANTS.VALIDATION.MIN_AMOUNT,
+            description: templateData.description,
+            payee: templateData.payee,
+            accountId: templateData.accountId,
+            toAccountId: templateData.toAccountId,
+            tags: templateData.tags,
+            date: new Date().toISOString().split('T')[0]
+        });
+        const errors = [...validation.errors];
+        const { date, ...sanitizedData } = validation.sanitizedData;
+        
+        if (!hasAmount) {
+            sanitizedData.amount = null;
+        }
+        
+        // テンプレート名（ボタンに表示する）
+        const name = this.sanitizeDescription(templateData.name || '');
+        if (!name) {
+            errors.push('テンプレート名を入力してください');
+        } else {
+            sanitizedData.name = name;
+        }
+        
         return {
             isValid: errors.length === 0,
             sanitizedData,
@@ -1 +1,123 @@
-// Service Worker placeholder
+// Service Worker（オフライン対応とバージョン更新の管理）
+
+/**
+ * キャッシュのバージョン
+ * アプリのファイルを変更して公開するときは必ず上げる（上げると利用者に更新の通知が表示される）
+ */
+const CACHE_VERSION = 'v5';
+const CACHE_NAME = `household-budget-${CACHE_VERSION}`;
+
+/**
+ * インストール時にキャッシュするファイル（オフラインでも起動できるように、読み込むファイルをすべて含める）
+ * 新しいファイルを追加したときはここにも追加する
+ */
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './assets/icons/icon-192.png',
+    './assets/icons/icon-512.png',
+    './assets/icons/icon-maskable-512.png',
+    './assets/icons/apple-touch-icon.png',
+    './assets/css/main.css',
+    './assets/css/components.css',
+    './assets/css/responsive.css',
+    './assets/js/app.js',
+    './assets/js/constants.js',
+    './assets/js/utils/sanitizer.js',
+    './assets/js/utils/debounce.js',
+    './assets/js/utils/libraryLoader.js',
+    './assets/js/utils/dateParser.js',
+    './assets/js/utils/quickEntryParser.js',
+    './assets/js/utils/csvParser.js',
+    './assets/js/utils/duplicateDetector.js',
+    './assets/js/utils/categoryTree.js',
+    './assets/js/utils/backupDiff.js',
+    './assets/js/utils/filterQuery.js',
+    './assets/js/utils/recurrenceCalculator.js',
+    './assets/js/utils/categoryRuleMatcher.js',
+    './assets/js/utils/descriptionSuggester.js',
+    './assets/js/data/eventEmitter.js',
+    './assets/js/data/historyManager.js',
+    './assets/js/data/migrations.js',
+    './assets/js/data/encryptionManager.js',
+    './assets/js/data/indexedDBManager.js',
+    './assets/js/data/dataManager.js',
+    './assets/js/ui/modalManager.js',
+    './assets/js/ui/notificationManager.js',
+    './assets/js/ui/categoryManagerUI.js',
+    './assets/js/ui/recurringManagerUI.js',
+    './assets/js/ui/categoryRuleManagerUI.js',
+    './assets/js/ui/budgetManagerUI.js',
+    './assets/js/ui/accountManagerUI.js',
+    './assets/js/ui/backupManagerUI.js',
+    './assets/js/ui/csvImportWizardUI.js',
+    './assets/js/ui/importPreviewUI.js',
+    './assets/js/ui/tagAutocomplete.js',
+    './assets/js/ui/descriptionAutocomplete.js',
+    './assets/js/ui/tagReportUI.js',
+    './assets/js/ui/splitEditorUI.js',
+    './assets/js/ui/bulkEditUI.js',
+    './assets/js/ui/quickEntryUI.js',
+    './assets/js/ui/templateManagerUI.js',
+    './assets/js/ui/encryptionSettingsUI.js',
+    './assets/js/ui/lockScreenUI.js',
+    './assets/js/ui/backupPassphraseUI.js',
+    './assets/js/ui/transactionTableUI.js',
+    './assets/js/chart/chartManager.js',
+    './assets/js/chart/categoryChartManager.js',
+    './assets/js/file/encryptedBackupFormat.js',
+    './assets/js/file/fileHandler.js',
+    './assets/js/ui/uiManager.js',
+    './assets/vendor/chart.js/chart.umd.js',
+    './assets/vendor/xlsx/xlsx.full.min.js'
+];
+
+// インストール: アプリのファイルをまとめてキャッシュする（1つでも取得できなければインストールしない）
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+    // 新しいバージョンは、画面で「再読み込み」が選ばれるまで待機させる（SKIP_WAITINGを参照）
+});
+
+// 有効化: 古いバージョンのキャッシュを削除して、開いている画面をこのバージョンで制御する
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('household-budget-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 画面からのメッセージ
+self.addEventListener('message', (event) => {
+    // 更新の通知で「再読み込み」が選ばれたら、待機中の新しいバージョンに切り替える
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// 取得: キャッシュにあればキャッシュから返し、なければネットワークから取得する
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // ページの表示はURLのハッシュや検索条件に関係なくキャッシュしたindex.htmlを返す
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(response => response || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(response => response || fetch(request))
+    );
+});
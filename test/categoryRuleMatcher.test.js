@@ -0,0 +1,73 @@
+// 自動分類ルールの照合のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js が参照するブラウザのグローバル
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { CONSTANTS } = await import('../assets/js/constants.js');
+const { CategoryRuleMatcher } = await import('../assets/js/utils/categoryRuleMatcher.js');
+
+const transaction = {
+    date: '2025-03-25',
+    type: 'expense',
+    amount: 1200,
+    description: 'ｾﾌﾞﾝｲﾚﾌﾞﾝ 新宿店',
+    accountId: 'card'
+};
+
+const rule = (id, conditions, overrides = {}) => ({ id, type: 'expense', categoryId: `category-${id}`, conditions, ...overrides });
+
+test('説明の条件は全角・半角と大文字・小文字を区別しない', () => {
+    const matches = (operator, value, description = transaction.description) =>
+        CategoryRuleMatcher.matchesCondition({ field: 'description', operator, value }, { ...transaction, description });
+
+    assert.ok(matches('contains', 'セブンイレブン'));
+    assert.ok(matches('startsWith', 'セブン'));
+    assert.ok(!matches('startsWith', '新宿'));
+    assert.ok(matches('equals', 'amazon', 'AMAZON '));
+    assert.ok(!matches('equals', 'amazon', 'Amazon Prime'));
+});
+
+test('金額と日付の日の条件は数値で比較する', () => {
+    const matches = (field, operator, value) => CategoryRuleMatcher.matchesCondition({ field, operator, value }, transaction);
+
+    assert.ok(matches('amount', 'gte', 1200));
+    assert.ok(!matches('amount', 'gte', 1201));
+    assert.ok(matches('amount', 'lte', 1200));
+    assert.ok(matches('amount', 'equals', 1200));
+    assert.ok(matches('day', 'equals', 25));
+    assert.ok(matches('day', 'gte', 20));
+    assert.ok(!matches('day', 'lte', 24));
+});
+
+test('口座の条件は口座が未設定の取引をデフォルト口座として扱う', () => {
+    const condition = { field: 'accountId', operator: 'equals', value: CONSTANTS.DEFAULTS.ACCOUNT_ID };
+
+    assert.ok(!CategoryRuleMatcher.matchesCondition(condition, transaction));
+    assert.ok(CategoryRuleMatcher.matchesCondition(condition, { ...transaction, accountId: undefined }));
+});
+
+test('種類が同じで、すべての条件に一致するルールだけが一致する', () => {
+    const conditions = [
+        { field: 'description', operator: 'contains', value: 'セブン' },
+        { field: 'amount', operator: 'lte', value: 1000 }
+    ];
+
+    assert.ok(!CategoryRuleMatcher.matches(rule('a', conditions), transaction));
+    assert.ok(CategoryRuleMatcher.matches(rule('a', conditions), { ...transaction, amount: 800 }));
+    assert.ok(!CategoryRuleMatcher.matches(rule('a', conditions, { type: 'income' }), { ...transaction, amount: 800 }));
+    assert.ok(!CategoryRuleMatcher.matches(rule('a', []), transaction));
+});
+
+test('複数のルールに一致する場合は先頭のルールを使い、無効にしたルールは使わない', () => {
+    const rules = [
+        rule('disabled', [{ field: 'description', operator: 'contains', value: 'セブン' }], { enabled: false }),
+        rule('first', [{ field: 'day', operator: 'equals', value: 25 }]),
+        rule('second', [{ field: 'description', operator: 'contains', value: 'セブン' }])
+    ];
+
+    assert.equal(CategoryRuleMatcher.findMatch(rules, transaction).id, 'first');
+    assert.equal(CategoryRuleMatcher.findMatch(rules.slice(2), transaction).id, 'second');
+    assert.equal(CategoryRuleMatcher.findMatch(rules, { ...transaction, date: '2025-03-24', description: 'ローソン' }), null);
+});
@@ -0,0 +1,227 @@
+// データマネージャーのテスト（fake-indexeddbで実行する）
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js と IndexedDBManager が参照するブラウザのグローバル
+globalThis.window = globalThis;
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+
+const { HouseholdBudgetData } = await import('../assets/js/data/dataManager.js');
+const { DateParser } = await import('../assets/js/utils/dateParser.js');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+/**
+ * 指定したデータベースを使うデータマネージャーを作成して初期化
+ * @param {string} name - データベース名
+ * @returns {Promise<HouseholdBudgetData>}
+ */
+async function createDataManager(name) {
+    const dataManager = new HouseholdBudgetData();
+    dataManager.dbManager.dbName = name;
+    await dataManager.init();
+    return dataManager;
+}
+
+/**
+ * 基準日から指定した日数ずらした日付
+ * @param {number} days - 日数
+ * @returns {string} YYYY-MM-DD
+ */
+function daysFromToday(days) {
+    const now = new Date();
+    return DateParser.formatToISO(new Date(now.getFullYear(), now.getMonth(), now.getDate() + days));
+}
+
+test('置き換えのインポートは有効な行がなければ登録済みの取引を変更しない', async () => {
+    const dataManager = await createDataManager('replace-invalid');
+    const food = dataManager.categories.expense[0];
+
+    try {
+        await dataManager.addTransaction({ date: '2025-03-01', type: 'expense', categoryId: food.id, amount: 980, description: '残す' });
+        const backupsBefore = (await dataManager.dbManager.getAllBackups()).length;
+
+        await assert.rejects(
+            dataManager.importTransactions([{ date: '日付ではない', type: 'expense', category: food.name, amount: -1 }], { mode: 'replace' }),
+            /有効なトランザクションがありません/
+        );
+
+        assert.deepEqual(dataManager.transactions.map(t => t.description), ['残す']);
+        assert.deepEqual((await dataManager.dbManager.getAllTransactions()).map(t => t.description), ['残す']);
+        assert.equal((await dataManager.dbManager.getAllBackups()).length, backupsBefore);
+    } finally {
+        dataManager.destroy();
+    }
+});
+
+test('置き換えのインポートは書き込みに失敗した場合にエラーにして取引を変更しない', async () => {
+    const dataManager = await createDataManager('replace-write-error');
+    const food = dataManager.categories.expense[0];
+
+    try {
+        await dataManager.addTransaction({ date: '2025-03-01', type: 'expense', categoryId: food.id, amount: 980, description: '残す' });
+        dataManager.dbManager.replaceTransactions = async () => {
+            throw new Error('書き込みエラー');
+        };
+
+        await assert.rejects(
+            dataManager.importTransactions([{ date: '2025-03-02', type: 'expense', category: food.name, amount: 500 }], { mode: 'replace' }),
+            { message: '書き込みエラー' }
+        );
+
+        assert.deepEqual(dataManager.transactions.map(t => t.description), ['残す']);
+        assert.deepEqual((await dataManager.dbManager.getAllTransactions()).map(t => t.description), ['残す']);
+    } finally {
+        dataManager.destroy();
+    }
+});
+
+test('置き換えのインポートは有効な行だけで取引を置き換える', async () => {
+    const dataManager = await createDataManager('replace-valid');
+    const food = dataManager.categories.expense[0];
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    try {
+        await dataManager.addTransaction({ date: '2025-03-01', type: 'expense', categoryId: food.id, amount: 980, description: '古い取引' });
+
+        const result = await dataManager.importTransactions([
+            { date: '2025-03-02', type: 'expense', category: food.name, amount: 500, description: '新しい取引' },
+            { date: '日付ではない', type: 'expense', category: food.name, amount: 500 }
+        ], { mode: 'replace' });
+
+        assert.equal(result.added.length, 1);
+        assert.equal(result.errors.length, 1);
+        assert.deepEqual(dataManager.transactions.map(t => t.description), ['新しい取引']);
+        assert.deepEqual((await dataManager.dbManager.getAllTransactions()).map(t => t.description), ['新しい取引']);
+    } finally {
+        console.warn = originalWarn;
+        dataManager.destroy();
+    }
+});
+
+test('一時停止した定期取引を発生日に再開するとその日の分は生成し、停止中の分は生成しない', async () => {
+    const dataManager = await createDataManager('recurring-resume');
+    const food = dataManager.categories.expense[0];
+
+    try {
+        // 今日が発生日の毎週のルールを、3週間前から停止していたものとして用意する
+        const rule = await dataManager.addRecurringRule({
+            type: 'expense', categoryId: food.id, amount: 1000, frequency: 'weekly', startDate: daysFromToday(7)
+        });
+        await dataManager.setRecurringRulePaused(rule.id, true);
+        await dataManager.updateRecurringRule(rule.id, { startDate: daysFromToday(-21), lastGeneratedDate: daysFromToday(-21) });
+
+        assert.equal(await dataManager.processRecurringRules(), 0);
+
+        await dataManager.setRecurringRulePaused(rule.id, false);
+        await dataManager.processRecurringRules();
+
+        const generated = dataManager.transactions.filter(t => t.recurringRuleId === rule.id).map(t => t.date);
+        assert.deepEqual(generated, [daysFromToday(0)]);
+    } finally {
+        dataManager.destroy();
+    }
+});
+
+test('カテゴリの削除を元に戻すと自動分類ルール・テンプレート・そのカテゴリの予算だけが戻る', async () => {
+    const dataManager = await createDataManager('remove-category-undo');
+    const other = dataManager.categories.expense[0];
+
+    try {
+        const category = dataManager.addCategory('expense', '削除するカテゴリ');
+        dataManager.setBudget(category.id, 5000);
+        dataManager.addCategoryRule({
+            type: 'expense',
+            categoryId: category.id,
+            conditions: [{ field: 'description', operator: 'contains', value: '本' }]
+        });
+        dataManager.addTransactionTemplate({ name: '本', type: 'expense', categoryId: category.id, amount: 1500 });
+
+        await dataManager.removeCategory('expense', category.id);
+        assert.equal(dataManager.categoryRules.length, 0);
+        assert.equal(dataManager.transactionTemplates[0].categoryId, null);
+
+        // 削除した後に設定した他のカテゴリの予算は、元に戻しても変わらない
+        dataManager.setBudget(other.id, 30000);
+        await dataManager.history.undo();
+
+        assert.ok(dataManager.getCategoryById('expense', category.id));
+        assert.equal(dataManager.budgets[category.id], 5000);
+        assert.equal(dataManager.budgets[other.id], 30000);
+        assert.deepEqual(dataManager.categoryRules.map(rule => rule.categoryId), [category.id]);
+        assert.equal(dataManager.transactionTemplates[0].categoryId, category.id);
+
+        await dataManager.history.redo();
+        assert.equal(dataManager.categoryRules.length, 0);
+        assert.equal(dataManager.transactionTemplates[0].categoryId, null);
+        assert.equal(dataManager.budgets[category.id], undefined);
+        assert.equal(dataManager.budgets[other.id], 30000);
+    } finally {
+        dataManager.destroy();
+    }
+});
+
+test('定期取引ルールやテンプレートで使用中の口座は削除できない', async () => {
+    const dataManager = await createDataManager('remove-account');
+    const food = dataManager.categories.expense[0];
+
+    try {
+        const account = await dataManager.addAccount({ name: '財布', type: 'cash', initialBalance: 0 });
+        const rule = await dataManager.addRecurringRule({
+            type: 'expense', categoryId: food.id, amount: 1000, frequency: 'monthly', startDate: daysFromToday(30), accountId: account.id
+        });
+        await assert.rejects(dataManager.removeAccount(account.id), /定期取引ルールで使用されています/);
+
+        await dataManager.removeRecurringRule(rule.id);
+        dataManager.addTransactionTemplate({ name: '昼食', type: 'expense', categoryId: food.id, accountId: account.id });
+        await assert.rejects(dataManager.removeAccount(account.id), /取引テンプレートで使用されています/);
+
+        dataManager.transactionTemplates = [];
+        await dataManager.removeAccount(account.id);
+        assert.equal(dataManager.getAccount(account.id), undefined);
+    } finally {
+        dataManager.destroy();
+    }
+});
+
+test('定期取引の生成中にロックした場合は生成が終わってからロックし、ロック解除後に重複しない', async () => {
+    const dataManager = await createDataManager('lock-during-recurring');
+    const food = dataManager.categories.expense[0];
+
+    try {
+        await dataManager.enableEncryption(PASSPHRASE, 0);
+        const rule = await dataManager.addRecurringRule({
+            type: 'expense', categoryId: food.id, amount: 1000, frequency: 'weekly', startDate: daysFromToday(7)
+        });
+        await dataManager.updateRecurringRule(rule.id, { startDate: daysFromToday(-70) });
+
+        let changedWhileLocked = false;
+        dataManager.on('dataChanged', () => {
+            if (dataManager.isLocked && dataManager.transactions.length > 0) changedWhileLocked = true;
+        });
+
+        const generating = dataManager.processRecurringRules();
+        await dataManager.lock();
+        const count = await generating;
+
+        assert.equal(count, 11);
+        assert.ok(dataManager.isLocked);
+        assert.equal(dataManager.transactions.length, 0);
+        assert.ok(!changedWhileLocked);
+
+        await dataManager.unlock(PASSPHRASE);
+        const dates = dataManager.transactions.filter(t => t.recurringRuleId === rule.id).map(t => t.date);
+        assert.equal(dates.length, count);
+        assert.equal(new Set(dates).size, count);
+    } finally {
+        dataManager.destroy();
+    }
+});
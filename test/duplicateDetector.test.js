@@ -0,0 +1,75 @@
+// インポート時の重複取引検出のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js が参照するブラウザのグローバル
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { DuplicateDetector } = await import('../assets/js/utils/duplicateDetector.js');
+
+const row = (description, overrides = {}) => ({
+    date: '2025-03-01',
+    type: 'expense',
+    amount: 980,
+    description,
+    ...overrides
+});
+
+test('説明文の類似度は全角・半角、大文字・小文字、空白の違いを無視する', () => {
+    assert.equal(DuplicateDetector.similarity('ＡＢＣ ストア', 'abcストア'), 1);
+    assert.equal(DuplicateDetector.similarity('', ''), 1);
+});
+
+test('説明文の類似度は文字バイグラムのダイス係数', () => {
+    // 「セブンイレブン」と「セブンイレブン新宿店」は6組のバイグラムが共通
+    assert.equal(DuplicateDetector.similarity('セブンイレブン', 'セブンイレブン新宿店'), (2 * 6) / (6 + 9));
+    assert.equal(DuplicateDetector.similarity('家賃', '電気代'), 0);
+    assert.equal(DuplicateDetector.similarity('a', 'ab'), 0);
+});
+
+test('日付・種類・金額が一致し説明文が似ている既存の取引を重複候補にする', () => {
+    const existing = [row('セブンイレブン新宿店'), row('スターバックス')];
+    const [result] = DuplicateDetector.annotate([row('セブンイレブン 新宿店')], existing);
+
+    assert.equal(result.source, 'existing');
+    assert.equal(result.duplicateOf, existing[0]);
+    assert.equal(result.similarity, 1);
+});
+
+test('日付・種類・金額のいずれかが違う取引や説明文が似ていない取引は重複候補にしない', () => {
+    const existing = [row('セブンイレブン')];
+    const results = DuplicateDetector.annotate([
+        row('セブンイレブン', { date: '2025-03-02' }),
+        row('セブンイレブン', { type: 'income' }),
+        row('セブンイレブン', { amount: 981 }),
+        row('ローソン')
+    ], existing);
+
+    results.forEach(result => {
+        assert.equal(result.duplicateOf, null);
+        assert.equal(result.source, null);
+    });
+});
+
+test('金額は円未満を四捨五入して比較する', () => {
+    const [result] = DuplicateDetector.annotate([row('ランチ', { amount: 980.4 })], [row('ランチ')]);
+
+    assert.equal(result.source, 'existing');
+});
+
+test('同じファイル内の重複は2件目以降を重複候補にする', () => {
+    const imported = [row('ランチ'), row('ランチ'), row('ランチ')];
+    const results = DuplicateDetector.annotate(imported, []);
+
+    assert.equal(results[0].duplicateOf, null);
+    assert.equal(results[1].source, 'file');
+    assert.equal(results[1].duplicateOf, imported[0]);
+    assert.equal(results[2].source, 'file');
+});
+
+test('しきい値を指定できる', () => {
+    const existing = [row('セブンイレブン新宿店')];
+
+    assert.equal(DuplicateDetector.annotate([row('セブンイレブン')], existing, 0.9)[0].duplicateOf, null);
+    assert.equal(DuplicateDetector.annotate([row('セブンイレブン')], existing, 0.5)[0].duplicateOf, existing[0]);
+});
@@ -0,0 +1,66 @@
+// パスフレーズ付きバックアップファイルの形式のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js が参照するブラウザのグローバル
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { CONSTANTS } = await import('../assets/js/constants.js');
+const { EncryptedBackupFormat } = await import('../assets/js/file/encryptedBackupFormat.js');
+
+const PASSPHRASE = 'correct horse battery staple';
+const DATA = {
+    version: '2.0.0',
+    transactions: [{ id: 't1', date: '2025-03-01', type: 'expense', amount: 980, description: 'ランチ', tags: ['外食'] }],
+    categories: { income: [], expense: [{ id: 'food', name: '食費' }] }
+};
+
+// 鍵の導出は時間がかかるため、暗号化したファイルはテスト間で使い回す
+const encrypted = await EncryptedBackupFormat.encrypt(DATA, PASSPHRASE);
+
+test('暗号化したファイルは同じパスフレーズで元に戻る', async () => {
+    assert.ok(EncryptedBackupFormat.isEncrypted(encrypted));
+    assert.equal(encrypted.version, EncryptedBackupFormat.VERSION);
+    assert.ok(!JSON.stringify(encrypted).includes('ランチ'));
+
+    // ファイルへの書き出しと読み込みを経ても復号できる
+    const file = JSON.parse(JSON.stringify(encrypted));
+    assert.deepEqual(await EncryptedBackupFormat.decrypt(file, PASSPHRASE), DATA);
+});
+
+test('パスフレーズが違う場合は復号できない', async () => {
+    await assert.rejects(
+        EncryptedBackupFormat.decrypt(encrypted, 'wrong passphrase'),
+        { message: CONSTANTS.ERROR_MESSAGES.BACKUP_WRONG_PASSPHRASE }
+    );
+});
+
+test('ヘッダーが書き換えられている場合は復号できない', async () => {
+    await assert.rejects(
+        EncryptedBackupFormat.decrypt({ ...encrypted, createdAt: '2000-01-01T00:00:00.000Z' }, PASSPHRASE),
+        { message: CONSTANTS.ERROR_MESSAGES.BACKUP_WRONG_PASSPHRASE }
+    );
+});
+
+test('形式が正しくないファイルや新しいバージョンのファイルは読み込まない', async () => {
+    assert.ok(!EncryptedBackupFormat.isEncrypted(DATA));
+    await assert.rejects(
+        EncryptedBackupFormat.decrypt(DATA, PASSPHRASE),
+        { message: CONSTANTS.ERROR_MESSAGES.BACKUP_FORMAT_INVALID }
+    );
+    await assert.rejects(
+        EncryptedBackupFormat.decrypt({ ...encrypted, version: EncryptedBackupFormat.VERSION + 1 }, PASSPHRASE),
+        { message: CONSTANTS.ERROR_MESSAGES.BACKUP_VERSION_UNSUPPORTED }
+    );
+    await assert.rejects(
+        EncryptedBackupFormat.decrypt({ ...encrypted, kdf: { ...encrypted.kdf, iterations: EncryptedBackupFormat.MAX_ITERATIONS + 1 } }, PASSPHRASE),
+        { message: CONSTANTS.ERROR_MESSAGES.BACKUP_FORMAT_INVALID }
+    );
+});
+
+test('短すぎるパスフレーズでは暗号化しない', async () => {
+    await assert.rejects(
+        EncryptedBackupFormat.encrypt(DATA, 'short'),
+        { message: CONSTANTS.ERROR_MESSAGES.PASSPHRASE_TOO_SHORT }
+    );
+});
@@ -0,0 +1,205 @@
+// IndexedDBスキーマのマイグレーションのテスト（fake-indexeddbで実行する）
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js と IndexedDBManager が参照するブラウザのグローバル
+globalThis.window = globalThis;
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { CONSTANTS } = await import('../assets/js/constants.js');
+const { IndexedDBManager } = await import('../assets/js/data/indexedDBManager.js');
+const { MIGRATIONS, rewriteRecords } = await import('../assets/js/data/migrations.js');
+
+const { STORES } = CONSTANTS.INDEXEDDB;
+
+const V1_TRANSACTIONS = [
+    { id: 't1', date: '2025-01-10', type: 'expense', category: '食費', amount: 1200, description: '昼食' },
+    { id: 't2', date: '2025-01-25', type: 'income', category: '給与', amount: 250000, description: '1月分' },
+    { id: 't3', date: '2025-02-03', type: 'expense', category: '書籍', amount: 1800, description: '一覧にないカテゴリ' }
+];
+
+const V1_SETTINGS = {
+    key: 'main',
+    categories: {
+        income: ['給与', 'その他収入'],
+        expense: ['食費', '交通費', 'その他支出']
+    },
+    budgets: { '食費': 30000 },
+    filters: { type: 'expense', category: '食費', month: '2025-01' }
+};
+
+const V1_BACKUP = { timestamp: '2025-01-31T00:00:00.000Z', version: '2.0.0', data: { transactions: V1_TRANSACTIONS } };
+
+/**
+ * マイグレーション導入前（バージョン1）のスキーマとデータでデータベースを作成
+ * @param {string} name - データベース名
+ * @returns {Promise<void>}
+ */
+function seedV1Database(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const transactionStore = db.createObjectStore(STORES.TRANSACTIONS, { keyPath: 'id' });
+            transactionStore.createIndex('date', 'date', { unique: false });
+            transactionStore.createIndex('type', 'type', { unique: false });
+            transactionStore.createIndex('category', 'category', { unique: false });
+            transactionStore.createIndex('amount', 'amount', { unique: false });
+            transactionStore.createIndex('dateType', ['date', 'type'], { unique: false });
+            db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+            db.createObjectStore(STORES.BACKUPS, { keyPath: 'id', autoIncrement: true })
+                .createIndex('timestamp', 'timestamp', { unique: false });
+
+            const tx = request.transaction;
+            V1_TRANSACTIONS.forEach(record => tx.objectStore(STORES.TRANSACTIONS).put(record));
+            tx.objectStore(STORES.SETTINGS).put(V1_SETTINGS);
+            tx.objectStore(STORES.BACKUPS).add(V1_BACKUP);
+        };
+
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * ストアのレコードをすべて取得
+ * @param {IDBDatabase} db - データベース
+ * @param {string} storeName - ストア名
+ * @returns {Promise<Array>}
+ */
+function getAll(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 指定したデータベースを開くIndexedDBManagerを作成
+ * @param {string} name - データベース名
+ * @returns {IndexedDBManager}
+ */
+function createManager(name) {
+    const manager = new IndexedDBManager();
+    manager.dbName = name;
+    return manager;
+}
+
+test('バージョン1のデータベースが最新バージョンに上がり、すべてのレコードが残る', async () => {
+    const name = 'migration-upgrade';
+    await seedV1Database(name);
+
+    const manager = createManager(name);
+    await manager.init();
+    const { db } = manager;
+
+    try {
+        assert.equal(db.version, CONSTANTS.INDEXEDDB.VERSION);
+        assert.deepEqual(
+            [...db.objectStoreNames].sort(),
+            Object.values(STORES).sort()
+        );
+
+        const indexNames = [...db.transaction(STORES.TRANSACTIONS).objectStore(STORES.TRANSACTIONS).indexNames];
+        assert.ok(indexNames.includes('accountId'));
+        assert.ok(indexNames.includes('categoryId'));
+        assert.ok(indexNames.includes('tags'));
+        assert.ok(!indexNames.includes('category'));
+
+        const settings = (await getAll(db, STORES.SETTINGS)).find(record => record.key === 'main');
+        const categoryId = (type, categoryName) => settings.categories[type].find(node => node.name === categoryName)?.id;
+
+        const transactions = await getAll(db, STORES.TRANSACTIONS);
+        assert.equal(transactions.length, V1_TRANSACTIONS.length);
+
+        V1_TRANSACTIONS.forEach(original => {
+            const migrated = transactions.find(record => record.id === original.id);
+            assert.ok(migrated, `${original.id} が残っている`);
+            assert.equal(migrated.date, original.date);
+            assert.equal(migrated.type, original.type);
+            assert.equal(migrated.amount, original.amount);
+            assert.equal(migrated.description, original.description);
+            assert.equal(migrated.accountId, CONSTANTS.DEFAULTS.ACCOUNT_ID);
+            assert.deepEqual(migrated.tags, []);
+            assert.equal(migrated.category, undefined);
+            assert.equal(migrated.categoryId, categoryId(original.type, original.category));
+        });
+
+        // 一覧になかったカテゴリは追加される
+        assert.ok(categoryId('expense', '書籍'));
+        assert.deepEqual(settings.budgets, { [categoryId('expense', '食費')]: 30000 });
+        assert.deepEqual(settings.filters, { type: 'expense', month: '2025-01', categoryId: '' });
+
+        const backups = await getAll(db, STORES.BACKUPS);
+        assert.equal(backups.length, 1);
+        assert.equal(backups[0].timestamp, V1_BACKUP.timestamp);
+        assert.deepEqual(backups[0].data, V1_BACKUP.data);
+    } finally {
+        db.close();
+    }
+});
+
+test('新規作成では最新バージョンのスキーマになる', async () => {
+    const manager = createManager('migration-fresh');
+    await manager.init();
+
+    try {
+        assert.equal(manager.db.version, CONSTANTS.INDEXEDDB.VERSION);
+        assert.deepEqual([...manager.db.objectStoreNames].sort(), Object.values(STORES).sort());
+    } finally {
+        manager.db.close();
+    }
+});
+
+test('レコードの書き換え中に失敗したマイグレーションはすべて取り消される', async () => {
+    const name = 'migration-rollback';
+    await seedV1Database(name);
+
+    const upgraded = createManager(name);
+    await upgraded.init();
+    const before = await getAll(upgraded.db, STORES.TRANSACTIONS);
+    upgraded.db.close();
+
+    const failing = {
+        version: CONSTANTS.INDEXEDDB.VERSION + 1,
+        description: 'テスト用: 2件目の書き換えで失敗する',
+        migrate(db, transaction, done) {
+            db.createObjectStore('shouldNotExist', { keyPath: 'id' });
+            let count = 0;
+            rewriteRecords(transaction, STORES.TRANSACTIONS, (record) => {
+                count++;
+                if (count === 2) throw new Error('migration failed');
+                return { ...record, description: 'changed' };
+            }, done);
+        }
+    };
+    MIGRATIONS.push(failing);
+
+    const originalConsoleError = console.error;
+    console.error = () => {};
+    try {
+        const manager = createManager(name);
+        manager.version = failing.version;
+        await assert.rejects(manager.init());
+    } finally {
+        console.error = originalConsoleError;
+        MIGRATIONS.splice(MIGRATIONS.indexOf(failing), 1);
+    }
+
+    const reopened = createManager(name);
+    await reopened.init();
+
+    try {
+        assert.equal(reopened.db.version, CONSTANTS.INDEXEDDB.VERSION);
+        assert.ok(!reopened.db.objectStoreNames.contains('shouldNotExist'));
+        assert.deepEqual(await getAll(reopened.db, STORES.TRANSACTIONS), before);
+    } finally {
+        reopened.db.close();
+    }
+});
@@ -0,0 +1,97 @@
+// 手入力の日付とクイック入力の解析のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js が参照するブラウザのグローバル
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { DateParser } = await import('../assets/js/utils/dateParser.js');
+const { QuickEntryParser } = await import('../assets/js/utils/quickEntryParser.js');
+
+// 2025-03-05（水曜日）
+const BASE_DATE = new Date(2025, 2, 5);
+
+const CATEGORIES = {
+    income: [{ id: 'salary', name: '給与' }, { id: 'other-income', name: 'その他' }],
+    expense: [{ id: 'food', name: '食費' }, { id: 'other-expense', name: 'その他' }]
+};
+const ACCOUNTS = [{ id: 'wallet', name: '財布' }];
+
+test('相対的な日付', () => {
+    const parse = (text) => DateParser.parseNaturalDate(text, BASE_DATE);
+
+    assert.equal(parse('今日'), '2025-03-05');
+    assert.equal(parse('昨日'), '2025-03-04');
+    assert.equal(parse('おととい'), '2025-03-03');
+    assert.equal(parse('明日'), '2025-03-06');
+    assert.equal(parse('3日前'), '2025-03-02');
+    assert.equal(parse('３日前'), '2025-03-02');
+    assert.equal(parse('10日後'), '2025-03-15');
+});
+
+test('曜日は週を省略すると今日以前で最も近いその曜日になる', () => {
+    const parse = (text) => DateParser.parseNaturalDate(text, BASE_DATE);
+
+    assert.equal(parse('水曜'), '2025-03-05');
+    assert.equal(parse('金曜'), '2025-02-28');
+    assert.equal(parse('月曜日'), '2025-03-03');
+    assert.equal(parse('先週金曜'), '2025-02-28');
+    assert.equal(parse('先週の月曜'), '2025-02-24');
+    assert.equal(parse('来週月曜'), '2025-03-10');
+    assert.equal(parse('今週日曜'), '2025-03-09');
+});
+
+test('年を省略した日付は基準日より後なら前の年になる', () => {
+    const parse = (text) => DateParser.parseNaturalDate(text, BASE_DATE);
+
+    assert.equal(parse('2/14'), '2025-02-14');
+    assert.equal(parse('3月5日'), '2025-03-05');
+    assert.equal(parse('12/25'), '2024-12-25');
+    assert.equal(parse('先月25日'), '2025-02-25');
+    assert.equal(parse('今月1日'), '2025-03-01');
+    assert.equal(DateParser.parseNaturalDate('先月25日', new Date(2025, 0, 10)), '2024-12-25');
+});
+
+test('年月日の形式はそのまま読み取る', () => {
+    assert.equal(DateParser.parseNaturalDate('2024/12/31', BASE_DATE), '2024-12-31');
+    assert.equal(DateParser.parseNaturalDate('2024-01-02', BASE_DATE), '2024-01-02');
+});
+
+test('存在しない日付や日付でない語は空文字になる', () => {
+    assert.equal(DateParser.parseNaturalDate('2/30', BASE_DATE), '');
+    assert.equal(DateParser.parseNaturalDate('ランチ', BASE_DATE), '');
+    assert.equal(DateParser.parseNaturalDate('', BASE_DATE), '');
+});
+
+test('1行の入力から日付・金額・カテゴリ・口座・説明を読み取る', () => {
+    assert.deepEqual(
+        QuickEntryParser.parse('昨日 ランチ 980円 食費 財布', { categories: CATEGORIES, accounts: ACCOUNTS, baseDate: BASE_DATE }),
+        { date: '2025-03-04', type: 'expense', categoryId: 'food', amount: 980, accountId: 'wallet', description: 'ランチ' }
+    );
+});
+
+test('金額は円記号・桁区切り・全角の数字を読み取る', () => {
+    const parse = (text) => QuickEntryParser.parse(text, { categories: CATEGORIES, baseDate: BASE_DATE }).amount;
+
+    assert.equal(parse('¥1,200'), 1200);
+    assert.equal(parse('２５０００円'), 25000);
+    assert.equal(parse('コーヒー'), null);
+});
+
+test('種別はカテゴリから決まり、同じ名前のカテゴリは指定した種別（指定がなければ支出）を使う', () => {
+    const parse = (text) => QuickEntryParser.parse(text, { categories: CATEGORIES, baseDate: BASE_DATE });
+
+    assert.equal(parse('給与 250,000').type, 'income');
+    assert.equal(parse('給与 250,000').categoryId, 'salary');
+    assert.equal(parse('その他 500').categoryId, 'other-expense');
+    assert.equal(parse('収入 その他 500').categoryId, 'other-income');
+    assert.equal(parse('収入 その他 500').type, 'income');
+});
+
+test('読み取れない語は説明としてつなげ、日付は省略できる', () => {
+    const result = QuickEntryParser.parse('コンビニ おにぎり 2個 300', { categories: CATEGORIES, baseDate: BASE_DATE });
+
+    assert.equal(result.date, '');
+    assert.equal(result.amount, 300);
+    assert.equal(result.description, 'コンビニ おにぎり 2個');
+});
@@ -0,0 +1,103 @@
+// 定期取引の発生日計算のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// constants.js が参照するブラウザのグローバル
+globalThis.location = { hostname: 'localhost', protocol: 'http:' };
+
+const { RecurrenceCalculator } = await import('../assets/js/utils/recurrenceCalculator.js');
+
+test('毎月31日のルールは月末がない月は月末日になる', () => {
+    const rule = { frequency: 'monthly', startDate: '2025-01-31' };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences(rule, '2025-04-30'),
+        ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']
+    );
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences({ ...rule, startDate: '2024-01-31' }, '2024-03-31'),
+        ['2024-01-31', '2024-02-29', '2024-03-31']
+    );
+});
+
+test('毎年2月29日のルールはうるう年以外は2月28日になる', () => {
+    const rule = { frequency: 'yearly', startDate: '2024-02-29' };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences(rule, '2028-12-31'),
+        ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']
+    );
+});
+
+test('月末最終営業日は土日なら直前の金曜日になる', () => {
+    // 2025-05-31は土曜日、2025-08-31は日曜日
+    const rule = { frequency: 'lastBusinessDay', startDate: '2025-05-01' };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences(rule, '2025-08-31'),
+        ['2025-05-30', '2025-06-30', '2025-07-31', '2025-08-29']
+    );
+});
+
+test('月末最終営業日は開始日より前のその月の分を含めない', () => {
+    const rule = { frequency: 'lastBusinessDay', startDate: '2025-05-31' };
+
+    assert.deepEqual(RecurrenceCalculator.getPendingOccurrences(rule, '2025-06-30'), ['2025-06-30']);
+});
+
+test('毎週のルールは開始日と同じ曜日に発生する', () => {
+    const rule = { frequency: 'weekly', startDate: '2025-03-28' };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences(rule, '2025-04-11'),
+        ['2025-03-28', '2025-04-04', '2025-04-11']
+    );
+});
+
+test('生成済みの日付・スキップした日付・終了日より後は含めない', () => {
+    const rule = {
+        frequency: 'monthly',
+        startDate: '2025-01-25',
+        lastGeneratedDate: '2025-02-25',
+        skippedDates: ['2025-04-25'],
+        endDate: '2025-06-10'
+    };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences(rule, '2025-12-31'),
+        ['2025-03-25', '2025-05-25']
+    );
+});
+
+test('再開した日までを生成済みにするとその日の分は生成されない', () => {
+    // 再開時は前日までを生成済みにする（dataManager.test.js で確認）
+    const rule = { frequency: 'monthly', startDate: '2025-01-27' };
+
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences({ ...rule, lastGeneratedDate: '2025-05-26' }, '2025-05-27'),
+        ['2025-05-27']
+    );
+    assert.deepEqual(
+        RecurrenceCalculator.getPendingOccurrences({ ...rule, lastGeneratedDate: '2025-05-27' }, '2025-05-27'),
+        []
+    );
+});
+
+test('次回発生日はスキップした日付と生成済みの日付を飛ばす', () => {
+    const rule = {
+        frequency: 'monthly',
+        startDate: '2025-01-25',
+        lastGeneratedDate: '2025-03-25',
+        skippedDates: ['2025-04-25']
+    };
+
+    assert.equal(RecurrenceCalculator.getNextOccurrence(rule, '2025-03-01'), '2025-05-25');
+    assert.equal(RecurrenceCalculator.getNextOccurrence({ ...rule, endDate: '2025-05-01' }, '2025-03-01'), null);
+});
+
+test('頻度の説明', () => {
+    assert.equal(RecurrenceCalculator.describe({ frequency: 'monthly', startDate: '2025-01-25' }), '毎月25日');
+    assert.equal(RecurrenceCalculator.describe({ frequency: 'yearly', startDate: '2025-04-01' }), '毎年4月1日');
+    assert.equal(RecurrenceCalculator.describe({ frequency: 'weekly', startDate: '2025-03-28' }), '毎週金曜日');
+    assert.equal(RecurrenceCalculator.describe({ frequency: 'lastBusinessDay', startDate: '2025-03-28' }), '毎月最終営業日');
+});